@@ -1,220 +1,681 @@
 // server/app.js - Enhanced Server with Real Vapi Integration
+// createApp() builds the Express app without side effects: it does not listen, start tenant
+// schedules or install process handlers. server/server.js runs it; server/vercel.js exports it
+// for serverless hosting.
 const express = require('express');
 const cors = require('cors');
 const path = require('path');
 const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
-require('dotenv').config();
+const { createClient } = require('@supabase/supabase-js');
+
+const { validateSearchCriteria, validateSearchOptions, resolveNearCriteria } = require('./property_search');
+const { Gazetteer } = require('./geo');
+const { parseSearchQuery } = require('./nl_search');
+const { verifyWebhookRequest } = require('./vapi_webhooks');
+const { VapiApiError } = require('./vapi_http');
+const { callFromWebhookMessage } = require('./call_archive');
+const { streamCallEvents } = require('./call_event_stream');
+const { TRANSCRIPT_FORMATS, transcriptTurns, hasTiming, formatTranscript } = require('./transcripts');
+const { EXPORT_FORMATS, EXPORT_PAGE_SIZE, parseExportColumns, archivePages, streamCallExport } = require('./call_export');
+const { createNotifier } = require('./notifiers');
+const { createSavedSearchRouter } = require('./routes/saved_searches');
+const { createLeadRouter } = require('./routes/leads');
+const { createPropertyRouter } = require('./routes/properties');
+const { requireRole } = require('./auth');
+const { createAuthRouter } = require('./routes/auth');
+const { createAppointmentRouter } = require('./routes/appointments');
+const { createCampaignRouter } = require('./routes/campaigns');
+const { createComplianceRouter } = require('./routes/compliance');
+const { createAssistantRouter } = require('./routes/assistants');
+const { DEFAULT_TENANT_ID, TenantStore, TenantRegistry, resolveTenant } = require('./tenants');
+const { TenantContext } = require('./tenant_context');
+const { createTenantRouter } = require('./routes/tenants');
+const { loadConfig } = require('./config');
+
+// The shared Supabase client, when SUPABASE_URL and SUPABASE_ANON_KEY are configured
+function createSupabaseClient({ supabaseUrl, supabaseAnonKey }) {
+    if (!supabaseUrl || !supabaseAnonKey) return null;
+
+    try {
+        const client = createClient(supabaseUrl, supabaseAnonKey, {
+            auth: { persistSession: false },
+            db: { schema: 'public' }
+        });
+        console.log('Supabase client initialized successfully');
+        return client;
+    } catch (error) {
+        console.error('Failed to initialize Supabase:', error.message);
+        return null;
+    }
+}
+
+// options: { vapiService, propertyRepository, supabase, notifier, tenantStore, config }
+// vapiService and propertyRepository replace the default tenant's own; config (see config.js)
+// is read from the environment when not given, and keys left out of it take their defaults.
+function createApp(options = {}) {
+    const config = options.config ? { ...loadConfig({}), ...options.config } : loadConfig();
+
+    const app = express();
+    const NODE_ENV = config.nodeEnv;
+
+    // A Vapi stand-in (VAPI_BASE_URL, e.g. the local mock) also serves the call websockets
+    const vapiBaseUrl = config.vapiBaseUrl ? new URL(config.vapiBaseUrl) : null;
+    const vapiConnectSrc = vapiBaseUrl
+        ? [vapiBaseUrl.origin, `${vapiBaseUrl.protocol === 'https:' ? 'wss' : 'ws'}://${vapiBaseUrl.host}`]
+        : [];
+
+    // Security middleware
+    app.use(helmet({
+        contentSecurityPolicy: {
+          directives: {
+            defaultSrc: ["'self'"],
+            connectSrc: [
+                "'self'", 
+                "wss://api.vapi.ai", 
+                "https://api.vapi.ai",
+                "wss://*.vapi.ai",
+                ...vapiConnectSrc
+            ],
+            scriptSrc: [
+                "'self'", 
+                "'unsafe-inline'", 
+                "'unsafe-eval'",
+                "https://unpkg.com",
+                "https://cdn.jsdelivr.net"
+            ],
+            styleSrc: ["'self'", "'unsafe-inline'"],
+            imgSrc: ["'self'", "data:", "https:"],
+            // ... rest of your CSP
+        }
+        }
+    }));
+
+    // Rate limiting - more lenient for voice calls
+    const generalLimiter = rateLimit({
+        windowMs: 15 * 60 * 1000, // 15 minutes
+        max: NODE_ENV === 'production' ? 100 : 1000,
+        message: { 
+            success: false, 
+            error: 'Too many requests, please try again later.' 
+        }
+    });
 
-const VapiService = require('./vapi_integration');
+    const callLimiter = rateLimit({
+        windowMs: 60 * 1000, // 1 minute
+        max: 10, // Allow more calls for voice functionality
+        message: { 
+            success: false, 
+            error: 'Too many call attempts, please wait a moment.' 
+        }
+    });
 
-const app = express();
-const PORT = process.env.PORT || 3000;
-const NODE_ENV = process.env.NODE_ENV || 'development';
-//Arul
+    app.use('/api/', generalLimiter);
 
 
+    app.use('/api/vapi/call', callLimiter);
 
 
-//Arul
+    // CORS configuration
+    const corsOptions = {
+        origin: NODE_ENV === 'production' 
+            ? config.allowedOrigins || false
+            : true,
+        methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE'],
+        allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Key'],
+        credentials: true
+    };
 
-//
+    app.use(cors(corsOptions));
+    app.use(express.json({
+        limit: '10mb',
+        // Keep the raw body so webhook signatures can be verified
+        verify: (req, res, buf) => {
+            req.rawBody = buf;
+        }
+    }));
+    app.use(express.urlencoded({ extended: true, limit: '10mb' }));
+    app.use(express.static(path.join(__dirname, '../client')));
 
-// Initialize Vapi service with error handling
-let vapiService;
-try {
-    vapiService = new VapiService();
-} catch (error) {
-    console.error('Failed to initialize Vapi service:', error.message);
-}
+    // Supabase client (SUPABASE_URL / SUPABASE_ANON_KEY) unless one was passed in
+    const supabase = options.supabase !== undefined ? options.supabase : createSupabaseClient(config);
 
-// Security middleware
-app.use(helmet({
-    contentSecurityPolicy: {
-      directives: {
-        defaultSrc: ["'self'"],
-        connectSrc: [
-            "'self'", 
-            "wss://api.vapi.ai", 
-            "https://api.vapi.ai",
-        /*    "ws://localhost:*", // for development*/
-            "wss://*.vapi.ai"
-        ],
-        scriptSrc: [
-            "'self'", 
-            "'unsafe-inline'", 
-            "'unsafe-eval'",
-            "https://unpkg.com",
-            "https://cdn.jsdelivr.net"
-        ],
-        styleSrc: ["'self'", "'unsafe-inline'"],
-        imgSrc: ["'self'", "data:", "https:"],
-        // ... rest of your CSP
-    }
-    }
-}));
-
-// Rate limiting - more lenient for voice calls
-const generalLimiter = rateLimit({
-    windowMs: 15 * 60 * 1000, // 15 minutes
-    max: NODE_ENV === 'production' ? 100 : 1000,
-    message: { 
-        success: false, 
-        error: 'Too many requests, please try again later.' 
-    }
-});
-
-const callLimiter = rateLimit({
-    windowMs: 60 * 1000, // 1 minute
-    max: 10, // Allow more calls for voice functionality
-    message: { 
-        success: false, 
-        error: 'Too many call attempts, please wait a moment.' 
+    // Offline city/ZIP centroids for "near" searches
+    const gazetteer = new Gazetteer();
+
+    // Where saved-search alerts are delivered (shared by every tenant)
+    let alertNotifier = options.notifier ?? null;
+    if (options.notifier === undefined) {
+        try {
+            alertNotifier = createNotifier({ type: config.alertNotifier });
+        } catch (error) {
+            console.error('Failed to initialize alert notifier:', error.message);
+        }
     }
-});
 
-app.use('/api/', generalLimiter);
+    // Brokerages sharing this deployment; each gets its own VapiService, stores and schedules
+    // (see tenants.js and tenant_context.js), built on first use and cached. Injected services
+    // and the env-level secrets belong to the default tenant.
+    const tenantStore = options.tenantStore || new TenantStore();
+    const tenantRegistry = new TenantRegistry({
+        store: tenantStore,
+        createContext: (tenant, { multiTenant }) => new TenantContext(tenant, {
+            supabase,
+            gazetteer,
+            notifier: alertNotifier,
+            multiTenant,
+            config,
+            ...(tenant.id === DEFAULT_TENANT_ID ? {
+                vapiService: options.vapiService,
+                propertyRepository: options.propertyRepository
+            } : {})
+        })
+    });
 
+    // Request logging middleware
+    app.use((req, res, next) => {
+        const start = Date.now();
+        res.on('finish', () => {
+            const duration = Date.now() - start;
+            console.log(`${req.method} ${req.path} - ${res.statusCode} - ${duration}ms`);
+        });
+        next();
+    });
 
-app.use('/api/vapi/call', callLimiter);
+    // Tenant management (ADMIN_API_KEY only), before any tenant is resolved
+    app.use('/api', createTenantRouter({ store: tenantStore, registry: tenantRegistry, apiKey: config.adminApiKey }));
 
+    // Every other /api request runs against its tenant's services (req.tenant)
+    app.use('/api', resolveTenant(tenantRegistry));
 
-// CORS configuration
-const corsOptions = {
-    origin: NODE_ENV === 'production' 
-        ? process.env.ALLOWED_ORIGINS?.split(',') || false
-        : true,
-    methods: ['GET', 'POST', 'PUT', 'DELETE'],
-    allowedHeaders: ['Content-Type', 'Authorization'],
-    credentials: true
-};
+    // Service availability middleware
+    const checkServices = (req, res, next) => {
+        req.services = {
+            vapi: !!req.tenant.vapiService,
+            supabase: !!supabase,
+            properties: !!req.tenant.propertyRepository
+        };
+        next();
+    };
 
-app.use(cors(corsOptions));
-app.use(express.json({ limit: '10mb' }));
-app.use(express.urlencoded({ extended: true, limit: '10mb' }));
-app.use(express.static(path.join(__dirname, '../client')));
+    app.use('/api', checkServices);
+
+    // Staff accounts belong to a tenant; req.user is set from a session cookie, bearer token
+    // or the tenant's API key
+    app.use('/api', (req, res, next) => req.tenant.authenticate(req, res, next));
+    const requireAgent = requireRole('agent');
+    const requireAdmin = requireRole('admin');
+    const requireCallOwnerOrAgent = (req, res, next) => req.tenant.requireCallAccess(req, res, next);
+
+    // The registered assistant a call request asks for (or the default); responds 400 and returns null otherwise
+    const resolveRequestAssistant = (req, res) => {
+        const { assistantId } = req.body || {};
+        const assistant = req.tenant.assistantRegistry.resolve(assistantId);
+        if (!assistant) {
+            res.status(400).json({
+                success: false,
+                error: 'Unknown assistant',
+                details: [assistantId ? `Assistant ${assistantId} is not registered` : 'No default assistant is configured']
+            });
+        }
+        return assistant;
+    };
 
-// Enhanced Supabase client (keeping your existing implementation)
-const { createClient } = require('@supabase/supabase-js');
-let supabase;
-
-try {
-    if (process.env.SUPABASE_URL && process.env.SUPABASE_ANON_KEY) {
-        supabase = createClient(
-            process.env.SUPABASE_URL,
-            process.env.SUPABASE_ANON_KEY,
-            {
-                auth: { persistSession: false },
-                db: { schema: 'public' }
+    // Vapi failures keep their meaning for the caller: unknown call 404, rate limited 429
+    // (with Retry-After), Vapi down or slow 502-504; anything else is a 500
+    const vapiFailed = (res, error, fallback) => {
+        if (error instanceof VapiApiError) {
+            console.error(`${fallback}:`, error.message);
+            if (error.retryAfterMs) {
+                res.set('Retry-After', String(Math.ceil(error.retryAfterMs / 1000)));
             }
-        );
-        console.log('Supabase client initialized successfully');
-    }
-} catch (error) {
-    console.error('Failed to initialize Supabase:', error.message);
-}
+            return res.status(error.responseStatus).json({
+                success: false,
+                error: error.message,
+                code: error.code
+            });
+        }
 
-// Request logging middleware
-app.use((req, res, next) => {
-    const start = Date.now();
-    res.on('finish', () => {
-        const duration = Date.now() - start;
-        console.log(`${req.method} ${req.path} - ${res.statusCode} - ${duration}ms`);
-    });
-    next();
-});
-
-// Service availability middleware
-const checkServices = (req, res, next) => {
-    req.services = {
-        vapi: !!vapiService,
-        supabase: !!supabase
+        console.error(`${fallback}:`, error);
+        res.status(500).json({
+            success: false,
+            error: error.message || fallback
+        });
     };
-    next();
-};
 
-app.use('/api', checkServices);
+    // Routes
+
+    // Enhanced health check
+    app.get('/api/health', async (req, res) => {
+        const { vapiService, propertyRepository } = req.tenant;
+        const health = {
+            status: 'OK',
+            timestamp: new Date().toISOString(),
+            version: config.version,
+            tenant: { id: req.tenant.id, name: req.tenant.name },
+            services: {}
+        };
 
-// Routes
+        // Check Vapi service
+        if (vapiService) {
+            try {
+                const vapiHealth = await vapiService.healthCheck();
+                health.services.vapi = vapiHealth;
+            } catch (error) {
+                health.services.vapi = { status: 'error', message: error.message };
+            }
+        } else {
+            health.services.vapi = { status: 'unavailable', message: 'Service not initialized' };
+        }
 
-// Enhanced health check
-app.get('/api/health', async (req, res) => {
-    const health = {
-        status: 'OK',
-        timestamp: new Date().toISOString(),
-        version: process.env.npm_package_version || '1.0.0',
-        services: {}
-    };
+        // Check the property database
+        if (propertyRepository) {
+            health.services.database = await propertyRepository.healthCheck();
+        } else {
+            health.services.database = { status: 'unavailable', message: 'Service not initialized' };
+        }
+
+        const overallHealthy = Object.values(health.services).some(service => 
+            service.status === 'healthy' || service.status === 'OK'
+        );
+
+        res.status(overallHealthy ? 200 : 503).json(health);
+    });
+
+    // Property search endpoint (keeping your existing implementation)
+    app.post('/api/search', async (req, res) => {
+        const { propertyRepository } = req.tenant;
+        if (!propertyRepository) {
+            return res.status(503).json({
+                success: false,
+                error: 'Database service unavailable'
+            });
+        }
 
-    // Check Vapi service
-    if (vapiService) {
         try {
-            const vapiHealth = await vapiService.healthCheck();
-            health.services.vapi = vapiHealth;
+            const { criteria } = req.body;
+
+            if (!criteria || typeof criteria !== 'object') {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Invalid search criteria'
+                });
+            }
+
+            // Input validation
+            const { page, pageSize, sortBy, sortDirection, facets } = req.body;
+            const options = { page, pageSize, sortBy, sortDirection, facets };
+            const near = resolveNearCriteria(criteria, gazetteer);
+            const errors = [
+                ...validateSearchCriteria(criteria),
+                ...near.errors,
+                ...validateSearchOptions(options, near.criteria)
+            ];
+
+            if (errors.length > 0) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Validation failed',
+                    details: errors
+                });
+            }
+
+            let result;
+            try {
+                result = await propertyRepository.search(near.criteria, options);
+            } catch (error) {
+                console.error('Database query error:', error);
+                return res.status(500).json({
+                    success: false,
+                    error: 'Search failed'
+                });
+            }
+
+            // count is the size of this page; total is every match
+            res.json({
+                success: true,
+                ...result,
+                count: result.properties.length,
+                location: near.location
+            });
+
         } catch (error) {
-            health.services.vapi = { status: 'error', message: error.message };
+            console.error('Search endpoint error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Internal server error'
+            });
+        }
+    });
+    // Natural-language search: parse free text (typed or spoken) into criteria and run it
+    app.post('/api/search/nl', async (req, res) => {
+        const { propertyRepository } = req.tenant;
+        if (!propertyRepository) {
+            return res.status(503).json({
+                success: false,
+                error: 'Database service unavailable'
+            });
         }
-    } else {
-        health.services.vapi = { status: 'unavailable', message: 'Service not initialized' };
-    }
 
-    // Check Supabase
-    if (supabase) {
         try {
-            const { error } = await supabase.from('properties').select('count', { count: 'exact', head: true });
-            health.services.supabase = error 
-                ? { status: 'error', message: error.message }
-                : { status: 'healthy' };
+            const { query } = req.body;
+
+            if (!query || typeof query !== 'string' || query.length > 500) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Query text is required (max 500 characters)'
+                });
+            }
+
+            const criteria = parseSearchQuery(query);
+            const { page, pageSize, sortBy, sortDirection, facets } = req.body;
+            const options = { page, pageSize, sortBy, sortDirection, facets };
+            const near = resolveNearCriteria(criteria, gazetteer);
+            const errors = [
+                ...validateSearchCriteria(criteria),
+                ...near.errors,
+                ...validateSearchOptions(options, near.criteria)
+            ];
+
+            if (errors.length > 0) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Validation failed',
+                    details: errors,
+                    criteria
+                });
+            }
+
+            const result = await propertyRepository.search(near.criteria, options);
+
+            res.json({
+                success: true,
+                query,
+                criteria,
+                ...result,
+                count: result.properties.length,
+                location: near.location
+            });
+
         } catch (error) {
-            health.services.supabase = { status: 'error', message: 'Connection failed' };
+            console.error('Natural-language search error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Search failed'
+            });
         }
-    } else {
-        health.services.supabase = { status: 'unavailable', message: 'Service not initialized' };
-    }
+    });
 
-    const overallHealthy = Object.values(health.services).some(service => 
-        service.status === 'healthy' || service.status === 'OK'
-    );
+    // Routers backed by one tenant's stores, built once per tenant
+    const buildTenantApiRouter = (tenant) => {
+        const router = express.Router();
+
+        // Sign-in and user management
+        router.use(createAuthRouter({ userStore: tenant.userStore }));
+
+        // Listing management and bulk import (writes require an agent)
+        router.use(createPropertyRouter({
+            repository: tenant.propertyRepository,
+            requireAuth: requireAgent,
+            feedImportLog: tenant.feedImportLog
+        }));
+
+        // Saved searches and their "new match" alerts (anyone can save a search, the rest needs an agent)
+        router.use(createSavedSearchRouter({
+            store: tenant.savedSearchStore,
+            runner: tenant.savedSearchRunner,
+            gazetteer,
+            requireAuth: requireAgent
+        }));
+
+        // Leads CRUD (agents only)
+        router.use(createLeadRouter({ store: tenant.leadStore, callArchive: tenant.callArchive, requireAuth: requireAgent }));
+
+        // Showing availability, bookings and .ics invites; a booked showing is visible to agents and to
+        // whoever holds its token, listing and cancelling showings needs an agent, changing agent
+        // calendars an admin
+        router.use(createAppointmentRouter({
+            scheduler: tenant.showingScheduler,
+            accessTokens: tenant.appointmentAccessTokens,
+            requireAuth: requireAgent,
+            requireAdmin
+        }));
+
+        // Assistant registry and config versions (changes require an admin)
+        router.use(createAssistantRouter({
+            registry: tenant.assistantRegistry,
+            versionStore: tenant.assistantVersionStore,
+            configManager: tenant.assistantConfigManager,
+            vapiService: tenant.vapiService,
+            requireAuth: requireAdmin
+        }));
+
+        // Do-not-call registry and consent records (agents); the dial audit log (admins)
+        router.use(createComplianceRouter({
+            store: tenant.complianceStore,
+            auditLog: tenant.dialAuditLog,
+            policy: tenant.dialPolicy,
+            requireAuth: requireAgent,
+            requireAdmin
+        }));
+
+        // Outbound calling campaigns (agents only)
+        router.use(createCampaignRouter({
+            store: tenant.campaignStore,
+            runner: tenant.campaignRunner,
+            leadStore: tenant.leadStore,
+            assistantRegistry: tenant.assistantRegistry,
+            vapiService: tenant.vapiService,
+            requireAuth: requireAgent
+        }));
+
+        return router;
+    };
 
-    res.status(overallHealthy ? 200 : 503).json(health);
-});
+    app.use('/api', (req, res, next) => {
+        if (!req.tenant.apiRouter) {
+            req.tenant.apiRouter = buildTenantApiRouter(req.tenant);
+        }
+        req.tenant.apiRouter(req, res, next);
+    });
 
-// Property search endpoint (keeping your existing implementation)
-app.post('/api/search', async (req, res) => {
-    if (!supabase) {
-        return res.status(503).json({
-            success: false,
-            error: 'Database service unavailable'
-        });
-    }
+    //Test-don't leave it for folks to claim money
 
-    try {
-        const { criteria } = req.body;
-        
-        if (!criteria || typeof criteria !== 'object') {
-            return res.status(400).json({
+    /*
+    app.get('/api/test', (req, res) => {
+      res.json({ message: 'Server is working' });
+    });
+    */
+
+
+    // Enhanced Vapi endpoints
+
+    // Get assistant info
+    app.get('/api/vapi/assistant', requireAdmin, async (req, res) => {
+        const { vapiService } = req.tenant;
+        if (!vapiService) {
+            return res.status(503).json({
                 success: false,
-                error: 'Invalid search criteria'
+                error: 'Vapi service unavailable'
             });
         }
 
-        const { minPrice, maxPrice, bedrooms, bathrooms, city, state, propertyType } = criteria;
+        try {
+            const assistant = await vapiService.getAssistant();
+            res.json({
+                success: true,
+                data: assistant
+            });
 
-        // Input validation
-        const errors = [];
-        if (minPrice !== undefined && (isNaN(minPrice) || minPrice < 0)) {
-            errors.push('Invalid minimum price');
+        } catch (error) {
+            vapiFailed(res, error, 'Failed to get assistant info');
         }
-        if (maxPrice !== undefined && (isNaN(maxPrice) || maxPrice < 0)) {
-            errors.push('Invalid maximum price');
+    });
+
+    // Create phone call
+    app.post('/api/vapi/call/phone', requireAgent, async (req, res) => {
+        const { vapiService } = req.tenant;
+        if (!vapiService) {
+            return res.status(503).json({
+                success: false,
+                error: 'Vapi service unavailable'
+            });
         }
-        if (bedrooms !== undefined && (isNaN(bedrooms) || bedrooms < 0 || bedrooms > 10)) {
-            errors.push('Invalid number of bedrooms');
+
+        try {
+            const { phoneNumber } = req.body;
+
+            if (!phoneNumber) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Phone number is required'
+                });
+            }
+
+            const assistant = resolveRequestAssistant(req, res);
+            if (!assistant) return;
+
+            const result = await vapiService.makeCall(phoneNumber, assistant.id, { source: 'api', userId: req.user.id });
+            res.json({
+                success: true,
+                data: result
+            });
+
+        } catch (error) {
+            if (error.code === 'DIAL_BLOCKED') {
+                return res.status(403).json({
+                    success: false,
+                    error: error.message,
+                    code: error.code,
+                    reason: error.reason
+                });
+            }
+            vapiFailed(res, error, 'Failed to make phone call');
+        }
+    });
+
+    // Create web call
+    app.post('/api/vapi/call', async (req, res) => {
+        const { vapiService, callAccessTokens } = req.tenant;
+        if (!vapiService) {
+            return res.status(503).json({
+                success: false,
+                error: 'Vapi service unavailable'
+            });
+        }
+
+        try {
+            const assistant = resolveRequestAssistant(req, res);
+            if (!assistant) return;
+
+            // Always use WebSocket transport configuration
+            const transport = {
+                provider: "vapi.websocket",
+                audioFormat: {
+                    format: "pcm_s16le",
+                    container: "raw",
+                    sampleRate: 16000
+                }
+            };
+
+            console.log('Creating web call with config:', { 
+                assistantId: assistant.id,
+                transportProvider: transport.provider,
+                audioFormat: transport.audioFormat
+            });
+
+            const result = await vapiService.createWebCall(assistant.id, transport);
+
+            if (!result || !result.id || !result.transport || !result.transport.websocketCallUrl) {
+                throw new Error('Invalid response from Vapi service');
+            }
+
+            // Send back only what's needed for the frontend
+            return res.json({
+                success: true,
+                data: {
+                    id: result.id,
+                    transport: {
+                        provider: result.transport.provider,
+                        websocketCallUrl: result.transport.websocketCallUrl
+                    },
+                    publicKey: result.publicKey,
+                    // Lets this caller follow and end the call without signing in
+                    callToken: callAccessTokens.issue(result.id)
+                }
+            });
+
+        } catch (error) {
+            vapiFailed(res, error, 'Failed to create web call');
         }
-        if (bathrooms !== undefined && (isNaN(bathrooms) || bathrooms < 0 || bathrooms > 20)) {
-            errors.push('Invalid number of bathrooms');
+    });
+
+    // Get all calls (served from the local archive, refreshed from Vapi in the background)
+    app.get('/api/vapi/calls', requireAgent, async (req, res) => {
+        const { callArchive, callArchiveSync, leadStore } = req.tenant;
+        try {
+            const { limit = 50, offset = 0, from, to, status, assistantId, phoneNumber } = req.query;
+            const errors = [];
+            if (from && isNaN(Date.parse(from))) errors.push('Invalid from date');
+            if (to && isNaN(Date.parse(to))) errors.push('Invalid to date');
+            if (errors.length > 0) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Validation failed',
+                    details: errors
+                });
+            }
+
+            // Give an empty archive a short chance to fill before the first response
+            const { total: archived } = await callArchive.list({ limit: 1 });
+            await callArchiveSync.ensureFresh({ waitMs: archived === 0 ? 5000 : 0 });
+
+            const { calls, total } = await callArchive.list({
+                limit: Math.min(parseInt(limit) || 50, 1000),
+                offset: parseInt(offset) || 0,
+                from: from ? new Date(from).toISOString() : undefined,
+                to: to ? new Date(to).toISOString() : undefined,
+                status,
+                assistantId,
+                phoneNumber
+            });
+
+            // Show which lead each call belongs to
+            const data = calls.map(call => {
+                const lead = leadStore.findByCallId(call.id);
+                return lead ? { ...call, lead: { id: lead.id, name: lead.name || null, status: lead.status } } : call;
+            });
+
+            res.json({
+                success: true,
+                data,
+                total,
+                source: 'archive',
+                lastSyncError: callArchiveSync.lastError
+            });
+
+        } catch (error) {
+            console.error('Get calls error:', error);
+            res.status(500).json({
+                success: false,
+                error: error.message || 'Failed to retrieve calls'
+            });
         }
+    });
 
+    // Export call history: ?format=csv|ndjson&columns=id,status,...&from=&to=&source=vapi|archive
+    // Streams every matching call page by page, from Vapi unless it is not configured (then the
+    // archive). Registered before /calls/:callId so "export" is not read as a call id.
+    app.get('/api/vapi/calls/export', requireAgent, async (req, res) => {
+        const { vapiService, callArchive } = req.tenant;
+        const { format = 'csv', from, to } = req.query;
+        const source = req.query.source || (vapiService?.initialized ? 'vapi' : 'archive');
+        const { columns, errors } = parseExportColumns(req.query.columns);
+
+        if (!EXPORT_FORMATS.includes(format)) errors.push(`Invalid format (use ${EXPORT_FORMATS.join(', ')})`);
+        if (!['vapi', 'archive'].includes(source)) errors.push('Invalid source (use vapi, archive)');
+        if (from && isNaN(Date.parse(from))) errors.push('Invalid from date');
+        if (to && isNaN(Date.parse(to))) errors.push('Invalid to date');
         if (errors.length > 0) {
             return res.status(400).json({
                 success: false,
@@ -223,417 +684,341 @@ app.post('/api/search', async (req, res) => {
             });
         }
 
-        // Build query
-        let query = supabase.from('properties').select('*');
-
-        if (minPrice !== undefined) query = query.gte('price', minPrice);
-        if (maxPrice !== undefined) query = query.lte('price', maxPrice);
-        if (bedrooms !== undefined) query = query.eq('bedrooms', bedrooms);
-        if (bathrooms !== undefined) query = query.eq('bathrooms', bathrooms);
-        if (city) query = query.ilike('city', `%${city}%`);
-        if (state) query = query.ilike('state', `%${state}%`);
-        if (propertyType) query = query.eq('property_type', propertyType);
-
-        const { data, error } = await query.limit(100);
-
-        if (error) {
-            console.error('Database query error:', error);
-            return res.status(500).json({
+        if (source === 'vapi' && !vapiService?.initialized) {
+            return res.status(503).json({
                 success: false,
-                error: 'Search failed'
+                error: 'Vapi service unavailable'
             });
         }
 
-        res.json({
-            success: true,
-            properties: data || [],
-            count: data?.length || 0
-        });
+        const range = {
+            from: from ? new Date(from).toISOString() : undefined,
+            to: to ? new Date(to).toISOString() : undefined
+        };
+        const pages = source === 'vapi'
+            ? vapiService.iterateCalls({ createdAtGt: range.from, createdAtLt: range.to }, { pageSize: EXPORT_PAGE_SIZE })
+            : archivePages(callArchive, range);
 
-    } catch (error) {
-        console.error('Search endpoint error:', error);
-        res.status(500).json({
-            success: false,
-            error: 'Internal server error'
-        });
-    }
-});
-//Test-don't leave it for folks to claim money
+        try {
+            const { count, complete } = await streamCallExport(res, {
+                pages,
+                format,
+                columns,
+                filename: `calls-${new Date().toISOString().slice(0, 10)}.${format}`
+            });
+            if (complete) {
+                console.log(`Exported ${count} calls (${format}, from ${source})`);
+            } else {
+                console.warn(`Call export stopped after ${count} calls (${format}, from ${source})`);
+            }
+        } catch (error) {
+            vapiFailed(res, error, 'Failed to export calls');
+        }
+    });
 
-/*
-app.get('/api/test', (req, res) => {
-  res.json({ message: 'Server is working' });
-});
-*/
+    // Get specific call (live from Vapi, falling back to the archive)
+    app.get('/api/vapi/calls/:callId', requireAgent, async (req, res) => {
+        const { vapiService, callArchive } = req.tenant;
+        const { callId } = req.params;
 
+        try {
+            if (!vapiService?.initialized) {
+                throw new Error('Vapi service unavailable');
+            }
 
-// Enhanced Vapi endpoints
+            const call = await vapiService.getCall(callId);
+            await callArchive.upsert(call);
 
-// Get assistant info
-app.get('/api/vapi/assistant', async (req, res) => {
-    if (!vapiService) {
-        return res.status(503).json({
-            success: false,
-            error: 'Vapi service unavailable'
-        });
-    }
+            res.json({
+                success: true,
+                data: call
+            });
 
-    try {
-        const assistant = await vapiService.getAssistant();
-        res.json({
-            success: true,
-            data: assistant
-        });
+        } catch (error) {
+            const archived = await callArchive.get(callId).catch(() => null);
+            if (archived) {
+                console.warn(`Serving archived call ${callId}:`, error.message);
+                return res.json({
+                    success: true,
+                    data: archived,
+                    source: 'archive'
+                });
+            }
 
-    } catch (error) {
-        console.error('Get assistant error:', error);
-        res.status(500).json({
-            success: false,
-            error: error.message || 'Failed to get assistant info'
-        });
-    }
-});
+            vapiFailed(res, error, 'Failed to get call details');
+        }
+    });
 
-// Create phone call
-app.post('/api/vapi/call/phone', async (req, res) => {
-    if (!vapiService) {
-        return res.status(503).json({
-            success: false,
-            error: 'Vapi service unavailable'
-        });
-    }
+    // End call
+    app.delete('/api/vapi/calls/:callId', requireCallOwnerOrAgent, async (req, res) => {
+        const { vapiService } = req.tenant;
+        if (!vapiService) {
+            return res.status(503).json({
+                success: false,
+                error: 'Vapi service unavailable'
+            });
+        }
 
-    try {
-        const { phoneNumber, assistantId } = req.body;
+        try {
+            const { callId } = req.params;
+            const result = await vapiService.endCall(callId);
 
-        if (!phoneNumber) {
-            return res.status(400).json({
-                success: false,
-                error: 'Phone number is required'
+            res.json({
+                success: true,
+                data: result
             });
+
+        } catch (error) {
+            vapiFailed(res, error, 'Failed to end call');
         }
+    });
 
-        const result = await vapiService.makeCall(phoneNumber, assistantId);
-        res.json({
-            success: true,
-            data: result
-        });
+    // Get call transcript; ?format=text|srt|vtt|json downloads it as a file built from the
+    // call's messages (live from Vapi, falling back to the archive)
+    app.get('/api/vapi/calls/:callId/transcript', requireAgent, async (req, res) => {
+        const { vapiService, callArchive } = req.tenant;
+        const { format } = req.query;
+
+        if (format !== undefined) {
+            if (!TRANSCRIPT_FORMATS.includes(format)) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Validation failed',
+                    details: [`Invalid format (use ${TRANSCRIPT_FORMATS.join(', ')})`]
+                });
+            }
 
-    } catch (error) {
-        console.error('Phone call error:', error);
-        res.status(500).json({
-            success: false,
-            error: error.message || 'Failed to make phone call'
-        });
-    }
-});
+            const { callId } = req.params;
+            let call;
+            try {
+                if (!vapiService?.initialized) {
+                    throw new Error('Vapi service unavailable');
+                }
+                call = await vapiService.getCall(callId);
+            } catch (error) {
+                call = await callArchive.get(callId).catch(() => null);
+                if (!call) return vapiFailed(res, error, 'Failed to get transcript');
+            }
 
-// Create web call
-app.post('/api/vapi/call', async (req, res) => {
-    if (!vapiService) {
-        return res.status(503).json({
-            success: false,
-            error: 'Vapi service unavailable'
-        });
-    }
-    
-    try {
-        const { assistantId } = req.body;
-        
-        // Always use WebSocket transport configuration
-        const transport = {
-            provider: "vapi.websocket",
-            audioFormat: {
-                format: "pcm_s16le",
-                container: "raw",
-                sampleRate: 16000
+            const turns = transcriptTurns(call);
+            if (turns.length === 0) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'This call has no transcript'
+                });
             }
-        };
-        
-        console.log('Creating web call with config:', { 
-            assistantId: assistantId || vapiService.assistantId,
-            transportProvider: transport.provider,
-            audioFormat: transport.audioFormat
-        });
-        
-        const result = await vapiService.createWebCall(assistantId, transport);
-        
-        if (!result || !result.id || !result.transport || !result.transport.websocketCallUrl) {
-            throw new Error('Invalid response from Vapi service');
-        }
-        
-        // Send back only what's needed for the frontend
-        return res.json({
-            success: true,
-            data: {
-                id: result.id,
-                transport: {
-                    provider: result.transport.provider,
-                    websocketCallUrl: result.transport.websocketCallUrl
-                },
-                publicKey: result.publicKey
+            if ((format === 'srt' || format === 'vtt') && !hasTiming(turns)) {
+                return res.status(422).json({
+                    success: false,
+                    error: 'Message timing is not available for this call',
+                    details: ['Download it as text or json instead']
+                });
             }
-        });
-        
-    } catch (error) {
-        console.error('Failed to create web call:', error);
-        return res.status(500).json({
-            success: false,
-            error: error.message
-        });
-    }
-});
 
-// Get all calls
-app.get('/api/vapi/calls', async (req, res) => {
-    if (!vapiService) {
-        return res.status(503).json({
-            success: false,
-            error: 'Vapi service unavailable'
-        });
-    }
+            const file = formatTranscript(turns, format, { callId: call.id });
+            res.set('Content-Type', file.contentType);
+            res.set('Content-Disposition', `attachment; filename="transcript-${String(call.id).replace(/[^\w-]/g, '')}.${file.extension}"`);
+            return res.send(file.body);
+        }
 
-    try {
-        const { limit = 50, offset = 0 } = req.query;
-        const calls = await vapiService.getCalls(parseInt(limit), parseInt(offset));
-        
-        res.json({
-            success: true,
-            data: calls
-        });
+        if (!vapiService) {
+            return res.status(503).json({
+                success: false,
+                error: 'Vapi service unavailable'
+            });
+        }
 
-    } catch (error) {
-        console.error('Get calls error:', error);
-        res.status(500).json({
-            success: false,
-            error: error.message || 'Failed to retrieve calls'
-        });
-    }
-});
+        try {
+            const { callId } = req.params;
+            const transcript = await vapiService.getCallTranscript(callId);
 
-// Get specific call
-app.get('/api/vapi/calls/:callId', async (req, res) => {
-    if (!vapiService) {
-        return res.status(503).json({
-            success: false,
-            error: 'Vapi service unavailable'
-        });
-    }
+            res.json({
+                success: true,
+                data: { transcript }
+            });
 
-    try {
-        const { callId } = req.params;
-        const call = await vapiService.getCall(callId);
-        
+        } catch (error) {
+            vapiFailed(res, error, 'Failed to get transcript');
+        }
+    });
+
+    // Get VAPI configuration (public key for frontend)
+    app.get('/api/vapi/config', (req, res) => {
+        const { vapiService } = req.tenant;
+        if (!vapiService) {
+            return res.status(503).json({
+                success: false,
+                error: 'Vapi service unavailable'
+            });
+        }
+
+        // Only send what's absolutely necessary for frontend
         res.json({
             success: true,
-            data: call
+            publicKey: vapiService.publicKey,
+            assistantId: vapiService.assistantId
         });
+    });
 
-    } catch (error) {
-        console.error('Get call error:', error);
-        res.status(500).json({
-            success: false,
-            error: error.message || 'Failed to get call details'
-        });
-    }
-});
+    // Webhook endpoint for Vapi server messages
+    // Vapi wraps messages as { message: { type, ... } }; older payloads use { type, data }.
+    // The tenant comes from the hostname, so each tenant's assistants must use one of its hostnames
+    // in their server URL.
+    app.post('/api/vapi/webhook', async (req, res) => {
+        const {
+            vapiService,
+            webhookSecret,
+            allowUnverifiedWebhooks,
+            toolHandler,
+            webhookEventStore,
+            callArchive,
+            leadStore,
+            campaignRunner
+        } = req.tenant;
+        const verification = verifyWebhookRequest(req, webhookSecret, { allowUnverified: allowUnverifiedWebhooks });
+        if (!verification.valid) {
+            console.warn('Rejected webhook:', verification.reason);
+            return res.status(401).json({
+                success: false,
+                error: 'Invalid webhook signature'
+            });
+        }
 
-// End call
-app.delete('/api/vapi/calls/:callId', async (req, res) => {
-    if (!vapiService) {
-        return res.status(503).json({
-            success: false,
-            error: 'Vapi service unavailable'
-        });
-    }
+        try {
+            const message = req.body?.message || req.body || {};
+            const { type } = message;
+
+            if (!type) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Invalid webhook payload'
+                });
+            }
 
-    try {
-        const { callId } = req.params;
-        const result = await vapiService.endCall(callId);
-        
-        res.json({
-            success: true,
-            data: result
-        });
+            if (type === 'tool-calls') {
+                // Tool results must be returned synchronously for the assistant to speak them
+                const response = await toolHandler.handleToolCalls(message);
+                return res.json(response);
+            }
 
-    } catch (error) {
-        console.error('End call error:', error);
-        res.status(500).json({
-            success: false,
-            error: error.message || 'Failed to end call'
-        });
-    }
-});
+            if (!webhookEventStore.shouldStore(type)) {
+                console.log('Unhandled webhook type:', type);
+                return res.json({ success: true });
+            }
 
-// Get call transcript
-app.get('/api/vapi/calls/:callId/transcript', async (req, res) => {
-    if (!vapiService) {
-        return res.status(503).json({
-            success: false,
-            error: 'Vapi service unavailable'
-        });
-    }
+            const { duplicate, event } = webhookEventStore.append(message, req.rawBody);
+            if (duplicate) {
+                console.log(`Duplicate ${type} webhook for call ${event?.callId} ignored`);
+                return res.json({ success: true, duplicate });
+            }
 
-    try {
-        const { callId } = req.params;
-        const transcript = await vapiService.getCallTranscript(callId);
-        
-        res.json({
-            success: true,
-            data: { transcript }
-        });
+            if (type === 'status-update') {
+                console.log(`Call ${event.callId} status updated to: ${message.status}`);
+            }
 
-    } catch (error) {
-        console.error('Get transcript error:', error);
-        res.status(500).json({
-            success: false,
-            error: error.message || 'Failed to get transcript'
-        });
-    }
-});
+            // Mirror status changes and end-of-call reports into the call archive
+            const callUpdate = callFromWebhookMessage(message);
+            if (callUpdate) {
+                await callArchive.upsert(callUpdate);
+            }
 
-// Get VAPI configuration (public key for frontend)
-app.get('/api/vapi/config', (req, res) => {
-    if (!vapiService) {
-        return res.status(503).json({
-            success: false,
-            error: 'Vapi service unavailable'
-        });
-    }
+            // Build or update the caller's lead once the call is over
+            if (type === 'end-of-call-report') {
+                const captured = leadStore.captureFromEndOfCallReport(message);
+                if (captured) {
+                    console.log(`Lead ${captured.lead.id} ${captured.created ? 'created' : 'updated'} from call ${event.callId}`);
+                }
+            }
 
-    // Only send what's absolutely necessary for frontend
-    res.json({
-        success: true,
-        publicKey: vapiService.publicKey,
-        assistantId: vapiService.assistantId
-    });
-});
-
-// Serve static files
-app.get('/', (req, res) => {
-    res.sendFile(path.join(__dirname, '../client/index.html'));
-});
-
-// Error handling middleware
-app.use((err, req, res, next) => {
-    console.error('Unhandled error:', err);
-    res.status(500).json({
-        success: false,
-        error: NODE_ENV === 'production' ? 'Internal server error' : err.message
-    });
-});
+            // Record the outcome of campaign calls and free their dialing slot
+            if (type === 'end-of-call-report' || (type === 'status-update' && message.status === 'ended')) {
+                const contact = campaignRunner.handleCallEnded(message);
+                if (contact) {
+                    console.log(`Campaign contact ${contact.phone}: ${contact.outcome} (${contact.status})`);
+                }
+            }
 
-// 404 handler
-app.use('*', (req, res) => {
-    res.status(404).json({
-        success: false,
-        error: 'Route not found'
-    });
-});
-
-// Global error handlers
-process.on('uncaughtException', (error) => {
-    console.error('Uncaught Exception:', error);
-    process.exit(1);
-});
-
-process.on('unhandledRejection', (reason, promise) => {
-    console.error('Unhandled Rejection at:', promise, 'reason:', reason);
-    process.exit(1);
-});
-
-// Start server
-const server = app.listen(PORT, () => {
-    console.log(`Server running on port ${PORT} in ${NODE_ENV} mode`);
-    console.log(`Services available:`, {
-        vapi: !!vapiService,
-        supabase: !!supabase
+            // Notify live subscribers (SSE streams) about the new event
+            vapiService?.emit('call-event', event);
+
+            res.json({ success: true, duplicate });
+
+        } catch (error) {
+            console.error('Webhook error:', error);
+            // Still return 200 to prevent retries
+            res.json({ 
+                success: false,
+                error: error.message 
+            });
+        }
     });
-    
-    if (vapiService) {
-        console.log('Vapi Assistant ID:', process.env.VAPI_ASSISTANT_ID);
-    }
-});
-
-// Handle server errors
-server.on('error', (error) => {
-    if (error.code === 'EADDRINUSE') {
-        console.error(`Port ${PORT} is already in use`);
-        process.exit(1);
-    } else {
-        console.error('Server error:', error);
-        process.exit(1);
-    }
-});
 
-// Graceful shutdown
-const gracefulShutdown = () => {
-    console.log('Shutting down gracefully...');
-    server.close(() => {
-        if (vapiService) {
-            vapiService.destroy();
+    // Live call updates as a Server-Sent Events stream
+    app.get('/api/vapi/calls/:callId/events', requireCallOwnerOrAgent, (req, res) => {
+        const { vapiService, webhookEventStore } = req.tenant;
+        if (!vapiService) {
+            return res.status(503).json({
+                success: false,
+                error: 'Vapi service unavailable'
+            });
         }
-        console.log('Process terminated');
-        process.exit(0);
+
+        streamCallEvents(req, res, {
+            emitter: vapiService,
+            eventStore: webhookEventStore,
+            callId: req.params.callId
+        });
     });
-};
 
-process.on('SIGTERM', gracefulShutdown);
-process.on('SIGINT', gracefulShutdown);
+    // Replay the stored webhook events for one call
+    app.get('/api/vapi/calls/:callId/webhook-events', requireAgent, (req, res) => {
+        try {
+            const { callId } = req.params;
+            const events = req.tenant.webhookEventStore.getEvents(callId, { type: req.query.type });
 
-// Webhook endpoint for Vapi status updates
-app.post('/api/vapi/webhook', express.json(), async (req, res) => {
-    try {
-        const { type, data } = req.body;
-        console.log('Received webhook:', type, data);
+            res.json({
+                success: true,
+                data: events,
+                count: events.length
+            });
 
-        if (!type || !data) {
-            return res.status(400).json({
+        } catch (error) {
+            console.error('Get webhook events error:', error);
+            res.status(500).json({
                 success: false,
-                error: 'Invalid webhook payload'
+                error: error.message || 'Failed to get webhook events'
             });
         }
+    });
 
-        switch (type) {
-            case 'status-update':
-                if (data.callId) {
-                    console.log(`Call ${data.callId} status updated to: ${data.status}`);
-                }
-                break;
-            case 'transcript':
-                if (data.callId && data.transcript) {
-                    console.log(`New transcript for call ${data.callId}:`, data.transcript);
-                }
-                break;
-            case 'call-ended':
-                if (data.callId) {
-                    console.log(`Call ${data.callId} ended`);
-                }
-                break;
-            case 'speech-update':
-                console.log('Speech update:', data);
-                break;
-            case 'conversation-update':
-                console.log('Conversation update:', data);
-                break;
-            case 'end-of-call-report':
-                console.log('End of call report:', data);
-                break;
-            default:
-                console.log('Unhandled webhook type:', type, data);
-        }
-
-        // Always return 200 to acknowledge receipt
-        res.json({ success: true });
+    // Serve static files
+    app.get('/', (req, res) => {
+        res.sendFile(path.join(__dirname, '../client/index.html'));
+    });
 
-    } catch (error) {
-        console.error('Webhook error:', error);
-        // Still return 200 to prevent retries
-        res.json({ 
+    // Error handling middleware
+    app.use((err, req, res, next) => {
+        console.error('Unhandled error:', err);
+        res.status(500).json({
             success: false,
-            error: error.message 
+            error: NODE_ENV === 'production' ? 'Internal server error' : err.message
         });
-    }
-});
+    });
+
+    // 404 handler
+    app.use('*', (req, res) => {
+        res.status(404).json({
+            success: false,
+            error: 'Route not found'
+        });
+    });
+
+    // The entry point starts and stops the tenants' schedules (see server.js)
+    app.locals.tenantRegistry = tenantRegistry;
+    app.locals.supabase = supabase;
+    app.locals.alertNotifier = alertNotifier;
+
+    return app;
+}
 
-module.exports = app;
+module.exports = { createApp };
@@ -0,0 +1,519 @@
+// server/appointments.js - Showing appointments: agent availability, slots and bookings
+// Agents have weekly working hours in their own time zone plus blackout periods.
+// Open slots are generated from those hours minus existing showings, and every
+// booking is checked again for conflicts at the moment it is written.
+const crypto = require('crypto');
+const { JsonFileStore, dataFile } = require('./json_store');
+const { buildIcs } = require('./ics');
+const {
+    WEEKDAYS,
+    isValidTimeZone,
+    getZonedParts,
+    zonedTimeToUtc,
+    minutesOfDay,
+    addDays,
+    formatSpokenTime
+} = require('./time_zones');
+const { normalizeContact, validateContactFields } = require('./contacts');
+
+const SHOWING_MINUTES = 30;
+const SLOT_STEP_MINUTES = 30;
+// Travel time an agent needs between showings at different properties
+const BUFFER_MINUTES = 15;
+// Showings cannot be booked closer to now than this
+const MIN_LEAD_MINUTES = 120;
+const DEFAULT_DAYS = 7;
+const MAX_DAYS = 30;
+const DEFAULT_TIMEZONE = process.env.SCHEDULING_TIMEZONE || 'America/Los_Angeles';
+
+const MINUTE_MS = 60 * 1000;
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+// Date and time without an offset, read in the agent's time zone
+const LOCAL_DATE_TIME_PATTERN = /^(\d{4}-\d{2}-\d{2})[T ](\d{2}:\d{2})(?::00)?$/;
+
+// Until agents are configured, one agent covers every showing
+function defaultAgent() {
+    return {
+        id: 'default-agent',
+        name: process.env.SHOWING_AGENT_NAME || 'Listing Agent',
+        email: process.env.SHOWING_AGENT_EMAIL || null,
+        timezone: DEFAULT_TIMEZONE,
+        weeklyHours: {
+            mon: [['09:00', '17:00']],
+            tue: [['09:00', '17:00']],
+            wed: [['09:00', '17:00']],
+            thu: [['09:00', '17:00']],
+            fri: [['09:00', '17:00']],
+            sat: [['10:00', '16:00']],
+            sun: []
+        },
+        blackouts: []
+    };
+}
+
+class SchedulingError extends Error {
+    // code: 'invalid' | 'not_found' | 'conflict' | 'unavailable'
+    constructor(message, code, details = []) {
+        super(message);
+        this.name = 'SchedulingError';
+        this.code = code;
+        this.details = details;
+    }
+}
+
+function validateAgent(agent, { partial = false } = {}) {
+    const errors = [];
+
+    if (!partial || agent.name !== undefined) {
+        if (typeof agent.name !== 'string' || !agent.name.trim()) errors.push('Agent name is required');
+    }
+    if (agent.email) errors.push(...validateContactFields({ email: agent.email }));
+    if ((!partial || agent.timezone !== undefined) && !isValidTimeZone(agent.timezone)) {
+        errors.push('Invalid time zone (use an IANA name such as America/Los_Angeles)');
+    }
+
+    if (agent.weeklyHours !== undefined) {
+        if (!agent.weeklyHours || typeof agent.weeklyHours !== 'object') {
+            errors.push('weeklyHours must map weekdays to [start, end] ranges');
+        } else {
+            for (const [day, ranges] of Object.entries(agent.weeklyHours)) {
+                if (!WEEKDAYS.includes(day)) {
+                    errors.push(`Unknown weekday "${day}" (use ${WEEKDAYS.join(', ')})`);
+                    continue;
+                }
+                const valid = Array.isArray(ranges) && ranges.every(range => Array.isArray(range) &&
+                    TIME_PATTERN.test(range[0]) && TIME_PATTERN.test(range[1]) &&
+                    minutesOfDay(range[0]) < minutesOfDay(range[1]));
+                if (!valid) errors.push(`Invalid hours for ${day} (use [["09:00", "17:00"]])`);
+            }
+        }
+    }
+
+    if (agent.blackouts !== undefined) {
+        const valid = Array.isArray(agent.blackouts) && agent.blackouts.every(blackout =>
+            blackout && !isNaN(Date.parse(blackout.start)) && !isNaN(Date.parse(blackout.end)) &&
+            Date.parse(blackout.start) < Date.parse(blackout.end));
+        if (!valid) errors.push('Invalid blackouts (use [{ "start": ISO time, "end": ISO time }])');
+    }
+
+    return errors;
+}
+
+function overlaps(startA, endA, startB, endB) {
+    return startA < endB && startB < endA;
+}
+
+class SchedulingStore {
+    constructor(filePath = dataFile('appointments.json')) {
+        this.store = new JsonFileStore(filePath, { agents: [defaultAgent()], appointments: [] });
+    }
+
+    listAgents() {
+        return this.store.data.agents;
+    }
+
+    getAgent(id) {
+        return this.listAgents().find(agent => agent.id === id) || null;
+    }
+
+    saveAgent(agent) {
+        return this.store.update(data => {
+            const index = data.agents.findIndex(item => item.id === agent.id);
+            if (index === -1) {
+                data.agents.push(agent);
+            } else {
+                data.agents[index] = agent;
+            }
+            return agent;
+        });
+    }
+
+    // Soonest first
+    listAppointments({ propertyId, agentId, status, from, to } = {}) {
+        return this.store.data.appointments
+            .filter(appointment => !propertyId || appointment.propertyId === String(propertyId))
+            .filter(appointment => !agentId || appointment.agentId === agentId)
+            .filter(appointment => !status || appointment.status === status)
+            .filter(appointment => !from || appointment.end > new Date(from).toISOString())
+            .filter(appointment => !to || appointment.start < new Date(to).toISOString())
+            .sort((a, b) => a.start.localeCompare(b.start));
+    }
+
+    getAppointment(id) {
+        return this.store.data.appointments.find(appointment => appointment.id === id) || null;
+    }
+
+    addAppointment(appointment) {
+        this.store.update(data => {
+            data.appointments.push(appointment);
+        });
+        return appointment;
+    }
+
+    updateAppointment(id, changes) {
+        return this.store.update(data => {
+            const appointment = data.appointments.find(item => item.id === id);
+            if (!appointment) return null;
+            Object.assign(appointment, changes, { updatedAt: new Date().toISOString() });
+            return appointment;
+        });
+    }
+}
+
+class ShowingScheduler {
+    constructor({ store, propertyRepository, leadStore = null, now = () => new Date() }) {
+        this.store = store;
+        this.propertyRepository = propertyRepository;
+        this.leadStore = leadStore;
+        this.now = now;
+    }
+
+    earliestStart() {
+        return this.now().getTime() + MIN_LEAD_MINUTES * MINUTE_MS;
+    }
+
+    // Reasons the agent cannot take a showing in [start, end); empty when free
+    findConflicts(agent, propertyId, start, end, { excludeId } = {}) {
+        const reasons = [];
+        const startMs = start.getTime();
+        const endMs = end.getTime();
+
+        if (!this.isWithinWorkingHours(agent, start, end)) {
+            reasons.push(`${agent.name} is not working at that time`);
+        }
+
+        for (const blackout of agent.blackouts || []) {
+            if (overlaps(startMs, endMs, Date.parse(blackout.start), Date.parse(blackout.end))) {
+                reasons.push(`${agent.name} is unavailable${blackout.reason ? ` (${blackout.reason})` : ''}`);
+            }
+        }
+
+        for (const appointment of this.store.listAppointments({ status: 'confirmed' })) {
+            if (appointment.id === excludeId) continue;
+            const otherStart = Date.parse(appointment.start);
+            const otherEnd = Date.parse(appointment.end);
+            const sameProperty = appointment.propertyId === String(propertyId);
+
+            // The same property cannot host two showings at once, whoever the agent is
+            if (sameProperty && overlaps(startMs, endMs, otherStart, otherEnd)) {
+                reasons.push(`The property already has a showing at ${appointment.start}`);
+                continue;
+            }
+
+            // An agent needs travel time between showings at different properties
+            const buffer = sameProperty ? 0 : BUFFER_MINUTES * MINUTE_MS;
+            if (appointment.agentId === agent.id && overlaps(startMs, endMs, otherStart - buffer, otherEnd + buffer)) {
+                reasons.push(`${agent.name} has another showing at ${appointment.start}`);
+            }
+        }
+
+        return reasons;
+    }
+
+    isWithinWorkingHours(agent, start, end) {
+        const localStart = getZonedParts(start, agent.timezone);
+        const localEnd = getZonedParts(new Date(end.getTime() - 1), agent.timezone);
+        if (localStart.date !== localEnd.date) return false;
+
+        const from = minutesOfDay(localStart.time);
+        const to = minutesOfDay(localEnd.time) + 1;
+        return (agent.weeklyHours?.[localStart.weekday] || [])
+            .some(([open, close]) => from >= minutesOfDay(open) && to <= minutesOfDay(close));
+    }
+
+    // Open slots for a property over the next `days` days, soonest first
+    async getAvailability({ propertyId, from, days = DEFAULT_DAYS, agentId, limit = 50 }) {
+        const property = await this.getProperty(propertyId);
+        const agents = agentId ? [this.requireAgent(agentId)] : this.store.listAgents();
+        const earliest = this.earliestStart();
+        const slots = [];
+
+        for (const agent of agents) {
+            const firstDay = from || getZonedParts(this.now(), agent.timezone).date;
+
+            for (let offset = 0; offset < days; offset++) {
+                const date = addDays(firstDay, offset);
+                const weekday = getZonedParts(zonedTimeToUtc(date, '12:00', agent.timezone), agent.timezone).weekday;
+
+                for (const [open, close] of agent.weeklyHours?.[weekday] || []) {
+                    for (let minute = minutesOfDay(open); minute + SHOWING_MINUTES <= minutesOfDay(close); minute += SLOT_STEP_MINUTES) {
+                        const time = `${String(Math.floor(minute / 60)).padStart(2, '0')}:${String(minute % 60).padStart(2, '0')}`;
+                        const start = zonedTimeToUtc(date, time, agent.timezone);
+                        const end = new Date(start.getTime() + SHOWING_MINUTES * MINUTE_MS);
+
+                        if (start.getTime() < earliest) continue;
+                        if (this.findConflicts(agent, property.id, start, end).length > 0) continue;
+
+                        slots.push({
+                            start: start.toISOString(),
+                            end: end.toISOString(),
+                            agentId: agent.id,
+                            agentName: agent.name,
+                            timezone: agent.timezone,
+                            label: formatSpokenTime(start, agent.timezone)
+                        });
+                    }
+                }
+            }
+        }
+
+        slots.sort((a, b) => a.start.localeCompare(b.start) || a.agentName.localeCompare(b.agentName));
+        return { property, slots: slots.slice(0, limit) };
+    }
+
+    async getProperty(propertyId) {
+        if (!this.propertyRepository) {
+            throw new SchedulingError('Property database unavailable', 'unavailable');
+        }
+        const property = propertyId ? await this.propertyRepository.getById(propertyId) : null;
+        if (!property) {
+            throw new SchedulingError('Property not found', 'not_found');
+        }
+        return property;
+    }
+
+    requireAgent(agentId) {
+        const agent = this.store.getAgent(agentId);
+        if (!agent) throw new SchedulingError('Agent not found', 'not_found');
+        return agent;
+    }
+
+    // ISO times with an offset are absolute; "2026-10-20T10:00" is read in the agent's zone
+    parseStart(start, timeZone) {
+        const local = typeof start === 'string' && start.match(LOCAL_DATE_TIME_PATTERN);
+        if (local) return zonedTimeToUtc(local[1], local[2], timeZone);
+
+        const parsed = new Date(start);
+        if (!start || isNaN(parsed.getTime())) {
+            throw new SchedulingError('Invalid start time', 'invalid', ['start must be an ISO date and time']);
+        }
+        return parsed;
+    }
+
+    // Book a showing; picks the first free agent when agentId is not given
+    async book({ propertyId, start, agentId, attendee = {}, notes, source = 'api', callId = null }) {
+        const contact = normalizeContact(attendee);
+        const errors = validateContactFields(contact);
+        if (!contact.name) errors.push('Attendee name is required');
+        if (!contact.phone && !contact.email) errors.push('Attendee phone number or email is required');
+        if (errors.length > 0) {
+            throw new SchedulingError('Validation failed', 'invalid', errors);
+        }
+
+        const property = await this.getProperty(propertyId);
+        const candidates = agentId ? [this.requireAgent(agentId)] : this.store.listAgents();
+
+        // Nothing async from here until the appointment is stored, so two bookings cannot interleave
+        const conflicts = [];
+        let chosen = null;
+        for (const agent of candidates) {
+            const startAt = this.parseStart(start, agent.timezone);
+            const endAt = new Date(startAt.getTime() + SHOWING_MINUTES * MINUTE_MS);
+
+            if (startAt.getTime() < this.earliestStart()) {
+                throw new SchedulingError('Showings must be booked at least 2 hours ahead', 'invalid', ['start is too soon']);
+            }
+
+            const reasons = this.findConflicts(agent, property.id, startAt, endAt);
+            if (reasons.length === 0) {
+                chosen = { agent, startAt, endAt };
+                break;
+            }
+            conflicts.push(...reasons);
+        }
+
+        if (!chosen) {
+            throw new SchedulingError('That time is not available', 'conflict', [...new Set(conflicts)]);
+        }
+
+        const now = new Date().toISOString();
+        const appointment = this.store.addAppointment({
+            id: crypto.randomUUID(),
+            propertyId: String(property.id),
+            propertyAddress: [property.address, property.city, property.state].filter(Boolean).join(', '),
+            agentId: chosen.agent.id,
+            agentName: chosen.agent.name,
+            start: chosen.startAt.toISOString(),
+            end: chosen.endAt.toISOString(),
+            timezone: chosen.agent.timezone,
+            status: 'confirmed',
+            attendee: contact,
+            notes: typeof notes === 'string' ? notes.trim().slice(0, 2000) : undefined,
+            source,
+            callId,
+            leadId: this.linkLead(contact, { source, callId }),
+            createdAt: now,
+            updatedAt: now
+        });
+
+        console.log(`Showing ${appointment.id} booked at ${appointment.propertyAddress} for ${appointment.start}`);
+        return appointment;
+    }
+
+    // Booking a showing moves a new or contacted lead to "touring"
+    linkLead(contact, { source, callId }) {
+        if (!this.leadStore || (!contact.phone && !contact.email)) return null;
+
+        const { lead } = this.leadStore.capture(contact, { source, callId });
+        if (['new', 'contacted'].includes(lead.status)) {
+            this.leadStore.update(lead.id, { status: 'touring' });
+        }
+        return lead.id;
+    }
+
+    cancel(id, { reason } = {}) {
+        const appointment = this.store.getAppointment(id);
+        if (!appointment) throw new SchedulingError('Appointment not found', 'not_found');
+        if (appointment.status === 'cancelled') return appointment;
+
+        return this.store.updateAppointment(id, {
+            status: 'cancelled',
+            cancelledAt: new Date().toISOString(),
+            cancelReason: reason || null
+        });
+    }
+
+    buildInvite(appointment) {
+        const agent = this.store.getAgent(appointment.agentId);
+        return buildIcs({
+            uid: `${appointment.id}@voicenest`,
+            start: appointment.start,
+            end: appointment.end,
+            updatedAt: appointment.updatedAt,
+            status: appointment.status,
+            summary: `Property showing: ${appointment.propertyAddress}`,
+            location: appointment.propertyAddress,
+            description: `Showing with ${appointment.agentName}.${appointment.notes ? `\n${appointment.notes}` : ''}`,
+            organizer: agent?.email ? { name: agent.name, email: agent.email } : null,
+            attendee: appointment.attendee
+        });
+    }
+}
+
+// Assistant tools; properties are identified by id or by address and city from search results
+const PROPERTY_REFERENCE = {
+    propertyId: { type: 'string', description: 'Listing id, if known' },
+    address: { type: 'string', description: 'Street address exactly as given in the search results' },
+    city: { type: 'string', description: 'City of the listing' }
+};
+
+const CHECK_AVAILABILITY_TOOL = {
+    type: 'function',
+    function: {
+        name: 'check_availability',
+        description: 'Find open showing times for a property the caller wants to see.',
+        parameters: {
+            type: 'object',
+            properties: {
+                ...PROPERTY_REFERENCE,
+                date: { type: 'string', description: 'First day to check, YYYY-MM-DD (default today)' },
+                days: { type: 'number', description: `How many days to look ahead (default ${DEFAULT_DAYS})` }
+            }
+        }
+    }
+};
+
+const BOOK_SHOWING_TOOL = {
+    type: 'function',
+    function: {
+        name: 'book_showing',
+        description: 'Book a showing at one of the times returned by check_availability. Confirm the time and the caller\'s name first.',
+        parameters: {
+            type: 'object',
+            properties: {
+                ...PROPERTY_REFERENCE,
+                start: { type: 'string', description: 'Slot start time exactly as returned by check_availability' },
+                name: { type: 'string', description: 'Caller\'s full name' },
+                email: { type: 'string', description: 'Email address, if given' },
+                phone: { type: 'string', description: 'Callback number, if different from the calling number' },
+                notes: { type: 'string', description: 'Anything the agent should know' }
+            },
+            required: ['start', 'name']
+        }
+    }
+};
+
+async function resolveToolProperty(scheduler, { propertyId, address, city }) {
+    if (propertyId) return String(propertyId);
+    if (address && scheduler.propertyRepository) {
+        const property = await scheduler.propertyRepository.findByAddress({ address, city });
+        if (property) return String(property.id);
+    }
+    return null;
+}
+
+function createSchedulingToolHandlers({ scheduler }) {
+    const describeError = (error) => error instanceof SchedulingError
+        ? `${error.message}${error.details.length ? `: ${error.details.join(', ')}` : ''}`
+        : null;
+
+    const checkAvailability = async (args) => {
+        const propertyId = await resolveToolProperty(scheduler, args);
+        if (!propertyId) {
+            return 'I could not find that property. Please search for it first so I have its exact address.';
+        }
+
+        try {
+            const days = Math.min(Math.max(parseInt(args.days) || DEFAULT_DAYS, 1), MAX_DAYS);
+            const from = DATE_PATTERN.test(args.date || '') ? args.date : undefined;
+            const { property, slots } = await scheduler.getAvailability({ propertyId, from, days, limit: 200 });
+
+            // One slot per start time, and a handful is plenty to read out
+            const unique = [...new Map(slots.map(slot => [slot.start, slot])).values()].slice(0, 5);
+            if (unique.length === 0) {
+                return `There are no open showing times for ${property.address} in the next ${days} days.`;
+            }
+            return `Open showing times for ${property.address}: ` +
+                unique.map(slot => `${slot.label} [start ${slot.start}]`).join('; ') + '.';
+        } catch (error) {
+            const message = describeError(error);
+            if (message) return `I could not check availability: ${message}.`;
+            throw error;
+        }
+    };
+
+    const bookShowing = async (args, { message } = {}) => {
+        const propertyId = await resolveToolProperty(scheduler, args);
+        if (!propertyId) {
+            return 'I could not find that property. Please search for it first so I have its exact address.';
+        }
+
+        try {
+            const appointment = await scheduler.book({
+                propertyId,
+                start: args.start,
+                attendee: {
+                    name: args.name,
+                    email: args.email,
+                    phone: args.phone || message?.call?.customer?.number
+                },
+                notes: args.notes,
+                source: 'assistant',
+                callId: message?.call?.id || null
+            });
+            const when = formatSpokenTime(new Date(appointment.start), appointment.timezone);
+            return `You are booked to see ${appointment.propertyAddress} on ${when} with ${appointment.agentName}.`;
+        } catch (error) {
+            const message = describeError(error);
+            if (message) return `I could not book that showing: ${message}.`;
+            throw error;
+        }
+    };
+
+    return { checkAvailability, bookShowing };
+}
+
+module.exports = {
+    SHOWING_MINUTES,
+    DEFAULT_DAYS,
+    MAX_DAYS,
+    SchedulingError,
+    SchedulingStore,
+    ShowingScheduler,
+    CHECK_AVAILABILITY_TOOL,
+    BOOK_SHOWING_TOOL,
+    createSchedulingToolHandlers,
+    validateAgent,
+    defaultAgent
+};
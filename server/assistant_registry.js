@@ -0,0 +1,107 @@
+// server/assistant_registry.js - Allowlist of the Vapi assistants this app may use
+// Calls are only placed with a registered assistant. Each entry records what the
+// assistant is for, the language it speaks and whether it is meant for web or phone calls.
+const { JsonFileStore, dataFile } = require('./json_store');
+
+const ASSISTANT_PURPOSES = ['general', 'buyer_intake', 'seller_valuation', 'rental'];
+const TRANSPORTS = ['web', 'phone'];
+const LANGUAGE_PATTERN = /^[a-z]{2,3}(-[A-Z]{2})?$/;
+
+function validateAssistantEntry(entry, { partial = false } = {}) {
+    const errors = [];
+
+    if (!partial || entry.name !== undefined) {
+        if (typeof entry.name !== 'string' || !entry.name.trim()) errors.push('Assistant name is required');
+    }
+    if ((!partial || entry.purpose !== undefined) && !ASSISTANT_PURPOSES.includes(entry.purpose)) {
+        errors.push(`Invalid purpose (use ${ASSISTANT_PURPOSES.join(', ')})`);
+    }
+    if ((!partial || entry.language !== undefined) && !LANGUAGE_PATTERN.test(entry.language || '')) {
+        errors.push('Invalid language (use a code such as en or en-US)');
+    }
+    if ((!partial || entry.defaultTransport !== undefined) && !TRANSPORTS.includes(entry.defaultTransport)) {
+        errors.push(`Invalid defaultTransport (use ${TRANSPORTS.join(', ')})`);
+    }
+
+    return errors;
+}
+
+// Registry fields from a request body; anything else is ignored
+function readAssistantEntry(body = {}) {
+    const entry = {};
+    for (const field of ['name', 'purpose', 'language', 'defaultTransport', 'description']) {
+        if (body[field] !== undefined) entry[field] = typeof body[field] === 'string' ? body[field].trim() : body[field];
+    }
+    return entry;
+}
+
+class AssistantRegistry {
+    // defaultAssistantId (VAPI_ASSISTANT_ID) is always registered and used when a request names none
+    constructor({ filePath = dataFile('assistants.json'), defaultAssistantId = null } = {}) {
+        this.store = new JsonFileStore(filePath, { assistants: [] });
+        this.defaultAssistantId = defaultAssistantId;
+
+        if (defaultAssistantId && !this.get(defaultAssistantId)) {
+            this.register({
+                id: defaultAssistantId,
+                name: 'Property Assistant',
+                purpose: 'general',
+                language: 'en-US',
+                defaultTransport: 'web'
+            });
+        }
+    }
+
+    list({ purpose } = {}) {
+        return this.store.data.assistants
+            .filter(entry => !purpose || entry.purpose === purpose)
+            .map(entry => ({ ...entry, isDefault: entry.id === this.defaultAssistantId }));
+    }
+
+    get(id) {
+        const entry = this.store.data.assistants.find(item => item.id === id);
+        return entry ? { ...entry, isDefault: entry.id === this.defaultAssistantId } : null;
+    }
+
+    // The assistant a call should use: the requested one if registered, else the default.
+    // Returns null for an unregistered id so callers can reject the request.
+    resolve(assistantId) {
+        return this.get(assistantId || this.defaultAssistantId);
+    }
+
+    register(entry) {
+        const now = new Date().toISOString();
+        const record = { description: null, ...entry, createdAt: now, updatedAt: now };
+        this.store.update(data => {
+            data.assistants.push(record);
+        });
+        return this.get(record.id);
+    }
+
+    update(id, changes) {
+        const updated = this.store.update(data => {
+            const entry = data.assistants.find(item => item.id === id);
+            if (!entry) return null;
+            Object.assign(entry, changes, { updatedAt: new Date().toISOString() });
+            return entry;
+        });
+        return updated ? this.get(id) : null;
+    }
+
+    remove(id) {
+        return this.store.update(data => {
+            const index = data.assistants.findIndex(item => item.id === id);
+            if (index === -1) return false;
+            data.assistants.splice(index, 1);
+            return true;
+        });
+    }
+}
+
+module.exports = {
+    ASSISTANT_PURPOSES,
+    TRANSPORTS,
+    AssistantRegistry,
+    validateAssistantEntry,
+    readAssistantEntry
+};
@@ -0,0 +1,284 @@
+// server/assistant_versions.js - Version history for assistant configuration
+// Tracks the parts of a Vapi assistant people edit (system prompt, voice, tools and
+// first message). Before any change the live assistant is read back with getAssistant
+// and stored as a snapshot if it differs from the last known version, so edits made on
+// the Vapi dashboard show up in the history instead of being overwritten silently.
+const crypto = require('crypto');
+const { JsonFileStore, dataFile } = require('./json_store');
+
+const VERSIONED_FIELDS = ['systemPrompt', 'voice', 'tools', 'firstMessage'];
+// Versions kept per assistant; the oldest are dropped beyond this
+const MAX_VERSIONS = 200;
+// Prompts longer than this many lines are compared as a whole instead of line by line
+const MAX_DIFF_LINES = 2000;
+
+// The versioned fields of a Vapi assistant object
+function extractConfig(assistant = {}) {
+    const systemMessage = (assistant.model?.messages || []).find(message => message.role === 'system');
+    return {
+        systemPrompt: systemMessage?.content ?? null,
+        voice: assistant.voice ?? null,
+        tools: assistant.model?.tools ?? null,
+        firstMessage: assistant.firstMessage ?? null
+    };
+}
+
+// PATCH body that applies config to the live assistant, keeping its other model settings
+function buildAssistantUpdate(config, live = {}) {
+    const update = {};
+    const model = { ...live.model };
+    let modelChanged = false;
+
+    if (config.systemPrompt !== undefined) {
+        const others = (model.messages || []).filter(message => message.role !== 'system');
+        model.messages = config.systemPrompt === null
+            ? others
+            : [{ role: 'system', content: config.systemPrompt }, ...others];
+        modelChanged = true;
+    }
+    if (config.tools !== undefined) {
+        model.tools = config.tools || [];
+        modelChanged = true;
+    }
+    if (modelChanged) update.model = model;
+    if (config.voice !== undefined && config.voice !== null) update.voice = config.voice;
+    if (config.firstMessage !== undefined) update.firstMessage = config.firstMessage;
+
+    return update;
+}
+
+// JSON with sorted keys so equal configs compare equal regardless of key order
+function stableStringify(value) {
+    if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+    }
+    return JSON.stringify(value ?? null);
+}
+
+function configsEqual(a, b) {
+    return VERSIONED_FIELDS.every(field => stableStringify(a?.[field]) === stableStringify(b?.[field]));
+}
+
+// Line diff of two texts: [{ op: ' ' | '-' | '+', line }]
+function diffLines(before, after) {
+    const a = before ? String(before).split('\n') : [];
+    const b = after ? String(after).split('\n') : [];
+    if (a.length > MAX_DIFF_LINES || b.length > MAX_DIFF_LINES) {
+        return [...a.map(line => ({ op: '-', line })), ...b.map(line => ({ op: '+', line }))];
+    }
+
+    // Longest common subsequence table, filled from the end
+    const lengths = Array.from({ length: a.length + 1 }, () => new Uint16Array(b.length + 1));
+    for (let i = a.length - 1; i >= 0; i--) {
+        for (let j = b.length - 1; j >= 0; j--) {
+            lengths[i][j] = a[i] === b[j] ? lengths[i + 1][j + 1] + 1 : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+        }
+    }
+
+    const result = [];
+    let i = 0;
+    let j = 0;
+    while (i < a.length && j < b.length) {
+        if (a[i] === b[j]) {
+            result.push({ op: ' ', line: a[i++] });
+            j++;
+        } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+            result.push({ op: '-', line: a[i++] });
+        } else {
+            result.push({ op: '+', line: b[j++] });
+        }
+    }
+    while (i < a.length) result.push({ op: '-', line: a[i++] });
+    while (j < b.length) result.push({ op: '+', line: b[j++] });
+    return result;
+}
+
+// Checks a change to the versioned fields
+function validateConfigChanges(changes) {
+    const errors = [];
+    const fields = Object.keys(changes).filter(field => VERSIONED_FIELDS.includes(field));
+    if (fields.length === 0) errors.push(`Nothing to change (send ${VERSIONED_FIELDS.join(', ')})`);
+
+    for (const field of ['systemPrompt', 'firstMessage']) {
+        if (changes[field] !== undefined && changes[field] !== null && typeof changes[field] !== 'string') {
+            errors.push(`${field} must be text`);
+        }
+    }
+    if (changes.voice !== undefined && (!changes.voice || typeof changes.voice !== 'object' || Array.isArray(changes.voice))) {
+        errors.push('voice must be a Vapi voice object (e.g. { "provider": "11labs", "voiceId": "..." })');
+    }
+    if (changes.tools !== undefined && changes.tools !== null && !Array.isArray(changes.tools)) {
+        errors.push('tools must be an array of tool definitions');
+    }
+    return errors;
+}
+
+// Field-by-field differences between two versions
+function diffConfigs(from, to) {
+    const changes = [];
+    for (const field of VERSIONED_FIELDS) {
+        if (stableStringify(from[field]) === stableStringify(to[field])) continue;
+
+        const change = { field, before: from[field], after: to[field] };
+        if (field === 'systemPrompt' || field === 'firstMessage') {
+            change.lines = diffLines(from[field], to[field]);
+        }
+        changes.push(change);
+    }
+    return changes;
+}
+
+class AssistantVersionStore {
+    constructor(filePath = dataFile('assistant-versions.json')) {
+        this.store = new JsonFileStore(filePath, { versions: [], live: {} });
+    }
+
+    // Newest first
+    list(assistantId) {
+        return this.store.data.versions
+            .filter(version => version.assistantId === assistantId)
+            .sort((a, b) => b.number - a.number);
+    }
+
+    get(assistantId, number) {
+        return this.list(assistantId).find(version => version.number === Number(number)) || null;
+    }
+
+    latest(assistantId) {
+        return this.list(assistantId)[0] || null;
+    }
+
+    // The version currently running in Vapi, as far as this app knows
+    getLive(assistantId) {
+        const number = this.store.data.live[assistantId];
+        return number ? this.get(assistantId, number) : null;
+    }
+
+    add(assistantId, { config, author, source, note = null, basedOn = null, live = true }) {
+        return this.store.update(data => {
+            const number = (this.latest(assistantId)?.number || 0) + 1;
+            const version = {
+                id: crypto.randomUUID(),
+                assistantId,
+                number,
+                config,
+                author: author || 'unknown',
+                source,
+                note,
+                basedOn,
+                draft: !live,
+                createdAt: new Date().toISOString()
+            };
+            data.versions.push(version);
+            if (live) data.live[assistantId] = number;
+
+            const versions = data.versions.filter(item => item.assistantId === assistantId);
+            if (versions.length > MAX_VERSIONS) {
+                const oldest = new Set(versions.sort((a, b) => a.number - b.number)
+                    .slice(0, versions.length - MAX_VERSIONS)
+                    .map(item => item.id));
+                data.versions = data.versions.filter(item => !oldest.has(item.id));
+            }
+            return version;
+        });
+    }
+}
+
+class AssistantConfigManager {
+    constructor({ store, vapiService }) {
+        this.store = store;
+        this.vapiService = vapiService;
+    }
+
+    // Read the live assistant and record it when it differs from the last live version
+    async snapshot(assistantId) {
+        const assistant = await this.vapiService.getAssistant(assistantId);
+        const config = extractConfig(assistant);
+        const live = this.store.getLive(assistantId);
+
+        if (live && configsEqual(live.config, config)) {
+            return { assistant, version: live };
+        }
+
+        const version = this.store.add(assistantId, {
+            config,
+            author: 'vapi',
+            source: 'snapshot',
+            note: live ? 'Changed outside this app (e.g. the Vapi dashboard)' : 'Initial snapshot'
+        });
+        console.log(`Assistant ${assistantId}: recorded live config as version ${version.number}`);
+        return { assistant, version };
+    }
+
+    // Apply a Vapi PATCH body (or a function building it from the live assistant) and record the result
+    async update(assistantId, vapiUpdate, { author, note, source = 'edit', basedOn = null } = {}) {
+        const { assistant } = await this.snapshot(assistantId);
+        if (typeof vapiUpdate === 'function') vapiUpdate = vapiUpdate(assistant);
+        const updated = await this.vapiService.updateAssistant(vapiUpdate, assistantId);
+
+        // Vapi answers with the full assistant; fall back to applying the PATCH locally
+        const config = updated?.model || updated?.voice
+            ? extractConfig(updated)
+            : extractConfig({ ...assistant, ...vapiUpdate });
+
+        const version = this.store.add(assistantId, { config, author, source, note, basedOn });
+        console.log(`Assistant ${assistantId}: version ${version.number} is live (${source} by ${version.author})`);
+        return version;
+    }
+
+    // Change versioned fields; a draft is stored without touching the live assistant
+    async change(assistantId, changes, { author, note, draft = false } = {}) {
+        if (draft) {
+            const base = this.store.getLive(assistantId) || (await this.snapshot(assistantId)).version;
+            return this.store.add(assistantId, {
+                config: { ...base.config, ...changes },
+                author,
+                source: 'edit',
+                note,
+                basedOn: base.number,
+                live: false
+            });
+        }
+
+        return this.update(assistantId, live => buildAssistantUpdate(changes, live), { author, note });
+    }
+
+    // Make a stored version live again (or for the first time, for drafts)
+    async promote(assistantId, number, { author, note, source = 'promote' } = {}) {
+        const target = this.store.get(assistantId, number);
+        if (!target) return null;
+
+        return this.update(assistantId, live => buildAssistantUpdate(target.config, live), {
+            author,
+            note: note || `${source === 'rollback' ? 'Rolled back' : 'Promoted'} to version ${target.number}`,
+            source,
+            basedOn: target.number
+        });
+    }
+
+    // Back to a given version, or to the live version before the current one
+    async rollback(assistantId, { to, author, note } = {}) {
+        await this.snapshot(assistantId);
+        const live = this.store.getLive(assistantId);
+
+        const target = to !== undefined
+            ? this.store.get(assistantId, to)
+            : this.store.list(assistantId).find(version => !version.draft && version.number < live.number &&
+                !configsEqual(version.config, live.config));
+        if (!target) return null;
+
+        return this.promote(assistantId, target.number, { author, note, source: 'rollback' });
+    }
+}
+
+module.exports = {
+    VERSIONED_FIELDS,
+    extractConfig,
+    buildAssistantUpdate,
+    validateConfigChanges,
+    diffConfigs,
+    diffLines,
+    AssistantVersionStore,
+    AssistantConfigManager
+};
@@ -0,0 +1,280 @@
+// server/auth.js - Users, sessions and role checks for the API
+// Staff sign in with email and password and get a session token, sent back either as
+// "Authorization: Bearer <token>" or in the session cookie set at login. Roles are
+// "agent" (call history, transcripts, outbound dialing, listings, leads) and "admin"
+// (everything, including users and assistant configuration). ADMIN_API_KEY, sent as a
+// bearer token or "X-API-Key: <key>", acts as an admin for scripts and integrations.
+const crypto = require('crypto');
+const { JsonFileStore, dataFile } = require('./json_store');
+
+const ROLES = ['agent', 'admin'];
+const SESSION_COOKIE = 'vn_session';
+const SESSION_TTL_HOURS = Number(process.env.SESSION_TTL_HOURS || 12);
+const MIN_PASSWORD_LENGTH = 10;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+function getRequestToken(req) {
+    const header = req.get('authorization') || '';
+    const bearer = header.match(/^Bearer\s+(.+)$/i);
+    return bearer ? bearer[1].trim() : (req.get('x-api-key') || '').trim();
+}
+
+function getCookie(req, name) {
+    for (const part of (req.get('cookie') || '').split(';')) {
+        const index = part.indexOf('=');
+        if (index !== -1 && part.slice(0, index).trim() === name) {
+            return decodeURIComponent(part.slice(index + 1).trim());
+        }
+    }
+    return null;
+}
+
+function safeEqual(a, b) {
+    const left = Buffer.from(String(a));
+    const right = Buffer.from(String(b));
+    return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+// "salt:hash", both hex; scrypt with Node's default cost parameters
+function hashPassword(password) {
+    const salt = crypto.randomBytes(16).toString('hex');
+    const hash = crypto.scryptSync(String(password), salt, 64).toString('hex');
+    return `${salt}:${hash}`;
+}
+
+function verifyPassword(password, stored) {
+    const [salt, hash] = String(stored || '').split(':');
+    if (!salt || !hash) return false;
+    const candidate = crypto.scryptSync(String(password), salt, 64).toString('hex');
+    return safeEqual(candidate, hash);
+}
+
+// Only token hashes are stored, so a leaked users file cannot be replayed as sessions
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function validateUser(user, { partial = false } = {}) {
+    const errors = [];
+    if ((!partial || user.email !== undefined) && !EMAIL_PATTERN.test(user.email || '')) {
+        errors.push('Valid email is required');
+    }
+    if ((!partial || user.role !== undefined) && !ROLES.includes(user.role)) {
+        errors.push(`Invalid role (use ${ROLES.join(', ')})`);
+    }
+    if ((!partial || user.password !== undefined) &&
+        (typeof user.password !== 'string' || user.password.length < MIN_PASSWORD_LENGTH)) {
+        errors.push(`Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+    }
+    if (user.name !== undefined && user.name !== null && typeof user.name !== 'string') {
+        errors.push('Name must be text');
+    }
+    return errors;
+}
+
+// What the API returns for a user; never the password hash
+function publicUser(user) {
+    const { passwordHash, ...rest } = user;
+    return rest;
+}
+
+class UserStore {
+    constructor(filePath = dataFile('users.json')) {
+        this.store = new JsonFileStore(filePath, { users: [], sessions: [] });
+    }
+
+    list() {
+        return this.store.data.users.map(publicUser);
+    }
+
+    get(id) {
+        return this.store.data.users.find(user => user.id === id) || null;
+    }
+
+    findByEmail(email) {
+        const normalized = String(email || '').trim().toLowerCase();
+        return this.store.data.users.find(user => user.email === normalized) || null;
+    }
+
+    create({ email, password, role, name }) {
+        const now = new Date().toISOString();
+        const user = {
+            id: crypto.randomUUID(),
+            email: email.trim().toLowerCase(),
+            name: name ? name.trim() : null,
+            role,
+            disabled: false,
+            passwordHash: hashPassword(password),
+            createdAt: now,
+            updatedAt: now,
+            lastLoginAt: null
+        };
+        this.store.update(data => {
+            data.users.push(user);
+        });
+        return publicUser(user);
+    }
+
+    // Changing the password or disabling the user ends their sessions
+    update(id, { email, password, role, name, disabled }) {
+        return this.store.update(data => {
+            const user = data.users.find(item => item.id === id);
+            if (!user) return null;
+
+            if (email !== undefined) user.email = email.trim().toLowerCase();
+            if (name !== undefined) user.name = name ? name.trim() : null;
+            if (role !== undefined) user.role = role;
+            if (disabled !== undefined) user.disabled = !!disabled;
+            if (password !== undefined) user.passwordHash = hashPassword(password);
+            if (password !== undefined || disabled) {
+                data.sessions = data.sessions.filter(session => session.userId !== id);
+            }
+            user.updatedAt = new Date().toISOString();
+            return publicUser(user);
+        });
+    }
+
+    remove(id) {
+        return this.store.update(data => {
+            const index = data.users.findIndex(user => user.id === id);
+            if (index === -1) return false;
+            data.users.splice(index, 1);
+            data.sessions = data.sessions.filter(session => session.userId !== id);
+            return true;
+        });
+    }
+
+    // Returns { user, token, expiresAt } or null for a wrong email, password or disabled account
+    login(email, password) {
+        const user = this.findByEmail(email);
+        // Verify against a dummy hash for unknown emails so timing does not reveal which exist
+        const valid = verifyPassword(password, user?.passwordHash || UserStore.DUMMY_HASH);
+        if (!user || !valid || user.disabled) return null;
+
+        const token = crypto.randomBytes(32).toString('base64url');
+        const now = Date.now();
+        const expiresAt = new Date(now + SESSION_TTL_HOURS * 60 * 60 * 1000).toISOString();
+
+        this.store.update(data => {
+            data.sessions = data.sessions.filter(session => Date.parse(session.expiresAt) > now);
+            data.sessions.push({ tokenHash: hashToken(token), userId: user.id, createdAt: new Date(now).toISOString(), expiresAt });
+            data.users.find(item => item.id === user.id).lastLoginAt = new Date(now).toISOString();
+        });
+        return { user: publicUser(user), token, expiresAt };
+    }
+
+    logout(token) {
+        const tokenHash = hashToken(token);
+        this.store.update(data => {
+            data.sessions = data.sessions.filter(session => session.tokenHash !== tokenHash);
+        });
+    }
+
+    // The user a session token belongs to, if the session is still valid
+    authenticate(token) {
+        const tokenHash = hashToken(token);
+        const session = this.store.data.sessions.find(item => item.tokenHash === tokenHash);
+        if (!session || Date.parse(session.expiresAt) <= Date.now()) return null;
+
+        const user = this.get(session.userId);
+        return user && !user.disabled ? publicUser(user) : null;
+    }
+}
+
+UserStore.DUMMY_HASH = hashPassword(crypto.randomBytes(16).toString('hex'));
+
+// Sets req.user for every request that carries a valid session, bearer token or API key.
+// isApiKey decides which keys act as admin (ADMIN_API_KEY by default; tenants pass their own check).
+function authenticate({
+    userStore,
+    apiKey = process.env.ADMIN_API_KEY,
+    isApiKey = (token) => !!apiKey && safeEqual(token, apiKey)
+}) {
+    return (req, res, next) => {
+        req.user = null;
+        const token = getRequestToken(req) || getCookie(req, SESSION_COOKIE);
+        if (!token) return next();
+
+        if (isApiKey(token)) {
+            req.user = { id: 'api-key', email: null, name: 'API key', role: 'admin' };
+        } else {
+            req.user = userStore.authenticate(token);
+            req.sessionToken = req.user ? token : null;
+        }
+        next();
+    };
+}
+
+// 401 when nobody is signed in, 403 when the role is not enough (admins pass every check)
+function requireRole(role = 'agent') {
+    return (req, res, next) => {
+        if (!req.user) {
+            return res.status(401).json({
+                success: false,
+                error: 'Authentication required'
+            });
+        }
+
+        if (role === 'admin' && req.user.role !== 'admin') {
+            return res.status(403).json({
+                success: false,
+                error: 'Admin access required'
+            });
+        }
+
+        next();
+    };
+}
+
+// Lets an anonymous visitor follow and end the web call they started, and no other call.
+// Tokens are an HMAC of the scope (the tenant) and call id; without SESSION_SECRET they
+// last until a restart.
+class CallAccessTokens {
+    constructor({
+        secret = process.env.SESSION_SECRET || crypto.randomBytes(32).toString('hex'),
+        scope = ''
+    } = {}) {
+        this.secret = secret;
+        this.scope = scope;
+    }
+
+    issue(callId) {
+        return crypto.createHmac('sha256', this.secret).update(`${this.scope}:${callId}`).digest('hex');
+    }
+
+    verify(callId, token) {
+        return !!token && safeEqual(this.issue(callId), token);
+    }
+}
+
+// Agents may access any call; others need the call's token ("X-Call-Token" or ?token= for EventSource)
+function requireCallAccess(callTokens) {
+    return (req, res, next) => {
+        if (req.user) return next();
+
+        const token = req.get('x-call-token') || req.query.token;
+        if (callTokens.verify(req.params.callId, token)) return next();
+
+        return res.status(401).json({
+            success: false,
+            error: 'Authentication required'
+        });
+    };
+}
+
+module.exports = {
+    ROLES,
+    SESSION_COOKIE,
+    SESSION_TTL_HOURS,
+    UserStore,
+    authenticate,
+    requireRole,
+    CallAccessTokens,
+    requireCallAccess,
+    getRequestToken,
+    safeEqual,
+    hashToken,
+    validateUser,
+    hashPassword,
+    verifyPassword
+};
@@ -0,0 +1,315 @@
+// server/call_archive.js - Local mirror of Vapi calls so history survives Vapi outages
+const { JsonFileStore, dataFile } = require('./json_store');
+
+// Fields copied from end-of-call reports onto the archived call
+function callFromEndOfCallReport(message) {
+    const artifact = message.artifact || {};
+    return {
+        ...(message.call || {}),
+        status: 'ended',
+        endedReason: message.endedReason ?? message.call?.endedReason,
+        startedAt: message.startedAt ?? message.call?.startedAt,
+        endedAt: message.endedAt ?? message.call?.endedAt,
+        cost: message.cost ?? message.call?.cost,
+        costBreakdown: message.costBreakdown ?? message.call?.costBreakdown,
+        durationSeconds: message.durationSeconds,
+        summary: message.analysis?.summary ?? message.summary,
+        transcript: artifact.transcript ?? message.transcript,
+        messages: artifact.messages ?? message.messages,
+        recordingUrl: artifact.recordingUrl ?? message.recordingUrl
+    };
+}
+
+// Build the archived call update carried by a webhook message, if any
+function callFromWebhookMessage(message) {
+    if (!message.call?.id) return null;
+
+    switch (message.type) {
+        case 'status-update':
+            return { ...message.call, status: message.status || message.call.status };
+        case 'end-of-call-report':
+            return callFromEndOfCallReport(message);
+        default:
+            return null;
+    }
+}
+
+// Later updates win, but never overwrite known values with undefined
+function mergeCall(existing, update) {
+    const merged = { ...(existing || {}) };
+    for (const [key, value] of Object.entries(update)) {
+        if (value !== undefined) merged[key] = value;
+    }
+    merged.archivedAt = new Date().toISOString();
+    return merged;
+}
+
+function getCustomerNumber(call) {
+    return call.customer?.number || null;
+}
+
+// A value for a PostgREST filter string, double-quoted so commas, dots and parentheses
+// in it are read as data rather than as more filter terms
+function quoteFilterValue(value) {
+    return `"${String(value).replace(/["\\]/g, char => `\\${char}`)}"`;
+}
+
+// Shared in-memory filtering for the file/memory backends
+function matchesFilters(call, filters) {
+    const { from, to, status, assistantId, phoneNumber } = filters;
+    const createdAt = call.createdAt ? new Date(call.createdAt) : null;
+
+    if (from && (!createdAt || createdAt < new Date(from))) return false;
+    if (to && (!createdAt || createdAt > new Date(to))) return false;
+    if (status && call.status !== status) return false;
+    if (assistantId && call.assistantId !== assistantId) return false;
+    if (phoneNumber) {
+        const numbers = [getCustomerNumber(call), call.phoneNumber?.number, call.phoneNumberId];
+        if (!numbers.includes(phoneNumber)) return false;
+    }
+    return true;
+}
+
+// Archive backed by a local JSON file (or memory when filePath is null)
+class FileCallArchive {
+    constructor(filePath = dataFile('calls.json')) {
+        this.name = filePath ? 'file' : 'memory';
+        this.store = new JsonFileStore(filePath, { calls: {} });
+    }
+
+    async upsert(call) {
+        return this.store.update(data => {
+            data.calls[call.id] = mergeCall(data.calls[call.id], call);
+            return data.calls[call.id];
+        });
+    }
+
+    async upsertMany(calls) {
+        return this.store.update(data => {
+            for (const call of calls) {
+                if (call?.id) data.calls[call.id] = mergeCall(data.calls[call.id], call);
+            }
+            return calls.length;
+        });
+    }
+
+    async get(callId) {
+        return this.store.data.calls[callId] || null;
+    }
+
+    async getMany(callIds) {
+        return callIds.map(id => this.store.data.calls[id]).filter(Boolean);
+    }
+
+    async list(filters = {}) {
+        const { limit = 50, offset = 0 } = filters;
+        const calls = Object.values(this.store.data.calls)
+            .filter(call => matchesFilters(call, filters))
+            .sort((a, b) => new Date(b.createdAt || 0) - new Date(a.createdAt || 0));
+
+        return {
+            calls: calls.slice(offset, offset + limit),
+            total: calls.length
+        };
+    }
+}
+
+// Archive backed by a Supabase "calls" table:
+//   id text primary key, status text, assistant_id text, customer_number text,
+//   phone_number_id text, created_at timestamptz, ended_at timestamptz,
+//   ended_reason text, cost numeric, summary text, data jsonb
+// plus tenant_id text when several brokerages share the table (see SupabasePropertyRepository)
+class SupabaseCallArchive {
+    constructor(supabase, table = 'calls', tenantId = undefined) {
+        this.name = 'supabase';
+        this.supabase = supabase;
+        this.table = table;
+        this.tenantId = tenantId;
+    }
+
+    scoped(query) {
+        if (this.tenantId === undefined) return query;
+        return this.tenantId === null ? query.is('tenant_id', null) : query.eq('tenant_id', this.tenantId);
+    }
+
+    toRow(call) {
+        return {
+            ...(this.tenantId ? { tenant_id: this.tenantId } : {}),
+            id: call.id,
+            status: call.status || null,
+            assistant_id: call.assistantId || null,
+            customer_number: getCustomerNumber(call),
+            phone_number_id: call.phoneNumberId || null,
+            created_at: call.createdAt || null,
+            ended_at: call.endedAt || null,
+            ended_reason: call.endedReason || null,
+            cost: call.cost ?? null,
+            summary: call.summary || null,
+            data: call
+        };
+    }
+
+    async upsert(call) {
+        const existing = await this.get(call.id);
+        const merged = mergeCall(existing, call);
+        const { error } = await this.supabase.from(this.table).upsert(this.toRow(merged));
+        if (error) throw new Error(`Call archive write failed: ${error.message}`);
+        return merged;
+    }
+
+    // One read of the archived versions and one bulk write, however many calls there are
+    async upsertMany(calls) {
+        const updates = new Map();
+        for (const call of calls) {
+            if (call?.id) updates.set(call.id, mergeCall(updates.get(call.id), call));
+        }
+        if (updates.size === 0) return calls.length;
+
+        const existing = new Map((await this.getMany([...updates.keys()])).map(call => [call.id, call]));
+        const rows = [...updates.values()].map(call => this.toRow(mergeCall(existing.get(call.id), call)));
+        const { error } = await this.supabase.from(this.table).upsert(rows, { onConflict: 'id' });
+        if (error) throw new Error(`Call archive write failed: ${error.message}`);
+        return calls.length;
+    }
+
+    async get(callId) {
+        const { data, error } = await this.scoped(this.supabase
+            .from(this.table)
+            .select('data'))
+            .eq('id', callId)
+            .maybeSingle();
+        if (error) throw new Error(`Call archive read failed: ${error.message}`);
+        return data?.data || null;
+    }
+
+    async getMany(callIds) {
+        if (callIds.length === 0) return [];
+        const { data, error } = await this.scoped(this.supabase
+            .from(this.table)
+            .select('data'))
+            .in('id', callIds);
+        if (error) throw new Error(`Call archive read failed: ${error.message}`);
+        return (data || []).map(row => row.data);
+    }
+
+    async list(filters = {}) {
+        const { from, to, status, assistantId, phoneNumber, limit = 50, offset = 0 } = filters;
+
+        let query = this.scoped(this.supabase
+            .from(this.table)
+            .select('data', { count: 'exact' }))
+            .order('created_at', { ascending: false });
+
+        if (from) query = query.gte('created_at', from);
+        if (to) query = query.lte('created_at', to);
+        if (status) query = query.eq('status', status);
+        if (assistantId) query = query.eq('assistant_id', assistantId);
+        if (phoneNumber) {
+            const value = quoteFilterValue(phoneNumber);
+            query = query.or(`customer_number.eq.${value},phone_number_id.eq.${value}`);
+        }
+
+        const { data, count, error } = await query.range(offset, offset + limit - 1);
+        if (error) throw new Error(`Call archive read failed: ${error.message}`);
+
+        return {
+            calls: (data || []).map(row => row.data),
+            total: count || 0
+        };
+    }
+}
+
+// Keeps the archive topped up from Vapi without making requests wait on it
+class CallArchiveSync {
+    constructor({ archive, vapiService, minIntervalMs = 30 * 1000, batchSize = 100 }) {
+        this.archive = archive;
+        this.vapiService = vapiService;
+        this.minIntervalMs = minIntervalMs;
+        this.batchSize = batchSize;
+        this.lastSyncAt = 0;
+        this.lastError = null;
+        this.inFlight = null;
+    }
+
+    // Pull calls from Vapi into the archive (one sync at a time), newest first, until a page
+    // reaches calls an earlier sync stored; the first sync walks the whole history. Calls are
+    // marked syncedAt only once the walk is done, so a sync that fails halfway is redone from
+    // the top next time rather than leaving a gap below the calls it got to.
+    refresh() {
+        if (!this.vapiService?.initialized) return Promise.resolve(0);
+        if (this.inFlight) return this.inFlight;
+
+        this.inFlight = (async () => {
+            try {
+                const pages = [];
+                for await (const calls of this.vapiService.iterateCalls({}, { pageSize: this.batchSize })) {
+                    const archived = await this.archive.getMany(calls.map(call => call.id));
+                    await this.archive.upsertMany(calls);
+                    pages.push(calls);
+                    if (archived.some(call => call.syncedAt)) break;
+                }
+
+                const syncedAt = new Date().toISOString();
+                for (const calls of pages) {
+                    await this.archive.upsertMany(calls.map(call => ({ id: call.id, syncedAt })));
+                }
+                this.lastError = null;
+                return pages.reduce((count, calls) => count + calls.length, 0);
+            } catch (error) {
+                this.lastError = error.message;
+                console.warn('Call archive sync failed, serving archived calls:', error.message);
+                return 0;
+            } finally {
+                this.lastSyncAt = Date.now();
+                this.inFlight = null;
+            }
+        })();
+
+        return this.inFlight;
+    }
+
+    // Refresh in the background when stale; optionally wait up to timeoutMs for it
+    async ensureFresh({ waitMs = 0 } = {}) {
+        if (Date.now() - this.lastSyncAt < this.minIntervalMs && !this.inFlight) return;
+
+        const sync = this.refresh();
+        if (waitMs > 0) {
+            await Promise.race([
+                sync,
+                new Promise(resolve => setTimeout(resolve, waitMs).unref())
+            ]);
+        }
+    }
+}
+
+// Pick the archive backend from CALL_ARCHIVE_BACKEND (file, memory or supabase).
+// Tenants pass their own filePath (file) or tenantId (supabase).
+function createCallArchive({
+    backend = process.env.CALL_ARCHIVE_BACKEND || 'file',
+    supabase,
+    filePath,
+    tenantId
+} = {}) {
+    switch (backend) {
+        case 'supabase':
+            if (!supabase) {
+                console.warn('CALL_ARCHIVE_BACKEND=supabase but Supabase is not configured, using file archive');
+                return new FileCallArchive(filePath);
+            }
+            return new SupabaseCallArchive(supabase, 'calls', tenantId);
+        case 'memory':
+            return new FileCallArchive(null);
+        case 'file':
+            return new FileCallArchive(filePath);
+        default:
+            throw new Error(`Unknown call archive backend: ${backend}`);
+    }
+}
+
+module.exports = {
+    FileCallArchive,
+    SupabaseCallArchive,
+    CallArchiveSync,
+    createCallArchive,
+    callFromWebhookMessage
+};
@@ -0,0 +1,112 @@
+// server/call_event_stream.js - Server-Sent Events stream of live call updates
+// Webhook events are emitted as 'call-event' on the VapiService EventEmitter and
+// forwarded here to every browser subscribed to that call.
+
+const HEARTBEAT_INTERVAL_MS = 25 * 1000;
+
+// SSE event names sent to the browser for each stored webhook type
+const STREAM_EVENT_NAMES = {
+    'status-update': 'status',
+    'transcript': 'transcript',
+    'conversation-update': 'conversation',
+    'end-of-call-report': 'end-of-call'
+};
+
+// Reduce a stored webhook event to the fields the client needs
+function toStreamPayload(event) {
+    const message = event.payload || {};
+    const base = { callId: event.callId, receivedAt: event.receivedAt };
+
+    switch (event.type) {
+        case 'status-update':
+            return { ...base, status: message.status, endedReason: message.endedReason || null };
+        case 'transcript':
+            return {
+                ...base,
+                role: message.role,
+                transcriptType: message.transcriptType || 'final',
+                transcript: message.transcript
+            };
+        case 'conversation-update':
+            return { ...base, messages: message.messages || [] };
+        case 'end-of-call-report':
+            return {
+                ...base,
+                endedReason: message.endedReason || null,
+                summary: message.analysis?.summary || message.summary || null,
+                cost: message.cost ?? null,
+                durationSeconds: message.durationSeconds ?? null
+            };
+        default:
+            return base;
+    }
+}
+
+function writeEvent(res, event) {
+    const name = STREAM_EVENT_NAMES[event.type] || 'message';
+    res.write(`id: ${event.id}\n`);
+    res.write(`event: ${name}\n`);
+    res.write(`data: ${JSON.stringify(toStreamPayload(event))}\n\n`);
+}
+
+// Stored events after Last-Event-ID, so a reconnecting client misses nothing. A first
+// connection gets nothing stored unless the call has already ended; then it gets the whole
+// call, ending with the end-of-call event that closes the stream.
+function getMissedEvents(eventStore, callId, lastEventId) {
+    const events = eventStore.getEvents(callId);
+    if (!lastEventId) {
+        return events.some(event => event.type === 'end-of-call-report') ? events : [];
+    }
+    const index = events.findIndex(event => event.id === lastEventId);
+    return index === -1 ? events : events.slice(index + 1);
+}
+
+// Hold the response open and forward call events until the call ends or the client leaves
+function streamCallEvents(req, res, { emitter, eventStore, callId }) {
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache, no-transform',
+        'Connection': 'keep-alive',
+        // Disable proxy buffering (nginx) so events arrive immediately
+        'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+    res.write('retry: 3000\n\n');
+
+    let closed = false;
+
+    const close = () => {
+        if (closed) return;
+        closed = true;
+        clearInterval(heartbeat);
+        emitter.removeListener('call-event', onEvent);
+        res.end();
+    };
+
+    const send = (event) => {
+        if (closed) return;
+        writeEvent(res, event);
+        if (event.type === 'end-of-call-report') {
+            close();
+        }
+    };
+
+    const onEvent = (event) => {
+        if (event.callId === callId) send(event);
+    };
+
+    const heartbeat = setInterval(() => {
+        res.write(': keep-alive\n\n');
+    }, HEARTBEAT_INTERVAL_MS);
+
+    emitter.on('call-event', onEvent);
+    req.on('close', close);
+
+    getMissedEvents(eventStore, callId, req.get('last-event-id')).forEach(send);
+}
+
+module.exports = {
+    streamCallEvents,
+    toStreamPayload,
+    STREAM_EVENT_NAMES
+};
@@ -0,0 +1,127 @@
+// server/call_export.js - Call history export as CSV or NDJSON, streamed one page at a time
+// Pages come from Vapi (VapiService.iterateCalls) or the local call archive, so exports are
+// not limited by what fits in one response or in memory.
+const { formatCsvRow } = require('./csv');
+
+const EXPORT_FORMATS = ['csv', 'ndjson'];
+const EXPORT_PAGE_SIZE = 100;
+
+const durationSeconds = (call) => {
+    if (typeof call.durationSeconds === 'number') return call.durationSeconds;
+    const started = Date.parse(call.startedAt);
+    const ended = Date.parse(call.endedAt);
+    return started && ended ? Math.max(0, (ended - started) / 1000) : null;
+};
+
+// Export column -> value for one call, in default column order
+const CALL_EXPORT_COLUMNS = {
+    id: call => call.id,
+    type: call => call.type,
+    status: call => call.status,
+    customer_number: call => call.customer?.number,
+    assistant_id: call => call.assistantId,
+    started_at: call => call.startedAt,
+    ended_at: call => call.endedAt,
+    duration_seconds: durationSeconds,
+    cost: call => call.cost,
+    ended_reason: call => call.endedReason,
+    summary: call => call.analysis?.summary ?? call.summary
+};
+
+const FORMAT_TYPES = {
+    csv: 'text/csv; charset=utf-8',
+    ndjson: 'application/x-ndjson; charset=utf-8'
+};
+
+// "id,status,cost" -> column names; every column when empty
+function parseExportColumns(value) {
+    if (value === undefined || value === '') {
+        return { columns: Object.keys(CALL_EXPORT_COLUMNS), errors: [] };
+    }
+    const columns = [...new Set(String(value).split(',').map(name => name.trim()).filter(Boolean))];
+    const unknown = columns.filter(name => !CALL_EXPORT_COLUMNS[name]);
+    const errors = [];
+    if (columns.length === 0) errors.push('columns must name at least one column');
+    if (unknown.length > 0) {
+        errors.push(`Unknown columns: ${unknown.join(', ')} (use ${Object.keys(CALL_EXPORT_COLUMNS).join(', ')})`);
+    }
+    return { columns, errors };
+}
+
+function exportRow(call, columns) {
+    return Object.fromEntries(columns.map(name => [name, CALL_EXPORT_COLUMNS[name](call) ?? null]));
+}
+
+// Archived calls, newest first, one page per list() call
+async function* archivePages(archive, filters, { pageSize = EXPORT_PAGE_SIZE } = {}) {
+    for (let offset = 0; ; offset += pageSize) {
+        const { calls } = await archive.list({ ...filters, limit: pageSize, offset });
+        if (calls.length > 0) yield calls;
+        if (calls.length < pageSize) return;
+    }
+}
+
+// Writes pages (an async iterator of call arrays) to res. The first page is read before any
+// headers go out, so a failure there rejects and the caller can still answer with an error;
+// a failure after that aborts the response so the download does not look complete.
+// Resolves to { count, complete }; complete is false when the export failed or the client
+// left before the last page.
+async function streamCallExport(res, { pages, format, columns, filename }) {
+    let page = await pages.next();
+
+    res.set({
+        'Content-Type': FORMAT_TYPES[format],
+        'Content-Disposition': `attachment; filename="${filename}"`,
+        'Cache-Control': 'no-store'
+    });
+
+    // The client went away: stop fetching pages
+    let closed = false;
+    res.on('close', () => { closed = true; });
+
+    // Waits for the socket to drain before the next page is fetched
+    const write = (chunk) => new Promise(resolve => {
+        if (res.write(chunk) || closed) return resolve();
+        const done = () => {
+            res.off('drain', done);
+            res.off('close', done);
+            resolve();
+        };
+        res.on('drain', done);
+        res.on('close', done);
+    });
+
+    let count = 0;
+    try {
+        // A byte order mark makes spreadsheet apps read the file as UTF-8
+        if (format === 'csv') await write(`\uFEFF${formatCsvRow(columns)}`);
+
+        while (!page.done && !closed) {
+            const rows = page.value.map(call => exportRow(call, columns));
+            await write(rows.map(row => format === 'csv'
+                ? formatCsvRow(columns.map(name => row[name]))
+                : `${JSON.stringify(row)}\n`).join(''));
+            count += rows.length;
+            page = await pages.next();
+        }
+        res.end();
+        return { count, complete: !closed };
+    } catch (error) {
+        console.error(`Call export failed after ${count} calls:`, error.message);
+        res.destroy(error);
+        return { count, complete: false };
+    } finally {
+        // Stops the page iterator if the loop left early
+        await pages.return?.();
+    }
+}
+
+module.exports = {
+    CALL_EXPORT_COLUMNS,
+    EXPORT_FORMATS,
+    EXPORT_PAGE_SIZE,
+    parseExportColumns,
+    exportRow,
+    archivePages,
+    streamCallExport
+};
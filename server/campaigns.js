@@ -0,0 +1,433 @@
+// server/campaigns.js - Outbound calling campaigns over VapiService.makeCall
+// A campaign dials through a contact list with one assistant. The runner ticks on
+// an interval: it keeps at most maxConcurrent calls live, only dials inside each
+// contact's local calling hours, and retries unanswered or busy calls with
+// exponential backoff. Call outcomes arrive through the Vapi webhooks.
+const crypto = require('crypto');
+const { JsonFileStore, dataFile } = require('./json_store');
+const { normalizeContact, validateContactFields } = require('./contacts');
+const { isValidTimeZone, getZonedParts, minutesOfDay } = require('./time_zones');
+const { VapiApiError } = require('./vapi_http');
+
+const CAMPAIGN_STATUSES = ['running', 'paused', 'cancelled', 'completed'];
+const MAX_CONTACTS = 5000;
+const MAX_CONCURRENCY = 10;
+const MAX_ATTEMPTS = 10;
+const DEFAULTS = {
+    maxConcurrent: 2,
+    maxAttempts: 3,
+    retryDelayMinutes: 30,
+    callingHours: { start: '09:00', end: '20:00' },
+    timezone: process.env.SCHEDULING_TIMEZONE || 'America/Los_Angeles'
+};
+// A call with no outcome after this long is looked up in Vapi directly
+const STALE_CALL_MINUTES = 20;
+// How long a contact waits after a quiet-hours block before it is tried again
+const QUIET_HOURS_RECHECK_MINUTES = 30;
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+// Calling hours may end at "24:00", i.e. midnight at the end of the day
+const END_TIME_PATTERN = /^(([01]\d|2[0-3]):[0-5]\d|24:00)$/;
+const MINUTE_MS = 60 * 1000;
+
+// Vapi endedReason values that mean nobody picked up
+const RETRYABLE_REASON = /did-not-answer|no-answer|busy/;
+
+// Contacts still waiting for a dial or an outcome
+const OPEN_CONTACT_STATUSES = ['pending', 'retry', 'calling'];
+
+function validateCampaign(campaign) {
+    const errors = [];
+
+    if (typeof campaign.name !== 'string' || !campaign.name.trim()) {
+        errors.push('Campaign name is required');
+    }
+    if (!Number.isInteger(campaign.maxConcurrent) || campaign.maxConcurrent < 1 || campaign.maxConcurrent > MAX_CONCURRENCY) {
+        errors.push(`maxConcurrent must be between 1 and ${MAX_CONCURRENCY}`);
+    }
+    if (!Number.isInteger(campaign.maxAttempts) || campaign.maxAttempts < 1 || campaign.maxAttempts > MAX_ATTEMPTS) {
+        errors.push(`maxAttempts must be between 1 and ${MAX_ATTEMPTS}`);
+    }
+    if (!(campaign.retryDelayMinutes >= 1)) {
+        errors.push('retryDelayMinutes must be at least 1');
+    }
+
+    const hours = campaign.callingHours;
+    if (!hours || !TIME_PATTERN.test(hours.start) || !END_TIME_PATTERN.test(hours.end) ||
+        minutesOfDay(hours.start) >= minutesOfDay(hours.end)) {
+        errors.push('callingHours must be { "start": "HH:MM", "end": "HH:MM" } with start before end');
+    }
+    if (!isValidTimeZone(campaign.timezone)) {
+        errors.push('Invalid time zone (use an IANA name such as America/Los_Angeles)');
+    }
+
+    if (campaign.contacts.length === 0) {
+        errors.push('At least one contact with a phone number is required');
+    }
+    if (campaign.contacts.length > MAX_CONTACTS) {
+        errors.push(`Too many contacts (max ${MAX_CONTACTS} per campaign)`);
+    }
+
+    return errors;
+}
+
+// Build campaign contacts from the request; duplicates of a phone number are dropped
+function buildContacts(inputs, { defaultTimezone }) {
+    const contacts = [];
+    const errors = [];
+    const seen = new Set();
+
+    for (const [index, input] of (Array.isArray(inputs) ? inputs : []).entries()) {
+        const contact = normalizeContact(input || {});
+        const problems = validateContactFields(contact);
+        if (!contact.phone) problems.push('Phone number is required');
+        if (input?.timezone && !isValidTimeZone(input.timezone)) problems.push('Invalid time zone');
+
+        if (problems.length > 0) {
+            errors.push(`Contact ${index + 1}: ${problems.join(', ')}`);
+            continue;
+        }
+        if (seen.has(contact.phone)) continue;
+        seen.add(contact.phone);
+
+        contacts.push({
+            id: crypto.randomUUID(),
+            name: contact.name || null,
+            phone: contact.phone,
+            timezone: input.timezone || defaultTimezone,
+            leadId: input.leadId || null,
+            status: 'pending',
+            attempts: 0,
+            nextAttemptAt: null,
+            callId: null,
+            outcome: null,
+            lastError: null,
+            history: []
+        });
+    }
+
+    return { contacts, errors };
+}
+
+function summarizeContacts(contacts) {
+    const counts = { pending: 0, retry: 0, calling: 0, completed: 0, failed: 0, blocked: 0, cancelled: 0 };
+    for (const contact of contacts) {
+        counts[contact.status] = (counts[contact.status] || 0) + 1;
+    }
+    return counts;
+}
+
+class CampaignStore {
+    constructor(filePath = dataFile('campaigns.json')) {
+        this.store = new JsonFileStore(filePath, { campaigns: [] });
+    }
+
+    // Newest first, without the contact lists
+    list({ status } = {}) {
+        return this.store.data.campaigns
+            .filter(campaign => !status || campaign.status === status)
+            .map(({ contacts, ...campaign }) => ({ ...campaign, counts: summarizeContacts(contacts) }))
+            .reverse();
+    }
+
+    get(id) {
+        return this.store.data.campaigns.find(campaign => campaign.id === id) || null;
+    }
+
+    create(fields) {
+        const now = new Date().toISOString();
+        const campaign = {
+            id: crypto.randomUUID(),
+            ...fields,
+            createdAt: now,
+            updatedAt: now,
+            completedAt: null
+        };
+        this.store.update(data => {
+            data.campaigns.push(campaign);
+        });
+        return campaign;
+    }
+
+    // Mutate a campaign in place and persist it
+    update(id, mutator) {
+        return this.store.update(data => {
+            const campaign = data.campaigns.find(item => item.id === id);
+            if (!campaign) return null;
+            mutator(campaign);
+            campaign.updatedAt = new Date().toISOString();
+            return campaign;
+        });
+    }
+
+    findContactByCallId(callId) {
+        for (const campaign of this.store.data.campaigns) {
+            const contact = campaign.contacts.find(item => item.callId === callId);
+            if (contact) return { campaign, contact };
+        }
+        return null;
+    }
+}
+
+class CampaignRunner {
+    constructor({ store, vapiService, intervalMs, now = () => new Date() }) {
+        this.store = store;
+        this.vapiService = vapiService;
+        this.intervalMs = intervalMs;
+        this.now = now;
+        this.timer = null;
+        this.inFlight = null;
+    }
+
+    isWithinCallingHours(campaign, contact) {
+        const { time } = getZonedParts(this.now(), contact.timezone || campaign.timezone);
+        const minute = minutesOfDay(time);
+        return minute >= minutesOfDay(campaign.callingHours.start) && minute < minutesOfDay(campaign.callingHours.end);
+    }
+
+    isDue(campaign, contact) {
+        if (contact.status !== 'pending' && contact.status !== 'retry') return false;
+        if (contact.nextAttemptAt && Date.parse(contact.nextAttemptAt) > this.now().getTime()) return false;
+        return this.isWithinCallingHours(campaign, contact);
+    }
+
+    // One pass over every running campaign; overlapping ticks share the same pass
+    tick() {
+        if (this.inFlight) return this.inFlight;
+        this.inFlight = this.runTick().finally(() => {
+            this.inFlight = null;
+        });
+        return this.inFlight;
+    }
+
+    async runTick() {
+        if (!this.vapiService) return;
+
+        const running = this.store.list({ status: 'running' });
+        for (const { id } of running) {
+            await this.checkStaleCalls(id);
+            await this.dialDue(id);
+            this.completeIfDone(id);
+        }
+    }
+
+    async dialDue(campaignId) {
+        const campaign = this.store.get(campaignId);
+        const calling = campaign.contacts.filter(contact => contact.status === 'calling').length;
+        const due = campaign.contacts
+            .filter(contact => this.isDue(campaign, contact))
+            .slice(0, Math.max(campaign.maxConcurrent - calling, 0));
+
+        for (const contact of due) {
+            // Re-check between dials: the campaign may have been paused or cancelled meanwhile
+            if (this.store.get(campaignId).status !== 'running') return;
+            await this.dial(campaign, contact.id);
+        }
+    }
+
+    async dial(campaign, contactId) {
+        const startedAt = this.now().toISOString();
+        const contact = this.updateContact(campaign.id, contactId, item => {
+            item.status = 'calling';
+            item.attempts++;
+            item.nextAttemptAt = null;
+            item.callId = null;
+            item.lastError = null;
+            item.history.push({ callId: null, startedAt, endedReason: null });
+        });
+
+        try {
+            const call = await this.vapiService.makeCall(contact.phone, campaign.assistantId, {
+                source: 'campaign',
+                campaignId: campaign.id
+            });
+            this.updateContact(campaign.id, contactId, item => {
+                item.callId = call.id;
+                item.history[item.history.length - 1].callId = call.id;
+            });
+            console.log(`Campaign ${campaign.id}: dialed ${contact.phone} (attempt ${contact.attempts}, call ${call.id})`);
+        } catch (error) {
+            if (error.code === 'DIAL_BLOCKED') {
+                this.recordBlocked(campaign, contactId, error);
+                return;
+            }
+            console.error(`Campaign ${campaign.id}: failed to dial ${contact.phone}:`, error.message);
+            // Only an outage or rate limit is worth another attempt; a rejected number or
+            // request would fail the same way every time
+            const retryable = error instanceof VapiApiError && (error.retryable || error.code === 'circuit_open');
+            this.recordOutcome(campaign.id, contactId, {
+                endedReason: 'dial-failed',
+                error: error.message,
+                retryable,
+                failed: !retryable
+            });
+        }
+    }
+
+    // Outcome of a campaign call from an end-of-call report or an "ended" status update
+    handleCallEnded(message) {
+        const callId = message?.call?.id;
+        const match = callId && this.store.findContactByCallId(callId);
+        if (!match || match.contact.status !== 'calling') return null;
+
+        const endedReason = message.endedReason || message.call?.endedReason || 'unknown';
+        const contact = this.recordOutcome(match.campaign.id, match.contact.id, {
+            endedReason,
+            retryable: RETRYABLE_REASON.test(endedReason)
+        });
+        this.completeIfDone(match.campaign.id);
+
+        // A finished call frees a slot, so dial the next contact without waiting for the timer
+        this.tick().catch(error => console.error('Campaign tick failed:', error.message));
+        return contact;
+    }
+
+    // failed marks a contact that will not be retried as failed rather than completed
+    recordOutcome(campaignId, contactId, { endedReason, error = null, retryable, failed = false }) {
+        const campaign = this.store.get(campaignId);
+        return this.updateContact(campaignId, contactId, contact => {
+            contact.outcome = endedReason;
+            contact.lastError = error;
+            const attempt = contact.history[contact.history.length - 1];
+            if (attempt) {
+                attempt.endedReason = endedReason;
+                attempt.endedAt = this.now().toISOString();
+            }
+
+            if (!retryable) {
+                contact.status = failed ? 'failed' : 'completed';
+            } else if (contact.attempts >= campaign.maxAttempts) {
+                contact.status = 'failed';
+            } else if (campaign.status === 'cancelled') {
+                contact.status = 'cancelled';
+            } else {
+                // 30, 60, 120... minutes with the default delay
+                const delay = campaign.retryDelayMinutes * 2 ** (contact.attempts - 1) * MINUTE_MS;
+                contact.status = 'retry';
+                contact.nextAttemptAt = new Date(this.now().getTime() + delay).toISOString();
+            }
+        });
+    }
+
+    // Quiet hours in the number's region only delay the contact; any other block is final
+    recordBlocked(campaign, contactId, error) {
+        this.updateContact(campaign.id, contactId, contact => {
+            contact.attempts--;
+            contact.history.pop();
+            contact.lastError = error.message;
+            if (error.reason === 'quiet_hours') {
+                contact.status = 'pending';
+                contact.nextAttemptAt = new Date(this.now().getTime() + QUIET_HOURS_RECHECK_MINUTES * MINUTE_MS).toISOString();
+            } else {
+                contact.status = 'blocked';
+                contact.outcome = error.reason;
+            }
+        });
+        console.warn(`Campaign ${campaign.id}: contact ${contactId} blocked (${error.reason})`);
+    }
+
+    // Webhooks can be lost; settle long-running calls from Vapi's own record
+    async checkStaleCalls(campaignId) {
+        const cutoff = this.now().getTime() - STALE_CALL_MINUTES * MINUTE_MS;
+        const stale = this.store.get(campaignId).contacts.filter(contact => {
+            const attempt = contact.history[contact.history.length - 1];
+            return contact.status === 'calling' && contact.callId && Date.parse(attempt?.startedAt) < cutoff;
+        });
+
+        for (const contact of stale) {
+            try {
+                const call = await this.vapiService.getCall(contact.callId);
+                if (call?.status === 'ended') {
+                    this.handleCallEnded({ call, endedReason: call.endedReason });
+                }
+            } catch (error) {
+                console.error(`Campaign ${campaignId}: could not check call ${contact.callId}:`, error.message);
+            }
+        }
+    }
+
+    completeIfDone(campaignId) {
+        const campaign = this.store.get(campaignId);
+        if (campaign.status !== 'running') return;
+        if (campaign.contacts.some(contact => OPEN_CONTACT_STATUSES.includes(contact.status))) return;
+
+        this.store.update(campaignId, item => {
+            item.status = 'completed';
+            item.completedAt = this.now().toISOString();
+        });
+        console.log(`Campaign ${campaignId} completed`);
+    }
+
+    updateContact(campaignId, contactId, mutator) {
+        let updated = null;
+        this.store.update(campaignId, campaign => {
+            updated = campaign.contacts.find(contact => contact.id === contactId);
+            mutator(updated);
+        });
+        return updated;
+    }
+
+    // Paused campaigns keep their live calls but place no new ones
+    pause(id) {
+        return this.transition(id, ['running'], campaign => {
+            campaign.status = 'paused';
+        });
+    }
+
+    resume(id) {
+        const campaign = this.transition(id, ['paused'], item => {
+            item.status = 'running';
+        });
+        this.tick().catch(error => console.error('Campaign tick failed:', error.message));
+        return campaign;
+    }
+
+    // Contacts not yet dialed are dropped; calls already in progress run to the end
+    cancel(id) {
+        return this.transition(id, ['running', 'paused'], campaign => {
+            campaign.status = 'cancelled';
+            campaign.completedAt = this.now().toISOString();
+            for (const contact of campaign.contacts) {
+                if (contact.status === 'pending' || contact.status === 'retry') {
+                    contact.status = 'cancelled';
+                    contact.nextAttemptAt = null;
+                }
+            }
+        });
+    }
+
+    // Returns the updated campaign, null when missing, or throws when the move is not allowed
+    transition(id, fromStatuses, mutator) {
+        const campaign = this.store.get(id);
+        if (!campaign) return null;
+        if (!fromStatuses.includes(campaign.status)) {
+            const error = new Error(`Campaign is ${campaign.status}`);
+            error.status = 409;
+            throw error;
+        }
+        return this.store.update(id, mutator);
+    }
+
+    start() {
+        if (this.timer || !this.intervalMs) return;
+        this.timer = setInterval(() => {
+            this.tick().catch(error => console.error('Campaign tick failed:', error.message));
+        }, this.intervalMs);
+        this.timer.unref();
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+}
+
+module.exports = {
+    CAMPAIGN_STATUSES,
+    DEFAULTS,
+    MAX_CONTACTS,
+    CampaignStore,
+    CampaignRunner,
+    buildContacts,
+    validateCampaign,
+    summarizeContacts
+};
@@ -0,0 +1,247 @@
+// server/compliance.js - Do-not-call registry, dialing consent and quiet hours
+// Every outbound dial goes through DialPolicy.authorize: a number on the do-not-call
+// list, with revoked (or, if required, missing) consent, or outside calling hours in
+// the number's own region is refused. Each decision is written to the dial audit log.
+const { JsonFileStore, dataFile } = require('./json_store');
+const { toE164, validateContactFields } = require('./contacts');
+const { getZonedParts, minutesOfDay } = require('./time_zones');
+const phoneRegions = require('./data/phone-regions.json');
+
+// Local time window for outbound calls (TCPA allows 8am-9pm at the called party's location)
+const DEFAULT_CALLING_HOURS = { start: '08:00', end: '21:00' };
+const DEFAULT_TIMEZONE = process.env.SCHEDULING_TIMEZONE || 'America/Los_Angeles';
+const MAX_AUDIT_ENTRIES = 5000;
+const MAX_DNC_IMPORT = 50000;
+
+const BLOCK_REASONS = {
+    do_not_call: 'Number is on the do-not-call list',
+    consent_revoked: 'Consent to call this number was revoked',
+    no_consent: 'No recorded consent to call this number',
+    quiet_hours: 'Outside calling hours in the number\'s time zone'
+};
+
+// Thrown by VapiService.makeCall; error.code is always DIAL_BLOCKED
+class DialBlockedError extends Error {
+    constructor(decision) {
+        super(BLOCK_REASONS[decision.reason] || 'Dialing this number is not allowed');
+        this.name = 'DialBlockedError';
+        this.code = 'DIAL_BLOCKED';
+        this.reason = decision.reason;
+        this.decision = decision;
+    }
+}
+
+// "08:00-21:00" from DIAL_CALLING_HOURS
+function parseCallingHours(value) {
+    const match = String(value || '').match(/^(\d{2}:\d{2})-(\d{2}:\d{2})$/);
+    return match ? { start: match[1], end: match[2] } : DEFAULT_CALLING_HOURS;
+}
+
+// Time zone of a number from its country code or North American area code.
+// Countries spanning several zones map to their most populous one.
+function regionForPhone(phone) {
+    const number = toE164(phone);
+    const digits = number ? number.slice(1) : '';
+
+    if (digits.startsWith('1') && digits.length === 11) {
+        const areaCode = digits.slice(1, 4);
+        const timezone = phoneRegions.nanpAreaCodes[areaCode];
+        return { country: '1', areaCode, timezone: timezone || DEFAULT_TIMEZONE, known: !!timezone };
+    }
+
+    for (const length of [3, 2, 1]) {
+        const country = digits.slice(0, length);
+        if (phoneRegions.countryCodes[country]) {
+            return { country, areaCode: null, timezone: phoneRegions.countryCodes[country], known: true };
+        }
+    }
+    return { country: null, areaCode: null, timezone: DEFAULT_TIMEZONE, known: false };
+}
+
+class ComplianceStore {
+    constructor(filePath = dataFile('compliance.json')) {
+        this.store = new JsonFileStore(filePath, { doNotCall: [], consents: [] });
+    }
+
+    listDoNotCall({ q, limit = 100, offset = 0 } = {}) {
+        const entries = this.store.data.doNotCall.filter(entry => !q || entry.phone.includes(q));
+        return { entries: entries.slice(offset, offset + limit), total: entries.length };
+    }
+
+    getDoNotCall(phone) {
+        const number = toE164(phone);
+        return this.store.data.doNotCall.find(entry => entry.phone === number) || null;
+    }
+
+    // Adding a number that is already listed keeps the original entry
+    addDoNotCall(entries) {
+        return this.store.update(data => {
+            const listed = new Set(data.doNotCall.map(entry => entry.phone));
+            const added = [];
+            for (const entry of entries) {
+                if (listed.has(entry.phone)) continue;
+                listed.add(entry.phone);
+                const record = { ...entry, addedAt: new Date().toISOString() };
+                data.doNotCall.push(record);
+                added.push(record);
+            }
+            return added;
+        });
+    }
+
+    removeDoNotCall(phone) {
+        const number = toE164(phone);
+        return this.store.update(data => {
+            const index = data.doNotCall.findIndex(entry => entry.phone === number);
+            if (index === -1) return false;
+            data.doNotCall.splice(index, 1);
+            return true;
+        });
+    }
+
+    // Consent is kept as a history; the latest record for a number is in effect
+    recordConsent({ phone, granted, source, note }) {
+        const record = {
+            phone: toE164(phone),
+            granted,
+            source,
+            note: note || null,
+            recordedAt: new Date().toISOString()
+        };
+        this.store.update(data => {
+            data.consents.push(record);
+        });
+        return record;
+    }
+
+    getConsentHistory(phone) {
+        const number = toE164(phone);
+        return this.store.data.consents.filter(record => record.phone === number).reverse();
+    }
+
+    getConsent(phone) {
+        return this.getConsentHistory(phone)[0] || null;
+    }
+}
+
+// Allowed and blocked dial decisions, newest last
+class DialAuditLog {
+    constructor(filePath = dataFile('dial-audit.json')) {
+        this.store = new JsonFileStore(filePath, { entries: [] });
+    }
+
+    record(entry) {
+        this.store.update(data => {
+            data.entries.push(entry);
+            if (data.entries.length > MAX_AUDIT_ENTRIES) {
+                data.entries.splice(0, data.entries.length - MAX_AUDIT_ENTRIES);
+            }
+        });
+        return entry;
+    }
+
+    list({ phone, decision, limit = 100 } = {}) {
+        const number = phone ? toE164(phone) : null;
+        return this.store.data.entries
+            .filter(entry => !number || entry.phone === number)
+            .filter(entry => !decision || entry.decision === decision)
+            .slice(-limit)
+            .reverse();
+    }
+}
+
+class DialPolicy {
+    constructor({
+        store,
+        auditLog,
+        callingHours = parseCallingHours(process.env.DIAL_CALLING_HOURS),
+        requireConsent = process.env.DIAL_REQUIRE_CONSENT === 'true',
+        now = () => new Date()
+    }) {
+        this.store = store;
+        this.auditLog = auditLog;
+        this.callingHours = callingHours;
+        this.requireConsent = requireConsent;
+        this.now = now;
+    }
+
+    // Decision without side effects: { allowed, reason, phone, region, localTime }
+    evaluate(phone) {
+        const number = toE164(phone);
+        const region = regionForPhone(number);
+        const localTime = getZonedParts(this.now(), region.timezone).time;
+        const decision = { phone: number, allowed: true, reason: null, region, localTime };
+
+        const consent = this.store.getConsent(number);
+        const minute = minutesOfDay(localTime);
+
+        if (this.store.getDoNotCall(number)) {
+            decision.reason = 'do_not_call';
+        } else if (consent && !consent.granted) {
+            decision.reason = 'consent_revoked';
+        } else if (this.requireConsent && !consent) {
+            decision.reason = 'no_consent';
+        } else if (minute < minutesOfDay(this.callingHours.start) || minute >= minutesOfDay(this.callingHours.end)) {
+            decision.reason = 'quiet_hours';
+        }
+
+        decision.allowed = !decision.reason;
+        return decision;
+    }
+
+    // Decision for an actual dial; always audited. context: { source, campaignId, ... }
+    authorize(phone, context = {}) {
+        const decision = this.evaluate(phone);
+        this.auditLog.record({
+            at: this.now().toISOString(),
+            phone: decision.phone,
+            decision: decision.allowed ? 'allowed' : 'blocked',
+            reason: decision.reason,
+            timezone: decision.region.timezone,
+            localTime: decision.localTime,
+            ...context
+        });
+
+        if (!decision.allowed) {
+            console.warn(`Dial to ${decision.phone} blocked: ${decision.reason}`);
+        }
+        return decision;
+    }
+}
+
+// Do-not-call entries from a request body: ["+1..."], [{ phone, reason }], { numbers: [...] } or CSV rows
+function readDoNotCallEntries(items, { source }) {
+    const entries = [];
+    const errors = [];
+
+    for (const [index, item] of items.entries()) {
+        const raw = typeof item === 'object' && item !== null
+            ? item.phone ?? item.number ?? item.phone_number
+            : item;
+        const phone = toE164(raw);
+
+        if (!phone || validateContactFields({ phone }).length > 0) {
+            errors.push(`Row ${index + 1}: invalid phone number${raw ? ` "${raw}"` : ''}`);
+            continue;
+        }
+        entries.push({
+            phone,
+            reason: (typeof item === 'object' && item?.reason) || null,
+            source: (typeof item === 'object' && item?.source) || source
+        });
+    }
+
+    return { entries, errors };
+}
+
+module.exports = {
+    BLOCK_REASONS,
+    MAX_DNC_IMPORT,
+    DialBlockedError,
+    ComplianceStore,
+    DialAuditLog,
+    DialPolicy,
+    parseCallingHours,
+    regionForPhone,
+    readDoNotCallEntries
+};
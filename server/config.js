@@ -0,0 +1,43 @@
+// server/config.js - App settings read from environment variables
+// createApp() takes these as `config`, so tests and other hosts can pass their own
+// instead of setting env vars; it hands them on to each tenant's services. Store
+// locations (DATA_DIR, PROPERTY_REPOSITORY, ...) are still read where they are used.
+function loadConfig(env = process.env) {
+    return {
+        port: Number(env.PORT || 3000),
+        nodeEnv: env.NODE_ENV || 'development',
+        version: env.npm_package_version || '1.0.0',
+        // Browser origins allowed by CORS in production (comma separated)
+        allowedOrigins: env.ALLOWED_ORIGINS ? env.ALLOWED_ORIGINS.split(',') : null,
+        // The default tenant's Vapi account (other tenants store their own)
+        vapiPrivateKey: env.VAPI_PRIVATE_KEY || null,
+        vapiPublicKey: env.VAPI_PUBLIC_KEY || null,
+        vapiAssistantId: env.VAPI_ASSISTANT_ID || null,
+        vapiPhoneNumberId: env.VAPI_PHONE_NUMBER_ID || null,
+        // A Vapi stand-in such as the local mock; its origin is added to the CSP
+        vapiBaseUrl: env.VAPI_BASE_URL || null,
+        // Per-attempt timeout and retries for every tenant's Vapi requests
+        vapiTimeoutMs: Number(env.VAPI_TIMEOUT_MS || 10000),
+        vapiMaxRetries: Number(env.VAPI_MAX_RETRIES ?? 2),
+        supabaseUrl: env.SUPABASE_URL || null,
+        supabaseAnonKey: env.SUPABASE_ANON_KEY || null,
+        // The default tenant's admin key, also the only key that can manage tenants
+        adminApiKey: env.ADMIN_API_KEY || null,
+        // The default tenant's webhook secret (other tenants store their own)
+        webhookSecret: env.VAPI_WEBHOOK_SECRET || null,
+        // Accept webhooks for tenants without a secret (local development only)
+        allowUnverifiedWebhooks: env.VAPI_WEBHOOK_ALLOW_UNVERIFIED === 'true',
+        alertNotifier: env.ALERT_NOTIFIER || 'console',
+        // Outbound dialing rules ("08:00-21:00" in the called number's time zone when not set)
+        dialCallingHours: env.DIAL_CALLING_HOURS || null,
+        dialRequireConsent: env.DIAL_REQUIRE_CONSENT === 'true',
+        // Schedules (0 disables the saved-search one)
+        savedSearchIntervalMinutes: Number(env.SAVED_SEARCH_INTERVAL_MINUTES ?? 60),
+        campaignIntervalSeconds: Number(env.CAMPAIGN_INTERVAL_SECONDS ?? 30),
+        // Local RESO feed the default tenant imports on a schedule
+        resoFeedFile: env.RESO_FEED_FILE || null,
+        resoFeedIntervalMinutes: Number(env.RESO_FEED_INTERVAL_MINUTES ?? 60)
+    };
+}
+
+module.exports = { loadConfig };
@@ -0,0 +1,73 @@
+// server/contacts.js - Phone/email normalization shared by saved searches and leads
+// Contacts are identified by phone number or email, so both are stored in one canonical form.
+
+const PHONE_PATTERN = /^\+?[1-9]\d{6,14}$/;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+function normalizePhone(phone) {
+    if (!phone) return undefined;
+    const cleaned = String(phone).replace(/[\s().-]/g, '');
+    return cleaned || undefined;
+}
+
+// "+15125550100" form; bare 10-digit numbers are taken as North American
+function toE164(phone) {
+    const cleaned = normalizePhone(phone);
+    if (!cleaned) return undefined;
+    if (cleaned.startsWith('+')) return cleaned;
+    return cleaned.length === 10 ? `+1${cleaned}` : `+${cleaned}`;
+}
+
+function normalizeEmail(email) {
+    if (typeof email !== 'string' || !email.trim()) return undefined;
+    return email.trim().toLowerCase();
+}
+
+function normalizeContact(contact = {}) {
+    const normalized = {
+        name: typeof contact.name === 'string' && contact.name.trim() ? contact.name.trim() : undefined,
+        phone: normalizePhone(contact.phone),
+        email: normalizeEmail(contact.email)
+    };
+    return JSON.parse(JSON.stringify(normalized));
+}
+
+// Format checks only; whether a phone or email is required is up to the caller
+function validateContactFields({ phone, email } = {}) {
+    const errors = [];
+    if (phone && !PHONE_PATTERN.test(normalizePhone(phone))) {
+        errors.push('Invalid phone number');
+    }
+    if (email && !EMAIL_PATTERN.test(String(email).trim())) {
+        errors.push('Invalid email');
+    }
+    return errors;
+}
+
+function validateContact(contact) {
+    if (!contact || typeof contact !== 'object') {
+        return ['Contact is required'];
+    }
+
+    const errors = [];
+    if (!contact.phone && !contact.email) {
+        errors.push('Contact needs a phone number or email');
+    }
+    return errors.concat(validateContactFields(contact).map(error => `${error} for contact`));
+}
+
+function matchesContact(contact, { phone, email } = {}) {
+    if (phone && contact.phone !== normalizePhone(phone)) return false;
+    if (email && contact.email !== normalizeEmail(email)) return false;
+    return true;
+}
+
+module.exports = {
+    normalizePhone,
+    toE164,
+    normalizeEmail,
+    normalizeContact,
+    validateContactFields,
+    validateContact,
+    matchesContact
+};
@@ -0,0 +1,51 @@
+// server/create_user.js - Command-line user setup, e.g. for the first admin account
+// Usage: npm run create-user -- <email> [--role agent|admin] [--name "Jane Doe"] [--tenant <id>]
+// The password is read from the USER_PASSWORD environment variable so it stays out of shell history.
+require('dotenv').config();
+const path = require('path');
+const { UserStore, ROLES, validateUser } = require('./auth');
+const { DEFAULT_TENANT_ID, TenantStore, tenantDataDir } = require('./tenants');
+
+function parseArgs(argv) {
+    const args = { email: undefined, role: 'agent', name: undefined, tenant: DEFAULT_TENANT_ID };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--role') args.role = argv[++i];
+        else if (arg === '--name') args.name = argv[++i];
+        else if (arg === '--tenant') args.tenant = argv[++i];
+        else if (!args.email) args.email = arg;
+    }
+    return args;
+}
+
+function main() {
+    const args = parseArgs(process.argv.slice(2));
+    if (!args.email) {
+        console.error(`Usage: USER_PASSWORD=... npm run create-user -- <email> [--role ${ROLES.join('|')}] [--name "Full Name"] [--tenant <id>]`);
+        process.exit(2);
+    }
+    if (args.tenant !== DEFAULT_TENANT_ID && !new TenantStore().get(args.tenant)) {
+        console.error(`Unknown tenant: ${args.tenant}`);
+        process.exit(2);
+    }
+
+    const { tenant, ...fields } = args;
+    const user = { ...fields, password: process.env.USER_PASSWORD };
+    const errors = validateUser(user);
+    if (errors.length > 0) {
+        console.error(errors.join('\n'));
+        process.exit(2);
+    }
+
+    const store = new UserStore(path.join(tenantDataDir(tenant), 'users.json'));
+    const existing = store.findByEmail(user.email);
+    if (existing) {
+        store.update(existing.id, { password: user.password, role: user.role, name: user.name });
+        console.log(`Updated ${user.role} ${user.email} (tenant ${tenant})`);
+    } else {
+        store.create(user);
+        console.log(`Created ${user.role} ${user.email} (tenant ${tenant})`);
+    }
+}
+
+main();
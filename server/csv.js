@@ -0,0 +1,77 @@
+// server/csv.js - Minimal RFC 4180 CSV parsing and writing (quoted fields, escaped quotes, CRLF)
+
+// Parse CSV text into an array of rows, each an array of strings
+function parseCsvRows(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    // Strip a UTF-8 byte order mark left by spreadsheet exports
+    const input = String(text).replace(/^\uFEFF/, '');
+
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+
+        if (quoted) {
+            if (char === '"' && input[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"' && field === '') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+
+    if (quoted) {
+        throw new Error('CSV has an unterminated quoted field');
+    }
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    // Blank lines are not rows
+    return rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+}
+
+// Parse CSV with a header line into objects keyed by header
+function parseCsv(text) {
+    const [header, ...rows] = parseCsvRows(text);
+    if (!header) return [];
+
+    const names = header.map(name => name.trim());
+    return rows.map(cells => Object.fromEntries(names.map((name, index) => [name, cells[index] ?? ''])));
+}
+
+// One CSV line (with CRLF) from a list of values; null and undefined are empty cells.
+// Text starting with a character a spreadsheet could read as a formula (=, +, -, @, tab or
+// CR) gets a leading apostrophe, phone numbers included; numbers are written as they are.
+function formatCsvRow(values) {
+    return values.map(value => {
+        let cell = value === null || value === undefined ? '' : String(value);
+        if (typeof value !== 'number' && /^[=+\-@\t\r]/.test(cell)) cell = `'${cell}`;
+        return /[",\r\n]/.test(cell) ? `"${cell.replace(/"/g, '""')}"` : cell;
+    }).join(',') + '\r\n';
+}
+
+module.exports = {
+    parseCsv,
+    parseCsvRows,
+    formatCsvRow
+};
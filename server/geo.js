@@ -0,0 +1,95 @@
+// server/geo.js - Distance math and the bundled offline gazetteer
+// City and ZIP centroids come from server/data/gazetteer.json, so radius searches
+// work without calling a geocoding service.
+const path = require('path');
+
+const EARTH_RADIUS_MILES = 3958.8;
+const DEFAULT_RADIUS_MILES = 10;
+const MAX_RADIUS_MILES = 500;
+
+function toRadians(degrees) {
+    return degrees * Math.PI / 180;
+}
+
+// Great-circle distance between two { latitude, longitude } points
+function haversineMiles(from, to) {
+    const dLat = toRadians(to.latitude - from.latitude);
+    const dLng = toRadians(to.longitude - from.longitude);
+    const a = Math.sin(dLat / 2) ** 2 +
+        Math.cos(toRadians(from.latitude)) * Math.cos(toRadians(to.latitude)) * Math.sin(dLng / 2) ** 2;
+    return 2 * EARTH_RADIUS_MILES * Math.asin(Math.sqrt(a));
+}
+
+// Smallest box containing the circle, used to pre-filter before exact distances
+function boundingBoxForRadius(center, radiusMiles) {
+    const latDelta = radiusMiles / 69.0;
+    const lngDelta = radiusMiles / (69.0 * Math.max(Math.cos(toRadians(center.latitude)), 0.01));
+    return {
+        north: center.latitude + latDelta,
+        south: center.latitude - latDelta,
+        east: center.longitude + lngDelta,
+        west: center.longitude - lngDelta
+    };
+}
+
+function isInBounds(point, bounds) {
+    return point.latitude >= bounds.south && point.latitude <= bounds.north &&
+        point.longitude >= bounds.west && point.longitude <= bounds.east;
+}
+
+function roundMiles(miles) {
+    return Math.round(miles * 100) / 100;
+}
+
+function normalizeName(name) {
+    return String(name || '').trim().toLowerCase().replace(/\s+/g, ' ');
+}
+
+class Gazetteer {
+    constructor(data = require(path.join(__dirname, 'data/gazetteer.json'))) {
+        this.cities = data.cities || [];
+        this.zips = new Map((data.zips || []).map(entry => [entry.zip, entry]));
+    }
+
+    lookupZip(zip) {
+        return this.zips.get(String(zip).trim().slice(0, 5)) || null;
+    }
+
+    lookupCity(name, state) {
+        const wanted = normalizeName(name);
+        const matches = this.cities.filter(city => normalizeName(city.name) === wanted);
+        if (state) {
+            return matches.find(city => city.state.toLowerCase() === String(state).toLowerCase()) || null;
+        }
+        return matches[0] || null;
+    }
+
+    // Resolve "98004", "Bellevue", "Bellevue, WA" or "downtown Bellevue" to a centroid
+    resolve(place) {
+        if (!place || typeof place !== 'string') return null;
+        const text = place.trim();
+
+        if (/^\d{5}(-\d{4})?$/.test(text)) {
+            const zip = this.lookupZip(text);
+            return zip ? { label: `${zip.zip} (${zip.city}, ${zip.state})`, latitude: zip.latitude, longitude: zip.longitude } : null;
+        }
+
+        const [namePart, statePart] = text.replace(/^(?:downtown|central|city of)\s+/i, '').split(',');
+        const stateMatch = !statePart && namePart.match(/^(.*)\s+([A-Za-z]{2})$/);
+        const city = stateMatch
+            ? this.lookupCity(stateMatch[1], stateMatch[2]) || this.lookupCity(namePart)
+            : this.lookupCity(namePart, statePart && statePart.trim());
+
+        return city ? { label: `${city.name}, ${city.state}`, latitude: city.latitude, longitude: city.longitude } : null;
+    }
+}
+
+module.exports = {
+    DEFAULT_RADIUS_MILES,
+    MAX_RADIUS_MILES,
+    Gazetteer,
+    haversineMiles,
+    boundingBoxForRadius,
+    isInBounds,
+    roundMiles
+};
@@ -0,0 +1,65 @@
+// server/ics.js - iCalendar (.ics) invites for booked showings (RFC 5545)
+
+function escapeText(value) {
+    return String(value ?? '')
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\r?\n/g, '\\n');
+}
+
+// 20261020T170000Z
+function formatUtc(date) {
+    return new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+// Lines longer than 75 octets continue on the next line after a space
+function foldLine(line) {
+    const bytes = Buffer.from(line, 'utf8');
+    if (bytes.length <= 75) return line;
+
+    const chunks = [];
+    let current = '';
+    for (const char of line) {
+        const limit = chunks.length === 0 ? 75 : 74;
+        if (Buffer.byteLength(current + char, 'utf8') > limit) {
+            chunks.push(current);
+            current = '';
+        }
+        current += char;
+    }
+    chunks.push(current);
+    return chunks.join('\r\n ');
+}
+
+// event: { uid, start, end, summary, description, location, organizer: { name, email }, attendee: { name, email }, status }
+function buildIcs(event) {
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        'PRODID:-//VoiceNest//Showings//EN',
+        'CALSCALE:GREGORIAN',
+        `METHOD:${event.status === 'cancelled' ? 'CANCEL' : 'REQUEST'}`,
+        'BEGIN:VEVENT',
+        `UID:${event.uid}`,
+        `DTSTAMP:${formatUtc(event.updatedAt || new Date())}`,
+        `DTSTART:${formatUtc(event.start)}`,
+        `DTEND:${formatUtc(event.end)}`,
+        `SUMMARY:${escapeText(event.summary)}`,
+        `STATUS:${event.status === 'cancelled' ? 'CANCELLED' : 'CONFIRMED'}`
+    ];
+
+    if (event.location) lines.push(`LOCATION:${escapeText(event.location)}`);
+    if (event.description) lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+    if (event.organizer?.email) {
+        lines.push(`ORGANIZER;CN=${escapeText(event.organizer.name || event.organizer.email)}:mailto:${event.organizer.email}`);
+    }
+    if (event.attendee?.email) {
+        lines.push(`ATTENDEE;CN=${escapeText(event.attendee.name || event.attendee.email)};RSVP=TRUE:mailto:${event.attendee.email}`);
+    }
+
+    lines.push('END:VEVENT', 'END:VCALENDAR');
+    return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+module.exports = { buildIcs };
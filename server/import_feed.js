@@ -0,0 +1,60 @@
+// server/import_feed.js - Command-line RESO feed import
+// Usage: npm run import:feed -- <feed.json|feed.csv> [--map field-map.json] [--dry-run] [--keep-missing] [--tenant <id>]
+require('dotenv').config();
+const { createClient } = require('@supabase/supabase-js');
+const { ResoFeedImporter, loadFieldMap } = require('./reso_feed');
+const { DEFAULT_TENANT_ID, TenantStore } = require('./tenants');
+const { createTenantPropertyRepository } = require('./tenant_context');
+
+function parseArgs(argv) {
+    const args = { dryRun: false, markMissing: true, mapFile: undefined, file: undefined, tenant: DEFAULT_TENANT_ID };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--dry-run') args.dryRun = true;
+        else if (arg === '--keep-missing') args.markMissing = false;
+        else if (arg === '--map') args.mapFile = argv[++i];
+        else if (arg === '--tenant') args.tenant = argv[++i];
+        else if (!args.file) args.file = arg;
+    }
+    return args;
+}
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+    if (!args.file) {
+        console.error('Usage: npm run import:feed -- <feed.json|feed.csv> [--map field-map.json] [--dry-run] [--keep-missing] [--tenant <id>]');
+        process.exit(2);
+    }
+
+    const tenantStore = new TenantStore();
+    const tenant = args.tenant === DEFAULT_TENANT_ID ? { id: DEFAULT_TENANT_ID } : tenantStore.get(args.tenant);
+    if (!tenant) {
+        console.error(`Unknown tenant: ${args.tenant}`);
+        process.exit(2);
+    }
+
+    const supabase = process.env.SUPABASE_URL && process.env.SUPABASE_ANON_KEY
+        ? createClient(process.env.SUPABASE_URL, process.env.SUPABASE_ANON_KEY, { auth: { persistSession: false } })
+        : null;
+    const repository = createTenantPropertyRepository(tenant, {
+        supabase,
+        multiTenant: tenantStore.list().length > 0
+    });
+    console.log(`Importing into the ${repository.name} property repository of tenant ${tenant.id}`);
+
+    const importer = new ResoFeedImporter({
+        repository,
+        fieldMap: loadFieldMap(args.mapFile)
+    });
+    const run = await importer.run(args.file, { dryRun: args.dryRun, markMissing: args.markMissing });
+
+    run.errors.forEach(({ row, listingKey, errors }) => {
+        console.warn(`  row ${row}${listingKey ? ` (${listingKey})` : ''}: ${errors.join(', ')}`);
+    });
+    process.exit(run.error ? 1 : 0);
+}
+
+main().catch(error => {
+    console.error('Feed import failed:', error.message);
+    process.exit(1);
+});
@@ -0,0 +1,65 @@
+// server/json_store.js - Small JSON file persistence used by the local stores
+const fs = require('fs');
+const path = require('path');
+
+// Default directory for local data files (override with DATA_DIR)
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, '../data');
+
+class JsonFileStore {
+    // Pass filePath = null to keep the data in memory only (tests, serverless)
+    constructor(filePath, defaultData = {}) {
+        this.filePath = filePath;
+        this.defaultData = defaultData;
+        this.cache = null;
+    }
+
+    get data() {
+        if (!this.cache) {
+            this.cache = this.load();
+        }
+        return this.cache;
+    }
+
+    load() {
+        const fresh = JSON.parse(JSON.stringify(this.defaultData));
+        if (!this.filePath || !fs.existsSync(this.filePath)) {
+            return fresh;
+        }
+
+        try {
+            const contents = fs.readFileSync(this.filePath, 'utf8');
+            return { ...fresh, ...JSON.parse(contents) };
+        } catch (error) {
+            console.error(`Failed to load ${this.filePath}:`, error.message);
+            return fresh;
+        }
+    }
+
+    save() {
+        if (!this.filePath) return;
+
+        // Write to a temp file and rename so a crash never leaves a half-written file
+        fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+        const tempPath = `${this.filePath}.tmp`;
+        fs.writeFileSync(tempPath, JSON.stringify(this.cache, null, 2));
+        fs.renameSync(tempPath, this.filePath);
+    }
+
+    // Apply a change to the data and persist it, returning the mutator's result
+    update(mutator) {
+        const result = mutator(this.data);
+        this.save();
+        return result;
+    }
+}
+
+// Resolve a data file name inside DATA_DIR
+function dataFile(name) {
+    return path.join(DATA_DIR, name);
+}
+
+module.exports = {
+    DATA_DIR,
+    JsonFileStore,
+    dataFile
+};
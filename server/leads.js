@@ -0,0 +1,317 @@
+// server/leads.js - Buyer leads captured from calls
+// A lead is created or updated from each end-of-call report (the caller's number plus
+// any structured data the assistant's analysis extracted) and from the capture_lead tool.
+const crypto = require('crypto');
+const { JsonFileStore, dataFile } = require('./json_store');
+const {
+    toE164,
+    normalizeEmail,
+    validateContactFields,
+    matchesContact
+} = require('./contacts');
+
+const LEAD_STATUSES = ['new', 'contacted', 'touring', 'offer', 'closed'];
+
+// Fields a client may set; id, callIds and timestamps are managed here
+const LEAD_FIELDS = ['name', 'phone', 'email', 'budget', 'desiredAreas', 'timeline', 'status', 'notes'];
+
+// Who the lead is; captured details may fill these in but never replace them
+const CONTACT_FIELDS = ['name', 'phone', 'email'];
+
+function isBlank(value) {
+    return value === undefined || value === null || value === '';
+}
+
+function toAmount(value) {
+    if (isBlank(value)) return undefined;
+    const amount = typeof value === 'string' ? Number(value.replace(/[$,\s]/g, '')) : Number(value);
+    return Number.isFinite(amount) ? amount : NaN;
+}
+
+// Accept "Bellevue, Kirkland" or ["Bellevue", "Kirkland"]
+function toAreas(value) {
+    if (isBlank(value)) return undefined;
+    const areas = Array.isArray(value) ? value : String(value).split(/[,;]/);
+    return areas.map(area => String(area).trim()).filter(Boolean);
+}
+
+// Normalize client/tool input to stored lead fields, dropping blanks
+function normalizeLeadInput(input = {}) {
+    const lead = {};
+
+    if (!isBlank(input.name)) lead.name = String(input.name).trim();
+    // E.164 like compliance and the dialer, so "503-555-1234" and Vapi's "+15035551234" match
+    if (!isBlank(input.phone)) lead.phone = toE164(input.phone);
+    if (!isBlank(input.email)) lead.email = normalizeEmail(input.email);
+    if (!isBlank(input.timeline)) lead.timeline = String(input.timeline).trim();
+    if (!isBlank(input.notes)) lead.notes = String(input.notes).trim();
+    if (!isBlank(input.status)) lead.status = String(input.status).toLowerCase();
+
+    const areas = toAreas(input.desiredAreas);
+    if (areas) lead.desiredAreas = areas;
+
+    // Budget as { min, max }, flat budgetMin/budgetMax, or a single number meaning the maximum
+    const budget = input.budget && typeof input.budget === 'object' ? input.budget : { max: input.budget };
+    const min = toAmount(input.budgetMin ?? budget.min);
+    const max = toAmount(input.budgetMax ?? budget.max);
+    if (min !== undefined || max !== undefined) {
+        lead.budget = {};
+        if (min !== undefined) lead.budget.min = min;
+        if (max !== undefined) lead.budget.max = max;
+    }
+
+    return lead;
+}
+
+// partial = true for updates, where nothing is required
+function validateLead(lead, { partial = false } = {}) {
+    const errors = [...validateContactFields(lead)];
+
+    if (!partial && !lead.phone && !lead.email && !lead.name) {
+        errors.push('A lead needs at least a name, phone number or email');
+    }
+    if (lead.status !== undefined && !LEAD_STATUSES.includes(lead.status)) {
+        errors.push(`Invalid status (use ${LEAD_STATUSES.join(', ')})`);
+    }
+    if (lead.budget) {
+        const { min, max } = lead.budget;
+        if (Number.isNaN(min) || min < 0) errors.push('Invalid minimum budget');
+        if (Number.isNaN(max) || max < 0) errors.push('Invalid maximum budget');
+        if (min !== undefined && max !== undefined && min > max) {
+            errors.push('Minimum budget cannot be greater than maximum budget');
+        }
+    }
+    if (lead.name && lead.name.length > 200) errors.push('Name is too long (max 200 characters)');
+    if (lead.notes && lead.notes.length > 5000) errors.push('Notes are too long (max 5000 characters)');
+
+    return errors;
+}
+
+// Lead details from an end-of-call report; the assistant's analysis plan can
+// return them as structured data (name, email, budgetMin/budgetMax, desiredAreas, timeline)
+function leadFromEndOfCallReport(message) {
+    const call = message.call || {};
+    const structured = message.analysis?.structuredData || call.analysis?.structuredData || {};
+
+    const lead = normalizeLeadInput({
+        ...structured,
+        phone: structured.phone || call.customer?.number,
+        status: undefined,
+        notes: undefined
+    });
+
+    // Drop whatever the analysis got wrong and keep the rest
+    const valid = Object.fromEntries(Object.entries(lead)
+        .filter(([key, value]) => validateLead({ [key]: value }, { partial: true }).length === 0));
+    return valid.phone || valid.email ? valid : null;
+}
+
+// Captured details fill in the lead without erasing what is known; areas accumulate
+function mergeLead(existing, changes) {
+    const merged = { ...existing };
+    for (const [key, value] of Object.entries(changes)) {
+        if (isBlank(value)) continue;
+        if (CONTACT_FIELDS.includes(key) && !isBlank(existing[key])) continue;
+        if (key === 'desiredAreas') {
+            const known = new Map((existing.desiredAreas || []).map(area => [area.toLowerCase(), area]));
+            value.forEach(area => known.set(area.toLowerCase(), known.get(area.toLowerCase()) || area));
+            merged.desiredAreas = [...known.values()];
+        } else if (key === 'budget') {
+            merged.budget = { ...existing.budget, ...value };
+        } else {
+            merged[key] = value;
+        }
+    }
+    return merged;
+}
+
+function matchesQuery(lead, q) {
+    const text = String(q).toLowerCase();
+    return [lead.name, lead.phone, lead.email, ...(lead.desiredAreas || [])]
+        .some(value => value && String(value).toLowerCase().includes(text));
+}
+
+class LeadStore {
+    constructor(filePath = dataFile('leads.json')) {
+        this.store = new JsonFileStore(filePath, { leads: [] });
+    }
+
+    get leads() {
+        return this.store.data.leads;
+    }
+
+    // Newest activity first
+    list({ status, q, limit = 50, offset = 0 } = {}) {
+        const leads = this.leads
+            .filter(lead => !status || lead.status === status)
+            .filter(lead => !q || matchesQuery(lead, q))
+            .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+
+        return {
+            leads: leads.slice(offset, offset + limit),
+            total: leads.length
+        };
+    }
+
+    get(id) {
+        return this.leads.find(lead => lead.id === id) || null;
+    }
+
+    findByContact({ phone, email }) {
+        if (!phone && !email) return null;
+        const number = phone && toE164(phone);
+        return (number && this.leads.find(lead => lead.phone && toE164(lead.phone) === number)) ||
+            (email && this.leads.find(lead => lead.email && matchesContact(lead, { email }))) ||
+            null;
+    }
+
+    findByCallId(callId) {
+        return this.leads.find(lead => lead.callIds.includes(callId)) || null;
+    }
+
+    create(fields, { source = 'api', callId = null } = {}) {
+        const now = new Date().toISOString();
+        const lead = {
+            id: crypto.randomUUID(),
+            status: 'new',
+            desiredAreas: [],
+            ...fields,
+            source,
+            callIds: callId ? [callId] : [],
+            createdAt: now,
+            updatedAt: now
+        };
+
+        this.store.update(data => {
+            data.leads.push(lead);
+        });
+        return lead;
+    }
+
+    // Set the given fields (PATCH); replace = true (PUT) also clears the ones left out
+    update(id, changes, { replace = false } = {}) {
+        return this.store.update(data => {
+            const index = data.leads.findIndex(lead => lead.id === id);
+            if (index === -1) return null;
+
+            const existing = data.leads[index];
+            const updated = replace
+                ? { ...existing, ...Object.fromEntries(LEAD_FIELDS.map(field => [field, changes[field]])) }
+                : { ...existing, ...changes };
+
+            data.leads[index] = JSON.parse(JSON.stringify({
+                ...updated,
+                status: updated.status || 'new',
+                desiredAreas: updated.desiredAreas || [],
+                updatedAt: new Date().toISOString()
+            }));
+            return data.leads[index];
+        });
+    }
+
+    remove(id) {
+        return this.store.update(data => {
+            const before = data.leads.length;
+            data.leads = data.leads.filter(lead => lead.id !== id);
+            return data.leads.length < before;
+        });
+    }
+
+    linkCall(id, callId) {
+        return this.store.update(data => {
+            const lead = data.leads.find(item => item.id === id);
+            if (!lead) return null;
+            if (!lead.callIds.includes(callId)) {
+                lead.callIds.push(callId);
+                lead.updatedAt = new Date().toISOString();
+            }
+            return lead;
+        });
+    }
+
+    // Create or update the lead for this contact and link the call. On a call, pass callerNumber
+    // (null for web calls): contact details there are only what the caller says, so the lead
+    // is found by the number actually calling, or by the call itself
+    capture(fields, { source, callId = null, callerNumber } = {}) {
+        const contact = callerNumber === undefined ? fields : { phone: callerNumber };
+        const existing = this.findByContact(contact) || (callId && this.findByCallId(callId));
+        if (!existing) {
+            return { lead: this.create(fields, { source, callId }), created: true };
+        }
+
+        this.update(existing.id, mergeLead(existing, fields));
+        const lead = callId ? this.linkCall(existing.id, callId) : this.get(existing.id);
+        return { lead, created: false };
+    }
+
+    captureFromEndOfCallReport(message) {
+        const fields = leadFromEndOfCallReport(message);
+        if (!fields) return null;
+        return this.capture(fields, {
+            source: 'call',
+            callId: message.call?.id || null,
+            callerNumber: message.call?.customer?.number || null
+        });
+    }
+}
+
+// Assistant tool: record who the caller is and what they are looking for
+const CAPTURE_LEAD_TOOL = {
+    type: 'function',
+    function: {
+        name: 'capture_lead',
+        description: 'Record the caller\'s contact details and buying preferences as soon as they share them. Call again when you learn more.',
+        parameters: {
+            type: 'object',
+            properties: {
+                name: { type: 'string', description: 'Caller\'s full name' },
+                email: { type: 'string', description: 'Caller\'s email address' },
+                phone: { type: 'string', description: 'Callback number, if different from the number they are calling from' },
+                budgetMin: { type: 'number', description: 'Lowest price they would consider, in US dollars' },
+                budgetMax: { type: 'number', description: 'Highest price they can afford, in US dollars' },
+                desiredAreas: {
+                    type: 'array',
+                    items: { type: 'string' },
+                    description: 'Cities or neighborhoods they want to live in'
+                },
+                timeline: { type: 'string', description: 'When they want to buy, e.g. "within 3 months"' },
+                notes: { type: 'string', description: 'Anything else worth passing to an agent' }
+            }
+        }
+    }
+};
+
+function createCaptureLeadHandler({ store }) {
+    return async (args, { message } = {}) => {
+        const { status, ...input } = args;
+        const callerNumber = message?.call?.customer?.number || null;
+        const fields = normalizeLeadInput({
+            ...input,
+            phone: input.phone || callerNumber
+        });
+
+        const errors = validateLead(fields);
+        if (errors.length > 0) {
+            return `I could not save those details: ${errors.join(', ')}.`;
+        }
+
+        const { created } = store.capture(fields, {
+            source: 'assistant',
+            callId: message?.call?.id || null,
+            callerNumber
+        });
+        return created
+            ? 'Thanks, I have saved your details so an agent can follow up.'
+            : 'Thanks, I have updated your details.';
+    };
+}
+
+module.exports = {
+    LEAD_STATUSES,
+    LeadStore,
+    CAPTURE_LEAD_TOOL,
+    createCaptureLeadHandler,
+    normalizeLeadInput,
+    validateLead,
+    leadFromEndOfCallReport
+};
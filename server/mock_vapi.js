@@ -0,0 +1,666 @@
+// server/mock_vapi.js - Local stand-in for the Vapi API, for offline development and integration tests
+// Start it with `npm run mock:vapi` and run the app with VAPI_BASE_URL=http://localhost:4010.
+// It serves the assistant and call endpoints VapiService uses, and every call plays a scripted
+// conversation: web calls stream PCM audio and transcript messages over the vapi.websocket
+// transport, phone calls play out on timers. Both send the webhooks Vapi would send
+// (status-update, transcript, conversation-update, tool-calls, end-of-call-report) to the
+// assistant's server URL, or MOCK_VAPI_WEBHOOK_URL when it has none.
+//
+// Settings: MOCK_VAPI_PORT (4010), MOCK_VAPI_WEBHOOK_URL (http://localhost:$PORT/api/vapi/webhook),
+// MOCK_VAPI_WEBHOOK_SECRET (defaults to VAPI_WEBHOOK_SECRET), MOCK_VAPI_PRIVATE_KEY (any bearer
+// token is accepted when unset), MOCK_VAPI_ASSISTANT_IDS (comma separated, defaults to
+// VAPI_ASSISTANT_ID), MOCK_VAPI_SPEED (2 plays calls twice as fast), MOCK_VAPI_FAILURE_RATE
+// (share of API requests answered with a 503) and MOCK_VAPI_LATENCY_MS.
+const crypto = require('crypto');
+const http = require('http');
+const express = require('express');
+const { WebSocketServer, WebSocket } = require('ws');
+require('dotenv').config();
+
+// Audio matches the transport VapiService asks for: raw pcm_s16le, mono, 16kHz, sent in 100ms frames
+const SAMPLE_RATE = 16000;
+const FRAME_MS = 100;
+const FRAME_SAMPLES = SAMPLE_RATE * FRAME_MS / 1000;
+const MS_PER_CHARACTER = 60;
+const MAX_SPEECH_MS = 15 * 1000;
+
+// Pause between turns, and how long phone calls ring
+const TURN_GAP_MS = 700;
+const RING_MS = 2500;
+
+// A web call nobody connects to within this long ends like an unanswered call
+const CONNECT_TIMEOUT_MS = 30 * 1000;
+
+const COST_PER_MINUTE = { transport: 0.01, stt: 0.01, llm: 0.02, tts: 0.02, vapi: 0.05 };
+
+// Customer numbers ending in these digits end without a conversation (campaign retries, voicemail)
+const NUMBER_OUTCOMES = {
+    '0000': 'customer-did-not-answer',
+    '0001': 'customer-busy',
+    '0002': 'voicemail'
+};
+
+const E164_PATTERN = /^\+[1-9]\d{6,14}$/;
+
+// The conversation every call plays. A tool turn is sent to the app as a tool-calls webhook
+// and the assistant speaks whatever the app returns.
+const DEFAULT_SCRIPT = {
+    turns: [
+        { role: 'assistant', text: 'Hi, thanks for calling VoiceNest. What kind of home are you looking for?' },
+        { role: 'user', text: "I'd like a three bedroom place in Seattle, ideally under six hundred thousand." },
+        {
+            role: 'tool',
+            name: 'search_properties',
+            arguments: { query: 'three bedrooms under 600k in Seattle', city: 'Seattle', minBedrooms: 3, maxPrice: 600000 }
+        },
+        { role: 'user', text: "That sounds good. I'm Jordan Lee, you can email me at jordan.lee@example.com." },
+        { role: 'assistant', text: 'Thanks Jordan. An agent will email you the details and set up a showing. Goodbye!' }
+    ],
+    analysis: {
+        summary: 'Caller wants a three bedroom home in Seattle under $600,000 and asked for listing details by email.',
+        structuredData: {
+            name: 'Jordan Lee',
+            email: 'jordan.lee@example.com',
+            budgetMax: 600000,
+            desiredAreas: ['Seattle'],
+            timeline: 'Next 3 months'
+        },
+        successEvaluation: 'true'
+    }
+};
+
+// Vapi's error body: { message, error, statusCode }, message is a list for validation errors
+function apiError(res, statusCode, error, message) {
+    return res.status(statusCode).json({ message, error, statusCode });
+}
+
+function roundCost(value) {
+    return Math.round(value * 10000) / 10000;
+}
+
+function speechDurationMs(text) {
+    return Math.min(MAX_SPEECH_MS, Math.max(FRAME_MS * 5, String(text).length * MS_PER_CHARACTER));
+}
+
+// Stand-in for synthesized speech: a tone whose pitch moves every 200ms "syllable"
+function* speechFrames(text) {
+    const frames = Math.ceil(speechDurationMs(text) / FRAME_MS);
+    const syllableSamples = FRAME_SAMPLES * 2;
+    let phase = 0;
+
+    for (let frame = 0; frame < frames; frame++) {
+        const buffer = Buffer.alloc(FRAME_SAMPLES * 2);
+        const pitch = 170 + 50 * Math.sin(Math.floor(frame / 2) * 1.7);
+        for (let i = 0; i < FRAME_SAMPLES; i++) {
+            const position = ((frame % 2) * FRAME_SAMPLES + i) / syllableSamples;
+            phase += 2 * Math.PI * pitch / SAMPLE_RATE;
+            const sample = Math.sin(phase) * Math.sin(Math.PI * position) * 0.3;
+            buffer.writeInt16LE(Math.round(sample * 32767), i * 2);
+        }
+        yield buffer;
+    }
+}
+
+// One call playing the script, from the moment it is answered until it ends
+class MockConversation {
+    constructor(mock, call) {
+        this.mock = mock;
+        this.call = call;
+        this.socket = null;
+        this.messages = [];
+        this.startedAtMs = null;
+        this.endedReason = null;
+        this.finished = false;
+        this.wake = null;
+    }
+
+    // Waits ms (scaled by the mock's speed); returns early once the call is hung up
+    wait(ms) {
+        if (this.endedReason) return Promise.resolve();
+        return new Promise(resolve => {
+            let timer = null;
+            const done = () => {
+                clearTimeout(timer);
+                this.wake = null;
+                resolve();
+            };
+            timer = setTimeout(done, ms / this.mock.speed);
+            this.wake = done;
+        });
+    }
+
+    hangUp(endedReason) {
+        if (!this.endedReason) this.endedReason = endedReason;
+        this.wake?.();
+    }
+
+    send(message) {
+        if (this.socket?.readyState === WebSocket.OPEN) {
+            this.socket.send(typeof message === 'string' || Buffer.isBuffer(message) ? message : JSON.stringify(message));
+        }
+    }
+
+    // The customer's browser connected to the websocket transport
+    attach(socket) {
+        this.socket = socket;
+        socket.on('message', (data, isBinary) => {
+            // Caller audio is accepted and dropped; the script does the talking
+            if (isBinary) return;
+            try {
+                const message = JSON.parse(data.toString());
+                if (message.type === 'hangup') this.hangUp('customer-ended-call');
+            } catch (error) {
+                console.warn(`Mock Vapi: ignored bad message on call ${this.call.id}`);
+            }
+        });
+        socket.on('close', () => this.hangUp('customer-ended-call'));
+    }
+
+    addMessage(message) {
+        const now = Date.now();
+        const entry = {
+            ...message,
+            time: message.time ?? now,
+            secondsFromStart: ((message.time ?? now) - this.startedAtMs) / 1000
+        };
+        this.messages.push(entry);
+        return entry;
+    }
+
+    transcript() {
+        return this.messages
+            .filter(message => message.role === 'bot' || message.role === 'user')
+            .map(message => `${message.role === 'bot' ? 'AI' : 'User'}: ${message.message}`)
+            .join('\n');
+    }
+
+    async speak(role, text) {
+        const time = Date.now();
+        this.send({ type: 'speech-update', status: 'started', role });
+
+        if (role === 'assistant') {
+            for (const frame of speechFrames(text)) {
+                if (this.endedReason) break;
+                this.send(frame);
+                await this.wait(FRAME_MS);
+            }
+        } else {
+            await this.wait(speechDurationMs(text));
+        }
+        if (this.endedReason) return;
+
+        const endTime = Date.now();
+        this.send({ type: 'speech-update', status: 'stopped', role });
+        this.send({ type: 'transcript', role, transcriptType: 'final', transcript: text });
+        this.addMessage({
+            role: role === 'assistant' ? 'bot' : 'user',
+            message: text,
+            time,
+            endTime,
+            duration: endTime - time
+        });
+
+        await this.mock.sendWebhook(this.call, { type: 'transcript', role, transcriptType: 'final', transcript: text });
+        await this.mock.sendWebhook(this.call, {
+            type: 'conversation-update',
+            messages: this.messages,
+            messagesOpenAIFormatted: this.messages
+                .filter(message => message.role === 'bot' || message.role === 'user')
+                .map(message => ({ role: message.role === 'bot' ? 'assistant' : 'user', content: message.message }))
+        });
+    }
+
+    // Sends a tool-calls webhook; returns what the assistant should say with the result
+    async callTool(turn) {
+        const toolCall = {
+            id: `call_${crypto.randomBytes(12).toString('hex')}`,
+            type: 'function',
+            function: { name: turn.name, arguments: turn.arguments || {} }
+        };
+        this.addMessage({ role: 'tool_calls', toolCalls: [toolCall] });
+
+        const response = await this.mock.sendWebhook(this.call, { type: 'tool-calls', toolCallList: [toolCall] });
+        const output = response?.results?.find(item => item.toolCallId === toolCall.id);
+        const result = output?.result ?? output?.error;
+        this.addMessage({
+            role: 'tool_call_result',
+            toolCallId: toolCall.id,
+            name: turn.name,
+            result: typeof result === 'string' ? result : JSON.stringify(result ?? null)
+        });
+
+        if (output?.result === undefined) {
+            return "Sorry, I couldn't look that up right now. Let me have an agent follow up.";
+        }
+        return typeof output.result === 'string' ? output.result : JSON.stringify(output.result);
+    }
+
+    async run() {
+        this.startedAtMs = Date.now();
+        this.mock.updateCall(this.call, { status: 'in-progress', startedAt: new Date(this.startedAtMs).toISOString() });
+        this.send({ type: 'status-update', status: 'in-progress' });
+        await this.mock.sendWebhook(this.call, { type: 'status-update', status: 'in-progress' });
+
+        const assistant = this.mock.assistants.get(this.call.assistantId) || this.call.assistant || {};
+        const { turns } = this.mock.script;
+        for (let index = 0; index < turns.length && !this.endedReason; index++) {
+            const turn = turns[index];
+            if (turn.role === 'tool') {
+                await this.speak('assistant', await this.callTool(turn));
+            } else {
+                const text = index === 0 && turn.role === 'assistant' && assistant.firstMessage
+                    ? assistant.firstMessage
+                    : turn.text;
+                await this.speak(turn.role, text);
+            }
+            await this.wait(TURN_GAP_MS);
+        }
+
+        await this.mock.endCall(this, this.endedReason || 'assistant-ended-call');
+    }
+}
+
+class MockVapiServer {
+    constructor({
+        webhookUrl,
+        webhookSecret = null,
+        privateKey = null,
+        assistantIds = ['mock-assistant'],
+        script = DEFAULT_SCRIPT,
+        speed = 1,
+        failureRate = 0,
+        latencyMs = 0
+    } = {}) {
+        this.webhookUrl = webhookUrl;
+        this.webhookSecret = webhookSecret;
+        this.privateKey = privateKey;
+        this.script = script;
+        this.speed = speed > 0 ? speed : 1;
+        this.failureRate = failureRate;
+        this.latencyMs = latencyMs;
+        this.orgId = 'mock-org';
+
+        this.assistants = new Map();
+        for (const id of assistantIds) {
+            this.saveAssistant({
+                id,
+                name: `Mock assistant ${id}`,
+                firstMessage: null,
+                model: {
+                    provider: 'openai',
+                    model: 'gpt-4o',
+                    messages: [{ role: 'system', content: 'You are a helpful real estate assistant for VoiceNest.' }]
+                },
+                voice: { provider: '11labs', voiceId: 'mock-voice' },
+                transcriber: { provider: 'deepgram', model: 'nova-2' }
+            });
+        }
+
+        this.calls = new Map();
+        this.conversations = new Map();
+        this.timers = new Set();
+
+        this.app = this.createApp();
+        this.server = http.createServer(this.app);
+        this.wss = new WebSocketServer({ noServer: true });
+        this.server.on('upgrade', (req, socket, head) => this.handleUpgrade(req, socket, head));
+    }
+
+    saveAssistant(assistant) {
+        const now = new Date().toISOString();
+        const existing = this.assistants.get(assistant.id);
+        const saved = {
+            orgId: this.orgId,
+            createdAt: existing?.createdAt || now,
+            ...existing,
+            ...assistant,
+            updatedAt: now
+        };
+        this.assistants.set(saved.id, saved);
+        return saved;
+    }
+
+    updateCall(call, changes) {
+        Object.assign(call, changes, { updatedAt: new Date().toISOString() });
+        return call;
+    }
+
+    // Timers that are cleared on close, so tests can stop the mock cleanly
+    later(ms, callback) {
+        const timer = setTimeout(() => {
+            this.timers.delete(timer);
+            callback();
+        }, ms / this.speed);
+        this.timers.add(timer);
+    }
+
+    // POSTs a server message to the assistant's server URL; returns the parsed response or null
+    async sendWebhook(call, message) {
+        const assistant = this.assistants.get(call.assistantId) || call.assistant || {};
+        const url = assistant.server?.url || assistant.serverUrl || this.webhookUrl;
+        const secret = assistant.server?.secret || this.webhookSecret;
+        if (!url) return null;
+
+        try {
+            const response = await fetch(url, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    ...(secret ? { 'X-Vapi-Secret': secret } : {})
+                },
+                body: JSON.stringify({ message: { timestamp: Date.now(), ...message, call: { ...call } } }),
+                signal: AbortSignal.timeout(10 * 1000)
+            });
+            if (!response.ok) {
+                console.warn(`Mock Vapi: ${message.type} webhook for call ${call.id} got HTTP ${response.status}`);
+                return null;
+            }
+            return await response.json().catch(() => null);
+        } catch (error) {
+            console.warn(`Mock Vapi: ${message.type} webhook for call ${call.id} failed:`, error.message);
+            return null;
+        }
+    }
+
+    createCall(body, type) {
+        const errors = [];
+        const assistant = body.assistantId ? this.assistants.get(body.assistantId) : body.assistant;
+        if (!body.assistantId && !body.assistant) errors.push('assistantId or assistant must be provided');
+        if (type === 'outboundPhoneCall' && !E164_PATTERN.test(body.customer?.number || '')) {
+            errors.push('customer.number must be a valid phone number in the E.164 format');
+        }
+        if (type === 'webCall' && body.transport && body.transport.provider !== 'vapi.websocket') {
+            errors.push('transport.provider must be vapi.websocket');
+        }
+        if (errors.length > 0) return { status: 400, errors };
+        if (!assistant) return { status: 404, errors: ["Couldn't Get Assistant. `assistantId` Not Found."] };
+
+        const now = new Date().toISOString();
+        const call = {
+            id: crypto.randomUUID(),
+            orgId: this.orgId,
+            type,
+            status: 'queued',
+            assistantId: body.assistantId || null,
+            ...(body.assistantId ? {} : { assistant }),
+            ...(body.assistantOverrides ? { assistantOverrides: body.assistantOverrides } : {}),
+            createdAt: now,
+            updatedAt: now,
+            cost: 0
+        };
+        if (type === 'outboundPhoneCall') {
+            call.phoneNumberId = body.phoneNumberId || 'mock-phone-number';
+            call.customer = body.customer;
+        } else {
+            call.transport = {
+                provider: 'vapi.websocket',
+                audioFormat: body.transport?.audioFormat || { format: 'pcm_s16le', container: 'raw', sampleRate: SAMPLE_RATE }
+            };
+        }
+        this.calls.set(call.id, call);
+
+        const conversation = new MockConversation(this, call);
+        this.conversations.set(call.id, conversation);
+        return { call, conversation };
+    }
+
+    // Phone calls ring, then either end with the number's outcome or play the script
+    startPhoneCall(conversation) {
+        const { call } = conversation;
+        this.later(TURN_GAP_MS, async () => {
+            if (conversation.endedReason) return this.endCall(conversation, conversation.endedReason);
+            this.updateCall(call, { status: 'ringing' });
+            await this.sendWebhook(call, { type: 'status-update', status: 'ringing' });
+
+            this.later(RING_MS, () => {
+                const outcome = NUMBER_OUTCOMES[call.customer.number.slice(-4)];
+                const endedReason = conversation.endedReason || outcome;
+                if (endedReason) return this.endCall(conversation, endedReason);
+                conversation.run().catch(error => console.error(`Mock Vapi: call ${call.id} failed:`, error));
+            });
+        });
+    }
+
+    async endCall(conversation, endedReason) {
+        if (conversation.finished) return;
+        conversation.finished = true;
+        conversation.endedReason = conversation.endedReason || endedReason;
+
+        const { call } = conversation;
+        const endedAtMs = Date.now();
+        const durationSeconds = conversation.startedAtMs ? (endedAtMs - conversation.startedAtMs) / 1000 : 0;
+        const costBreakdown = Object.fromEntries(Object.entries(COST_PER_MINUTE)
+            .map(([part, perMinute]) => [part, roundCost(perMinute * durationSeconds / 60)]));
+        costBreakdown.total = roundCost(Object.values(costBreakdown).reduce((sum, value) => sum + value, 0));
+
+        const answered = conversation.messages.length > 0;
+        const analysis = answered ? this.script.analysis : {};
+        const artifact = { messages: conversation.messages, transcript: conversation.transcript(), recordingUrl: null };
+        this.updateCall(call, {
+            status: 'ended',
+            endedReason: conversation.endedReason,
+            endedAt: new Date(endedAtMs).toISOString(),
+            cost: costBreakdown.total,
+            costBreakdown,
+            analysis,
+            artifact,
+            messages: artifact.messages,
+            transcript: artifact.transcript,
+            summary: analysis.summary || null
+        });
+        this.conversations.delete(call.id);
+
+        console.log(`Mock Vapi: call ${call.id} ended (${call.endedReason}, ${durationSeconds.toFixed(1)}s)`);
+        if (conversation.socket?.readyState === WebSocket.OPEN) {
+            conversation.socket.close(1000, 'Call ended');
+        }
+
+        await this.sendWebhook(call, { type: 'status-update', status: 'ended', endedReason: call.endedReason });
+        await this.sendWebhook(call, {
+            type: 'end-of-call-report',
+            endedReason: call.endedReason,
+            startedAt: call.startedAt || null,
+            endedAt: call.endedAt,
+            durationSeconds,
+            cost: call.cost,
+            costBreakdown,
+            analysis,
+            artifact
+        });
+    }
+
+    createApp() {
+        const app = express();
+        app.use(express.json({ limit: '1mb' }));
+
+        app.use((req, res, next) => {
+            console.log(`Mock Vapi: ${req.method} ${req.path}`);
+            next();
+        });
+
+        // Any bearer token works unless MOCK_VAPI_PRIVATE_KEY is set
+        app.use((req, res, next) => {
+            const token = (req.get('authorization') || '').replace(/^Bearer\s+/i, '');
+            if (!token || (this.privateKey && token !== this.privateKey)) {
+                return apiError(res, 401, 'Unauthorized', 'Invalid Key. Hot tip, you may be using the private key instead of the public key, or vice versa.');
+            }
+            next();
+        });
+
+        // Slow or failing upstream, for trying out timeouts, retries and the circuit breaker
+        app.use((req, res, next) => {
+            const respond = () => Math.random() < this.failureRate
+                ? apiError(res, 503, 'Service Unavailable', 'Mock Vapi failure (MOCK_VAPI_FAILURE_RATE)')
+                : next();
+            if (this.latencyMs > 0) setTimeout(respond, this.latencyMs);
+            else respond();
+        });
+
+        app.get('/assistant', (req, res) => {
+            const limit = Math.min(parseInt(req.query.limit) || 100, 1000);
+            res.json([...this.assistants.values()].reverse().slice(0, limit));
+        });
+
+        app.post('/assistant', (req, res) => {
+            const { id, orgId, createdAt, updatedAt, ...fields } = req.body || {};
+            res.status(201).json(this.saveAssistant({ ...fields, id: crypto.randomUUID() }));
+        });
+
+        app.get('/assistant/:id', (req, res) => {
+            const assistant = this.assistants.get(req.params.id);
+            if (!assistant) return apiError(res, 404, 'Not Found', "Couldn't Get Assistant. `assistantId` Not Found.");
+            res.json(assistant);
+        });
+
+        app.patch('/assistant/:id', (req, res) => {
+            if (!this.assistants.has(req.params.id)) {
+                return apiError(res, 404, 'Not Found', "Couldn't Get Assistant. `assistantId` Not Found.");
+            }
+            const { id, orgId, createdAt, updatedAt, ...fields } = req.body || {};
+            res.json(this.saveAssistant({ ...fields, id: req.params.id }));
+        });
+
+        // Web calls get a websocket transport URL on this server; the script starts when it connects
+        app.post('/call', (req, res) => {
+            const body = req.body || {};
+            const type = body.customer?.number && !body.transport ? 'outboundPhoneCall' : 'webCall';
+            const created = this.createCall(body, type);
+            if (created.errors) {
+                return apiError(res, created.status, created.status === 404 ? 'Not Found' : 'Bad Request', created.errors);
+            }
+
+            const { call, conversation } = created;
+            if (type === 'outboundPhoneCall') {
+                this.startPhoneCall(conversation);
+            } else {
+                call.transport.websocketCallUrl = `ws://${req.get('host')}/call/${call.id}/transport`;
+                this.later(CONNECT_TIMEOUT_MS, () => {
+                    if (!conversation.socket) this.endCall(conversation, 'customer-did-not-answer');
+                });
+            }
+            res.status(201).json(call);
+        });
+
+        app.post('/call/phone', (req, res) => {
+            const created = this.createCall(req.body || {}, 'outboundPhoneCall');
+            if (created.errors) {
+                return apiError(res, created.status, created.status === 404 ? 'Not Found' : 'Bad Request', created.errors);
+            }
+            this.startPhoneCall(created.conversation);
+            res.status(201).json(created.call);
+        });
+
+        // Newest first; createdAtGt/createdAtLt page through history like Vapi's cursor
+        app.get('/call', (req, res) => {
+            const { assistantId, createdAtGt, createdAtLt } = req.query;
+            const limit = Math.min(parseInt(req.query.limit) || 100, 1000);
+            const calls = [...this.calls.values()]
+                .filter(call => !assistantId || call.assistantId === assistantId)
+                .filter(call => !createdAtGt || call.createdAt > new Date(createdAtGt).toISOString())
+                .filter(call => !createdAtLt || call.createdAt < new Date(createdAtLt).toISOString())
+                .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+                .slice(0, limit);
+            res.json(calls);
+        });
+
+        app.get('/call/:id', (req, res) => {
+            const call = this.calls.get(req.params.id);
+            if (!call) return apiError(res, 404, 'Not Found', "Couldn't Get Call. `callId` Not Found.");
+            res.json(call);
+        });
+
+        // Vapi deletes the call record; the mock ends a live call and keeps the record so
+        // history and transcripts can still be checked afterwards
+        app.delete('/call/:id', (req, res) => {
+            const call = this.calls.get(req.params.id);
+            if (!call) return apiError(res, 404, 'Not Found', "Couldn't Get Call. `callId` Not Found.");
+
+            const conversation = this.conversations.get(call.id);
+            if (conversation) {
+                conversation.hangUp('customer-ended-call');
+                // Calls that never started have no script loop to finish them
+                if (!conversation.startedAtMs) this.endCall(conversation, 'customer-ended-call');
+            }
+            res.json(call);
+        });
+
+        app.use((req, res) => apiError(res, 404, 'Not Found', `Cannot ${req.method} ${req.path}`));
+
+        return app;
+    }
+
+    // ws://host/call/<id>/transport, one connection per call
+    handleUpgrade(req, socket, head) {
+        const match = new URL(req.url, 'http://localhost').pathname.match(/^\/call\/([^/]+)\/transport$/);
+        const conversation = match && this.conversations.get(decodeURIComponent(match[1]));
+        if (!conversation || conversation.socket || conversation.call.type !== 'webCall') {
+            socket.write('HTTP/1.1 404 Not Found\r\nConnection: close\r\n\r\n');
+            return socket.destroy();
+        }
+
+        this.wss.handleUpgrade(req, socket, head, (ws) => {
+            conversation.attach(ws);
+            console.log(`Mock Vapi: call ${conversation.call.id} connected`);
+            conversation.run().catch(error => console.error(`Mock Vapi: call ${conversation.call.id} failed:`, error));
+        });
+    }
+
+    listen(port = 0) {
+        return new Promise((resolve, reject) => {
+            this.server.once('error', reject);
+            this.server.listen(port, () => {
+                this.port = this.server.address().port;
+                this.baseUrl = `http://localhost:${this.port}`;
+                resolve(this.baseUrl);
+            });
+        });
+    }
+
+    // Hangs up live calls without their webhooks and stops the server
+    close() {
+        for (const timer of this.timers) clearTimeout(timer);
+        this.timers.clear();
+        for (const conversation of this.conversations.values()) {
+            conversation.finished = true;
+            conversation.hangUp('assistant-ended-call');
+        }
+        this.conversations.clear();
+        for (const client of this.wss.clients) client.terminate();
+        this.wss.close();
+        return new Promise(resolve => this.server.close(() => resolve()));
+    }
+}
+
+module.exports = {
+    MockVapiServer,
+    DEFAULT_SCRIPT,
+    NUMBER_OUTCOMES
+};
+
+if (require.main === module) {
+    const port = Number(process.env.MOCK_VAPI_PORT || 4010);
+    const mock = new MockVapiServer({
+        webhookUrl: process.env.MOCK_VAPI_WEBHOOK_URL || `http://localhost:${process.env.PORT || 3000}/api/vapi/webhook`,
+        webhookSecret: process.env.MOCK_VAPI_WEBHOOK_SECRET || process.env.VAPI_WEBHOOK_SECRET || null,
+        privateKey: process.env.MOCK_VAPI_PRIVATE_KEY || null,
+        assistantIds: (process.env.MOCK_VAPI_ASSISTANT_IDS || process.env.VAPI_ASSISTANT_ID || 'mock-assistant')
+            .split(',').map(id => id.trim()).filter(Boolean),
+        speed: Number(process.env.MOCK_VAPI_SPEED || 1),
+        failureRate: Number(process.env.MOCK_VAPI_FAILURE_RATE || 0),
+        latencyMs: Number(process.env.MOCK_VAPI_LATENCY_MS || 0)
+    });
+
+    mock.listen(port).then(baseUrl => {
+        console.log(`Mock Vapi listening on ${baseUrl}`);
+        console.log(`Assistants: ${[...mock.assistants.keys()].join(', ')}`);
+        console.log(`Webhooks go to ${mock.webhookUrl}`);
+        console.log(`Start the app with VAPI_BASE_URL=${baseUrl}`);
+    }).catch(error => {
+        console.error('Failed to start mock Vapi:', error.message);
+        process.exit(1);
+    });
+
+    const shutdown = () => mock.close().then(() => process.exit(0));
+    process.on('SIGINT', shutdown);
+    process.on('SIGTERM', shutdown);
+}
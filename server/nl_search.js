@@ -0,0 +1,380 @@
+// server/nl_search.js - Deterministic natural-language parser for property searches
+// Turns sentences such as "3 bedroom house under 400k in Seattle" into the criteria
+// accepted by /api/search. No model calls: the same text always gives the same criteria.
+
+const WORD_NUMBERS = {
+    zero: 0, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7,
+    eight: 8, nine: 9, ten: 10, eleven: 11, twelve: 12, thirteen: 13, fourteen: 14,
+    fifteen: 15, sixteen: 16, seventeen: 17, eighteen: 18, nineteen: 19, twenty: 20,
+    thirty: 30, forty: 40, fifty: 50, sixty: 60, seventy: 70, eighty: 80, ninety: 90,
+    a: 1, an: 1, single: 1, half: 0.5
+};
+
+const MULTIPLIERS = {
+    k: 1000, thousand: 1000, grand: 1000,
+    m: 1000000, mil: 1000000, million: 1000000
+};
+
+const STATES = {
+    alabama: 'AL', alaska: 'AK', arizona: 'AZ', arkansas: 'AR', california: 'CA',
+    colorado: 'CO', connecticut: 'CT', delaware: 'DE', florida: 'FL', georgia: 'GA',
+    hawaii: 'HI', idaho: 'ID', illinois: 'IL', indiana: 'IN', iowa: 'IA', kansas: 'KS',
+    kentucky: 'KY', louisiana: 'LA', maine: 'ME', maryland: 'MD', massachusetts: 'MA',
+    michigan: 'MI', minnesota: 'MN', mississippi: 'MS', missouri: 'MO', montana: 'MT',
+    nebraska: 'NE', nevada: 'NV', 'new hampshire': 'NH', 'new jersey': 'NJ',
+    'new mexico': 'NM', 'new york': 'NY', 'north carolina': 'NC', 'north dakota': 'ND',
+    ohio: 'OH', oklahoma: 'OK', oregon: 'OR', pennsylvania: 'PA', 'rhode island': 'RI',
+    'south carolina': 'SC', 'south dakota': 'SD', tennessee: 'TN', texas: 'TX', utah: 'UT',
+    vermont: 'VT', virginia: 'VA', washington: 'WA', 'west virginia': 'WV',
+    wisconsin: 'WI', wyoming: 'WY'
+};
+
+const STATE_CODES = new Set(Object.values(STATES));
+
+const PROPERTY_TYPES = [
+    { type: 'townhouse', pattern: /\btown\s?(?:house|home)s?\b/ },
+    { type: 'condo', pattern: /\bcondo(?:minium)?s?\b/ },
+    { type: 'apartment', pattern: /\b(?:apartments?|apts?|flats?)\b/ },
+    { type: 'house', pattern: /\b(?:houses?|single[\s-]family(?: homes?)?)\b/ }
+];
+
+// A money amount: "$400,000", "400k", "1.2 million", "half a million", "four hundred thousand"
+const NUMBER_WORD = Object.keys(WORD_NUMBERS).filter(word => !['a', 'an'].includes(word)).join('|');
+const AMOUNT = `(?:\\$\\s*)?(?:(?:half\\s+)?(?:a|an)\\s+(?:million|thousand)|(?:\\d[\\d,]*(?:\\.\\d+)?|(?:${NUMBER_WORD})(?:[\\s-](?:${NUMBER_WORD}))*)(?:\\s*hundred)?(?:\\s*(?:k|m|mil|thousand|grand|million)\\b)?)`;
+
+// Words that end a place name ("in Seattle under 500k")
+const PLACE_STOP_WORDS = new Set([
+    'under', 'below', 'over', 'above', 'with', 'for', 'that', 'which', 'between',
+    'less', 'more', 'at', 'around', 'about', 'near', 'within', 'and', 'or', 'from',
+    'to', 'up', 'max', 'min', 'priced', 'budget', 'please', 'cheaper', 'than', 'having', 'in',
+    'area', 'region', 'neighborhood'
+]);
+
+const NON_PLACE_WORDS = new Set([
+    'a', 'an', 'my', 'our', 'range', 'price', 'budget', 'mood', 'market', 'meantime', 'future'
+]);
+
+// Convert spoken or written amounts to a number; returns undefined when not an amount
+function parseAmount(text) {
+    if (!text) return undefined;
+    let value = text.toLowerCase().replace(/\$/g, '').replace(/,/g, '').trim();
+
+    // "half a million" -> "0.5 million"
+    value = value.replace(/\bhalf\s+(?:a|an)\s+/, '0.5 ').replace(/\b(?:a|an)\s+(?=million|thousand)/, '1 ');
+
+    const match = value.match(/^([\d.]+|[a-z\s-]+?)\s*(hundred)?\s*(k|m|mil|thousand|grand|million)?$/);
+    if (!match) return undefined;
+
+    let [, base, hundred, multiplier] = match;
+    let number = Number(base);
+
+    if (isNaN(number)) {
+        number = base.trim().split(/[\s-]+/).reduce((total, word) => {
+            if (WORD_NUMBERS[word] === undefined) return NaN;
+            return total + WORD_NUMBERS[word];
+        }, 0);
+    }
+    if (isNaN(number)) return undefined;
+
+    if (hundred) number *= 100;
+    if (multiplier) number *= MULTIPLIERS[multiplier];
+    return number;
+}
+
+// Prices are amounts written with $, k/m, thousand/million or at least 1,000
+function parsePrice(text) {
+    const amount = parseAmount(text);
+    if (amount === undefined) return undefined;
+    const explicit = /\$|k\b|m\b|mil|thousand|grand|million|hundred/.test(text.toLowerCase());
+    return explicit || amount >= 1000 ? Math.round(amount) : undefined;
+}
+
+function parseCount(text) {
+    const value = parseAmount(text);
+    return value !== undefined && value <= 100 ? value : undefined;
+}
+
+function extractPrices(text, criteria) {
+    const range = text.match(new RegExp(`\\b(?:between|from)?\\s*(${AMOUNT})\\s*(?:and|to|-)\\s*(${AMOUNT})`, 'i'));
+    if (range) {
+        const low = parsePrice(range[1]) ?? (parsePrice(range[2]) !== undefined ? scaleLike(range[1], range[2]) : undefined);
+        const high = parsePrice(range[2]);
+        if (low !== undefined && high !== undefined) {
+            criteria.minPrice = Math.min(low, high);
+            criteria.maxPrice = Math.max(low, high);
+            return;
+        }
+    }
+
+    const maxMatch = text.match(new RegExp(`\\b(?:under|below|less than|cheaper than|at most|no more than|up to|max(?:imum)?(?: of)?|budget(?: is| of)?|within)\\s+(${AMOUNT})`, 'i'))
+        || text.match(new RegExp(`(${AMOUNT})\\s+(?:max(?:imum)?|tops|or less|or under)\\b`, 'i'));
+    if (maxMatch) {
+        const price = parsePrice(maxMatch[1]);
+        if (price !== undefined) criteria.maxPrice = price;
+    }
+
+    const minMatch = text.match(new RegExp(`\\b(?:over|above|more than|at least|starting at|min(?:imum)?(?: of)?)\\s+(${AMOUNT})`, 'i'));
+    if (minMatch) {
+        const price = parsePrice(minMatch[1]);
+        if (price !== undefined) criteria.minPrice = price;
+    }
+
+    const aroundMatch = text.match(new RegExp(`\\b(?:around|about|roughly|approximately)\\s+(${AMOUNT})`, 'i'))
+        || text.match(new RegExp(`\\bin the\\s+(${AMOUNT})\\s+range\\b`, 'i'));
+    if (aroundMatch && criteria.minPrice === undefined && criteria.maxPrice === undefined) {
+        const price = parsePrice(aroundMatch[1]);
+        if (price !== undefined) {
+            criteria.minPrice = Math.round(price * 0.9);
+            criteria.maxPrice = Math.round(price * 1.1);
+        }
+    }
+}
+
+// "between 300 and 400k": the first amount borrows the second one's unit
+function scaleLike(bare, withUnit) {
+    const unit = withUnit.toLowerCase().match(/(k|m|mil|thousand|grand|million)\b/);
+    return unit ? parseAmount(`${bare} ${unit[1]}`) : undefined;
+}
+
+const COUNT = `(\\d+(?:\\.5)?|${NUMBER_WORD})`;
+
+// Remove a matched phrase so later extractors (prices) do not read it again
+function consume(text, match) {
+    return text.slice(0, match.index) + ' ' + text.slice(match.index + match[0].length);
+}
+
+// Bedrooms/bathrooms: "3 bed" means at least 3; "exactly 3", "3 to 4" and "up to 2" narrow it
+function extractRoomCount(text, criteria, unit, { exact, min, max }) {
+    const range = text.match(new RegExp(`\\b${COUNT}\\s*(?:to|-|or)\\s*${COUNT}\\s*(?:${unit})\\b`, 'i'));
+    if (range) {
+        const low = parseCount(range[1]);
+        const high = parseCount(range[2]);
+        if (low !== undefined && high !== undefined) {
+            criteria[min] = Math.min(low, high);
+            criteria[max] = Math.max(low, high);
+            return consume(text, range);
+        }
+    }
+
+    const single = text.match(new RegExp(`\\b(exactly|only|just|at least|at most|up to|no more than|max(?:imum)?|min(?:imum)?)?\\s*${COUNT}\\s*(\\+|or more|plus)?\\s*(?:-\\s*)?(?:${unit})\\b`, 'i'));
+    if (!single) return text;
+
+    const count = parseCount(single[2]);
+    if (count === undefined) return text;
+
+    const qualifier = (single[1] || '').toLowerCase();
+    if (['exactly', 'only', 'just'].includes(qualifier)) {
+        criteria[exact] = count;
+    } else if (['at most', 'up to', 'no more than'].includes(qualifier) || qualifier.startsWith('max')) {
+        criteria[max] = count;
+    } else {
+        criteria[min] = count;
+    }
+    return consume(text, single);
+}
+
+function extractRooms(text, criteria) {
+    let remaining = extractRoomCount(text, criteria, 'bed(?:room)?s?|br|bds?', {
+        exact: 'bedrooms', min: 'minBedrooms', max: 'maxBedrooms'
+    });
+    if (criteria.minBedrooms === undefined && criteria.maxBedrooms === undefined &&
+        criteria.bedrooms === undefined && /\bstudio\b/i.test(remaining)) {
+        criteria.bedrooms = 0;
+    }
+
+    remaining = extractRoomCount(remaining, criteria, 'bath(?:room)?s?|ba', {
+        exact: 'bathrooms', min: 'minBathrooms', max: 'maxBathrooms'
+    });
+    return remaining;
+}
+
+const SQUARE_FEET = '(?:sq(?:uare)?\\.?\\s*(?:ft|feet|foot)\\.?|sqft|square\\s+feet)';
+
+// A size in digits ("1,450", "2.5k") or words ("twenty five hundred", "two thousand"); word
+// forms that join several parts ("two thousand five hundred") are not read
+const SIZE = `(?:\\d[\\d,]*(?:\\.\\d+)?\\s*k?|(?:${NUMBER_WORD})(?:[\\s-](?:${NUMBER_WORD}))*(?:\\s+hundred)?(?:\\s+thousand)?)`;
+
+function extractSquareFeet(text, criteria) {
+    let remaining = text;
+
+    const range = remaining.match(new RegExp(`\\b(?:between\\s+)?(\\d[\\d,]*)\\s*(?:and|to|-)\\s*(\\d[\\d,]*)\\s*${SQUARE_FEET}`, 'i'));
+    if (range) {
+        criteria.minSquareFeet = parseAmount(range[1]);
+        criteria.maxSquareFeet = parseAmount(range[2]);
+        return consume(remaining, range);
+    }
+
+    const match = remaining.match(new RegExp(`\\b(under|below|less than|at most|up to|no more than|over|above|more than|at least|bigger than|larger than)?\\s*(${SIZE})\\s*(\\+)?\\s*${SQUARE_FEET}`, 'i'));
+    if (match) {
+        const size = parseAmount(match[2]);
+        const qualifier = (match[1] || '').toLowerCase();
+        if (size !== undefined) {
+            if (/under|below|less|at most|up to|no more/.test(qualifier)) {
+                criteria.maxSquareFeet = size;
+            } else {
+                criteria.minSquareFeet = size;
+            }
+            remaining = consume(remaining, match);
+        }
+    }
+    return remaining;
+}
+
+function extractYearBuilt(text, criteria) {
+    let remaining = text;
+
+    // "after 1990" excludes 1990 itself; "since 1990" and "1990 or newer" include it
+    const after = remaining.match(/\b(?:built|constructed)?\s*(after|since|newer than)\s+((?:18|19|20)\d{2})\b/i);
+    const orNewer = remaining.match(/\b((?:18|19|20)\d{2})\s+or\s+newer\b/i);
+    if (after) {
+        const year = Number(after[2]);
+        criteria.minYearBuilt = after[1].toLowerCase() === 'since' ? year : year + 1;
+        remaining = consume(remaining, after);
+    } else if (orNewer) {
+        criteria.minYearBuilt = Number(orNewer[1]);
+        remaining = consume(remaining, orNewer);
+    }
+
+    const before = remaining.match(/\b(?:built|constructed)?\s*(?:before|older than|prior to)\s+((?:18|19|20)\d{2})\b/i);
+    if (before) {
+        criteria.maxYearBuilt = Number(before[1]) - 1;
+        remaining = consume(remaining, before);
+    }
+
+    const builtIn = remaining.match(/\bbuilt\s+in\s+((?:18|19|20)\d{2})\b/i);
+    if (builtIn) {
+        criteria.minYearBuilt = Number(builtIn[1]);
+        criteria.maxYearBuilt = Number(builtIn[1]);
+        remaining = consume(remaining, builtIn);
+    }
+
+    return remaining;
+}
+
+function extractPropertyType(text, criteria) {
+    const lower = text.toLowerCase();
+    const found = PROPERTY_TYPES.find(({ pattern }) => pattern.test(lower));
+    if (found) criteria.propertyType = found.type;
+}
+
+function titleCase(words) {
+    return words.map(word => word.charAt(0).toUpperCase() + word.slice(1).toLowerCase()).join(' ');
+}
+
+// A state code after a comma ("Portland, OR"); one that is also a stop word ("or", "in")
+// only counts when written in capitals
+function readStateCode(word) {
+    const code = word.toUpperCase();
+    if (word.length !== 2 || !STATE_CODES.has(code)) return null;
+    return PLACE_STOP_WORDS.has(word.toLowerCase()) && word !== code ? null : code;
+}
+
+// Read a place name from the words after "in"/"near"; returns null when it is not one
+function readPlace(phrase) {
+    const words = [];
+    let stateCode = null;
+    let afterComma = false;
+    for (const raw of phrase.replace(/^the\s+/i, '').split(/\s+/)) {
+        const word = raw.replace(/[.,!?]$/, '');
+        if (afterComma && words.length > 0) {
+            stateCode = readStateCode(word);
+            if (stateCode) break;
+        }
+        if (!word || PLACE_STOP_WORDS.has(word.toLowerCase()) || /\d/.test(word)) break;
+        words.push(word);
+        if (/[.!?]$/.test(raw)) break;
+        afterComma = raw.endsWith(',');
+    }
+    if (words.length === 0 || NON_PLACE_WORDS.has(words[0].toLowerCase())) return null;
+    if (stateCode) {
+        return words.length > 4 ? null : { city: titleCase(words), state: stateCode };
+    }
+
+    const place = {};
+
+    // Trailing state code or state name ("Seattle WA", "Austin, Texas")
+    const last = words[words.length - 1];
+    const lastTwo = words.slice(-2).join(' ').toLowerCase();
+    if (words.length > 2 && STATES[lastTwo]) {
+        place.state = STATES[lastTwo];
+        words.splice(-2);
+    } else if (words.length > 1 && last.length === 2 && STATE_CODES.has(last.toUpperCase())) {
+        place.state = last.toUpperCase();
+        words.pop();
+    } else if (words.length > 1 && STATES[last.toLowerCase()]) {
+        place.state = STATES[last.toLowerCase()];
+        words.pop();
+    } else if (words.length === 1 && STATES[last.toLowerCase()] && last.toLowerCase() !== 'washington') {
+        // "in Texas" names a state, not a city ("Washington" is ambiguous, so treat it as a city)
+        return { state: STATES[last.toLowerCase()] };
+    }
+
+    if (words.length > 4) return null;
+    place.city = titleCase(words);
+    return place;
+}
+
+function extractLocation(text, criteria) {
+    for (const match of text.matchAll(/\b(?:in|near)\s+([a-z][a-z.'\s,!?-]*)/gi)) {
+        const place = readPlace(match[1]);
+        if (place) {
+            Object.assign(criteria, place);
+            return;
+        }
+    }
+}
+
+// "within 5 miles of downtown Bellevue" and "near 98004" become a radius search;
+// the place is resolved against the gazetteer by the caller
+function extractNear(text, criteria) {
+    let remaining = text;
+
+    const radius = remaining.match(new RegExp(`\\bwithin\\s+(\\d+(?:\\.\\d+)?|${NUMBER_WORD})\\s*(?:mi|miles?)\\s+(?:of|from)\\s+`, 'i'));
+    if (radius) {
+        const after = remaining.slice(radius.index + radius[0].length);
+        const zip = after.match(/^(\d{5})\b/);
+        const place = zip ? null : readPlace(after);
+        const miles = parseAmount(radius[1]);
+
+        if ((zip || place?.city) && miles !== undefined) {
+            criteria.near = zip ? zip[1] : [place.city, place.state].filter(Boolean).join(', ');
+            criteria.radiusMiles = miles;
+            remaining = consume(remaining, zip ? { index: radius.index, 0: radius[0] + zip[0] } : radius);
+            return remaining;
+        }
+    }
+
+    const zip = remaining.match(/\b(?:in|near|around)\s+(\d{5})\b/i);
+    if (zip) {
+        criteria.near = zip[1];
+        remaining = consume(remaining, zip);
+    }
+
+    return remaining;
+}
+
+// Parse free text into search criteria
+function parseSearchQuery(text) {
+    const criteria = {};
+    if (!text || typeof text !== 'string') return criteria;
+
+    // Remove commas inside numbers first so "$400,000" reads as one amount
+    const normalized = text.replace(/(\d),(?=\d{3}\b)/g, '$1').replace(/\s+/g, ' ').trim();
+
+    // Distances, sizes, years and room counts go first and are removed so they are never read as prices
+    let remaining = extractNear(normalized, criteria);
+    remaining = extractSquareFeet(remaining, criteria);
+    remaining = extractYearBuilt(remaining, criteria);
+    remaining = extractRooms(remaining, criteria);
+    extractPropertyType(remaining, criteria);
+    extractPrices(remaining, criteria);
+    if (!criteria.near) extractLocation(remaining, criteria);
+
+    return criteria;
+}
+
+module.exports = {
+    parseSearchQuery,
+    parseAmount,
+    parsePrice
+};
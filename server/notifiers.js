@@ -0,0 +1,73 @@
+// server/notifiers.js - Delivery of "new match" alerts for saved searches
+// A notifier is any object with notify({ search, alerts }). Swap in email/SMS
+// delivery by adding another class here; ALERT_NOTIFIER picks the one to use.
+const fs = require('fs');
+const path = require('path');
+const { dataFile } = require('./json_store');
+
+function describeAlert(alert) {
+    const property = alert.property || {};
+    const price = property.price ? `$${Number(property.price).toLocaleString()}` : 'price n/a';
+    return `${property.address || property.id}, ${property.city || ''} (${price})`;
+}
+
+// Logs alerts to stdout; the default so nothing is lost in development
+class ConsoleNotifier {
+    constructor() {
+        this.name = 'console';
+    }
+
+    async notify({ search, alerts }) {
+        const contact = search.contact.name || search.contact.phone || search.contact.email;
+        console.log(`🔔 ${alerts.length} new match(es) for "${search.name}" (${contact}):`);
+        alerts.forEach(alert => console.log(`   - ${describeAlert(alert)}`));
+    }
+}
+
+// Appends one JSON line per alert, standing in for a real delivery channel
+class FileNotifier {
+    constructor(filePath = dataFile('alerts.log')) {
+        this.name = 'file';
+        this.filePath = filePath;
+    }
+
+    async notify({ search, alerts }) {
+        fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+        const lines = alerts.map(alert => JSON.stringify({
+            ...alert,
+            contact: search.contact,
+            deliveredAt: new Date().toISOString()
+        }));
+        await fs.promises.appendFile(this.filePath, lines.join('\n') + '\n');
+    }
+}
+
+// Keeps alerts in the UI only
+class NullNotifier {
+    constructor() {
+        this.name = 'none';
+    }
+
+    async notify() {}
+}
+
+const NOTIFIERS = {
+    console: () => new ConsoleNotifier(),
+    file: () => new FileNotifier(process.env.ALERT_LOG_FILE || undefined),
+    none: () => new NullNotifier()
+};
+
+function createNotifier({ type = process.env.ALERT_NOTIFIER || 'console' } = {}) {
+    const factory = NOTIFIERS[type];
+    if (!factory) {
+        throw new Error(`Unknown ALERT_NOTIFIER "${type}" (use ${Object.keys(NOTIFIERS).join(', ')})`);
+    }
+    return factory();
+}
+
+module.exports = {
+    ConsoleNotifier,
+    FileNotifier,
+    NullNotifier,
+    createNotifier
+};
@@ -0,0 +1,111 @@
+// server/property_import.js - Bulk listing import from CSV or JSON rows
+// Every row is validated and checked for duplicates by address before anything is
+// written, and a dry run reports exactly what a real import would do.
+const { parseCsv } = require('./csv');
+const { normalizeProperty, validateProperty, addressKey } = require('./property_schema');
+
+const MAX_IMPORT_ROWS = 5000;
+const DUPLICATE_ACTIONS = ['update', 'skip'];
+
+// Turn a request body into rows: CSV text, a JSON array, or { properties: [...] }
+function parseImportBody(body, contentType = '') {
+    if (typeof body === 'string' || Buffer.isBuffer(body)) {
+        const text = body.toString('utf8');
+        if (/json/i.test(contentType) || /^\s*[[{]/.test(text)) {
+            return parseImportBody(JSON.parse(text));
+        }
+        return parseCsv(text);
+    }
+    if (Array.isArray(body)) return body;
+    if (body && typeof body.csv === 'string') return parseCsv(body.csv);
+    if (body && Array.isArray(body.properties)) return body.properties;
+
+    throw new Error('Send CSV text, a JSON array of listings, or { "properties": [...] }');
+}
+
+// rows: plain objects; row numbers in the report are 1-based positions in the input
+async function importProperties({ repository, rows, dryRun = false, onDuplicate = 'update' }) {
+    const report = {
+        dryRun,
+        total: rows.length,
+        created: 0,
+        updated: 0,
+        skipped: 0,
+        errors: [],
+        duplicates: [],
+        ignoredFields: [],
+        rows: []
+    };
+    const seen = new Map();
+    const ignored = new Set();
+
+    for (const [index, input] of rows.entries()) {
+        const row = index + 1;
+
+        if (!input || typeof input !== 'object' || Array.isArray(input)) {
+            report.skipped++;
+            report.errors.push({ row, errors: ['Row is not an object'] });
+            report.rows.push({ row, action: 'skip' });
+            continue;
+        }
+
+        const { property, unknown } = normalizeProperty(input);
+        unknown.forEach(name => ignored.add(name));
+
+        const errors = validateProperty(property);
+        if (errors.length > 0) {
+            report.skipped++;
+            report.errors.push({ row, address: property.address || null, errors });
+            report.rows.push({ row, action: 'skip', address: property.address || null });
+            continue;
+        }
+
+        // Same address twice in one file: the first row wins
+        const key = addressKey(property);
+        if (seen.has(key)) {
+            report.skipped++;
+            report.duplicates.push({ row, address: property.address, duplicateOfRow: seen.get(key) });
+            report.rows.push({ row, action: 'skip', address: property.address });
+            continue;
+        }
+        seen.set(key, row);
+
+        try {
+            const existing = await repository.findByAddress(property);
+
+            if (existing) {
+                report.duplicates.push({ row, address: property.address, existingId: existing.id });
+                if (onDuplicate === 'skip') {
+                    report.skipped++;
+                    report.rows.push({ row, action: 'skip', address: property.address, id: existing.id });
+                    continue;
+                }
+                // Blank cells mean "not in this file", not "clear this field"
+                const changes = Object.fromEntries(Object.entries(property)
+                    .filter(([, value]) => value !== null && value !== undefined));
+                if (!dryRun) await repository.update(existing.id, changes);
+                report.updated++;
+                report.rows.push({ row, action: 'update', address: property.address, id: existing.id });
+            } else {
+                const created = dryRun ? null : await repository.create(property);
+                report.created++;
+                report.rows.push({ row, action: 'create', address: property.address, id: created?.id || null });
+            }
+        } catch (error) {
+            console.error(`Import row ${row} failed:`, error.message);
+            report.skipped++;
+            report.errors.push({ row, address: property.address, errors: [error.message] });
+            report.rows.push({ row, action: 'skip', address: property.address });
+        }
+    }
+
+    report.ignoredFields = [...ignored];
+    return report;
+}
+
+module.exports = {
+    MAX_IMPORT_ROWS,
+    DUPLICATE_ACTIONS,
+    parseImportBody,
+    importProperties
+};
@@ -0,0 +1,138 @@
+// server/property_schema.js - Listing fields accepted by the property management API and imports
+
+const PROPERTY_TYPES = ['house', 'condo', 'townhouse', 'apartment'];
+// Listings without a status are treated as active
+const PROPERTY_STATUSES = ['active', 'pending', 'sold', 'off_market'];
+
+// Field -> rules; numbers arriving as strings (CSV, forms) are coerced first
+const PROPERTY_FIELDS = {
+    address: { type: 'string', required: true, maxLength: 200 },
+    city: { type: 'string', maxLength: 100 },
+    state: { type: 'string', maxLength: 50 },
+    zip_code: { type: 'string', maxLength: 10 },
+    price: { type: 'number', required: true, min: 1, max: 1000000000 },
+    bedrooms: { type: 'number', integer: true, min: 0, max: 50 },
+    bathrooms: { type: 'number', min: 0, max: 50 },
+    square_feet: { type: 'number', integer: true, min: 1, max: 1000000 },
+    lot_size: { type: 'number', integer: true, min: 0, max: 100000000 },
+    year_built: { type: 'number', integer: true, min: 1700, max: 2100 },
+    property_type: { type: 'string', enum: PROPERTY_TYPES },
+    status: { type: 'string', enum: PROPERTY_STATUSES },
+    description: { type: 'string', maxLength: 5000 },
+    // Feed identifier (RESO ListingKey) for listings that come from an MLS feed
+    listing_key: { type: 'string', maxLength: 100 },
+    latitude: { type: 'number', min: -90, max: 90 },
+    longitude: { type: 'number', min: -180, max: 180 }
+};
+
+// Common alternative names, mostly seen as CSV headers
+const FIELD_ALIASES = {
+    beds: 'bedrooms',
+    baths: 'bathrooms',
+    sqft: 'square_feet',
+    squarefeet: 'square_feet',
+    zip: 'zip_code',
+    zipcode: 'zip_code',
+    type: 'property_type',
+    propertytype: 'property_type',
+    yearbuilt: 'year_built',
+    lotsize: 'lot_size',
+    lat: 'latitude',
+    lng: 'longitude',
+    lon: 'longitude',
+    listingkey: 'listing_key'
+};
+
+function canonicalField(name) {
+    const key = String(name).trim().toLowerCase().replace(/[\s-]+/g, '_');
+    if (PROPERTY_FIELDS[key]) return key;
+    return FIELD_ALIASES[key.replace(/_/g, '')] || null;
+}
+
+// Map input to known fields, trimming strings and coercing numbers.
+// Blank values become null so PATCH/PUT can clear optional fields.
+function normalizeProperty(input = {}) {
+    const property = {};
+    const unknown = [];
+
+    for (const [name, raw] of Object.entries(input)) {
+        const field = canonicalField(name);
+        if (!field) {
+            if (name !== 'id') unknown.push(name);
+            continue;
+        }
+
+        const rules = PROPERTY_FIELDS[field];
+        let value = typeof raw === 'string' ? raw.trim() : raw;
+        if (value === '' || value === undefined) value = null;
+
+        if (value !== null && rules.type === 'number' && typeof value === 'string') {
+            const cleaned = value.replace(/[$,\s]/g, '');
+            value = cleaned === '' || isNaN(cleaned) ? value : Number(cleaned);
+        }
+        if (value !== null && rules.enum && typeof value === 'string') {
+            value = value.toLowerCase().replace(/[\s-]+/g, '_');
+        }
+        if (field === 'state' && typeof value === 'string' && value.length === 2) {
+            value = value.toUpperCase();
+        }
+
+        property[field] = value;
+    }
+
+    return { property, unknown };
+}
+
+// partial = true for PATCH, where only the given fields are checked
+function validateProperty(property, { partial = false } = {}) {
+    const errors = [];
+
+    for (const [field, rules] of Object.entries(PROPERTY_FIELDS)) {
+        const value = property[field];
+
+        if (value === undefined || value === null) {
+            if (rules.required && (!partial || value === null)) {
+                errors.push(`${field} is required`);
+            }
+            continue;
+        }
+
+        if (rules.type === 'number') {
+            if (typeof value !== 'number' || !Number.isFinite(value)) {
+                errors.push(`${field} must be a number`);
+            } else if (rules.integer && !Number.isInteger(value)) {
+                errors.push(`${field} must be a whole number`);
+            } else if ((rules.min !== undefined && value < rules.min) || (rules.max !== undefined && value > rules.max)) {
+                errors.push(`${field} must be between ${rules.min} and ${rules.max}`);
+            }
+        } else if (typeof value !== 'string') {
+            errors.push(`${field} must be text`);
+        } else if (rules.enum && !rules.enum.includes(value)) {
+            errors.push(`${field} must be one of ${rules.enum.join(', ')}`);
+        } else if (rules.maxLength && value.length > rules.maxLength) {
+            errors.push(`${field} is too long (max ${rules.maxLength} characters)`);
+        }
+    }
+
+    return errors;
+}
+
+// Key used to spot the same listing twice: address plus city, ignoring case and punctuation
+function addressKey(property) {
+    const clean = (text) => String(text || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+    return `${clean(property.address)}|${clean(property.city)}`;
+}
+
+function isActiveListing(property) {
+    return !property.status || property.status === 'active';
+}
+
+module.exports = {
+    PROPERTY_TYPES,
+    PROPERTY_STATUSES,
+    PROPERTY_FIELDS,
+    normalizeProperty,
+    validateProperty,
+    addressKey,
+    isActiveListing
+};
@@ -0,0 +1,375 @@
+// server/property_search.js - Shared property search logic
+// Used by the /api/search route and by the voice assistant tools so both
+// apply the same validation and query rules.
+const {
+    DEFAULT_RADIUS_MILES,
+    MAX_RADIUS_MILES,
+    haversineMiles,
+    boundingBoxForRadius,
+    isInBounds,
+    roundMiles
+} = require('./geo');
+const { PROPERTY_STATUSES } = require('./property_schema');
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+// sortBy value -> column and default direction
+const SORT_FIELDS = {
+    price: { column: 'price', direction: 'asc' },
+    bedrooms: { column: 'bedrooms', direction: 'desc' },
+    square_feet: { column: 'square_feet', direction: 'desc' },
+    newest: { column: 'created_at', direction: 'desc' },
+    // Only available for location searches; distance_miles is computed per result
+    distance: { column: 'distance_miles', direction: 'asc' }
+};
+
+const DEFAULT_SORT = 'newest';
+
+// Numeric min/max criteria and the column each one filters
+const RANGE_FILTERS = [
+    { min: 'minPrice', max: 'maxPrice', column: 'price', label: 'price', upper: Infinity },
+    { min: 'minBedrooms', max: 'maxBedrooms', column: 'bedrooms', label: 'bedrooms', upper: 10 },
+    { min: 'minBathrooms', max: 'maxBathrooms', column: 'bathrooms', label: 'bathrooms', upper: 20 },
+    { min: 'minSquareFeet', max: 'maxSquareFeet', column: 'square_feet', label: 'square feet', upper: 100000 },
+    { min: 'minLotSize', max: 'maxLotSize', column: 'lot_size', label: 'lot size', upper: 100000000 },
+    { min: 'minYearBuilt', max: 'maxYearBuilt', column: 'year_built', label: 'year built', lower: 1700, upper: 2100 }
+];
+
+// Criteria that must be numbers (exact bedrooms/bathrooms plus every range bound)
+const NUMERIC_CRITERIA = [
+    'bedrooms',
+    'bathrooms',
+    'latitude',
+    'longitude',
+    'radiusMiles',
+    ...RANGE_FILTERS.flatMap(filter => [filter.min, filter.max])
+];
+
+// A number, or text that is one ("500000"); null, '', booleans and arrays are not
+function isFiniteNumber(value) {
+    if (typeof value === 'number') return Number.isFinite(value);
+    return typeof value === 'string' && value.trim() !== '' && Number.isFinite(Number(value));
+}
+
+// Validate search criteria, returning a list of human-readable errors
+function validateSearchCriteria(criteria) {
+    const { bedrooms, bathrooms } = criteria;
+
+    const errors = [];
+    for (const { min, max, label, lower = 0, upper } of RANGE_FILTERS) {
+        const outOfRange = value => !isFiniteNumber(value) || value < lower || value > upper;
+
+        if (criteria[min] !== undefined && outOfRange(criteria[min])) {
+            errors.push(`Invalid minimum ${label}`);
+        }
+        if (criteria[max] !== undefined && outOfRange(criteria[max])) {
+            errors.push(`Invalid maximum ${label}`);
+        }
+        if (criteria[min] !== undefined && criteria[max] !== undefined &&
+            Number(criteria[min]) > Number(criteria[max])) {
+            errors.push(`Minimum ${label} cannot be greater than maximum ${label}`);
+        }
+    }
+    if (bedrooms !== undefined && (!isFiniteNumber(bedrooms) || bedrooms < 0 || bedrooms > 10)) {
+        errors.push('Invalid number of bedrooms');
+    }
+    if (bathrooms !== undefined && (!isFiniteNumber(bathrooms) || bathrooms < 0 || bathrooms > 20)) {
+        errors.push('Invalid number of bathrooms');
+    }
+
+    if (criteria.status !== undefined && criteria.status !== 'any' && !PROPERTY_STATUSES.includes(criteria.status)) {
+        errors.push(`Invalid status (use ${PROPERTY_STATUSES.join(', ')} or any)`);
+    }
+
+    return errors.concat(validateGeoCriteria(criteria));
+}
+
+const isCoordinate = (value, limit) => isFiniteNumber(value) && Math.abs(Number(value)) <= limit;
+
+// Center point + radius and bounding box checks
+function validateGeoCriteria(criteria) {
+    const { latitude, longitude, radiusMiles, bounds } = criteria;
+    const errors = [];
+    const hasCenter = latitude !== undefined || longitude !== undefined;
+
+    if (hasCenter && !(isCoordinate(latitude, 90) && isCoordinate(longitude, 180))) {
+        errors.push('Invalid center point (latitude -90 to 90 and longitude -180 to 180 are both required)');
+    }
+    if (radiusMiles !== undefined) {
+        if (!isFiniteNumber(radiusMiles) || radiusMiles <= 0 || radiusMiles > MAX_RADIUS_MILES) {
+            errors.push(`Invalid radius (0-${MAX_RADIUS_MILES} miles)`);
+        } else if (!hasCenter && criteria.near === undefined) {
+            errors.push('Radius requires a center point or a place to search near');
+        }
+    }
+    if (bounds !== undefined) {
+        const { north, south, east, west } = bounds || {};
+        if (!isCoordinate(north, 90) || !isCoordinate(south, 90) ||
+            !isCoordinate(east, 180) || !isCoordinate(west, 180)) {
+            errors.push('Invalid bounding box (north, south, east and west are required)');
+        } else if (Number(south) > Number(north) || Number(west) > Number(east)) {
+            errors.push('Invalid bounding box (south must be below north and west left of east)');
+        }
+    }
+
+    return errors;
+}
+
+// Turn a "near" place name or ZIP into a center point using the gazetteer
+function resolveNearCriteria(criteria, gazetteer) {
+    const { near, ...rest } = criteria;
+    if (near === undefined || near === null || near === '') {
+        return { criteria: rest, errors: [], location: null };
+    }
+
+    const place = gazetteer.resolve(String(near));
+    if (!place) {
+        return { criteria: rest, errors: [`Unknown location: ${near}`], location: null };
+    }
+
+    return {
+        criteria: {
+            ...rest,
+            latitude: place.latitude,
+            longitude: place.longitude,
+            radiusMiles: rest.radiusMiles ?? DEFAULT_RADIUS_MILES
+        },
+        errors: [],
+        location: place
+    };
+}
+
+// Resolve validated geo criteria to { center, radiusMiles, bounds }, or null if none
+function buildGeoFilter(criteria) {
+    const { latitude, longitude, radiusMiles, bounds } = criteria;
+    const hasCenter = latitude !== undefined && longitude !== undefined;
+    if (!hasCenter && !bounds) return null;
+
+    const box = bounds && {
+        north: Number(bounds.north),
+        south: Number(bounds.south),
+        east: Number(bounds.east),
+        west: Number(bounds.west)
+    };
+    const center = hasCenter
+        ? { latitude: Number(latitude), longitude: Number(longitude) }
+        : { latitude: (box.north + box.south) / 2, longitude: (box.east + box.west) / 2 };
+    const radius = hasCenter ? Number(radiusMiles ?? DEFAULT_RADIUS_MILES) : null;
+
+    return {
+        center,
+        radiusMiles: radius,
+        bounds: box || boundingBoxForRadius(center, radius)
+    };
+}
+
+// Keep listings inside the area and attach distance_miles from the center
+function applyGeoFilter(properties, geo) {
+    const results = [];
+    for (const property of properties) {
+        if (property.latitude == null || property.longitude == null) continue;
+
+        const point = { latitude: Number(property.latitude), longitude: Number(property.longitude) };
+        if (!isInBounds(point, geo.bounds)) continue;
+
+        const distance = haversineMiles(geo.center, point);
+        if (geo.radiusMiles !== null && distance > geo.radiusMiles) continue;
+
+        results.push({ ...property, distance_miles: roundMiles(distance) });
+    }
+    return results;
+}
+
+// Validate paging and sorting options, returning a list of human-readable errors
+function validateSearchOptions(options = {}, criteria = {}) {
+    const { page, pageSize, sortBy, sortDirection, facets } = options;
+
+    const errors = [];
+    if (page !== undefined && (!Number.isInteger(Number(page)) || Number(page) < 1)) {
+        errors.push('Invalid page number');
+    }
+    if (pageSize !== undefined && (!Number.isInteger(Number(pageSize)) || Number(pageSize) < 1 || Number(pageSize) > MAX_PAGE_SIZE)) {
+        errors.push(`Invalid page size (1-${MAX_PAGE_SIZE})`);
+    }
+    if (sortBy !== undefined && !SORT_FIELDS[sortBy]) {
+        errors.push(`Invalid sort field (use ${Object.keys(SORT_FIELDS).join(', ')})`);
+    }
+    if (sortBy === 'distance' && !buildGeoFilter(criteria)) {
+        errors.push('Sorting by distance requires a location');
+    }
+    if (sortDirection !== undefined && !['asc', 'desc'].includes(sortDirection)) {
+        errors.push('Invalid sort direction (use asc or desc)');
+    }
+    if (facets !== undefined && typeof facets !== 'boolean') {
+        errors.push('facets must be true or false');
+    }
+
+    return errors;
+}
+
+// Fill in defaults and resolve the sort column; assumes options were validated.
+// Location searches sort nearest first unless another order is requested. Facets count
+// every match, so they are only built when asked for.
+function normalizeSearchOptions(options = {}, geo = null) {
+    const sortBy = options.sortBy || (geo ? 'distance' : DEFAULT_SORT);
+    const sort = SORT_FIELDS[sortBy];
+    const sortDirection = options.sortDirection || sort.direction;
+    const page = Number(options.page) || 1;
+    const pageSize = Number(options.pageSize) || DEFAULT_PAGE_SIZE;
+
+    return {
+        page,
+        pageSize,
+        offset: (page - 1) * pageSize,
+        sortBy,
+        sortDirection,
+        sortColumn: sort.column,
+        ascending: sortDirection === 'asc',
+        facets: options.facets === true
+    };
+}
+
+// Comparator for the local repositories; missing values sort last, id breaks ties
+function compareProperties(column, ascending) {
+    return (a, b) => {
+        const left = a[column];
+        const right = b[column];
+        if (left === right || (left == null && right == null)) {
+            return String(a.id).localeCompare(String(b.id));
+        }
+        if (left == null) return 1;
+        if (right == null) return -1;
+        const order = left < right ? -1 : 1;
+        return ascending ? order : -order;
+    };
+}
+
+function bedroomBucket(bedrooms) {
+    if (bedrooms == null || isNaN(bedrooms)) return 'unknown';
+    return bedrooms >= 5 ? '5+' : String(bedrooms);
+}
+
+// Facet counts over every matching listing (not just the current page)
+function buildFacets(properties) {
+    const facets = { propertyType: {}, bedrooms: {}, city: {} };
+    const increment = (counts, key) => {
+        counts[key] = (counts[key] || 0) + 1;
+    };
+
+    for (const property of properties) {
+        increment(facets.propertyType, property.property_type || 'unknown');
+        increment(facets.bedrooms, bedroomBucket(property.bedrooms));
+        increment(facets.city, property.city || 'unknown');
+    }
+
+    return facets;
+}
+
+// Assemble the paged result every repository returns
+function buildSearchResult(properties, total, facets, options) {
+    return {
+        properties,
+        total,
+        page: options.page,
+        pageSize: options.pageSize,
+        totalPages: Math.ceil(total / options.pageSize),
+        sortBy: options.sortBy,
+        sortDirection: options.sortDirection,
+        facets
+    };
+}
+
+// Case-insensitive substring match, mirroring ilike '%value%'
+function containsText(value, search) {
+    return String(value || '').toLowerCase().includes(String(search).toLowerCase());
+}
+
+// Listing status a search is limited to: 'active' unless asked otherwise ('any' = no filter)
+function statusFilter(criteria) {
+    return criteria.status || 'active';
+}
+
+function matchesStatus(property, status) {
+    if (status === 'any') return true;
+    if (status === 'active') return !property.status || property.status === 'active';
+    return property.status === status;
+}
+
+// Apply search criteria to a single listing (used by the local repositories)
+function matchesCriteria(property, criteria) {
+    const { bedrooms, bathrooms, city, state, propertyType } = criteria;
+
+    for (const { min, max, column } of RANGE_FILTERS) {
+        if (criteria[min] !== undefined && !(property[column] >= Number(criteria[min]))) return false;
+        if (criteria[max] !== undefined && !(property[column] <= Number(criteria[max]))) return false;
+    }
+    if (bedrooms !== undefined && property.bedrooms !== Number(bedrooms)) return false;
+    if (bathrooms !== undefined && property.bathrooms !== Number(bathrooms)) return false;
+    if (city && !containsText(property.city, city)) return false;
+    if (state && !containsText(property.state, state)) return false;
+    if (propertyType && property.property_type !== propertyType) return false;
+    return matchesStatus(property, statusFilter(criteria));
+}
+
+// Turn a price into something a voice assistant can say naturally
+function formatSpokenPrice(price) {
+    if (price === undefined || price === null || isNaN(price)) {
+        return 'an unlisted price';
+    }
+    if (price >= 1000000) {
+        const millions = Math.round(price / 100000) / 10;
+        return `${millions} million dollars`;
+    }
+    if (price >= 1000) {
+        return `${Math.round(price / 1000)} thousand dollars`;
+    }
+    return `${price} dollars`;
+}
+
+// Build a short, speakable summary of the top matches
+function summarizeProperties(properties, { total = properties?.length || 0, maxItems = 3 } = {}) {
+    if (!properties || properties.length === 0) {
+        return 'I could not find any properties matching that search. Would you like to try a different price range or area?';
+    }
+
+    const top = properties.slice(0, maxItems).map(property => {
+        const parts = [];
+        if (property.bedrooms) parts.push(`${property.bedrooms} bedroom`);
+        parts.push(property.property_type || 'property');
+
+        let where = '';
+        if (property.address) where += ` at ${property.address}`;
+        if (property.city) where += ` in ${property.city}`;
+        if (property.distance_miles != null) where += `, about ${Math.max(1, Math.round(property.distance_miles))} miles away,`;
+
+        return `a ${parts.join(' ')}${where} for ${formatSpokenPrice(property.price)}`;
+    });
+
+    const intro = total === 1
+        ? 'I found one property:'
+        : `I found ${total} properties. Here are the top ${top.length}:`;
+
+    return `${intro} ${top.join('; ')}.`;
+}
+
+module.exports = {
+    DEFAULT_PAGE_SIZE,
+    MAX_PAGE_SIZE,
+    SORT_FIELDS,
+    RANGE_FILTERS,
+    NUMERIC_CRITERIA,
+    validateSearchCriteria,
+    validateSearchOptions,
+    resolveNearCriteria,
+    buildGeoFilter,
+    applyGeoFilter,
+    normalizeSearchOptions,
+    compareProperties,
+    buildFacets,
+    buildSearchResult,
+    matchesCriteria,
+    statusFilter,
+    formatSpokenPrice,
+    summarizeProperties
+};
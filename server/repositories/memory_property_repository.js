@@ -0,0 +1,109 @@
+// server/repositories/memory_property_repository.js - Properties kept in a local JSON file
+// Seeded from server/data/properties.seed.json the first time it runs, so demos and
+// offline development work without a database.
+const crypto = require('crypto');
+const path = require('path');
+const { PropertyRepository } = require('./property_repository');
+const { JsonFileStore, dataFile } = require('../json_store');
+const {
+    matchesCriteria,
+    buildGeoFilter,
+    applyGeoFilter,
+    normalizeSearchOptions,
+    compareProperties,
+    buildFacets,
+    buildSearchResult
+} = require('../property_search');
+
+const { addressKey } = require('../property_schema');
+
+const SEED_FILE = path.join(__dirname, '../data/properties.seed.json');
+
+class MemoryPropertyRepository extends PropertyRepository {
+    // filePath = null keeps everything in memory (tests); seed = [] starts empty
+    constructor({ filePath = dataFile('properties.json'), seed } = {}) {
+        super(filePath ? 'json' : 'memory');
+        this.store = new JsonFileStore(filePath, {
+            properties: seed || require(SEED_FILE)
+        });
+    }
+
+    get properties() {
+        return this.store.data.properties;
+    }
+
+    async search(criteria, options = {}) {
+        const geo = buildGeoFilter(criteria);
+        const paging = normalizeSearchOptions(options, geo);
+
+        let matches = this.properties.filter(property => matchesCriteria(property, criteria));
+        if (geo) matches = applyGeoFilter(matches, geo);
+        matches.sort(compareProperties(paging.sortColumn, paging.ascending));
+
+        const page = matches.slice(paging.offset, paging.offset + paging.pageSize);
+        return buildSearchResult(page, matches.length, paging.facets ? buildFacets(matches) : null, paging);
+    }
+
+    async getById(id) {
+        return this.properties.find(property => String(property.id) === String(id)) || null;
+    }
+
+    async findByAddress(property) {
+        const key = addressKey(property);
+        return this.properties.find(existing => addressKey(existing) === key) || null;
+    }
+
+    async findByListingKey(listingKey) {
+        return this.properties.find(property => property.listing_key === listingKey) || null;
+    }
+
+    async listFeedListings() {
+        return this.properties
+            .filter(property => property.listing_key)
+            .map(({ id, listing_key, status }) => ({ id, listing_key, status }));
+    }
+
+    async create(property) {
+        const now = new Date().toISOString();
+        const created = {
+            ...property,
+            id: property.id || crypto.randomUUID(),
+            created_at: property.created_at || now,
+            updated_at: now
+        };
+
+        this.store.update(data => {
+            data.properties.push(created);
+        });
+        return created;
+    }
+
+    async update(id, changes) {
+        return this.store.update(data => {
+            const index = data.properties.findIndex(property => String(property.id) === String(id));
+            if (index === -1) return null;
+
+            data.properties[index] = {
+                ...data.properties[index],
+                ...changes,
+                id: data.properties[index].id,
+                updated_at: new Date().toISOString()
+            };
+            return data.properties[index];
+        });
+    }
+
+    async remove(id) {
+        return this.store.update(data => {
+            const before = data.properties.length;
+            data.properties = data.properties.filter(property => String(property.id) !== String(id));
+            return data.properties.length < before;
+        });
+    }
+
+    async count() {
+        return this.properties.length;
+    }
+}
+
+module.exports = MemoryPropertyRepository;
@@ -0,0 +1,102 @@
+// server/repositories/property_repository.js - Property storage interface and factory
+// Routes and tools only talk to a PropertyRepository, so the catalogue can live in
+// Supabase, a local JSON file or SQLite depending on configuration.
+const path = require('path');
+
+class PropertyRepository {
+    constructor(name) {
+        this.name = name;
+    }
+
+    // Search listings; resolves to { properties }
+    async search(criteria, options = {}) {
+        throw new Error(`${this.name} repository does not implement search`);
+    }
+
+    async getById(id) {
+        throw new Error(`${this.name} repository does not implement getById`);
+    }
+
+    // Existing listing at the same address and city, or null (used to spot duplicates)
+    async findByAddress(property) {
+        throw new Error(`${this.name} repository does not implement findByAddress`);
+    }
+
+    // Listing imported from a feed under this ListingKey, or null
+    async findByListingKey(listingKey) {
+        throw new Error(`${this.name} repository does not implement findByListingKey`);
+    }
+
+    // { id, listing_key, status } for every listing that came from a feed
+    async listFeedListings() {
+        throw new Error(`${this.name} repository does not implement listFeedListings`);
+    }
+
+    async create(property) {
+        throw new Error(`${this.name} repository does not implement create`);
+    }
+
+    async update(id, changes) {
+        throw new Error(`${this.name} repository does not implement update`);
+    }
+
+    async remove(id) {
+        throw new Error(`${this.name} repository does not implement remove`);
+    }
+
+    async count() {
+        throw new Error(`${this.name} repository does not implement count`);
+    }
+
+    // Resolves to { status: 'healthy' | 'error', backend, ... } for /api/health
+    async healthCheck() {
+        try {
+            const total = await this.count();
+            return { status: 'healthy', backend: this.name, properties: total };
+        } catch (error) {
+            return { status: 'error', backend: this.name, message: error.message };
+        }
+    }
+}
+
+// Choose a repository from PROPERTY_REPOSITORY (supabase, json, memory or sqlite).
+// Without configuration, Supabase is used when available, otherwise the local JSON catalogue.
+// Tenants pass their own dataDir (json, sqlite) or tenantId (supabase) and an empty seed.
+function createPropertyRepository({
+    backend = process.env.PROPERTY_REPOSITORY,
+    supabase,
+    dataDir,
+    tenantId,
+    seed
+} = {}) {
+    const selected = backend || (supabase ? 'supabase' : 'json');
+
+    switch (selected) {
+        case 'supabase': {
+            if (!supabase) {
+                throw new Error('PROPERTY_REPOSITORY=supabase requires SUPABASE_URL and SUPABASE_ANON_KEY');
+            }
+            const SupabasePropertyRepository = require('./supabase_property_repository');
+            return new SupabasePropertyRepository(supabase, 'properties', tenantId);
+        }
+        case 'json': {
+            const MemoryPropertyRepository = require('./memory_property_repository');
+            return new MemoryPropertyRepository({ filePath: dataDir ? path.join(dataDir, 'properties.json') : process.env.PROPERTIES_FILE, seed });
+        }
+        case 'memory': {
+            const MemoryPropertyRepository = require('./memory_property_repository');
+            return new MemoryPropertyRepository({ filePath: null, seed });
+        }
+        case 'sqlite': {
+            const SqlitePropertyRepository = require('./sqlite_property_repository');
+            return new SqlitePropertyRepository({ filePath: dataDir ? path.join(dataDir, 'properties.sqlite') : process.env.SQLITE_PATH, seed });
+        }
+        default:
+            throw new Error(`Unknown property repository: ${selected}`);
+    }
+}
+
+module.exports = {
+    PropertyRepository,
+    createPropertyRepository
+};
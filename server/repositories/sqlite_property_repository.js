@@ -0,0 +1,239 @@
+// server/repositories/sqlite_property_repository.js - Properties stored in a local SQLite file
+// Requires the optional better-sqlite3 package (npm install better-sqlite3).
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { PropertyRepository } = require('./property_repository');
+const { dataFile } = require('../json_store');
+const {
+    RANGE_FILTERS,
+    buildGeoFilter,
+    statusFilter,
+    normalizeSearchOptions,
+    buildSearchResult
+} = require('../property_search');
+const { addressKey } = require('../property_schema');
+const { haversineMiles, roundMiles } = require('../geo');
+
+const SEED_FILE = path.join(__dirname, '../data/properties.seed.json');
+
+// Column name -> SQLite type; missing columns are added on startup
+const COLUMNS = {
+    id: 'TEXT PRIMARY KEY',
+    address: 'TEXT',
+    city: 'TEXT',
+    state: 'TEXT',
+    zip_code: 'TEXT',
+    price: 'REAL',
+    bedrooms: 'INTEGER',
+    bathrooms: 'REAL',
+    square_feet: 'INTEGER',
+    lot_size: 'INTEGER',
+    year_built: 'INTEGER',
+    property_type: 'TEXT',
+    description: 'TEXT',
+    status: 'TEXT',
+    listing_key: 'TEXT',
+    latitude: 'REAL',
+    longitude: 'REAL',
+    created_at: 'TEXT',
+    updated_at: 'TEXT'
+};
+
+function loadDriver() {
+    try {
+        return require('better-sqlite3');
+    } catch (error) {
+        throw new Error('PROPERTY_REPOSITORY=sqlite requires the better-sqlite3 package (npm install better-sqlite3)');
+    }
+}
+
+class SqlitePropertyRepository extends PropertyRepository {
+    constructor({ filePath = dataFile('properties.sqlite'), seed } = {}) {
+        super('sqlite');
+        const Database = loadDriver();
+
+        if (filePath !== ':memory:') {
+            fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        }
+
+        this.db = new Database(filePath);
+        this.db.function('distance_miles', { deterministic: true }, (latitude, longitude, lat, lng) => (
+            latitude === null || longitude === null
+                ? null
+                : roundMiles(haversineMiles({ latitude: lat, longitude: lng }, { latitude, longitude }))
+        ));
+        this.db.function('address_key', { deterministic: true }, (address, city) => addressKey({ address, city }));
+        this.ensureSchema();
+
+        if (this.countSync() === 0) {
+            this.insertMany(seed || require(SEED_FILE));
+        }
+    }
+
+    ensureSchema() {
+        const definitions = Object.entries(COLUMNS).map(([name, type]) => `${name} ${type}`);
+        this.db.exec(`CREATE TABLE IF NOT EXISTS properties (${definitions.join(', ')})`);
+
+        const existing = this.db.prepare('PRAGMA table_info(properties)').all().map(column => column.name);
+        for (const [name, type] of Object.entries(COLUMNS)) {
+            if (!existing.includes(name)) {
+                this.db.exec(`ALTER TABLE properties ADD COLUMN ${name} ${type.replace(' PRIMARY KEY', '')}`);
+            }
+        }
+    }
+
+    // Keep only known columns so arbitrary input never reaches the SQL
+    toRow(property) {
+        const row = {};
+        for (const name of Object.keys(COLUMNS)) {
+            if (property[name] !== undefined) row[name] = property[name];
+        }
+        return row;
+    }
+
+    insertRow(property) {
+        const row = this.toRow(property);
+        const names = Object.keys(row);
+        const sql = `INSERT INTO properties (${names.join(', ')}) VALUES (${names.map(name => `@${name}`).join(', ')})`;
+        this.db.prepare(sql).run(row);
+    }
+
+    insertMany(properties) {
+        const insert = this.db.transaction(rows => rows.forEach(row => this.insertRow(row)));
+        insert(properties);
+    }
+
+    buildWhere(criteria, geo = null) {
+        const { bedrooms, bathrooms, city, state, propertyType } = criteria;
+        const where = [];
+        const params = {};
+
+        for (const { min, max, column } of RANGE_FILTERS) {
+            if (criteria[min] !== undefined) { where.push(`${column} >= @${min}`); params[min] = Number(criteria[min]); }
+            if (criteria[max] !== undefined) { where.push(`${column} <= @${max}`); params[max] = Number(criteria[max]); }
+        }
+        if (bedrooms !== undefined) { where.push('bedrooms = @bedrooms'); params.bedrooms = Number(bedrooms); }
+        if (bathrooms !== undefined) { where.push('bathrooms = @bathrooms'); params.bathrooms = Number(bathrooms); }
+        if (city) { where.push('city LIKE @city'); params.city = `%${city}%`; }
+        if (state) { where.push('state LIKE @state'); params.state = `%${state}%`; }
+        if (propertyType) { where.push('property_type = @propertyType'); params.propertyType = propertyType; }
+
+        const status = statusFilter(criteria);
+        if (status === 'active') {
+            where.push("(status IS NULL OR status = 'active')");
+        } else if (status !== 'any') {
+            where.push('status = @status');
+            params.status = status;
+        }
+        if (geo) {
+            // Bounding box first so the distance function only runs on nearby rows
+            where.push('latitude BETWEEN @south AND @north AND longitude BETWEEN @west AND @east');
+            Object.assign(params, geo.bounds, { centerLat: geo.center.latitude, centerLng: geo.center.longitude });
+            if (geo.radiusMiles !== null) {
+                where.push('distance_miles(latitude, longitude, @centerLat, @centerLng) <= @radiusMiles');
+                params.radiusMiles = geo.radiusMiles;
+            }
+        }
+
+        return {
+            clause: where.length > 0 ? `WHERE ${where.join(' AND ')}` : '',
+            params
+        };
+    }
+
+    facetCounts(expression, clause, params) {
+        const rows = this.db
+            .prepare(`SELECT ${expression} AS value, COUNT(*) AS total FROM properties ${clause} GROUP BY value`)
+            .all(params);
+
+        const counts = {};
+        for (const row of rows) {
+            counts[row.value ?? 'unknown'] = row.total;
+        }
+        return counts;
+    }
+
+    async search(criteria, options = {}) {
+        const geo = buildGeoFilter(criteria);
+        const paging = normalizeSearchOptions(options, geo);
+        const { clause, params } = this.buildWhere(criteria, geo);
+        const columns = geo ? '*, distance_miles(latitude, longitude, @centerLat, @centerLng) AS distance_miles' : '*';
+
+        // sortColumn comes from SORT_FIELDS, never from user input
+        const direction = paging.ascending ? 'ASC' : 'DESC';
+        const properties = this.db
+            .prepare(`SELECT ${columns} FROM properties ${clause}
+                ORDER BY ${paging.sortColumn} IS NULL, ${paging.sortColumn} ${direction}, id ASC
+                LIMIT @limit OFFSET @offset`)
+            .all({ ...params, limit: paging.pageSize, offset: paging.offset });
+
+        const { total } = this.db
+            .prepare(`SELECT COUNT(*) AS total FROM properties ${clause}`)
+            .get(params);
+
+        const facets = paging.facets ? {
+            propertyType: this.facetCounts('property_type', clause, params),
+            bedrooms: this.facetCounts("CASE WHEN bedrooms >= 5 THEN '5+' ELSE CAST(bedrooms AS TEXT) END", clause, params),
+            city: this.facetCounts('city', clause, params)
+        } : null;
+
+        return buildSearchResult(properties, total, facets, paging);
+    }
+
+    async getById(id) {
+        return this.db.prepare('SELECT * FROM properties WHERE id = ?').get(String(id)) || null;
+    }
+
+    async findByAddress(property) {
+        return this.db
+            .prepare('SELECT * FROM properties WHERE address_key(address, city) = ? LIMIT 1')
+            .get(addressKey(property)) || null;
+    }
+
+    async findByListingKey(listingKey) {
+        return this.db.prepare('SELECT * FROM properties WHERE listing_key = ?').get(listingKey) || null;
+    }
+
+    async listFeedListings() {
+        return this.db.prepare('SELECT id, listing_key, status FROM properties WHERE listing_key IS NOT NULL').all();
+    }
+
+    async create(property) {
+        const now = new Date().toISOString();
+        const created = {
+            ...property,
+            id: String(property.id || crypto.randomUUID()),
+            created_at: property.created_at || now,
+            updated_at: now
+        };
+        this.insertRow(created);
+        return this.getById(created.id);
+    }
+
+    async update(id, changes) {
+        const row = this.toRow({ ...changes, updated_at: new Date().toISOString() });
+        delete row.id;
+
+        const assignments = Object.keys(row).map(name => `${name} = @${name}`);
+        const result = this.db
+            .prepare(`UPDATE properties SET ${assignments.join(', ')} WHERE id = @id`)
+            .run({ ...row, id: String(id) });
+
+        return result.changes > 0 ? this.getById(id) : null;
+    }
+
+    async remove(id) {
+        return this.db.prepare('DELETE FROM properties WHERE id = ?').run(String(id)).changes > 0;
+    }
+
+    countSync() {
+        return this.db.prepare('SELECT COUNT(*) AS total FROM properties').get().total;
+    }
+
+    async count() {
+        return this.countSync();
+    }
+}
+
+module.exports = SqlitePropertyRepository;
@@ -0,0 +1,204 @@
+// server/repositories/supabase_property_repository.js - Properties stored in Supabase
+const { PropertyRepository } = require('./property_repository');
+const {
+    RANGE_FILTERS,
+    buildGeoFilter,
+    statusFilter,
+    applyGeoFilter,
+    normalizeSearchOptions,
+    compareProperties,
+    buildFacets,
+    buildSearchResult
+} = require('../property_search');
+const { addressKey } = require('../property_schema');
+
+// PostgREST returns at most this many rows per request, so longer reads are paged
+const PAGE_ROW_LIMIT = 1000;
+
+class SupabasePropertyRepository extends PropertyRepository {
+    // tenantId scopes every query to one brokerage's rows via a tenant_id column;
+    // null means rows without a tenant, undefined (single-tenant setups) means no scoping
+    constructor(supabase, table = 'properties', tenantId = undefined) {
+        super('supabase');
+        this.supabase = supabase;
+        this.table = table;
+        this.tenantId = tenantId;
+    }
+
+    scoped(query) {
+        if (this.tenantId === undefined) return query;
+        return this.tenantId === null ? query.is('tenant_id', null) : query.eq('tenant_id', this.tenantId);
+    }
+
+    applyFilters(query, criteria) {
+        const { bedrooms, bathrooms, city, state, propertyType } = criteria;
+
+        for (const { min, max, column } of RANGE_FILTERS) {
+            if (criteria[min] !== undefined) query = query.gte(column, criteria[min]);
+            if (criteria[max] !== undefined) query = query.lte(column, criteria[max]);
+        }
+        if (bedrooms !== undefined) query = query.eq('bedrooms', bedrooms);
+        if (bathrooms !== undefined) query = query.eq('bathrooms', bathrooms);
+        if (city) query = query.ilike('city', `%${city}%`);
+        if (state) query = query.ilike('state', `%${state}%`);
+        if (propertyType) query = query.eq('property_type', propertyType);
+
+        const status = statusFilter(criteria);
+        if (status === 'active') {
+            query = query.or('status.is.null,status.eq.active');
+        } else if (status !== 'any') {
+            query = query.eq('status', status);
+        }
+
+        return query;
+    }
+
+    // Every row a query matches, one PAGE_ROW_LIMIT page at a time; buildQuery() must
+    // return a fresh query for each page
+    async fetchAll(buildQuery, description) {
+        const rows = [];
+        for (let offset = 0; ; offset += PAGE_ROW_LIMIT) {
+            const { data, error } = await buildQuery()
+                .order('id', { ascending: true })
+                .range(offset, offset + PAGE_ROW_LIMIT - 1);
+            if (error) throw new Error(`${description} failed: ${error.message}`);
+
+            rows.push(...(data || []));
+            if (!data || data.length < PAGE_ROW_LIMIT) return rows;
+        }
+    }
+
+    async search(criteria, options = {}) {
+        const geo = buildGeoFilter(criteria);
+        const paging = normalizeSearchOptions(options, geo);
+        if (geo) {
+            return this.searchNear(criteria, geo, paging);
+        }
+
+        const pageQuery = this.applyFilters(
+            this.scoped(this.supabase.from(this.table).select('*', { count: 'exact' })),
+            criteria
+        )
+            .order(paging.sortColumn, { ascending: paging.ascending, nullsFirst: false })
+            .order('id', { ascending: true })
+            .range(paging.offset, paging.offset + paging.pageSize - 1);
+
+        // Facets count every match, so when asked for, the three facet columns are read for all of them
+        const facetRows = paging.facets
+            ? this.fetchAll(() => this.applyFilters(
+                this.scoped(this.supabase.from(this.table).select('property_type, bedrooms, city')),
+                criteria
+            ), 'Property search')
+            : null;
+
+        const [pageResult, facetData] = await Promise.all([pageQuery, facetRows]);
+        if (pageResult.error) {
+            throw new Error(`Property search failed: ${pageResult.error.message}`);
+        }
+
+        return buildSearchResult(
+            pageResult.data || [],
+            pageResult.count || 0,
+            facetData ? buildFacets(facetData) : null,
+            paging
+        );
+    }
+
+    // Location searches read the whole bounding box and measure distances here; a PostGIS
+    // function would let the database do this, but plain tables need no extensions
+    async searchNear(criteria, geo, paging) {
+        const { bounds } = geo;
+        const data = await this.fetchAll(() => this.applyFilters(this.scoped(this.supabase.from(this.table).select('*')), criteria)
+            .gte('latitude', bounds.south)
+            .lte('latitude', bounds.north)
+            .gte('longitude', bounds.west)
+            .lte('longitude', bounds.east), 'Property search');
+
+        const matches = applyGeoFilter(data, geo)
+            .sort(compareProperties(paging.sortColumn, paging.ascending));
+        const page = matches.slice(paging.offset, paging.offset + paging.pageSize);
+        return buildSearchResult(page, matches.length, paging.facets ? buildFacets(matches) : null, paging);
+    }
+
+    async getById(id) {
+        const { data, error } = await this.scoped(this.supabase
+            .from(this.table)
+            .select('*'))
+            .eq('id', id)
+            .maybeSingle();
+        if (error) throw new Error(`Property lookup failed: ${error.message}`);
+        return data || null;
+    }
+
+    // Case-insensitive address match narrowed down with the same key the importer uses
+    async findByAddress(property) {
+        const pattern = String(property.address || '').replace(/[\\%_]/g, char => `\\${char}`);
+        const { data, error } = await this.scoped(this.supabase
+            .from(this.table)
+            .select('*'))
+            .ilike('address', pattern)
+            .limit(20);
+        if (error) throw new Error(`Property lookup failed: ${error.message}`);
+
+        const key = addressKey(property);
+        return (data || []).find(existing => addressKey(existing) === key) || null;
+    }
+
+    async findByListingKey(listingKey) {
+        const { data, error } = await this.scoped(this.supabase
+            .from(this.table)
+            .select('*'))
+            .eq('listing_key', listingKey)
+            .maybeSingle();
+        if (error) throw new Error(`Property lookup failed: ${error.message}`);
+        return data || null;
+    }
+
+    async listFeedListings() {
+        return this.fetchAll(() => this.scoped(this.supabase
+            .from(this.table)
+            .select('id, listing_key, status'))
+            .not('listing_key', 'is', null), 'Feed listing lookup');
+    }
+
+    async create(property) {
+        const { data, error } = await this.supabase
+            .from(this.table)
+            .insert(this.tenantId ? { ...property, tenant_id: this.tenantId } : property)
+            .select()
+            .single();
+        if (error) throw new Error(`Property insert failed: ${error.message}`);
+        return data;
+    }
+
+    async update(id, changes) {
+        const { data, error } = await this.scoped(this.supabase
+            .from(this.table)
+            .update(changes))
+            .eq('id', id)
+            .select()
+            .maybeSingle();
+        if (error) throw new Error(`Property update failed: ${error.message}`);
+        return data || null;
+    }
+
+    async remove(id) {
+        const { data, error } = await this.scoped(this.supabase
+            .from(this.table)
+            .delete())
+            .eq('id', id)
+            .select();
+        if (error) throw new Error(`Property delete failed: ${error.message}`);
+        return (data || []).length > 0;
+    }
+
+    async count() {
+        const { count, error } = await this.scoped(this.supabase
+            .from(this.table)
+            .select('count', { count: 'exact', head: true }));
+        if (error) throw new Error(error.message);
+        return count || 0;
+    }
+}
+
+module.exports = SupabasePropertyRepository;
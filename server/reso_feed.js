@@ -0,0 +1,253 @@
+// server/reso_feed.js - MLS feed ingestion using RESO Data Dictionary field names
+// Reads a RESO-style JSON or CSV export, maps it onto the properties schema with a
+// configurable field map, upserts by ListingKey and takes listings that dropped out
+// of the feed off the market. Each run is recorded in an import log.
+const fs = require('fs');
+const path = require('path');
+const { parseCsv } = require('./csv');
+const { JsonFileStore, dataFile } = require('./json_store');
+const { PROPERTY_FIELDS, normalizeProperty, validateProperty } = require('./property_schema');
+
+const DEFAULT_FIELD_MAP_FILE = path.join(__dirname, 'data/reso-field-map.json');
+// Oldest runs are dropped from the import log beyond this many
+const MAX_LOGGED_RUNS = 200;
+// Per-run detail kept in the log
+const MAX_LOGGED_ERRORS = 100;
+// Statuses that a listing missing from the feed is moved out of
+const LIVE_STATUSES = [null, undefined, 'active', 'pending'];
+
+// { fields: { ResoName: column }, values: { column: { ResoValue: ourValue } } }
+function loadFieldMap(filePath = process.env.RESO_FIELD_MAP || DEFAULT_FIELD_MAP_FILE) {
+    const fieldMap = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    const unknown = Object.values(fieldMap.fields || {}).filter(column => !PROPERTY_FIELDS[column]);
+    if (unknown.length > 0) {
+        throw new Error(`Field map ${filePath} targets unknown columns: ${unknown.join(', ')}`);
+    }
+    return { fields: fieldMap.fields || {}, values: fieldMap.values || {} };
+}
+
+// RESO Web API responses wrap records in { value: [...] }; plain arrays and CSV work too
+function readFeedFile(filePath) {
+    const text = fs.readFileSync(filePath, 'utf8');
+    if (/\.csv$/i.test(filePath)) return parseCsv(text);
+
+    const parsed = JSON.parse(text);
+    if (Array.isArray(parsed)) return parsed;
+    if (Array.isArray(parsed.value)) return parsed.value;
+    throw new Error(`${filePath} is not a RESO feed (expected an array or { "value": [...] })`);
+}
+
+function isBlank(value) {
+    return value === undefined || value === null || value === '';
+}
+
+// Fallback when the feed has no UnparsedAddress
+function composeAddress(record) {
+    const parts = [record.StreetNumber, record.StreetDirPrefix, record.StreetName, record.StreetSuffix, record.StreetDirSuffix]
+        .filter(part => !isBlank(part));
+    if (parts.length === 0) return null;
+    const unit = isBlank(record.UnitNumber) ? '' : ` #${record.UnitNumber}`;
+    return `${parts.join(' ')}${unit}`;
+}
+
+// Map one feed record to property fields; the first non-empty source for a column wins.
+// For a column with value translations, a source whose value is not in the table only
+// counts when no later source translates (PropertySubType falls back to PropertyType).
+function mapResoRecord(record, fieldMap) {
+    const mapped = {};
+    const untranslated = {};
+
+    for (const [source, column] of Object.entries(fieldMap.fields)) {
+        const raw = record[source];
+        if (isBlank(raw) || !isBlank(mapped[column])) continue;
+
+        const translations = fieldMap.values[column];
+        if (!translations) {
+            mapped[column] = raw;
+        } else if (Object.prototype.hasOwnProperty.call(translations, raw)) {
+            mapped[column] = translations[raw];
+        } else if (!(column in untranslated)) {
+            untranslated[column] = raw;
+        }
+    }
+    for (const [column, raw] of Object.entries(untranslated)) {
+        if (isBlank(mapped[column])) mapped[column] = raw;
+    }
+
+    if (isBlank(mapped.address)) {
+        mapped.address = composeAddress(record);
+    }
+
+    const { property } = normalizeProperty(mapped);
+
+    // MLS areas often carry decimals ("1450.00"); the schema stores whole square feet
+    for (const [column, rules] of Object.entries(PROPERTY_FIELDS)) {
+        if (rules.integer && typeof property[column] === 'number') {
+            property[column] = Math.round(property[column]);
+        }
+    }
+    if (property.listing_key !== undefined && property.listing_key !== null) {
+        property.listing_key = String(property.listing_key);
+    }
+
+    return property;
+}
+
+// Import log of feed runs, newest last
+class FeedImportLog {
+    constructor(filePath = dataFile('feed-imports.json')) {
+        this.store = new JsonFileStore(filePath, { runs: [] });
+    }
+
+    record(run) {
+        this.store.update(data => {
+            data.runs.push(run);
+            if (data.runs.length > MAX_LOGGED_RUNS) {
+                data.runs.splice(0, data.runs.length - MAX_LOGGED_RUNS);
+            }
+        });
+        return run;
+    }
+
+    list({ limit = 20 } = {}) {
+        return this.store.data.runs.slice(-limit).reverse();
+    }
+}
+
+class ResoFeedImporter {
+    constructor({ repository, log = new FeedImportLog(), fieldMap = loadFieldMap() }) {
+        this.repository = repository;
+        this.log = log;
+        this.fieldMap = fieldMap;
+    }
+
+    // dryRun: report what would change without writing; markMissing: take absent listings off market
+    async run(filePath, { dryRun = false, markMissing = true } = {}) {
+        const run = {
+            file: path.resolve(filePath),
+            dryRun,
+            startedAt: new Date().toISOString(),
+            finishedAt: null,
+            total: 0,
+            created: 0,
+            updated: 0,
+            skipped: 0,
+            markedOffMarket: 0,
+            errors: [],
+            error: null
+        };
+
+        try {
+            const records = readFeedFile(filePath);
+            run.total = records.length;
+            const seenKeys = new Set();
+
+            for (const [index, record] of records.entries()) {
+                await this.importRecord(record, index + 1, { run, seenKeys, dryRun });
+            }
+
+            // An empty, unreadable or entirely invalid feed must not take every listing off the market
+            if (markMissing && run.created + run.updated > 0) {
+                await this.markMissing(seenKeys, { run, dryRun });
+            }
+        } catch (error) {
+            run.error = error.message;
+            console.error('RESO feed import failed:', error.message);
+        }
+
+        run.finishedAt = new Date().toISOString();
+        run.errors = run.errors.slice(0, MAX_LOGGED_ERRORS);
+        console.log(`RESO feed import${dryRun ? ' (dry run)' : ''} from ${run.file}: ` +
+            `${run.created} created, ${run.updated} updated, ${run.skipped} skipped, ${run.markedOffMarket} marked off-market`);
+        return this.log.record(run);
+    }
+
+    async importRecord(record, row, { run, seenKeys, dryRun }) {
+        const property = mapResoRecord(record || {}, this.fieldMap);
+        const key = property.listing_key;
+
+        // Later duplicates of a ListingKey in the same feed are ignored
+        if (key && seenKeys.has(key)) {
+            run.skipped++;
+            run.errors.push({ row, listingKey: key, errors: ['Duplicate ListingKey in feed'] });
+            return;
+        }
+
+        // A listing is still in the feed even when its row is malformed, so it is
+        // reported but kept on the market
+        if (key) seenKeys.add(key);
+
+        const errors = validateProperty(property);
+        if (!key) errors.unshift('ListingKey is required');
+        if (errors.length > 0) {
+            run.skipped++;
+            run.errors.push({ row, listingKey: key || null, errors });
+            return;
+        }
+
+        try {
+            const existing = await this.repository.findByListingKey(key);
+            if (existing) {
+                if (!dryRun) await this.repository.update(existing.id, property);
+                run.updated++;
+            } else {
+                if (!dryRun) await this.repository.create({ status: 'active', ...property });
+                run.created++;
+            }
+        } catch (error) {
+            run.skipped++;
+            run.errors.push({ row, listingKey: key, errors: [error.message] });
+        }
+    }
+
+    async markMissing(seenKeys, { run, dryRun }) {
+        const listings = await this.repository.listFeedListings();
+        for (const listing of listings) {
+            if (seenKeys.has(listing.listing_key) || !LIVE_STATUSES.includes(listing.status)) continue;
+            if (!dryRun) await this.repository.update(listing.id, { status: 'off_market' });
+            run.markedOffMarket++;
+        }
+    }
+}
+
+// Import a local feed file at startup and then every intervalMs (RESO_FEED_FILE / RESO_FEED_INTERVAL_MINUTES)
+class FeedImportScheduler {
+    constructor({ importer, filePath, intervalMs }) {
+        this.importer = importer;
+        this.filePath = filePath;
+        this.intervalMs = intervalMs;
+        this.timer = null;
+        this.inFlight = null;
+    }
+
+    runOnce() {
+        if (this.inFlight) return this.inFlight;
+        this.inFlight = this.importer.run(this.filePath).finally(() => {
+            this.inFlight = null;
+        });
+        return this.inFlight;
+    }
+
+    start() {
+        if (this.timer || !this.filePath || !this.intervalMs) return;
+        const tick = () => this.runOnce().catch(error => console.error('Scheduled feed import failed:', error.message));
+        tick();
+        this.timer = setInterval(tick, this.intervalMs);
+        this.timer.unref();
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+}
+
+module.exports = {
+    DEFAULT_FIELD_MAP_FILE,
+    loadFieldMap,
+    readFeedFile,
+    mapResoRecord,
+    FeedImportLog,
+    ResoFeedImporter,
+    FeedImportScheduler
+};
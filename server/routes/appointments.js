@@ -0,0 +1,189 @@
+// server/routes/appointments.js - /api/appointments showing scheduling and /api/agents calendars
+const express = require('express');
+const crypto = require('crypto');
+const { DEFAULT_DAYS, MAX_DAYS, SchedulingError, validateAgent } = require('../appointments');
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const APPOINTMENT_STATUSES = ['confirmed', 'cancelled'];
+
+function createAppointmentRouter({ scheduler, accessTokens, requireAuth, requireAdmin }) {
+    const router = express.Router();
+    const store = scheduler.store;
+
+    const validationFailed = (res, errors) => res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors
+    });
+
+    const SCHEDULING_STATUS = {
+        invalid: 400,
+        not_found: 404,
+        conflict: 409,
+        unavailable: 503
+    };
+
+    const schedulingFailed = (res, error, fallback) => {
+        if (error instanceof SchedulingError) {
+            return res.status(SCHEDULING_STATUS[error.code] || 400).json({
+                success: false,
+                error: error.message,
+                details: error.details
+            });
+        }
+        console.error(`${fallback}:`, error);
+        res.status(500).json({ success: false, error: fallback });
+    };
+
+    // Invite links carry the showing's token so the attendee can open them without signing in
+    const inviteUrl = (req, appointment) =>
+        `${req.baseUrl}/appointments/${appointment.id}/invite.ics?token=${accessTokens.issue(appointment.id)}`;
+
+    // Agents may read any showing; others need its token ("X-Appointment-Token" or ?token=)
+    const requireAppointmentAccess = (req, res, next) => {
+        const token = req.get('x-appointment-token') || req.query.token;
+        if (accessTokens.verify(req.params.id, token)) return next();
+        return requireAuth(req, res, next);
+    };
+
+    // Open showing slots for a property: ?propertyId=&from=YYYY-MM-DD&days=7&agentId=
+    router.get('/appointments/availability', async (req, res) => {
+        const { propertyId, from, agentId } = req.query;
+        const days = req.query.days === undefined ? DEFAULT_DAYS : parseInt(req.query.days);
+
+        const errors = [];
+        if (!propertyId) errors.push('propertyId is required');
+        if (from && !DATE_PATTERN.test(from)) errors.push('from must be a date (YYYY-MM-DD)');
+        if (!(days >= 1 && days <= MAX_DAYS)) errors.push(`days must be between 1 and ${MAX_DAYS}`);
+        if (errors.length > 0) return validationFailed(res, errors);
+
+        try {
+            const { property, slots } = await scheduler.getAvailability({
+                propertyId,
+                from,
+                days,
+                agentId,
+                limit: Math.min(parseInt(req.query.limit) || 200, 1000)
+            });
+            res.json({
+                success: true,
+                data: slots,
+                property: { id: property.id, address: property.address, city: property.city }
+            });
+        } catch (error) {
+            schedulingFailed(res, error, 'Failed to load availability');
+        }
+    });
+
+    router.get('/appointments', requireAuth, (req, res) => {
+        const { propertyId, agentId, status, from, to } = req.query;
+        const errors = [];
+        if (status && !APPOINTMENT_STATUSES.includes(status)) {
+            errors.push(`Invalid status (use ${APPOINTMENT_STATUSES.join(', ')})`);
+        }
+        if (from && isNaN(Date.parse(from))) errors.push('Invalid from date');
+        if (to && isNaN(Date.parse(to))) errors.push('Invalid to date');
+        if (errors.length > 0) return validationFailed(res, errors);
+
+        const appointments = store.listAppointments({ propertyId, agentId, status, from, to });
+        res.json({
+            success: true,
+            data: appointments.map(appointment => ({ ...appointment, inviteUrl: inviteUrl(req, appointment) })),
+            total: appointments.length
+        });
+    });
+
+    router.post('/appointments', async (req, res) => {
+        const body = req.body || {};
+        try {
+            const appointment = await scheduler.book({
+                propertyId: body.propertyId,
+                start: body.start,
+                agentId: body.agentId,
+                attendee: body.attendee || { name: body.name, phone: body.phone, email: body.email },
+                notes: body.notes
+            });
+            res.status(201).json({
+                success: true,
+                data: {
+                    ...appointment,
+                    accessToken: accessTokens.issue(appointment.id),
+                    inviteUrl: inviteUrl(req, appointment)
+                }
+            });
+        } catch (error) {
+            schedulingFailed(res, error, 'Failed to book showing');
+        }
+    });
+
+    router.get('/appointments/:id', requireAppointmentAccess, (req, res) => {
+        const appointment = store.getAppointment(req.params.id);
+        if (!appointment) {
+            return res.status(404).json({ success: false, error: 'Appointment not found' });
+        }
+        res.json({ success: true, data: { ...appointment, inviteUrl: inviteUrl(req, appointment) } });
+    });
+
+    // Calendar invite; a cancelled showing downloads as a cancellation
+    router.get('/appointments/:id/invite.ics', requireAppointmentAccess, (req, res) => {
+        const appointment = store.getAppointment(req.params.id);
+        if (!appointment) {
+            return res.status(404).json({ success: false, error: 'Appointment not found' });
+        }
+        res.set('Content-Type', 'text/calendar; charset=utf-8');
+        res.set('Content-Disposition', `attachment; filename="showing-${appointment.id}.ics"`);
+        res.send(scheduler.buildInvite(appointment));
+    });
+
+    // Cancels the showing and frees the slot; the record is kept
+    router.delete('/appointments/:id', requireAuth, (req, res) => {
+        try {
+            const appointment = scheduler.cancel(req.params.id, { reason: req.body?.reason });
+            console.log(`Showing ${appointment.id} cancelled`);
+            res.json({ success: true, data: { ...appointment, inviteUrl: inviteUrl(req, appointment) } });
+        } catch (error) {
+            schedulingFailed(res, error, 'Failed to cancel showing');
+        }
+    });
+
+    router.get('/agents', (req, res) => {
+        res.json({ success: true, data: store.listAgents() });
+    });
+
+    const readAgent = (body) => {
+        const agent = {};
+        for (const field of ['name', 'email', 'timezone', 'weeklyHours', 'blackouts']) {
+            if (body[field] !== undefined) agent[field] = body[field];
+        }
+        if (typeof agent.name === 'string') agent.name = agent.name.trim();
+        return agent;
+    };
+
+    router.post('/agents', requireAdmin, (req, res) => {
+        const agent = { weeklyHours: {}, blackouts: [], ...readAgent(req.body || {}) };
+        const errors = validateAgent(agent);
+        if (errors.length > 0) return validationFailed(res, errors);
+
+        const created = store.saveAgent({ id: crypto.randomUUID(), email: null, ...agent });
+        console.log(`Agent ${created.id} created: ${created.name}`);
+        res.status(201).json({ success: true, data: created });
+    });
+
+    // Partial update; weeklyHours and blackouts are replaced as a whole when sent
+    router.put('/agents/:id', requireAdmin, (req, res) => {
+        const existing = store.getAgent(req.params.id);
+        if (!existing) {
+            return res.status(404).json({ success: false, error: 'Agent not found' });
+        }
+
+        const changes = readAgent(req.body || {});
+        const errors = validateAgent(changes, { partial: true });
+        if (errors.length > 0) return validationFailed(res, errors);
+
+        res.json({ success: true, data: store.saveAgent({ ...existing, ...changes }) });
+    });
+
+    return router;
+}
+
+module.exports = { createAppointmentRouter };
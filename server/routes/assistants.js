@@ -0,0 +1,229 @@
+// server/routes/assistants.js - /api/assistants registry of allowed Vapi assistants
+const express = require('express');
+const { ASSISTANT_PURPOSES, validateAssistantEntry, readAssistantEntry } = require('../assistant_registry');
+const { VERSIONED_FIELDS, validateConfigChanges, diffConfigs } = require('../assistant_versions');
+const { VapiApiError } = require('../vapi_http');
+
+function createAssistantRouter({ registry, versionStore, configManager, vapiService, requireAuth }) {
+    const router = express.Router();
+
+    const notFound = (res) => res.status(404).json({
+        success: false,
+        error: 'Assistant not registered'
+    });
+
+    const validationFailed = (res, errors) => res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors
+    });
+
+    const vapiUnavailable = (req, res, next) => {
+        if (!vapiService) {
+            return res.status(503).json({
+                success: false,
+                error: 'Vapi service unavailable'
+            });
+        }
+        next();
+    };
+
+    // Who made a config change, for the version history
+    const authorOf = (req) => req.user?.email || req.user?.name || 'admin';
+
+    const registered = (req, res, next) => {
+        if (!registry.get(req.params.id)) return notFound(res);
+        next();
+    };
+
+    const versionNotFound = (res) => res.status(404).json({
+        success: false,
+        error: 'Version not found'
+    });
+
+    // An unknown assistant id stays a 404 and rate limiting a 429; other Vapi failures are 502-504
+    const vapiFailed = (res, error, message) => {
+        console.error(`${message}:`, error);
+        const status = error instanceof VapiApiError ? error.responseStatus : 502;
+        res.status(status).json({ success: false, error: message, details: [error.message] });
+    };
+
+    // Public: the UI picker lists these
+    router.get('/assistants', (req, res) => {
+        const { purpose } = req.query;
+        if (purpose && !ASSISTANT_PURPOSES.includes(purpose)) {
+            return validationFailed(res, [`Invalid purpose (use ${ASSISTANT_PURPOSES.join(', ')})`]);
+        }
+        res.json({ success: true, data: registry.list({ purpose }), purposes: ASSISTANT_PURPOSES });
+    });
+
+    router.get('/assistants/:id', (req, res) => {
+        const entry = registry.get(req.params.id);
+        if (!entry) return notFound(res);
+        res.json({ success: true, data: entry });
+    });
+
+    // Register an existing Vapi assistant ({ assistantId, ... }) or create one from { config, ... }
+    router.post('/assistants', requireAuth, vapiUnavailable, async (req, res) => {
+        const body = req.body || {};
+        const entry = { language: 'en-US', defaultTransport: 'web', ...readAssistantEntry(body) };
+        const errors = validateAssistantEntry(entry);
+        if (body.assistantId && body.config) errors.push('Send either assistantId or config, not both');
+        if (body.config !== undefined && (typeof body.config !== 'object' || Array.isArray(body.config))) {
+            errors.push('config must be a Vapi assistant object');
+        }
+        if (errors.length > 0) return validationFailed(res, errors);
+
+        if (body.assistantId && registry.get(body.assistantId)) {
+            return res.status(409).json({
+                success: false,
+                error: 'Assistant is already registered',
+                data: registry.get(body.assistantId)
+            });
+        }
+
+        let assistant;
+        try {
+            assistant = body.assistantId
+                ? await vapiService.getAssistant(body.assistantId)
+                : await vapiService.createAssistant({ name: entry.name, ...body.config });
+        } catch (error) {
+            return vapiFailed(res, error, body.assistantId ? 'Could not load the assistant from Vapi' : 'Failed to create assistant');
+        }
+
+        const registered = registry.register({ id: assistant.id, ...entry });
+        console.log(`Assistant ${registered.id} registered: ${registered.name} (${registered.purpose})`);
+        res.status(201).json({ success: true, data: registered });
+    });
+
+    // Registry fields change locally; config (prompt, voice, ...) is sent to Vapi
+    router.patch('/assistants/:id', requireAuth, vapiUnavailable, async (req, res) => {
+        const existing = registry.get(req.params.id);
+        if (!existing) return notFound(res);
+
+        const body = req.body || {};
+        const changes = readAssistantEntry(body);
+        const errors = validateAssistantEntry(changes, { partial: true });
+        if (body.config !== undefined && (!body.config || typeof body.config !== 'object' || Array.isArray(body.config))) {
+            errors.push('config must be a Vapi assistant object');
+        }
+        if (errors.length > 0) return validationFailed(res, errors);
+
+        if (body.config) {
+            try {
+                await configManager.update(existing.id, body.config, { author: authorOf(req), note: body.note });
+            } catch (error) {
+                return vapiFailed(res, error, 'Failed to update assistant');
+            }
+        }
+
+        res.json({ success: true, data: registry.update(existing.id, changes) });
+    });
+
+    // Unregisters only; the assistant stays in the Vapi account
+    router.delete('/assistants/:id', requireAuth, (req, res) => {
+        const existing = registry.get(req.params.id);
+        if (!existing) return notFound(res);
+        if (existing.isDefault) {
+            return res.status(409).json({
+                success: false,
+                error: 'The default assistant (VAPI_ASSISTANT_ID) cannot be unregistered'
+            });
+        }
+
+        registry.remove(existing.id);
+        console.log(`Assistant ${existing.id} unregistered`);
+        res.json({ success: true, message: 'Assistant unregistered' });
+    });
+
+    // Config history, newest first; reading it also records any change made on the Vapi dashboard
+    router.get('/assistants/:id/versions', requireAuth, registered, async (req, res) => {
+        let live = null;
+        if (vapiService && req.query.refresh !== 'false') {
+            try {
+                live = (await configManager.snapshot(req.params.id)).version;
+            } catch (error) {
+                console.error('Assistant snapshot error:', error.message);
+            }
+        }
+        res.json({
+            success: true,
+            data: versionStore.list(req.params.id),
+            live: (live || versionStore.getLive(req.params.id))?.number ?? null
+        });
+    });
+
+    // ?from=&to= version numbers; defaults compare the live version with the one before it
+    router.get('/assistants/:id/versions/diff', requireAuth, registered, (req, res) => {
+        const live = versionStore.getLive(req.params.id);
+        const to = versionStore.get(req.params.id, req.query.to ?? live?.number);
+        const from = versionStore.get(req.params.id, req.query.from ?? (to ? to.number - 1 : undefined));
+        if (!from || !to) return versionNotFound(res);
+
+        res.json({
+            success: true,
+            data: {
+                from: from.number,
+                to: to.number,
+                changes: diffConfigs(from.config, to.config)
+            }
+        });
+    });
+
+    router.get('/assistants/:id/versions/:number', requireAuth, registered, (req, res) => {
+        const version = versionStore.get(req.params.id, req.params.number);
+        if (!version) return versionNotFound(res);
+        res.json({ success: true, data: version });
+    });
+
+    // Body: any of systemPrompt, voice, tools, firstMessage, plus note and draft (store without going live)
+    router.post('/assistants/:id/versions', requireAuth, vapiUnavailable, registered, async (req, res) => {
+        const body = req.body || {};
+        const changes = Object.fromEntries(VERSIONED_FIELDS.filter(field => body[field] !== undefined).map(field => [field, body[field]]));
+        const errors = validateConfigChanges(changes);
+        if (errors.length > 0) return validationFailed(res, errors);
+
+        try {
+            const version = await configManager.change(req.params.id, changes, {
+                author: authorOf(req),
+                note: body.note,
+                draft: body.draft === true
+            });
+            res.status(201).json({ success: true, data: version });
+        } catch (error) {
+            vapiFailed(res, error, 'Failed to update assistant');
+        }
+    });
+
+    router.post('/assistants/:id/versions/:number/promote', requireAuth, vapiUnavailable, registered, async (req, res) => {
+        try {
+            const version = await configManager.promote(req.params.id, req.params.number, {
+                author: authorOf(req),
+                note: req.body?.note
+            });
+            if (!version) return versionNotFound(res);
+            res.json({ success: true, data: version });
+        } catch (error) {
+            vapiFailed(res, error, 'Failed to promote version');
+        }
+    });
+
+    // Body: { to } version number; without it, back to the previous live version
+    router.post('/assistants/:id/rollback', requireAuth, vapiUnavailable, registered, async (req, res) => {
+        try {
+            const version = await configManager.rollback(req.params.id, {
+                to: req.body?.to,
+                author: authorOf(req),
+                note: req.body?.note
+            });
+            if (!version) return versionNotFound(res);
+            res.json({ success: true, data: version });
+        } catch (error) {
+            vapiFailed(res, error, 'Failed to roll back assistant');
+        }
+    });
+
+    return router;
+}
+
+module.exports = { createAssistantRouter };
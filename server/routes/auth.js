@@ -0,0 +1,126 @@
+// server/routes/auth.js - /api/auth sign-in and /api/users management
+const express = require('express');
+const rateLimit = require('express-rate-limit');
+const { SESSION_COOKIE, SESSION_TTL_HOURS, requireRole, validateUser } = require('../auth');
+
+function createAuthRouter({ userStore }) {
+    const router = express.Router();
+
+    // Slow down password guessing
+    const loginLimiter = rateLimit({
+        windowMs: 15 * 60 * 1000,
+        max: 10,
+        message: {
+            success: false,
+            error: 'Too many sign-in attempts, please try again later.'
+        }
+    });
+
+    const validationFailed = (res, errors) => res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors
+    });
+
+    const notFound = (res) => res.status(404).json({
+        success: false,
+        error: 'User not found'
+    });
+
+    const sessionCookie = (value, maxAgeSeconds) => [
+        `${SESSION_COOKIE}=${encodeURIComponent(value)}`,
+        'Path=/',
+        'HttpOnly',
+        'SameSite=Strict',
+        `Max-Age=${maxAgeSeconds}`,
+        ...(process.env.NODE_ENV === 'production' ? ['Secure'] : [])
+    ].join('; ');
+
+    // Returns the token for bearer use and sets it as a cookie for the browser UI
+    router.post('/auth/login', loginLimiter, (req, res) => {
+        const { email, password } = req.body || {};
+        if (!email || !password) {
+            return validationFailed(res, ['Email and password are required']);
+        }
+
+        const session = userStore.login(email, password);
+        if (!session) {
+            console.warn(`Failed sign-in for ${String(email).slice(0, 100)}`);
+            return res.status(401).json({
+                success: false,
+                error: 'Invalid email or password'
+            });
+        }
+
+        console.log(`${session.user.email} signed in (${session.user.role})`);
+        res.set('Set-Cookie', sessionCookie(session.token, SESSION_TTL_HOURS * 60 * 60));
+        res.json({ success: true, data: session });
+    });
+
+    router.post('/auth/logout', (req, res) => {
+        if (req.sessionToken) userStore.logout(req.sessionToken);
+        res.set('Set-Cookie', sessionCookie('', 0));
+        res.json({ success: true, message: 'Signed out' });
+    });
+
+    // Anonymous visitors get data: null rather than an error
+    router.get('/auth/me', (req, res) => {
+        res.json({ success: true, data: req.user });
+    });
+
+    router.use('/users', requireRole('admin'));
+
+    router.get('/users', (req, res) => {
+        res.json({ success: true, data: userStore.list() });
+    });
+
+    router.post('/users', (req, res) => {
+        const { email, password, role = 'agent', name } = req.body || {};
+        const user = { email, password, role, name };
+        const errors = validateUser(user);
+        if (errors.length > 0) return validationFailed(res, errors);
+
+        if (userStore.findByEmail(email)) {
+            return res.status(409).json({
+                success: false,
+                error: 'A user with this email already exists'
+            });
+        }
+
+        const created = userStore.create(user);
+        console.log(`User ${created.email} created (${created.role}) by ${req.user.email || req.user.name}`);
+        res.status(201).json({ success: true, data: created });
+    });
+
+    // Any of email, password, role, name, disabled
+    router.patch('/users/:id', (req, res) => {
+        if (!userStore.get(req.params.id)) return notFound(res);
+
+        const { email, password, role, name, disabled } = req.body || {};
+        const changes = { email, password, role, name, disabled };
+        const errors = validateUser(changes, { partial: true });
+        if (disabled !== undefined && typeof disabled !== 'boolean') errors.push('disabled must be true or false');
+        if (email !== undefined && userStore.findByEmail(email) && userStore.findByEmail(email).id !== req.params.id) {
+            errors.push('A user with this email already exists');
+        }
+        if (errors.length > 0) return validationFailed(res, errors);
+
+        res.json({ success: true, data: userStore.update(req.params.id, changes) });
+    });
+
+    router.delete('/users/:id', (req, res) => {
+        if (req.params.id === req.user.id) {
+            return res.status(409).json({
+                success: false,
+                error: 'You cannot delete your own account'
+            });
+        }
+        if (!userStore.remove(req.params.id)) return notFound(res);
+        console.log(`User ${req.params.id} deleted`);
+        res.json({ success: true, message: 'User deleted' });
+    });
+
+    return router;
+}
+
+module.exports = { createAuthRouter };
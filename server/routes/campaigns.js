@@ -0,0 +1,128 @@
+// server/routes/campaigns.js - /api/campaigns outbound calling campaigns
+const express = require('express');
+const {
+    CAMPAIGN_STATUSES,
+    DEFAULTS,
+    buildContacts,
+    validateCampaign,
+    summarizeContacts
+} = require('../campaigns');
+
+function createCampaignRouter({ store, runner, leadStore, assistantRegistry, vapiService, requireAuth }) {
+    const router = express.Router();
+
+    // Dialing through a list of numbers is for signed-in staff only
+    router.use('/campaigns', requireAuth);
+
+    const notFound = (res) => res.status(404).json({
+        success: false,
+        error: 'Campaign not found'
+    });
+
+    const validationFailed = (res, errors) => res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors
+    });
+
+    const withCounts = (campaign) => ({ ...campaign, counts: summarizeContacts(campaign.contacts) });
+
+    router.get('/campaigns', (req, res) => {
+        const { status } = req.query;
+        if (status && !CAMPAIGN_STATUSES.includes(status)) {
+            return validationFailed(res, [`Invalid status (use ${CAMPAIGN_STATUSES.join(', ')})`]);
+        }
+        res.json({ success: true, data: store.list({ status }) });
+    });
+
+    // Body: { name, assistantId, contacts: [{ phone, name, timezone }], leadIds, maxConcurrent,
+    //         maxAttempts, retryDelayMinutes, callingHours: { start, end }, timezone, start }
+    router.post('/campaigns', (req, res) => {
+        if (!vapiService) {
+            return res.status(503).json({
+                success: false,
+                error: 'Vapi service unavailable'
+            });
+        }
+
+        const body = req.body || {};
+        const timezone = body.timezone || DEFAULTS.timezone;
+        const errors = [];
+
+        // Leads can be added by id; their stored phone number and name are used
+        const leadContacts = [];
+        for (const leadId of Array.isArray(body.leadIds) ? body.leadIds : []) {
+            const lead = leadStore?.get(leadId);
+            if (!lead) {
+                errors.push(`Lead ${leadId} not found`);
+            } else if (!lead.phone) {
+                errors.push(`Lead ${leadId} has no phone number`);
+            } else {
+                leadContacts.push({ name: lead.name, phone: lead.phone, leadId: lead.id });
+            }
+        }
+
+        const { contacts, errors: contactErrors } = buildContacts(
+            [...(Array.isArray(body.contacts) ? body.contacts : []), ...leadContacts],
+            { defaultTimezone: timezone }
+        );
+
+        // Only registered assistants may dial out
+        const assistant = assistantRegistry.resolve(body.assistantId);
+        if (!assistant) {
+            errors.push(body.assistantId ? `Assistant ${body.assistantId} is not registered` : 'No default assistant is configured');
+        }
+
+        const fields = {
+            name: typeof body.name === 'string' ? body.name.trim() : body.name,
+            assistantId: assistant?.id,
+            status: body.start === false ? 'paused' : 'running',
+            maxConcurrent: body.maxConcurrent === undefined ? DEFAULTS.maxConcurrent : Number(body.maxConcurrent),
+            maxAttempts: body.maxAttempts === undefined ? DEFAULTS.maxAttempts : Number(body.maxAttempts),
+            retryDelayMinutes: body.retryDelayMinutes === undefined ? DEFAULTS.retryDelayMinutes : Number(body.retryDelayMinutes),
+            callingHours: body.callingHours || DEFAULTS.callingHours,
+            timezone,
+            contacts
+        };
+
+        errors.push(...contactErrors, ...validateCampaign(fields));
+        if (errors.length > 0) return validationFailed(res, errors);
+
+        const campaign = store.create(fields);
+        console.log(`Campaign ${campaign.id} created with ${contacts.length} contacts (${campaign.status})`);
+
+        if (campaign.status === 'running') {
+            runner.tick().catch(error => console.error('Campaign tick failed:', error.message));
+        }
+        res.status(201).json({ success: true, data: withCounts(campaign) });
+    });
+
+    router.get('/campaigns/:id', (req, res) => {
+        const campaign = store.get(req.params.id);
+        if (!campaign) return notFound(res);
+        res.json({ success: true, data: withCounts(campaign) });
+    });
+
+    const control = (action) => (req, res) => {
+        try {
+            const campaign = runner[action](req.params.id);
+            if (!campaign) return notFound(res);
+            console.log(`Campaign ${campaign.id} ${campaign.status}`);
+            res.json({ success: true, data: withCounts(campaign) });
+        } catch (error) {
+            if (error.status === 409) {
+                return res.status(409).json({ success: false, error: error.message });
+            }
+            console.error(`Campaign ${action} error:`, error);
+            res.status(500).json({ success: false, error: `Failed to ${action} campaign` });
+        }
+    };
+
+    router.post('/campaigns/:id/pause', control('pause'));
+    router.post('/campaigns/:id/resume', control('resume'));
+    router.post('/campaigns/:id/cancel', control('cancel'));
+
+    return router;
+}
+
+module.exports = { createCampaignRouter };
@@ -0,0 +1,148 @@
+// server/routes/compliance.js - /api/dnc do-not-call registry, /api/consents and /api/dial-audit
+const express = require('express');
+const { parseCsvRows } = require('../csv');
+const { toE164, validateContactFields } = require('../contacts');
+const { MAX_DNC_IMPORT, BLOCK_REASONS, readDoNotCallEntries } = require('../compliance');
+
+function createComplianceRouter({ store, auditLog, policy, requireAuth, requireAdmin }) {
+    const router = express.Router();
+
+    router.use(['/dnc', '/consents'], requireAuth);
+
+    const validationFailed = (res, errors) => res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors
+    });
+
+    const readPhone = (value) => {
+        const phone = toE164(value);
+        return phone && validateContactFields({ phone }).length === 0 ? phone : null;
+    };
+
+    router.get('/dnc', (req, res) => {
+        const { entries, total } = store.listDoNotCall({
+            q: req.query.q ? String(req.query.q).replace(/[^\d+]/g, '') : undefined,
+            limit: Math.min(parseInt(req.query.limit) || 100, 1000),
+            offset: parseInt(req.query.offset) || 0
+        });
+        res.json({ success: true, data: entries, total });
+    });
+
+    router.post('/dnc', (req, res) => {
+        const { entries, errors } = readDoNotCallEntries([req.body || {}], { source: 'manual' });
+        if (errors.length > 0) return validationFailed(res, errors);
+
+        const [added] = store.addDoNotCall(entries);
+        if (!added) {
+            return res.json({ success: true, data: store.getDoNotCall(entries[0].phone), duplicate: true });
+        }
+        console.log(`${added.phone} added to the do-not-call list`);
+        res.status(201).json({ success: true, data: added });
+    });
+
+    // Bulk import: CSV with a phone column (or one number per line), or JSON
+    router.post(
+        '/dnc/import',
+        express.text({ type: ['text/csv', 'text/plain'], limit: '10mb' }),
+        (req, res) => {
+            let items;
+            if (typeof req.body === 'string') {
+                const rows = parseCsvRows(req.body).filter(row => row.some(cell => cell.trim()));
+                const header = (rows[0] || []).map(cell => cell.trim().toLowerCase());
+                const column = header.findIndex(name => ['phone', 'number', 'phone_number'].includes(name));
+                items = column === -1
+                    ? rows.map(row => row[0])
+                    : rows.slice(1).map(row => ({ phone: row[column], reason: row[header.indexOf('reason')] }));
+            } else {
+                items = Array.isArray(req.body) ? req.body : req.body?.numbers;
+            }
+
+            if (!Array.isArray(items) || items.length === 0) {
+                return validationFailed(res, ['No numbers to import']);
+            }
+            if (items.length > MAX_DNC_IMPORT) {
+                return validationFailed(res, [`Too many numbers (max ${MAX_DNC_IMPORT} per import)`]);
+            }
+
+            const { entries, errors } = readDoNotCallEntries(items, { source: req.query.source || 'import' });
+            const added = store.addDoNotCall(entries);
+            console.log(`Do-not-call import: ${added.length} added, ${entries.length - added.length} already listed, ${errors.length} invalid`);
+            res.json({
+                success: true,
+                data: {
+                    total: items.length,
+                    added: added.length,
+                    alreadyListed: entries.length - added.length,
+                    invalid: errors.length,
+                    errors: errors.slice(0, 100)
+                }
+            });
+        }
+    );
+
+    // Whether a dial to this number would be allowed right now, and why not
+    router.get('/dnc/check/:phone', (req, res) => {
+        const phone = readPhone(req.params.phone);
+        if (!phone) return validationFailed(res, ['Invalid phone number']);
+
+        const decision = policy.evaluate(phone);
+        res.json({
+            success: true,
+            data: {
+                ...decision,
+                message: decision.reason ? BLOCK_REASONS[decision.reason] : null,
+                doNotCall: store.getDoNotCall(phone),
+                consent: store.getConsent(phone)
+            }
+        });
+    });
+
+    router.delete('/dnc/:phone', (req, res) => {
+        const phone = readPhone(req.params.phone);
+        if (!phone) return validationFailed(res, ['Invalid phone number']);
+
+        if (!store.removeDoNotCall(phone)) {
+            return res.status(404).json({ success: false, error: 'Number is not on the do-not-call list' });
+        }
+        console.log(`${phone} removed from the do-not-call list`);
+        res.json({ success: true, message: 'Number removed from the do-not-call list' });
+    });
+
+    // Body: { phone, granted, source, note }; granted: false records a revocation
+    router.post('/consents', (req, res) => {
+        const { phone, granted, source, note } = req.body || {};
+        const errors = [];
+        if (!readPhone(phone)) errors.push('Invalid phone number');
+        if (typeof granted !== 'boolean') errors.push('granted must be true or false');
+        if (typeof source !== 'string' || !source.trim()) errors.push('Consent source is required (e.g. web_form, call, signed_agreement)');
+        if (errors.length > 0) return validationFailed(res, errors);
+
+        const record = store.recordConsent({ phone, granted, source: source.trim(), note });
+        console.log(`Consent ${granted ? 'granted' : 'revoked'} for ${record.phone} (${record.source})`);
+        res.status(201).json({ success: true, data: record });
+    });
+
+    router.get('/consents/:phone', (req, res) => {
+        const phone = readPhone(req.params.phone);
+        if (!phone) return validationFailed(res, ['Invalid phone number']);
+
+        const history = store.getConsentHistory(phone);
+        res.json({ success: true, data: { phone, current: history[0] || null, history } });
+    });
+
+    router.get('/dial-audit', requireAdmin, (req, res) => {
+        const { phone, decision } = req.query;
+        if (decision && !['allowed', 'blocked'].includes(decision)) {
+            return validationFailed(res, ['Invalid decision (use allowed, blocked)']);
+        }
+        res.json({
+            success: true,
+            data: auditLog.list({ phone, decision, limit: Math.min(parseInt(req.query.limit) || 100, 1000) })
+        });
+    });
+
+    return router;
+}
+
+module.exports = { createComplianceRouter };
@@ -0,0 +1,130 @@
+// server/routes/leads.js - /api/leads
+const express = require('express');
+const { LEAD_STATUSES, normalizeLeadInput, validateLead } = require('../leads');
+
+function createLeadRouter({ store, callArchive, requireAuth }) {
+    const router = express.Router();
+
+    // Leads hold contact details, so all of /leads is for signed-in staff
+    router.use('/leads', requireAuth);
+
+    const notFound = (res) => res.status(404).json({
+        success: false,
+        error: 'Lead not found'
+    });
+
+    const validationFailed = (res, errors) => res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors
+    });
+
+    router.get('/leads', (req, res) => {
+        const { status, q } = req.query;
+        if (status && !LEAD_STATUSES.includes(status)) {
+            return validationFailed(res, [`Invalid status (use ${LEAD_STATUSES.join(', ')})`]);
+        }
+
+        const { leads, total } = store.list({
+            status,
+            q,
+            limit: Math.min(parseInt(req.query.limit) || 50, 500),
+            offset: parseInt(req.query.offset) || 0
+        });
+
+        res.json({
+            success: true,
+            data: leads,
+            total,
+            statuses: LEAD_STATUSES
+        });
+    });
+
+    router.post('/leads', (req, res) => {
+        const fields = normalizeLeadInput(req.body || {});
+        const errors = validateLead(fields);
+        if (errors.length > 0) {
+            return validationFailed(res, errors);
+        }
+
+        if (store.findByContact(fields)) {
+            return res.status(409).json({
+                success: false,
+                error: 'A lead with this phone number or email already exists',
+                data: store.findByContact(fields)
+            });
+        }
+
+        res.status(201).json({
+            success: true,
+            data: store.create(fields)
+        });
+    });
+
+    // A lead with the calls it is linked to (from the call archive)
+    router.get('/leads/:id', async (req, res) => {
+        const lead = store.get(req.params.id);
+        if (!lead) return notFound(res);
+
+        try {
+            const calls = await Promise.all(lead.callIds.map(callId => callArchive.get(callId)));
+            res.json({
+                success: true,
+                data: {
+                    ...lead,
+                    calls: calls.filter(Boolean)
+                }
+            });
+        } catch (error) {
+            console.error('Get lead calls error:', error);
+            res.json({ success: true, data: { ...lead, calls: [] } });
+        }
+    });
+
+    const updateLead = (replace) => (req, res) => {
+        if (!store.get(req.params.id)) return notFound(res);
+
+        const fields = normalizeLeadInput(req.body || {});
+        const errors = validateLead(fields, { partial: !replace });
+        if (errors.length > 0) {
+            return validationFailed(res, errors);
+        }
+
+        const duplicate = store.findByContact(fields);
+        if (duplicate && duplicate.id !== req.params.id) {
+            return res.status(409).json({
+                success: false,
+                error: 'Another lead already has this phone number or email'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: store.update(req.params.id, fields, { replace })
+        });
+    };
+
+    router.put('/leads/:id', updateLead(true));
+    router.patch('/leads/:id', updateLead(false));
+
+    router.delete('/leads/:id', (req, res) => {
+        if (!store.remove(req.params.id)) return notFound(res);
+        res.json({ success: true, message: 'Lead deleted' });
+    });
+
+    // Link an existing call to a lead by hand
+    router.post('/leads/:id/calls', (req, res) => {
+        const { callId } = req.body || {};
+        if (typeof callId !== 'string' || !callId.trim()) {
+            return validationFailed(res, ['callId is required']);
+        }
+
+        const lead = store.linkCall(req.params.id, callId.trim());
+        if (!lead) return notFound(res);
+        res.json({ success: true, data: lead });
+    });
+
+    return router;
+}
+
+module.exports = { createLeadRouter };
@@ -0,0 +1,161 @@
+// server/routes/properties.js - /api/properties listing management and bulk import
+const express = require('express');
+const { PROPERTY_FIELDS, normalizeProperty, validateProperty } = require('../property_schema');
+const {
+    MAX_IMPORT_ROWS,
+    DUPLICATE_ACTIONS,
+    parseImportBody,
+    importProperties
+} = require('../property_import');
+
+function createPropertyRouter({ repository, requireAuth, feedImportLog }) {
+    const router = express.Router();
+
+    const unavailable = (req, res, next) => {
+        if (!repository) {
+            return res.status(503).json({
+                success: false,
+                error: 'Database service unavailable'
+            });
+        }
+        next();
+    };
+
+    const notFound = (res) => res.status(404).json({
+        success: false,
+        error: 'Property not found'
+    });
+
+    const validationFailed = (res, errors) => res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors
+    });
+
+    // Normalize and validate a request body; unknown fields are rejected outright
+    const readProperty = (body, options) => {
+        const { property, unknown } = normalizeProperty(body || {});
+        const errors = [
+            ...unknown.map(name => `Unknown field: ${name}`),
+            ...validateProperty(property, options)
+        ];
+        return { property, errors };
+    };
+
+    // Recent MLS feed import runs (see reso_feed.js)
+    router.get('/properties/feed-imports', requireAuth, (req, res) => {
+        const runs = feedImportLog ? feedImportLog.list({ limit: Math.min(parseInt(req.query.limit) || 20, 200) }) : [];
+        res.json({ success: true, data: runs });
+    });
+
+    router.get('/properties/:id', unavailable, async (req, res) => {
+        try {
+            const property = await repository.getById(req.params.id);
+            if (!property) return notFound(res);
+            res.json({ success: true, data: property });
+        } catch (error) {
+            console.error('Get property error:', error);
+            res.status(500).json({ success: false, error: 'Failed to load property' });
+        }
+    });
+
+    router.post('/properties', requireAuth, unavailable, async (req, res) => {
+        const { property, errors } = readProperty(req.body);
+        if (errors.length > 0) return validationFailed(res, errors);
+
+        try {
+            const existing = await repository.findByAddress(property);
+            if (existing) {
+                return res.status(409).json({
+                    success: false,
+                    error: 'A property with this address already exists',
+                    data: { id: existing.id }
+                });
+            }
+
+            const created = await repository.create({ status: 'active', ...property });
+            console.log(`Property ${created.id} created: ${created.address}`);
+            res.status(201).json({ success: true, data: created });
+        } catch (error) {
+            console.error('Create property error:', error);
+            res.status(500).json({ success: false, error: 'Failed to create property' });
+        }
+    });
+
+    // PUT replaces the listing (omitted optional fields are cleared); PATCH changes only what is sent
+    const updateProperty = (replace) => async (req, res) => {
+        const { property, errors } = readProperty(req.body, { partial: !replace });
+        if (errors.length > 0) return validationFailed(res, errors);
+
+        try {
+            const changes = replace
+                ? { ...Object.fromEntries(Object.keys(PROPERTY_FIELDS).map(field => [field, null])), status: 'active', ...property }
+                : property;
+
+            const updated = await repository.update(req.params.id, changes);
+            if (!updated) return notFound(res);
+            res.json({ success: true, data: updated });
+        } catch (error) {
+            console.error('Update property error:', error);
+            res.status(500).json({ success: false, error: 'Failed to update property' });
+        }
+    };
+
+    router.put('/properties/:id', requireAuth, unavailable, updateProperty(true));
+    router.patch('/properties/:id', requireAuth, unavailable, updateProperty(false));
+
+    // Deletes the listing; to retire it but keep the record, PATCH status to off_market
+    router.delete('/properties/:id', requireAuth, unavailable, async (req, res) => {
+        try {
+            if (!await repository.remove(req.params.id)) return notFound(res);
+            console.log(`Property ${req.params.id} deleted`);
+            res.json({ success: true, message: 'Property deleted' });
+        } catch (error) {
+            console.error('Delete property error:', error);
+            res.status(500).json({ success: false, error: 'Failed to delete property' });
+        }
+    });
+
+    // Bulk import: CSV (text/csv) or JSON; ?dryRun=true reports without writing
+    router.post(
+        '/properties/import',
+        requireAuth,
+        unavailable,
+        express.text({ type: ['text/csv', 'text/plain'], limit: '10mb' }),
+        async (req, res) => {
+            const dryRun = String(req.query.dryRun ?? req.body?.dryRun) === 'true';
+            const onDuplicate = req.query.onDuplicate || req.body?.onDuplicate || 'update';
+
+            if (!DUPLICATE_ACTIONS.includes(onDuplicate)) {
+                return validationFailed(res, [`Invalid onDuplicate (use ${DUPLICATE_ACTIONS.join(', ')})`]);
+            }
+
+            let rows;
+            try {
+                rows = parseImportBody(req.body, req.get('content-type'));
+            } catch (error) {
+                return validationFailed(res, [error.message]);
+            }
+
+            if (rows.length === 0) {
+                return validationFailed(res, ['No rows to import']);
+            }
+            if (rows.length > MAX_IMPORT_ROWS) {
+                return validationFailed(res, [`Too many rows (max ${MAX_IMPORT_ROWS} per import)`]);
+            }
+
+            try {
+                const report = await importProperties({ repository, rows, dryRun, onDuplicate });
+                console.log(`Property import${dryRun ? ' (dry run)' : ''}: ${report.created} created, ${report.updated} updated, ${report.skipped} skipped`);
+                res.json({ success: true, data: report });
+            } catch (error) {
+                console.error('Property import error:', error);
+                res.status(500).json({ success: false, error: 'Import failed' });
+            }
+        }
+    );
+
+    return router;
+}
+
+module.exports = { createPropertyRouter };
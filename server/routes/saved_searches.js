@@ -0,0 +1,154 @@
+// server/routes/saved_searches.js - /api/saved-searches and /api/alerts
+const express = require('express');
+const { validateSearchCriteria, resolveNearCriteria } = require('../property_search');
+const { validateContact } = require('../contacts');
+
+function createSavedSearchRouter({ store, runner, gazetteer, requireAuth }) {
+    const router = express.Router();
+
+    // Save a named /api/search criteria set against a contact (public, so callers and site
+    // visitors can sign up for alerts); everything else exposes contacts and needs an agent
+    router.post('/saved-searches', async (req, res) => {
+        try {
+            const { name, contact, criteria, runNow = true } = req.body;
+            const errors = [];
+
+            if (typeof name !== 'string' || !name.trim() || name.length > 100) {
+                errors.push('Name is required (max 100 characters)');
+            }
+            errors.push(...validateContact(contact));
+            if (!criteria || typeof criteria !== 'object' || Object.keys(criteria).length === 0) {
+                errors.push('Search criteria are required');
+            } else {
+                errors.push(...validateSearchCriteria(criteria), ...resolveNearCriteria(criteria, gazetteer).errors);
+            }
+
+            if (errors.length > 0) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Validation failed',
+                    details: errors
+                });
+            }
+
+            const search = store.create({ name, contact, criteria });
+
+            // Baseline run so later runs only alert on listings that are actually new
+            if (runNow) {
+                await runner.run(search);
+            }
+
+            res.status(201).json({
+                success: true,
+                data: store.get(search.id)
+            });
+        } catch (error) {
+            console.error('Save search error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to save search'
+            });
+        }
+    });
+
+    router.get('/saved-searches', requireAuth, (req, res) => {
+        const { phone, email } = req.query;
+        const searches = store.list({ phone, email });
+        res.json({
+            success: true,
+            data: searches,
+            count: searches.length
+        });
+    });
+
+    router.get('/saved-searches/:id', requireAuth, (req, res) => {
+        const search = store.get(req.params.id);
+        if (!search) {
+            return res.status(404).json({
+                success: false,
+                error: 'Saved search not found'
+            });
+        }
+        res.json({ success: true, data: search });
+    });
+
+    router.delete('/saved-searches/:id', requireAuth, (req, res) => {
+        if (!store.remove(req.params.id)) {
+            return res.status(404).json({
+                success: false,
+                error: 'Saved search not found'
+            });
+        }
+        res.json({ success: true, message: 'Saved search deleted' });
+    });
+
+    // Run one saved search now instead of waiting for the schedule
+    router.post('/saved-searches/:id/run', requireAuth, async (req, res) => {
+        const search = store.get(req.params.id);
+        if (!search) {
+            return res.status(404).json({
+                success: false,
+                error: 'Saved search not found'
+            });
+        }
+
+        try {
+            const result = await runner.run(search);
+            if (result.error) {
+                return res.status(422).json({
+                    success: false,
+                    error: 'Saved search could not run',
+                    details: [result.error]
+                });
+            }
+            res.json({
+                success: true,
+                data: {
+                    total: result.total,
+                    newMatches: result.newMatches
+                }
+            });
+        } catch (error) {
+            console.error('Run saved search error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to run saved search'
+            });
+        }
+    });
+
+    // "New match" alerts, newest first
+    router.get('/alerts', requireAuth, (req, res) => {
+        const { savedSearchId, phone, email } = req.query;
+        const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+        const result = store.listAlerts({
+            savedSearchId,
+            phone,
+            email,
+            unread: req.query.unread === 'true',
+            limit
+        });
+
+        res.json({
+            success: true,
+            data: result.alerts,
+            total: result.total,
+            unread: result.unread
+        });
+    });
+
+    router.post('/alerts/:id/read', requireAuth, (req, res) => {
+        const alert = store.markAlertRead(req.params.id);
+        if (!alert) {
+            return res.status(404).json({
+                success: false,
+                error: 'Alert not found'
+            });
+        }
+        res.json({ success: true, data: alert });
+    });
+
+    return router;
+}
+
+module.exports = { createSavedSearchRouter };
@@ -0,0 +1,134 @@
+// server/routes/tenants.js - /api/tenants brokerage management for the platform operator
+const express = require('express');
+const { getRequestToken, safeEqual } = require('../auth');
+const { DEFAULT_TENANT_ID, validateTenant, publicTenant, normalizeHostname } = require('../tenants');
+
+function createTenantRouter({ store, registry, apiKey = process.env.ADMIN_API_KEY }) {
+    const router = express.Router();
+
+    // Tenants are managed with ADMIN_API_KEY only; tenant admins cannot see each other
+    router.use('/tenants', (req, res, next) => {
+        if (!apiKey) {
+            return res.status(503).json({
+                success: false,
+                error: 'Tenant management requires ADMIN_API_KEY to be set'
+            });
+        }
+        if (!safeEqual(getRequestToken(req), apiKey)) {
+            return res.status(401).json({
+                success: false,
+                error: 'Authentication required'
+            });
+        }
+        next();
+    });
+
+    const validationFailed = (res, errors) => res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors
+    });
+
+    const notFound = (res) => res.status(404).json({
+        success: false,
+        error: 'Tenant not found'
+    });
+
+    const builtIn = (res) => res.status(409).json({
+        success: false,
+        error: 'The default tenant is configured with environment variables'
+    });
+
+    // A hostname can only route to one tenant
+    const hostnameConflicts = (hostnames = [], tenantId = null) => hostnames
+        .filter(hostname => {
+            const owner = store.findByHostname(hostname);
+            return owner && owner.id !== tenantId;
+        })
+        .map(hostname => `${normalizeHostname(hostname)} already belongs to another tenant`);
+
+    router.get('/tenants', (req, res) => {
+        res.json({ success: true, data: registry.listTenants().map(publicTenant) });
+    });
+
+    router.get('/tenants/:id', (req, res) => {
+        const tenant = registry.getTenant(req.params.id);
+        if (!tenant) return notFound(res);
+        res.json({ success: true, data: publicTenant(tenant) });
+    });
+
+    // Body: { id, name, hostnames, vapi: { privateKey, publicKey, assistantId, phoneNumberId, webhookSecret } }
+    router.post('/tenants', (req, res) => {
+        const { id, name, hostnames = [], vapi = {} } = req.body || {};
+        const tenant = { id, name, hostnames, vapi };
+        const errors = validateTenant(tenant);
+        if (errors.length > 0) return validationFailed(res, errors);
+
+        if (store.get(id)) {
+            return res.status(409).json({
+                success: false,
+                error: 'A tenant with this id already exists'
+            });
+        }
+        const conflicts = hostnameConflicts(hostnames);
+        if (conflicts.length > 0) {
+            return res.status(409).json({ success: false, error: 'Hostname already in use', details: conflicts });
+        }
+
+        const created = store.create(tenant);
+        registry.invalidate(id);
+        console.log(`Tenant ${id} created (${created.tenant.hostnames.join(', ') || 'API key only'})`);
+        res.status(201).json({
+            success: true,
+            data: publicTenant(created.tenant),
+            // Shown once; store it now
+            apiKey: created.apiKey
+        });
+    });
+
+    // Any of name, hostnames, vapi (merged, null clears a field), disabled
+    router.patch('/tenants/:id', (req, res) => {
+        if (req.params.id === DEFAULT_TENANT_ID) return builtIn(res);
+        if (!store.get(req.params.id)) return notFound(res);
+
+        const { name, hostnames, vapi, disabled } = req.body || {};
+        const changes = { name, hostnames, vapi, disabled };
+        const errors = validateTenant(changes, { partial: true });
+        if (errors.length > 0) return validationFailed(res, errors);
+
+        const conflicts = hostnameConflicts(hostnames, req.params.id);
+        if (conflicts.length > 0) {
+            return res.status(409).json({ success: false, error: 'Hostname already in use', details: conflicts });
+        }
+
+        const updated = store.update(req.params.id, changes);
+        registry.invalidate(req.params.id);
+        console.log(`Tenant ${req.params.id} updated`);
+        res.json({ success: true, data: publicTenant(updated) });
+    });
+
+    // Issues a new API key; the old one stops working immediately
+    router.post('/tenants/:id/api-key', (req, res) => {
+        if (req.params.id === DEFAULT_TENANT_ID) return builtIn(res);
+
+        const apiKey = store.rotateApiKey(req.params.id);
+        if (!apiKey) return notFound(res);
+        registry.invalidate(req.params.id);
+        console.log(`API key rotated for tenant ${req.params.id}`);
+        res.json({ success: true, apiKey });
+    });
+
+    // The tenant's data directory is kept so it can be restored or archived
+    router.delete('/tenants/:id', (req, res) => {
+        if (req.params.id === DEFAULT_TENANT_ID) return builtIn(res);
+
+        if (!store.remove(req.params.id)) return notFound(res);
+        registry.invalidate(req.params.id);
+        console.log(`Tenant ${req.params.id} removed`);
+        res.json({ success: true, message: 'Tenant removed' });
+    });
+
+    return router;
+}
+
+module.exports = { createTenantRouter };
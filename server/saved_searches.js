@@ -0,0 +1,305 @@
+// server/saved_searches.js - Saved search criteria per contact and "new match" alerts
+// Each saved search is re-run on a schedule; listings that were not in the previous
+// run's results become alerts, shown in the UI and passed to the configured notifier.
+const crypto = require('crypto');
+const { JsonFileStore, dataFile } = require('./json_store');
+const {
+    MAX_PAGE_SIZE,
+    validateSearchCriteria,
+    resolveNearCriteria
+} = require('./property_search');
+const { SEARCH_PROPERTIES_TOOL, criteriaFromArguments } = require('./vapi_tools');
+const { normalizeContact, validateContact, matchesContact } = require('./contacts');
+
+// Upper bound on listings compared per run, so one broad search cannot scan everything
+const MAX_RESULTS_PER_RUN = 500;
+// Oldest alerts are dropped beyond this many
+const MAX_ALERTS = 2000;
+
+// Fields copied onto an alert so it still reads well if the listing changes later
+const ALERT_PROPERTY_FIELDS = ['id', 'address', 'city', 'state', 'price', 'bedrooms', 'bathrooms', 'property_type'];
+
+function alertProperty(property) {
+    const snapshot = {};
+    for (const field of ALERT_PROPERTY_FIELDS) {
+        if (property[field] !== undefined) snapshot[field] = property[field];
+    }
+    return snapshot;
+}
+
+class SavedSearchStore {
+    constructor(filePath = dataFile('saved-searches.json')) {
+        this.store = new JsonFileStore(filePath, { searches: [], alerts: [] });
+    }
+
+    create({ name, contact, criteria, source = 'api', callId = null }) {
+        const search = {
+            id: crypto.randomUUID(),
+            name: name.trim(),
+            contact: normalizeContact(contact),
+            criteria,
+            source,
+            callId,
+            createdAt: new Date().toISOString(),
+            lastRunAt: null,
+            lastRunTotal: null,
+            lastResultIds: [],
+            lastError: null
+        };
+
+        this.store.update(data => {
+            data.searches.push(search);
+        });
+        return search;
+    }
+
+    list(contact = {}) {
+        return this.store.data.searches.filter(search => matchesContact(search.contact, contact));
+    }
+
+    get(id) {
+        return this.store.data.searches.find(search => search.id === id) || null;
+    }
+
+    // Deleting a search also drops its alerts
+    remove(id) {
+        return this.store.update(data => {
+            const before = data.searches.length;
+            data.searches = data.searches.filter(search => search.id !== id);
+            data.alerts = data.alerts.filter(alert => alert.savedSearchId !== id);
+            return data.searches.length < before;
+        });
+    }
+
+    recordRun(id, { resultIds, total, error = null }) {
+        return this.store.update(data => {
+            const search = data.searches.find(item => item.id === id);
+            if (!search) return null;
+
+            search.lastRunAt = new Date().toISOString();
+            search.lastError = error;
+            if (!error) {
+                search.lastResultIds = resultIds;
+                search.lastRunTotal = total;
+            }
+            return search;
+        });
+    }
+
+    addAlerts(search, properties) {
+        const createdAt = new Date().toISOString();
+        const alerts = properties.map(property => ({
+            id: crypto.randomUUID(),
+            savedSearchId: search.id,
+            searchName: search.name,
+            contact: search.contact,
+            property: alertProperty(property),
+            createdAt,
+            readAt: null
+        }));
+
+        this.store.update(data => {
+            data.alerts.push(...alerts);
+            if (data.alerts.length > MAX_ALERTS) {
+                data.alerts.splice(0, data.alerts.length - MAX_ALERTS);
+            }
+        });
+        return alerts;
+    }
+
+    // Newest first
+    listAlerts({ savedSearchId, phone, email, unread, limit = 50 } = {}) {
+        const searchIds = (phone || email) ? new Set(this.list({ phone, email }).map(search => search.id)) : null;
+        const alerts = this.store.data.alerts.filter(alert => {
+            if (savedSearchId && alert.savedSearchId !== savedSearchId) return false;
+            if (searchIds && !searchIds.has(alert.savedSearchId)) return false;
+            if (unread && alert.readAt) return false;
+            return true;
+        });
+
+        return {
+            alerts: alerts.slice().reverse().slice(0, limit),
+            total: alerts.length,
+            unread: alerts.filter(alert => !alert.readAt).length
+        };
+    }
+
+    markAlertRead(id) {
+        return this.store.update(data => {
+            const alert = data.alerts.find(item => item.id === id);
+            if (!alert) return null;
+            alert.readAt = alert.readAt || new Date().toISOString();
+            return alert;
+        });
+    }
+}
+
+class SavedSearchRunner {
+    constructor({ store, propertyRepository, gazetteer, notifier, intervalMs = 60 * 60 * 1000 }) {
+        this.store = store;
+        this.propertyRepository = propertyRepository;
+        this.gazetteer = gazetteer;
+        this.notifier = notifier;
+        this.intervalMs = intervalMs;
+        this.timer = null;
+        this.inFlight = null;
+    }
+
+    // Every listing id matching the criteria, page by page
+    async collectMatches(criteria) {
+        const properties = [];
+        let total = 0;
+
+        for (let page = 1; properties.length < MAX_RESULTS_PER_RUN; page++) {
+            const result = await this.propertyRepository.search(criteria, {
+                page,
+                pageSize: MAX_PAGE_SIZE,
+                sortBy: 'newest'
+            });
+            total = result.total;
+            properties.push(...result.properties);
+            if (page >= result.totalPages) break;
+        }
+
+        return { properties: properties.slice(0, MAX_RESULTS_PER_RUN), total };
+    }
+
+    // Run one saved search; the first run only records a baseline
+    async run(search) {
+        const near = resolveNearCriteria(search.criteria, this.gazetteer);
+        if (near.errors.length > 0) {
+            this.store.recordRun(search.id, { error: near.errors.join(', ') });
+            return { newMatches: [], total: 0, error: near.errors.join(', ') };
+        }
+
+        let matches;
+        try {
+            matches = await this.collectMatches(near.criteria);
+        } catch (error) {
+            console.error(`Saved search ${search.id} failed:`, error.message);
+            this.store.recordRun(search.id, { error: error.message });
+            return { newMatches: [], total: 0, error: error.message };
+        }
+
+        const previous = new Set(search.lastResultIds);
+        const fresh = search.lastRunAt
+            ? matches.properties.filter(property => !previous.has(String(property.id)))
+            : [];
+
+        this.store.recordRun(search.id, {
+            resultIds: matches.properties.map(property => String(property.id)),
+            total: matches.total
+        });
+
+        const alerts = fresh.length > 0 ? this.store.addAlerts(search, fresh) : [];
+        if (alerts.length > 0 && this.notifier) {
+            try {
+                await this.notifier.notify({ search, alerts });
+            } catch (error) {
+                // Alerts are already stored, so a failed delivery is only logged
+                console.error(`Alert delivery via ${this.notifier.name} failed:`, error.message);
+            }
+        }
+
+        return { newMatches: alerts, total: matches.total, error: null };
+    }
+
+    // Run every saved search (one sweep at a time)
+    runAll() {
+        if (!this.propertyRepository) return Promise.resolve({ searches: 0, newMatches: 0 });
+        if (this.inFlight) return this.inFlight;
+
+        this.inFlight = (async () => {
+            let newMatches = 0;
+            const searches = this.store.list();
+            for (const search of searches) {
+                const result = await this.run(search);
+                newMatches += result.newMatches.length;
+            }
+            if (newMatches > 0) {
+                console.log(`Saved searches: ${newMatches} new match(es) across ${searches.length} search(es)`);
+            }
+            return { searches: searches.length, newMatches };
+        })().finally(() => {
+            this.inFlight = null;
+        });
+
+        return this.inFlight;
+    }
+
+    start() {
+        if (this.timer || !this.intervalMs) return;
+        this.timer = setInterval(() => {
+            this.runAll().catch(error => console.error('Saved search sweep failed:', error.message));
+        }, this.intervalMs);
+        // Do not keep the process alive just for the schedule
+        this.timer.unref();
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+}
+
+// Assistant tool: save what the caller is looking for so they hear about new listings
+const SAVE_SEARCH_TOOL = {
+    type: 'function',
+    function: {
+        name: 'save_search',
+        description: 'Save the caller\'s search so they are alerted when new matching listings come on the market. Confirm a name for the search first.',
+        parameters: {
+            type: 'object',
+            properties: {
+                name: { type: 'string', description: 'Short name for the search, e.g. "Bellevue 3 bed under 900k"' },
+                callerName: { type: 'string', description: 'The caller\'s name, if known' },
+                email: { type: 'string', description: 'Email for alerts, if the caller gave one' },
+                ...SEARCH_PROPERTIES_TOOL.function.parameters.properties
+            },
+            required: ['name']
+        }
+    }
+};
+
+// Tool handler bound to a store/runner; the caller's number comes from the call itself
+function createSaveSearchHandler({ store, runner, gazetteer }) {
+    return async (args, { message } = {}) => {
+        const { name, callerName, email, ...searchArgs } = args;
+        const contact = normalizeContact({
+            name: callerName,
+            phone: message?.call?.customer?.number,
+            email
+        });
+        const criteria = criteriaFromArguments(searchArgs);
+
+        const errors = [
+            ...validateContact(contact),
+            ...validateSearchCriteria(criteria),
+            ...resolveNearCriteria(criteria, gazetteer).errors
+        ];
+        if (typeof name !== 'string' || !name.trim()) errors.push('a name for the search is required');
+        if (Object.keys(criteria).length === 0) errors.push('no search criteria were given');
+        if (errors.length > 0) {
+            return `I could not save that search: ${errors.join(', ')}.`;
+        }
+
+        const search = store.create({
+            name,
+            contact,
+            criteria,
+            source: 'assistant',
+            callId: message?.call?.id || null
+        });
+
+        // Baseline run so only listings added from now on trigger alerts
+        const { total } = runner ? await runner.run(search) : { total: 0 };
+        return `I saved the search "${search.name}". There are ${total} matching listings right now, and you will be alerted when new ones come on the market.`;
+    };
+}
+
+module.exports = {
+    SavedSearchStore,
+    SavedSearchRunner,
+    SAVE_SEARCH_TOOL,
+    createSaveSearchHandler
+};
@@ -0,0 +1,57 @@
+// server/server.js - Runs the app: listens on PORT, starts tenant schedules and shuts down cleanly
+require('dotenv').config();
+const { createApp } = require('./app');
+const { loadConfig } = require('./config');
+
+const config = loadConfig();
+const app = createApp({ config });
+const { tenantRegistry, supabase, alertNotifier } = app.locals;
+
+// Global error handlers
+process.on('uncaughtException', (error) => {
+    console.error('Uncaught Exception:', error);
+    process.exit(1);
+});
+
+process.on('unhandledRejection', (reason, promise) => {
+    console.error('Unhandled Rejection at:', promise, 'reason:', reason);
+    process.exit(1);
+});
+
+// Start server
+const server = app.listen(config.port, () => {
+    console.log(`Server running on port ${config.port} in ${config.nodeEnv} mode`);
+
+    // Builds every tenant and starts its schedules (saved-search alerts, feed import, campaigns)
+    tenantRegistry.start();
+    console.log(`Services available:`, {
+        tenants: tenantRegistry.listTenants().map(tenant => tenant.id),
+        supabase: !!supabase,
+        alerts: alertNotifier?.name || false
+    });
+});
+
+// Handle server errors
+server.on('error', (error) => {
+    if (error.code === 'EADDRINUSE') {
+        console.error(`Port ${config.port} is already in use`);
+        process.exit(1);
+    } else {
+        console.error('Server error:', error);
+        process.exit(1);
+    }
+});
+
+// Graceful shutdown
+const gracefulShutdown = () => {
+    console.log('Shutting down gracefully...');
+    tenantRegistry.stop();
+    server.close(() => {
+        tenantRegistry.destroy();
+        console.log('Process terminated');
+        process.exit(0);
+    });
+};
+
+process.on('SIGTERM', gracefulShutdown);
+process.on('SIGINT', gracefulShutdown);
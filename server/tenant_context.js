@@ -0,0 +1,244 @@
+// server/tenant_context.js - The services one tenant's requests and schedules run against
+// Every store lives in the tenant's data directory and every Supabase query is scoped to the
+// tenant, so nothing built here can reach another tenant's data.
+const path = require('path');
+const VapiService = require('./vapi_integration');
+const { createPropertyRepository } = require('./repositories/property_repository');
+const { VapiToolHandler } = require('./vapi_tools');
+const { WebhookEventStore } = require('./vapi_webhooks');
+const { createCallArchive, CallArchiveSync } = require('./call_archive');
+const { SavedSearchStore, SavedSearchRunner, SAVE_SEARCH_TOOL, createSaveSearchHandler } = require('./saved_searches');
+const { LeadStore, CAPTURE_LEAD_TOOL, createCaptureLeadHandler } = require('./leads');
+const { UserStore, authenticate, CallAccessTokens, requireCallAccess, safeEqual, hashToken } = require('./auth');
+const { ResoFeedImporter, FeedImportLog, FeedImportScheduler } = require('./reso_feed');
+const {
+    SchedulingStore,
+    ShowingScheduler,
+    CHECK_AVAILABILITY_TOOL,
+    BOOK_SHOWING_TOOL,
+    createSchedulingToolHandlers
+} = require('./appointments');
+const { CampaignStore, CampaignRunner } = require('./campaigns');
+const { ComplianceStore, DialAuditLog, DialPolicy, parseCallingHours } = require('./compliance');
+const { AssistantRegistry } = require('./assistant_registry');
+const { AssistantVersionStore, AssistantConfigManager } = require('./assistant_versions');
+const { DEFAULT_TENANT_ID, tenantDataDir } = require('./tenants');
+const { loadConfig } = require('./config');
+
+// Rows in shared Supabase tables carry tenant_id once there is more than one tenant;
+// the default tenant's rows are the ones without it
+function supabaseTenantId(tenant, multiTenant) {
+    if (tenant.id !== DEFAULT_TENANT_ID) return tenant.id;
+    return multiTenant ? null : undefined;
+}
+
+// The default tenant keeps PROPERTIES_FILE / SQLITE_PATH and the seed catalogue;
+// other tenants start with an empty catalogue of their own
+function createTenantPropertyRepository(tenant, { supabase = null, multiTenant = false } = {}) {
+    const isDefault = tenant.id === DEFAULT_TENANT_ID;
+    return createPropertyRepository({
+        supabase,
+        dataDir: isDefault ? undefined : tenantDataDir(tenant.id),
+        tenantId: supabaseTenantId(tenant, multiTenant),
+        seed: isDefault ? undefined : []
+    });
+}
+
+class TenantContext {
+    // shared: { supabase, gazetteer, notifier, multiTenant, config } - the parts every tenant
+    // uses, with config as built by createApp (config.js; the environment when left out).
+    // The default tenant can also be given vapiService and propertyRepository instead of
+    // building them from config.
+    constructor(tenant, {
+        supabase = null,
+        gazetteer,
+        notifier = null,
+        multiTenant = false,
+        config = loadConfig(),
+        vapiService,
+        propertyRepository: injectedRepository
+    } = {}) {
+        this.id = tenant.id;
+        this.name = tenant.name;
+        this.multiTenant = multiTenant;
+
+        const isDefault = tenant.id === DEFAULT_TENANT_ID;
+        const file = (name) => path.join(tenantDataDir(tenant.id), name);
+        const vapi = tenant.vapi || {};
+
+        // The default tenant uses the configured Vapi account; others never fall back to it.
+        // A service passed in belongs to the caller, so destroy() leaves it alone.
+        this.ownsVapiService = vapiService === undefined;
+        if (vapiService !== undefined) {
+            this.vapiService = vapiService;
+        } else {
+            const account = isDefault ? {
+                privateKey: config.vapiPrivateKey,
+                publicKey: config.vapiPublicKey,
+                assistantId: config.vapiAssistantId,
+                phoneNumberId: config.vapiPhoneNumberId
+            } : vapi;
+            try {
+                this.vapiService = new VapiService({
+                    privateKey: account.privateKey || null,
+                    publicKey: account.publicKey || null,
+                    assistantId: account.assistantId || null,
+                    phoneNumberId: account.phoneNumberId || null,
+                    baseUrl: config.vapiBaseUrl || undefined,
+                    timeoutMs: config.vapiTimeoutMs,
+                    maxRetries: config.vapiMaxRetries,
+                    label: tenant.id
+                });
+            } catch (error) {
+                console.error(`Failed to initialize Vapi service for tenant ${tenant.id}:`, error.message);
+                this.vapiService = null;
+            }
+        }
+
+        this.webhookSecret = isDefault ? config.webhookSecret : vapi.webhookSecret || null;
+        this.allowUnverifiedWebhooks = config.allowUnverifiedWebhooks;
+        if (!this.webhookSecret) {
+            console.warn(this.allowUnverifiedWebhooks
+                ? `No webhook secret for tenant ${tenant.id} - webhook requests will not be verified`
+                : `No webhook secret for tenant ${tenant.id} - webhook requests will be rejected`);
+        }
+
+        // Property catalogue (Supabase, local JSON or SQLite - see PROPERTY_REPOSITORY)
+        if (injectedRepository !== undefined) {
+            this.propertyRepository = injectedRepository;
+        } else {
+            try {
+                this.propertyRepository = createTenantPropertyRepository(tenant, { supabase, multiTenant });
+            } catch (error) {
+                console.error(`Failed to initialize property repository for tenant ${tenant.id}:`, error.message);
+                this.propertyRepository = null;
+            }
+        }
+        const propertyRepository = this.propertyRepository;
+
+        // Handlers for assistant tool calls received on the webhook
+        this.toolHandler = new VapiToolHandler({ propertyRepository, gazetteer });
+
+        // Saved searches, re-run every SAVED_SEARCH_INTERVAL_MINUTES (0 disables the schedule)
+        this.savedSearchStore = new SavedSearchStore(file('saved-searches.json'));
+        this.savedSearchRunner = new SavedSearchRunner({
+            store: this.savedSearchStore,
+            propertyRepository,
+            gazetteer,
+            notifier,
+            intervalMs: config.savedSearchIntervalMinutes * 60 * 1000
+        });
+        this.toolHandler.register(
+            'save_search',
+            createSaveSearchHandler({ store: this.savedSearchStore, runner: this.savedSearchRunner, gazetteer }),
+            SAVE_SEARCH_TOOL
+        );
+
+        // Local store of verified webhook events, keyed by call id
+        this.webhookEventStore = new WebhookEventStore(file('webhook-events.json'));
+
+        // Local call archive so call history does not depend on Vapi being reachable
+        this.callArchive = createCallArchive({
+            supabase,
+            filePath: file('calls.json'),
+            tenantId: supabaseTenantId(tenant, multiTenant)
+        });
+        this.callArchiveSync = new CallArchiveSync({ archive: this.callArchive, vapiService: this.vapiService });
+
+        // Scheduled MLS feed import from a local RESO file (RESO_FEED_FILE, default tenant only)
+        this.feedImportLog = new FeedImportLog(file('feed-imports.json'));
+        this.feedImportScheduler = null;
+        if (isDefault && config.resoFeedFile && propertyRepository) {
+            try {
+                this.feedImportScheduler = new FeedImportScheduler({
+                    importer: new ResoFeedImporter({ repository: propertyRepository, log: this.feedImportLog }),
+                    filePath: config.resoFeedFile,
+                    intervalMs: config.resoFeedIntervalMinutes * 60 * 1000
+                });
+            } catch (error) {
+                console.error('Failed to set up RESO feed import:', error.message);
+            }
+        }
+
+        // Leads built from end-of-call reports and the capture_lead tool
+        this.leadStore = new LeadStore(file('leads.json'));
+        this.toolHandler.register('capture_lead', createCaptureLeadHandler({ store: this.leadStore }), CAPTURE_LEAD_TOOL);
+
+        // Showing scheduling against agent calendars; bookings are linked to leads
+        this.showingScheduler = new ShowingScheduler({
+            store: new SchedulingStore(file('appointments.json')),
+            propertyRepository,
+            leadStore: this.leadStore
+        });
+        const schedulingTools = createSchedulingToolHandlers({ scheduler: this.showingScheduler });
+        this.toolHandler.register('check_availability', schedulingTools.checkAvailability, CHECK_AVAILABILITY_TOOL);
+        this.toolHandler.register('book_showing', schedulingTools.bookShowing, BOOK_SHOWING_TOOL);
+
+        // Assistants calls may use; the tenant's own assistant is registered as the default
+        this.assistantRegistry = new AssistantRegistry({
+            filePath: file('assistants.json'),
+            defaultAssistantId: this.vapiService?.assistantId
+        });
+
+        // Every assistant config change is stored as a version (see assistant_versions.js)
+        this.assistantVersionStore = new AssistantVersionStore(file('assistant-versions.json'));
+        this.assistantConfigManager = new AssistantConfigManager({
+            store: this.assistantVersionStore,
+            vapiService: this.vapiService
+        });
+
+        // Do-not-call list, consent and quiet hours, enforced inside VapiService.makeCall
+        this.complianceStore = new ComplianceStore(file('compliance.json'));
+        this.dialAuditLog = new DialAuditLog(file('dial-audit.json'));
+        this.dialPolicy = new DialPolicy({
+            store: this.complianceStore,
+            auditLog: this.dialAuditLog,
+            callingHours: parseCallingHours(config.dialCallingHours),
+            requireConsent: config.dialRequireConsent
+        });
+        this.vapiService?.setDialPolicy(this.dialPolicy);
+
+        // Outbound calling campaigns (CAMPAIGN_INTERVAL_SECONDS between dialing passes)
+        this.campaignStore = new CampaignStore(file('campaigns.json'));
+        this.campaignRunner = new CampaignRunner({
+            store: this.campaignStore,
+            vapiService: this.vapiService,
+            intervalMs: config.campaignIntervalSeconds * 1000
+        });
+
+        // Staff accounts belong to one tenant; the admin API key is the configured one
+        // (ADMIN_API_KEY) for the default tenant and the tenant's own key otherwise
+        this.userStore = new UserStore(file('users.json'));
+        this.authenticate = isDefault
+            ? authenticate({ userStore: this.userStore, apiKey: config.adminApiKey })
+            : authenticate({
+                userStore: this.userStore,
+                isApiKey: (token) => !!tenant.apiKeyHash && safeEqual(hashToken(token), tenant.apiKeyHash)
+            });
+        this.callAccessTokens = new CallAccessTokens({ scope: tenant.id });
+        this.requireCallAccess = requireCallAccess(this.callAccessTokens);
+        // The same signing for booked showings, so a visitor can fetch their own invite
+        this.appointmentAccessTokens = new CallAccessTokens({ scope: `${tenant.id}:appointment` });
+    }
+
+    start() {
+        this.savedSearchRunner.start();
+        this.feedImportScheduler?.start();
+        this.campaignRunner.start();
+    }
+
+    stop() {
+        this.savedSearchRunner.stop();
+        this.feedImportScheduler?.stop();
+        this.campaignRunner.stop();
+    }
+
+    destroy() {
+        if (this.ownsVapiService) this.vapiService?.destroy();
+    }
+}
+
+module.exports = {
+    TenantContext,
+    createTenantPropertyRepository
+};
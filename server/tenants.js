@@ -0,0 +1,288 @@
+// server/tenants.js - Brokerages (tenants) sharing one deployment
+// Each tenant has its own Vapi keys, assistants, phone number, listings, calls, leads and
+// staff accounts. A request belongs to the tenant whose API key it carries ("X-API-Key" or
+// bearer token), otherwise to the tenant that owns its hostname, otherwise to the default
+// tenant. The default tenant is configured by the VAPI_* env vars and keeps its files
+// directly in DATA_DIR; other tenants are stored in tenants.json and keep their files in
+// DATA_DIR/tenants/<id>/.
+const crypto = require('crypto');
+const path = require('path');
+const { JsonFileStore, DATA_DIR, dataFile } = require('./json_store');
+const { getRequestToken, hashToken } = require('./auth');
+
+const DEFAULT_TENANT_ID = 'default';
+const TENANT_ID_PATTERN = /^[a-z0-9][a-z0-9-]{1,39}$/;
+const HOSTNAME_PATTERN = /^[a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?(\.[a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?)*$/;
+const VAPI_FIELDS = ['privateKey', 'publicKey', 'assistantId', 'phoneNumberId', 'webhookSecret'];
+const SECRET_VAPI_FIELDS = ['privateKey', 'webhookSecret'];
+
+function tenantDataDir(tenantId) {
+    return tenantId === DEFAULT_TENANT_ID ? DATA_DIR : path.join(DATA_DIR, 'tenants', tenantId);
+}
+
+function normalizeHostname(hostname) {
+    return String(hostname || '').trim().toLowerCase().replace(/\.$/, '');
+}
+
+function validateTenant(tenant, { partial = false } = {}) {
+    const errors = [];
+    if (!partial) {
+        if (!TENANT_ID_PATTERN.test(tenant.id || '')) {
+            errors.push('id must be 2-40 lowercase letters, digits or dashes');
+        } else if (tenant.id === DEFAULT_TENANT_ID) {
+            errors.push(`"${DEFAULT_TENANT_ID}" is reserved for the built-in tenant`);
+        }
+    }
+    if ((!partial || tenant.name !== undefined) && (typeof tenant.name !== 'string' || !tenant.name.trim())) {
+        errors.push('Name is required');
+    }
+    if (tenant.hostnames !== undefined) {
+        if (!Array.isArray(tenant.hostnames)) {
+            errors.push('hostnames must be a list');
+        } else {
+            for (const hostname of tenant.hostnames) {
+                if (typeof hostname !== 'string' || !HOSTNAME_PATTERN.test(normalizeHostname(hostname))) {
+                    errors.push(`Invalid hostname: ${hostname}`);
+                }
+            }
+        }
+    }
+    if (tenant.vapi !== undefined) {
+        if (!tenant.vapi || typeof tenant.vapi !== 'object' || Array.isArray(tenant.vapi)) {
+            errors.push('vapi must be an object');
+        } else {
+            for (const [field, value] of Object.entries(tenant.vapi)) {
+                if (!VAPI_FIELDS.includes(field)) errors.push(`Unknown vapi field: ${field}`);
+                else if (value !== null && typeof value !== 'string') errors.push(`vapi.${field} must be text`);
+            }
+        }
+    }
+    if (tenant.disabled !== undefined && typeof tenant.disabled !== 'boolean') {
+        errors.push('disabled must be true or false');
+    }
+    return errors;
+}
+
+// What the API returns for a tenant; never the API key hash or secret Vapi keys
+function publicTenant(tenant) {
+    const { apiKeyHash, vapi = {}, ...rest } = tenant;
+    const publicVapi = {};
+    for (const field of VAPI_FIELDS) {
+        if (SECRET_VAPI_FIELDS.includes(field)) {
+            publicVapi[`has${field[0].toUpperCase()}${field.slice(1)}`] = !!vapi[field];
+        } else {
+            publicVapi[field] = vapi[field] || null;
+        }
+    }
+    return { ...rest, vapi: publicVapi };
+}
+
+function generateApiKey() {
+    return `vn_${crypto.randomBytes(24).toString('base64url')}`;
+}
+
+class TenantStore {
+    constructor(filePath = dataFile('tenants.json')) {
+        this.store = new JsonFileStore(filePath, { tenants: [] });
+    }
+
+    list() {
+        return this.store.data.tenants;
+    }
+
+    get(id) {
+        return this.list().find(tenant => tenant.id === id) || null;
+    }
+
+    findByHostname(hostname) {
+        const normalized = normalizeHostname(hostname);
+        return normalized ? this.list().find(tenant => tenant.hostnames.includes(normalized)) || null : null;
+    }
+
+    // Only key hashes are stored, like session tokens
+    findByApiKey(apiKey) {
+        const keyHash = hashToken(apiKey);
+        return this.list().find(tenant => tenant.apiKeyHash === keyHash) || null;
+    }
+
+    // Returns { tenant, apiKey }; the key is only ever shown here and on rotation
+    create({ id, name, hostnames = [], vapi = {} }) {
+        const now = new Date().toISOString();
+        const apiKey = generateApiKey();
+        const tenant = {
+            id,
+            name: name.trim(),
+            hostnames: [...new Set(hostnames.map(normalizeHostname))],
+            vapi: Object.fromEntries(VAPI_FIELDS.map(field => [field, vapi[field] || null])),
+            apiKeyHash: hashToken(apiKey),
+            disabled: false,
+            createdAt: now,
+            updatedAt: now
+        };
+        this.store.update(data => {
+            data.tenants.push(tenant);
+        });
+        return { tenant, apiKey };
+    }
+
+    // hostnames are replaced as a whole; vapi fields are merged and null clears one
+    update(id, { name, hostnames, vapi, disabled }) {
+        return this.store.update(data => {
+            const tenant = data.tenants.find(item => item.id === id);
+            if (!tenant) return null;
+
+            if (name !== undefined) tenant.name = name.trim();
+            if (hostnames !== undefined) tenant.hostnames = [...new Set(hostnames.map(normalizeHostname))];
+            if (vapi !== undefined) tenant.vapi = { ...tenant.vapi, ...vapi };
+            if (disabled !== undefined) tenant.disabled = disabled;
+            tenant.updatedAt = new Date().toISOString();
+            return tenant;
+        });
+    }
+
+    rotateApiKey(id) {
+        const apiKey = generateApiKey();
+        const rotated = this.store.update(data => {
+            const tenant = data.tenants.find(item => item.id === id);
+            if (!tenant) return false;
+            tenant.apiKeyHash = hashToken(apiKey);
+            tenant.updatedAt = new Date().toISOString();
+            return true;
+        });
+        return rotated ? apiKey : null;
+    }
+
+    remove(id) {
+        return this.store.update(data => {
+            const index = data.tenants.findIndex(tenant => tenant.id === id);
+            if (index === -1) return false;
+            data.tenants.splice(index, 1);
+            return true;
+        });
+    }
+}
+
+// Creates each tenant's services (see TenantContext) on first use and caches them
+class TenantRegistry {
+    constructor({ store, createContext }) {
+        this.store = store;
+        this.createContext = createContext;
+        this.contexts = new Map();
+        this.running = false;
+    }
+
+    // The built-in tenant configured from env vars; it is never stored in tenants.json
+    defaultTenant() {
+        return {
+            id: DEFAULT_TENANT_ID,
+            name: process.env.DEFAULT_TENANT_NAME || 'Default',
+            hostnames: [],
+            vapi: {},
+            disabled: false
+        };
+    }
+
+    getTenant(id) {
+        return id === DEFAULT_TENANT_ID ? this.defaultTenant() : this.store.get(id);
+    }
+
+    listTenants() {
+        return [this.defaultTenant(), ...this.store.list()];
+    }
+
+    // API key first, then hostname; everything else is the default tenant
+    resolve(req) {
+        const token = getRequestToken(req);
+        return (token && this.store.findByApiKey(token)) ||
+            this.store.findByHostname(req.hostname) ||
+            this.defaultTenant();
+    }
+
+    get(tenantId) {
+        if (!this.contexts.has(tenantId)) {
+            const tenant = this.getTenant(tenantId);
+            if (!tenant) return null;
+
+            const context = this.createContext(tenant, { multiTenant: this.store.list().length > 0 });
+            this.contexts.set(tenantId, context);
+            if (this.running) context.start();
+        }
+        return this.contexts.get(tenantId);
+    }
+
+    evict(tenantId) {
+        const context = this.contexts.get(tenantId);
+        if (!context) return;
+        this.contexts.delete(tenantId);
+        context.stop();
+        context.destroy();
+    }
+
+    // Call after a tenant is created, changed or removed; the next request rebuilds it
+    invalidate(tenantId) {
+        this.evict(tenantId);
+
+        // The default tenant only scopes shared Supabase tables once other tenants exist
+        const multiTenant = this.store.list().length > 0;
+        const defaultContext = this.contexts.get(DEFAULT_TENANT_ID);
+        if (defaultContext && defaultContext.multiTenant !== multiTenant) {
+            this.evict(DEFAULT_TENANT_ID);
+        }
+
+        // Keep scheduled work (campaigns, saved-search alerts) running for active tenants
+        if (this.running) {
+            for (const tenant of this.listTenants()) {
+                if (!tenant.disabled) this.get(tenant.id);
+            }
+        }
+    }
+
+    // Builds every active tenant so their schedules run without waiting for a request
+    start() {
+        this.running = true;
+        for (const tenant of this.listTenants()) {
+            if (!tenant.disabled) this.get(tenant.id);
+        }
+    }
+
+    stop() {
+        this.running = false;
+        for (const context of this.contexts.values()) {
+            context.stop();
+        }
+    }
+
+    destroy() {
+        for (const context of this.contexts.values()) {
+            context.destroy();
+        }
+        this.contexts.clear();
+    }
+}
+
+// Sets req.tenant to the services of the tenant the request belongs to
+function resolveTenant(registry) {
+    return (req, res, next) => {
+        const tenant = registry.resolve(req);
+        if (tenant.disabled) {
+            return res.status(403).json({
+                success: false,
+                error: 'This account is disabled'
+            });
+        }
+
+        req.tenant = registry.get(tenant.id);
+        next();
+    };
+}
+
+module.exports = {
+    DEFAULT_TENANT_ID,
+    TenantStore,
+    TenantRegistry,
+    resolveTenant,
+    validateTenant,
+    publicTenant,
+    normalizeHostname,
+    tenantDataDir
+};
@@ -0,0 +1,102 @@
+// server/time_zones.js - Wall-clock time in IANA time zones using the built-in Intl API
+// Used for agent working hours and other "local time" rules without a date library.
+
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+const formatters = new Map();
+
+function getFormatter(timeZone) {
+    if (!formatters.has(timeZone)) {
+        formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+            timeZone,
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit',
+            hour: '2-digit',
+            minute: '2-digit',
+            second: '2-digit',
+            weekday: 'short'
+        }));
+    }
+    return formatters.get(timeZone);
+}
+
+function isValidTimeZone(timeZone) {
+    if (typeof timeZone !== 'string' || !timeZone) return false;
+    try {
+        getFormatter(timeZone);
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+// Local calendar fields of an instant in a time zone
+function getZonedParts(date, timeZone) {
+    const parts = {};
+    for (const { type, value } of getFormatter(timeZone).formatToParts(new Date(date))) {
+        parts[type] = value;
+    }
+
+    return {
+        year: Number(parts.year),
+        month: Number(parts.month),
+        day: Number(parts.day),
+        hour: Number(parts.hour),
+        minute: Number(parts.minute),
+        second: Number(parts.second),
+        weekday: parts.weekday.slice(0, 3).toLowerCase(),
+        date: `${parts.year}-${parts.month}-${parts.day}`,
+        time: `${parts.hour}:${parts.minute}`
+    };
+}
+
+// Minutes the zone is ahead of UTC at the given instant
+function getOffsetMinutes(date, timeZone) {
+    const parts = getZonedParts(date, timeZone);
+    const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+    return Math.round((asUtc - Math.floor(new Date(date).getTime() / 1000) * 1000) / 60000);
+}
+
+// The instant when the wall clock in timeZone reads localDate ("YYYY-MM-DD") localTime ("HH:MM")
+function zonedTimeToUtc(localDate, localTime, timeZone) {
+    const [year, month, day] = localDate.split('-').map(Number);
+    const [hour, minute] = localTime.split(':').map(Number);
+    const guess = Date.UTC(year, month - 1, day, hour, minute);
+
+    // Two passes settle the offset across DST transitions
+    let instant = guess - getOffsetMinutes(guess, timeZone) * 60000;
+    instant = guess - getOffsetMinutes(instant, timeZone) * 60000;
+    return new Date(instant);
+}
+
+// "HH:MM" -> minutes since midnight
+function minutesOfDay(time) {
+    const [hour, minute] = String(time).split(':').map(Number);
+    return hour * 60 + minute;
+}
+
+// Calendar date n days after "YYYY-MM-DD"
+function addDays(localDate, days) {
+    const [year, month, day] = localDate.split('-').map(Number);
+    return new Date(Date.UTC(year, month - 1, day + days)).toISOString().slice(0, 10);
+}
+
+// "Tuesday, October 20 at 10:00 AM" in the given zone, for the assistant to read out
+function formatSpokenTime(date, timeZone) {
+    const day = new Intl.DateTimeFormat('en-US', { timeZone, weekday: 'long', month: 'long', day: 'numeric' }).format(date);
+    const time = new Intl.DateTimeFormat('en-US', { timeZone, hour: 'numeric', minute: '2-digit' }).format(date);
+    return `${day} at ${time}`;
+}
+
+module.exports = {
+    WEEKDAYS,
+    isValidTimeZone,
+    getZonedParts,
+    getOffsetMinutes,
+    zonedTimeToUtc,
+    minutesOfDay,
+    addDays,
+    formatSpokenTime
+};
@@ -0,0 +1,155 @@
+// server/transcripts.js - Call transcripts as speaker-labelled text, SRT, WebVTT or JSON turns
+// Turns come from the call's messages (artifact.messages), whose timing gives the subtitle
+// cues; calls without messages fall back to Vapi's "AI: ... / User: ..." transcript string.
+
+const TRANSCRIPT_FORMATS = ['text', 'srt', 'vtt', 'json'];
+
+// Vapi message roles that are speech; system prompts and tool traffic are left out
+const SPEAKER_ROLES = { bot: 'assistant', assistant: 'assistant', user: 'user' };
+const SPEAKER_LABELS = { assistant: 'Assistant', user: 'Caller' };
+
+const TRANSCRIPT_LINE = /^(AI|Assistant|Bot|User|Customer):\s*(.*)$/i;
+
+// How long the last cue stays up when nothing says when it ended
+const LAST_CUE_SECONDS = 3;
+
+const FORMAT_TYPES = {
+    text: { contentType: 'text/plain; charset=utf-8', extension: 'txt' },
+    srt: { contentType: 'application/x-subrip; charset=utf-8', extension: 'srt' },
+    vtt: { contentType: 'text/vtt; charset=utf-8', extension: 'vtt' },
+    json: { contentType: 'application/json; charset=utf-8', extension: 'json' }
+};
+
+const roundSeconds = (seconds) => Math.max(0, Math.round(seconds * 1000) / 1000);
+
+// Seconds from the start of the call, or null when the message carries no timing
+function messageStart(message, callStartMs) {
+    if (typeof message.secondsFromStart === 'number') return message.secondsFromStart;
+    if (typeof message.time === 'number' && callStartMs !== null) return (message.time - callStartMs) / 1000;
+    return null;
+}
+
+function messageEnd(message, start) {
+    if (start === null) return null;
+    if (typeof message.duration === 'number') return start + message.duration / 1000;
+    if (typeof message.endTime === 'number' && typeof message.time === 'number') {
+        return start + (message.endTime - message.time) / 1000;
+    }
+    return null;
+}
+
+function turnsFromTranscript(transcript) {
+    if (typeof transcript !== 'string') return [];
+    return transcript.split(/\r?\n/)
+        .map(line => line.match(TRANSCRIPT_LINE))
+        .filter(match => match && match[2].trim())
+        .map(match => ({
+            role: /^(user|customer)$/i.test(match[1]) ? 'user' : 'assistant',
+            text: match[2].trim(),
+            start: null,
+            end: null
+        }));
+}
+
+// [{ role: 'assistant' | 'user', text, start, end }] with start/end in seconds from the
+// start of the call (null when unknown)
+function transcriptTurns(call) {
+    const messages = call.artifact?.messages || call.messages || [];
+    const spoken = messages.filter(message => SPEAKER_ROLES[message.role] && String(message.message ?? '').trim());
+    if (spoken.length === 0) {
+        return turnsFromTranscript(call.artifact?.transcript ?? call.transcript);
+    }
+
+    const callStartMs = Date.parse(call.startedAt) || (typeof spoken[0].time === 'number' ? spoken[0].time : null);
+    const callEnd = callStartMs !== null && Date.parse(call.endedAt) ? (Date.parse(call.endedAt) - callStartMs) / 1000 : null;
+
+    const turns = spoken.map(message => {
+        const start = messageStart(message, callStartMs);
+        return {
+            role: SPEAKER_ROLES[message.role],
+            text: String(message.message).trim(),
+            start,
+            end: messageEnd(message, start)
+        };
+    });
+
+    // A turn without an end lasts until the next one starts (or the call ends)
+    turns.forEach((turn, index) => {
+        if (turn.start === null || turn.end !== null) return;
+        const next = turns.slice(index + 1).find(later => later.start !== null);
+        turn.end = next ? next.start : callEnd;
+    });
+
+    return turns.map(turn => ({
+        ...turn,
+        start: turn.start === null ? null : roundSeconds(turn.start),
+        end: turn.end === null ? null : roundSeconds(Math.max(turn.end, turn.start))
+    }));
+}
+
+// Subtitles need a start time for every turn
+function hasTiming(turns) {
+    return turns.length > 0 && turns.every(turn => turn.start !== null);
+}
+
+// 3725.5 -> "01:02:05.500" (separator "," for SRT)
+function formatTimestamp(seconds, separator = '.') {
+    const totalMs = Math.round(seconds * 1000);
+    const pad = (value, length = 2) => String(value).padStart(length, '0');
+    const hours = Math.floor(totalMs / 3600000);
+    const minutes = Math.floor(totalMs / 60000) % 60;
+    const secs = Math.floor(totalMs / 1000) % 60;
+    return `${pad(hours)}:${pad(minutes)}:${pad(secs)}${separator}${pad(totalMs % 1000, 3)}`;
+}
+
+// A blank line would end the cue early
+const cueText = (text) => text.replace(/\s*\n\s*/g, '\n');
+
+const cueEnd = (turn) => turn.end > turn.start ? turn.end : turn.start + LAST_CUE_SECONDS;
+
+function buildText(turns) {
+    return turns.map(turn => {
+        const time = turn.start === null ? '' : `[${formatTimestamp(turn.start).slice(0, 8)}] `;
+        return `${time}${SPEAKER_LABELS[turn.role]}: ${turn.text}`;
+    }).join('\n') + '\n';
+}
+
+function buildSrt(turns) {
+    return turns.map((turn, index) => [
+        String(index + 1),
+        `${formatTimestamp(turn.start, ',')} --> ${formatTimestamp(cueEnd(turn), ',')}`,
+        `${SPEAKER_LABELS[turn.role]}: ${cueText(turn.text)}`
+    ].join('\n')).join('\n\n') + '\n';
+}
+
+function escapeVtt(text) {
+    return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+// Speakers as <v> voice spans so players can style or label them
+function buildVtt(turns) {
+    const cues = turns.map(turn => [
+        `${formatTimestamp(turn.start)} --> ${formatTimestamp(cueEnd(turn))}`,
+        `<v ${SPEAKER_LABELS[turn.role]}>${escapeVtt(cueText(turn.text))}`
+    ].join('\n'));
+    return ['WEBVTT', ...cues].join('\n\n') + '\n';
+}
+
+// Returns { body, contentType, extension }; srt and vtt expect hasTiming(turns)
+function formatTranscript(turns, format, { callId } = {}) {
+    const builders = {
+        text: () => buildText(turns),
+        srt: () => buildSrt(turns),
+        vtt: () => buildVtt(turns),
+        json: () => JSON.stringify({ callId, turns }, null, 2)
+    };
+    return { body: builders[format](), ...FORMAT_TYPES[format] };
+}
+
+module.exports = {
+    TRANSCRIPT_FORMATS,
+    transcriptTurns,
+    hasTiming,
+    formatTranscript,
+    formatTimestamp
+};
@@ -0,0 +1,135 @@
+// server/vapi_http.js - Error type, retry timing and circuit breaker for Vapi API requests
+
+// Methods that are safe to repeat after a timeout or 5xx; POSTs (creating calls and
+// assistants) are only retried when Vapi cannot have acted on them (429, refused connection)
+const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'PUT', 'PATCH', 'DELETE'];
+
+// Longest Retry-After we wait out inside a request; beyond that the 429 goes to the caller
+const MAX_RETRY_DELAY_MS = 10 * 1000;
+
+const BACKOFF_BASE_MS = 500;
+const BACKOFF_MAX_MS = 8 * 1000;
+
+// A failed Vapi request. status is the upstream HTTP status (null when no response came
+// back); code is 'http_error', 'timeout', 'network_error', 'connection_refused' or 'circuit_open'.
+class VapiApiError extends Error {
+    constructor(message, { status = null, code = 'http_error', body = null, retryAfterMs = null, method, path } = {}) {
+        super(message);
+        this.name = 'VapiApiError';
+        this.status = status;
+        this.code = code;
+        this.body = body;
+        this.retryAfterMs = retryAfterMs;
+        this.method = method;
+        this.path = path;
+    }
+
+    // Worth trying again: rate limits, Vapi-side errors and lost connections
+    get retryable() {
+        return this.status === 429 || this.status >= 500 ||
+            ['timeout', 'network_error', 'connection_refused'].includes(this.code);
+    }
+
+    // Counts towards opening the circuit breaker (a 4xx means Vapi is up)
+    get isOutage() {
+        return this.status >= 500 || ['timeout', 'network_error', 'connection_refused'].includes(this.code);
+    }
+
+    // What our API answers: the caller's mistakes keep their status, Vapi's own failures are 502-504
+    get responseStatus() {
+        if (this.code === 'circuit_open') return 503;
+        if (this.code === 'timeout') return 504;
+        if ([400, 404, 409, 422, 429].includes(this.status)) return this.status === 422 ? 400 : this.status;
+        return 502;
+    }
+}
+
+// Retry-After is either seconds or an HTTP date; returns milliseconds or null
+function parseRetryAfter(value, now = Date.now()) {
+    if (value === undefined || value === null || value === '') return null;
+    const seconds = Number(value);
+    if (Number.isFinite(seconds)) return Math.max(0, Math.round(seconds * 1000));
+
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - now);
+}
+
+// Exponential backoff with full jitter, so concurrent retries spread out
+function backoffDelay(attempt, { baseMs = BACKOFF_BASE_MS, maxMs = BACKOFF_MAX_MS } = {}) {
+    return Math.round(Math.random() * Math.min(maxMs, baseMs * 2 ** attempt));
+}
+
+// How long to wait before retry number attempt + 1, or null to give up
+function retryDelay(error, method, attempt, maxRetries) {
+    if (!(error instanceof VapiApiError) || !error.retryable || attempt >= maxRetries) return null;
+
+    const safeToRepeat = IDEMPOTENT_METHODS.includes(method) ||
+        error.status === 429 ||
+        error.code === 'connection_refused';
+    if (!safeToRepeat) return null;
+
+    if (error.retryAfterMs !== null) {
+        return error.retryAfterMs <= MAX_RETRY_DELAY_MS ? error.retryAfterMs : null;
+    }
+    return backoffDelay(attempt);
+}
+
+// Stops sending requests after failureThreshold outages in a row, then lets a single
+// trial request through every resetTimeoutMs until one succeeds
+class CircuitBreaker {
+    constructor({ failureThreshold = 5, resetTimeoutMs = 30 * 1000, now = () => Date.now() } = {}) {
+        this.failureThreshold = failureThreshold;
+        this.resetTimeoutMs = resetTimeoutMs;
+        this.now = now;
+        this.failures = 0;
+        this.openedAt = null;
+        this.trialInFlight = false;
+    }
+
+    get state() {
+        if (this.openedAt === null) return 'closed';
+        return this.now() - this.openedAt >= this.resetTimeoutMs ? 'half_open' : 'open';
+    }
+
+    // Milliseconds until a trial request is allowed
+    retryInMs() {
+        return this.openedAt === null ? 0 : Math.max(0, this.openedAt + this.resetTimeoutMs - this.now());
+    }
+
+    canRequest() {
+        const state = this.state;
+        if (state === 'closed') return true;
+        if (state === 'half_open' && !this.trialInFlight) {
+            this.trialInFlight = true;
+            return true;
+        }
+        return false;
+    }
+
+    recordSuccess() {
+        this.failures = 0;
+        this.openedAt = null;
+        this.trialInFlight = false;
+    }
+
+    recordFailure() {
+        this.failures++;
+        this.trialInFlight = false;
+        if (this.openedAt !== null || this.failures >= this.failureThreshold) {
+            if (this.openedAt === null) {
+                console.warn(`Vapi circuit breaker opened after ${this.failures} failures in a row`);
+            }
+            this.openedAt = this.now();
+        }
+    }
+}
+
+module.exports = {
+    VapiApiError,
+    CircuitBreaker,
+    parseRetryAfter,
+    backoffDelay,
+    retryDelay,
+    IDEMPOTENT_METHODS,
+    MAX_RETRY_DELAY_MS
+};
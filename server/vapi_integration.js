@@ -1,28 +1,67 @@
 // server/vapi_integration.js - Real Vapi.ai Integration
+const http = require('http');
 const https = require('https');
 const { EventEmitter } = require('events');
+const { DialBlockedError } = require('./compliance');
+const { toE164 } = require('./contacts');
+const { VapiApiError, CircuitBreaker, parseRetryAfter, retryDelay } = require('./vapi_http');
+
+// Vapi returns at most this many calls per list request
+const MAX_CALLS_PAGE_SIZE = 1000;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
 
 class VapiService extends EventEmitter {
-    constructor() {
+    // Each tenant passes its own keys; anything left undefined falls back to the VAPI_* env vars
+    constructor({
+        privateKey = process.env.VAPI_PRIVATE_KEY,
+        publicKey = process.env.VAPI_PUBLIC_KEY,
+        assistantId = process.env.VAPI_ASSISTANT_ID,
+        phoneNumberId = process.env.VAPI_PHONE_NUMBER_ID,
+        label = 'default',
+        timeoutMs = Number(process.env.VAPI_TIMEOUT_MS || 10000),
+        maxRetries = Number(process.env.VAPI_MAX_RETRIES ?? 2),
+        breaker = new CircuitBreaker(),
+        baseUrl = process.env.VAPI_BASE_URL || 'https://api.vapi.ai'
+    } = {}) {
         super();
         
         // Use PRIVATE key for backend API operations
-        this.privateKey = process.env.VAPI_PRIVATE_KEY;
+        this.privateKey = privateKey;
         
         // Use PUBLIC key for frontend/web integration
-        this.publicKey = process.env.VAPI_PUBLIC_KEY;
+        this.publicKey = publicKey;
         
         // For backend API calls, use private key
         this.apiKey = this.privateKey;
         
-        this.assistantId = process.env.VAPI_ASSISTANT_ID;
+        this.assistantId = assistantId;
+
+        // Vapi phone number outbound calls are placed from (null uses the account default)
+        this.phoneNumberId = phoneNumberId || null;
+
+        // Which tenant this service belongs to, for log lines
+        this.label = label;
+
+        // Per-attempt timeout, retries for 429/5xx/network errors, and a breaker that fails
+        // fast while Vapi is down (see vapi_http.js)
+        this.timeoutMs = timeoutMs;
+        this.maxRetries = maxRetries;
+        this.breaker = breaker;
         
-        // Set base URL with proper format
-        this.baseUrl = 'https://api.vapi.ai';
+        // VAPI_BASE_URL points the service elsewhere, e.g. the local mock (npm run mock:vapi)
+        this.baseUrl = baseUrl.replace(/\/+$/, '');
         
         this.initialized = false;
+
+        // Do-not-call, consent and quiet-hours checks for outbound calls (see compliance.js)
+        this.dialPolicy = null;
+
+        // Every open call event stream adds a 'call-event' listener
+        this.setMaxListeners(0);
         
         console.log('VapiService constructor - Configuration:', {
+            tenant: this.label,
             hasPrivateKey: !!this.privateKey,
             hasPublicKey: !!this.publicKey,
             hasAssistantId: !!this.assistantId,
@@ -91,27 +130,36 @@ class VapiService extends EventEmitter {
             
             return { 
                 status: 'healthy',
+                circuit: this.breaker.state,
                 apiKeyPresent: !!this.apiKey,
                 assistantId: this.assistantId,
                 assistantName: assistantData?.name || 'Unknown'
             };
         } catch (error) {
             console.error('Health check failed:', error);
-            return { status: 'error', message: error.message };
+            return { status: 'error', circuit: this.breaker.state, message: error.message };
         }
     }
 
-    // Make HTTP request helper
-    makeRequest(options, data = null) {
+    setDialPolicy(policy) {
+        this.dialPolicy = policy;
+    }
+
+    // One HTTP attempt; rejects with a VapiApiError that keeps the upstream status
+    sendRequest(options, data = null) {
         return new Promise((resolve, reject) => {
-            // Parse the baseUrl to get hostname
+            // Parse the baseUrl to get protocol, host, port and any path prefix
             const url = new URL(this.baseUrl);
+            const transport = url.protocol === 'http:' ? http : https;
             
             const requestOptions = {
                 ...options,
+                protocol: url.protocol,
                 hostname: url.hostname,
-                path: options.path // Use the path as is
+                port: url.port || undefined,
+                path: `${url.pathname.replace(/\/+$/, '')}${options.path}`
             };
+            const context = { method: options.method, path: options.path };
 
             console.log('Making API request:', {
                 method: requestOptions.method,
@@ -121,7 +169,7 @@ class VapiService extends EventEmitter {
                 hasData: !!data
             });
 
-            const req = https.request(requestOptions, (res) => {
+            const req = transport.request(requestOptions, (res) => {
                 let body = '';
                 
                 res.on('data', (chunk) => {
@@ -129,44 +177,60 @@ class VapiService extends EventEmitter {
                 });
                 
                 res.on('end', () => {
-                    try {
-                        console.log('API response received:', {
-                            statusCode: res.statusCode,
-                            headers: res.headers,
-                            bodyLength: body.length
-                        });
-
-                        // Handle empty response
-                        if (!body) {
-                            if (res.statusCode >= 200 && res.statusCode < 300) {
-                                resolve({});
-                            } else {
-                                reject(new Error(`API Error: ${res.statusCode}`));
-                            }
-                            return;
-                        }
+                    clearTimeout(timer);
+                    console.log('API response received:', {
+                        statusCode: res.statusCode,
+                        bodyLength: body.length
+                    });
 
-                        const response = JSON.parse(body);
-                        
+                    let response = null;
+                    try {
+                        response = body ? JSON.parse(body) : {};
+                    } catch (error) {
                         if (res.statusCode >= 200 && res.statusCode < 300) {
-                            resolve(response);
-                        } else {
-                            console.error('API error response:', {
-                                statusCode: res.statusCode,
-                                response: response
-                            });
-                            reject(new Error(`API Error: ${res.statusCode} - ${response.message || body}`));
+                            console.error('Failed to parse API response:', error);
+                            return reject(new VapiApiError(`Invalid JSON from Vapi: ${error.message}`, {
+                                ...context, status: res.statusCode, code: 'invalid_response'
+                            }));
                         }
-                    } catch (error) {
-                        console.error('Failed to parse API response:', error);
-                        reject(new Error(`Parse Error: ${error.message}`));
                     }
+
+                    if (res.statusCode >= 200 && res.statusCode < 300) {
+                        return resolve(response);
+                    }
+
+                    // Vapi validation errors come back as a list of messages
+                    const detail = Array.isArray(response?.message)
+                        ? response.message.join('; ')
+                        : response?.message || response?.error || body;
+                    console.error('API error response:', {
+                        statusCode: res.statusCode,
+                        response: response || body
+                    });
+                    reject(new VapiApiError(`API Error: ${res.statusCode}${detail ? ` - ${detail}` : ''}`, {
+                        ...context,
+                        status: res.statusCode,
+                        body: response || body,
+                        retryAfterMs: parseRetryAfter(res.headers['retry-after'])
+                    }));
                 });
             });
 
+            const timer = setTimeout(() => {
+                req.destroy(new VapiApiError(`Vapi did not respond within ${this.timeoutMs}ms`, {
+                    ...context, code: 'timeout'
+                }));
+            }, this.timeoutMs);
+
             req.on('error', (error) => {
+                clearTimeout(timer);
+                if (error instanceof VapiApiError) return reject(error);
+
                 console.error('Request error:', error);
-                reject(new Error(`Request Error: ${error.message}`));
+                reject(new VapiApiError(`Request Error: ${error.message}`, {
+                    ...context,
+                    code: error.code === 'ECONNREFUSED' ? 'connection_refused' : 'network_error'
+                }));
             });
 
             if (data) {
@@ -179,20 +243,49 @@ class VapiService extends EventEmitter {
         });
     }
 
-    // Get assistant details
-    async getAssistant() {
+    // Make HTTP request helper: retries with jittered backoff (honouring Retry-After) and
+    // fails fast with a 'circuit_open' error while the breaker is open
+    async makeRequest(options, data = null) {
+        for (let attempt = 0; ; attempt++) {
+            if (!this.breaker.canRequest()) {
+                throw new VapiApiError('Vapi API is unavailable, retry shortly', {
+                    method: options.method,
+                    path: options.path,
+                    code: 'circuit_open',
+                    retryAfterMs: this.breaker.retryInMs()
+                });
+            }
+
+            try {
+                const result = await this.sendRequest(options, data);
+                this.breaker.recordSuccess();
+                return result;
+            } catch (error) {
+                if (error.isOutage) this.breaker.recordFailure();
+                else this.breaker.recordSuccess();
+
+                const delay = retryDelay(error, options.method, attempt, this.maxRetries);
+                if (delay === null) throw error;
+
+                console.warn(`Vapi ${options.method} ${options.path} failed (${error.message}), retry ${attempt + 1} in ${delay}ms`);
+                await sleep(delay);
+            }
+        }
+    }
+
+    // Get assistant details (the configured assistant unless another id is given)
+    async getAssistant(assistantId = this.assistantId) {
         try {
             if (!this.initialized) {
                 throw new Error('VapiService not initialized. Please check configuration.');
             }
 
-            if (!this.assistantId) {
+            if (!assistantId) {
                 throw new Error('Assistant ID not configured');
             }
 
             const options = {
-                hostname: this.baseUrl,
-                path: `/assistant/${this.assistantId}`,
+                path: `/assistant/${encodeURIComponent(assistantId)}`,
                 method: 'GET',
                 headers: {
                     'Authorization': `Bearer ${this.apiKey}`,
@@ -208,8 +301,58 @@ class VapiService extends EventEmitter {
         }
     }
 
-    // Create a phone call
-    async makeCall(phoneNumber, customAssistantId = null) {
+    // List assistants in the Vapi account
+    async listAssistants(limit = 100) {
+        try {
+            if (!this.initialized) {
+                throw new Error('VapiService not initialized. Please check configuration.');
+            }
+
+            const options = {
+                path: `/assistant?limit=${limit}`,
+                method: 'GET',
+                headers: {
+                    'Authorization': `Bearer ${this.apiKey}`,
+                    'Content-Type': 'application/json'
+                }
+            };
+
+            return await this.makeRequest(options);
+
+        } catch (error) {
+            console.error('List assistants error:', error);
+            throw error;
+        }
+    }
+
+    // Create an assistant in Vapi from a full assistant config ({ name, model, voice, firstMessage, ... })
+    async createAssistant(config) {
+        try {
+            if (!this.initialized) {
+                throw new Error('VapiService not initialized. Please check configuration.');
+            }
+
+            const options = {
+                path: '/assistant',
+                method: 'POST',
+                headers: {
+                    'Authorization': `Bearer ${this.apiKey}`,
+                    'Content-Type': 'application/json'
+                }
+            };
+
+            const result = await this.makeRequest(options, config);
+            console.log('Assistant created successfully:', result.id);
+            return result;
+
+        } catch (error) {
+            console.error('Create assistant error:', error);
+            throw error;
+        }
+    }
+
+    // Create a phone call; context ({ source, campaignId }) is recorded in the dial audit log
+    async makeCall(phoneNumber, customAssistantId = null, context = {}) {
         try {
             if (!this.initialized) {
                 throw new Error('VapiService not initialized. Please check configuration.');
@@ -223,24 +366,28 @@ class VapiService extends EventEmitter {
                 throw new Error('Phone number is required');
             }
 
-            // Validate and format phone number
-            const cleanPhone = phoneNumber.replace(/[\s\-\(\)]/g, '');
-            const phoneRegex = /^\+?[1-9]\d{8,14}$/;
-            
-            if (!phoneRegex.test(cleanPhone)) {
+            // Normalize once; the dial policy checks and Vapi dials the same E.164 number
+            let number = toE164(phoneNumber);
+            if (!number || !/^\+[1-9]\d{8,14}$/.test(number)) {
                 throw new Error('Invalid phone number format. Use international format (+1234567890)');
             }
 
+            // Refuse blocked numbers before anything reaches Vapi
+            if (this.dialPolicy) {
+                const decision = this.dialPolicy.authorize(number, context);
+                if (!decision.allowed) {
+                    throw new DialBlockedError(decision);
+                }
+                number = decision.phone;
+            }
+
             const callData = {
                 assistantId: customAssistantId || this.assistantId,
-                phoneNumberId: null, // Use default phone number from Vapi
-                customer: {
-                    number: cleanPhone.startsWith('+') ? cleanPhone : `+${cleanPhone}`
-                }
+                phoneNumberId: this.phoneNumberId,
+                customer: { number }
             };
 
             const options = {
-                hostname: this.baseUrl,
                 path: '/call/phone',
                 method: 'POST',
                 headers: {
@@ -293,7 +440,6 @@ class VapiService extends EventEmitter {
             console.log('Creating web call with config:', JSON.stringify(callData, null, 2));
 
             const options = {
-                hostname: this.baseUrl,
                 path: '/call',
                 method: 'POST',
                 headers: {
@@ -333,8 +479,9 @@ class VapiService extends EventEmitter {
         }
     }
 
-    // Get all calls
-    async getCalls(limit = 100) {
+    // One page of calls, newest first. Pass nextCursor back as cursor to get the next
+    // (older) page; it is null on the last one. Filters: createdAtGt, createdAtLt, assistantId.
+    async listCalls({ limit = 100, cursor = null, createdAtGt, createdAtLt, assistantId } = {}) {
         try {
             if (!this.initialized) {
                 throw new Error('VapiService not initialized. Please check configuration.');
@@ -344,9 +491,18 @@ class VapiService extends EventEmitter {
                 throw new Error('Vapi API key not configured');
             }
 
+            const pageSize = Math.min(Math.max(parseInt(limit) || 100, 1), MAX_CALLS_PAGE_SIZE);
+            const params = new URLSearchParams({ limit: String(pageSize) });
+            // The cursor holds the createdAt of the last call on the previous page and the ids
+            // already returned at that instant. Calls can share a createdAt across a page
+            // boundary, so the next page reaches one millisecond further and drops those ids.
+            const before = cursor ? new Date(Date.parse(cursor.createdAt) + 1).toISOString() : createdAtLt;
+            if (before) params.set('createdAtLt', before);
+            if (createdAtGt) params.set('createdAtGt', createdAtGt);
+            if (assistantId) params.set('assistantId', assistantId);
+
             const options = {
-                hostname: this.baseUrl,
-                path: `/call?limit=${limit}`,
+                path: `/call?${params}`,
                 method: 'GET',
                 headers: {
                     'Authorization': `Bearer ${this.apiKey}`,
@@ -355,14 +511,51 @@ class VapiService extends EventEmitter {
             };
 
             const result = await this.makeRequest(options);
-            return result;
+            const fetched = Array.isArray(result) ? result : (result?.results || []);
+            const calls = cursor ? fetched.filter(call => !cursor.ids.includes(call.id)) : fetched;
+            const last = fetched[fetched.length - 1];
+            if (fetched.length < pageSize || !last?.createdAt) {
+                return { calls, nextCursor: null };
+            }
+
+            const ids = fetched.filter(call => call.createdAt === last.createdAt).map(call => call.id);
+            if (cursor?.createdAt === last.createdAt) {
+                ids.push(...cursor.ids);
+            }
+            // A page with nothing new is one millisecond holding a full page of calls;
+            // step past it rather than asking for the same page forever
+            const nextCursor = calls.length > 0
+                ? { createdAt: last.createdAt, ids: [...new Set(ids)] }
+                : { createdAt: new Date(Date.parse(last.createdAt) - 1).toISOString(), ids: [] };
+            return { calls, nextCursor };
 
         } catch (error) {
-            console.error('Get calls error:', error);
+            console.error('List calls error:', error);
             throw error;
         }
     }
 
+    // Every call matching the filters, yielded one page at a time
+    async *iterateCalls(filters = {}, { pageSize = 100 } = {}) {
+        let cursor = null;
+        do {
+            const page = await this.listCalls({ ...filters, limit: pageSize, cursor });
+            if (page.calls.length > 0) yield page.calls;
+            cursor = page.nextCursor;
+        } while (cursor);
+    }
+
+    // Get calls, newest first; offset is walked page by page with the cursor
+    async getCalls(limit = 100, offset = 0) {
+        const wanted = offset + limit;
+        const calls = [];
+        for await (const page of this.iterateCalls({}, { pageSize: Math.min(wanted, MAX_CALLS_PAGE_SIZE) })) {
+            calls.push(...page);
+            if (calls.length >= wanted) break;
+        }
+        return calls.slice(offset, wanted);
+    }
+
     // Get specific call details
     async getCall(callId) {
         try {
@@ -379,8 +572,7 @@ class VapiService extends EventEmitter {
             }
 
             const options = {
-                hostname: this.baseUrl,
-                path: `/call/${callId}`,
+                path: `/call/${encodeURIComponent(callId)}`,
                 method: 'GET',
                 headers: {
                     'Authorization': `Bearer ${this.privateKey}`,
@@ -412,8 +604,7 @@ class VapiService extends EventEmitter {
             }
 
             const options = {
-                hostname: this.baseUrl,
-                path: `/call/${callId}`,
+                path: `/call/${encodeURIComponent(callId)}`,
                 method: 'DELETE',
                 headers: {
                     'Authorization': `Bearer ${this.apiKey}`,
@@ -441,19 +632,18 @@ class VapiService extends EventEmitter {
     }
 
     // Update assistant (if needed)
-    async updateAssistant(updates) {
+    async updateAssistant(updates, assistantId = this.assistantId) {
         try {
             if (!this.initialized) {
                 throw new Error('VapiService not initialized. Please check configuration.');
             }
 
-            if (!this.assistantId) {
+            if (!assistantId) {
                 throw new Error('Assistant ID not configured');
             }
 
             const options = {
-                hostname: this.baseUrl,
-                path: `/assistant/${this.assistantId}`,
+                path: `/assistant/${encodeURIComponent(assistantId)}`,
                 method: 'PATCH',
                 headers: {
                     'Authorization': `Bearer ${this.apiKey}`,
@@ -476,4 +666,5 @@ class VapiService extends EventEmitter {
     }
 }
 
-module.exports = VapiService;
\ No newline at end of file
+module.exports = VapiService;
+module.exports.VapiApiError = VapiApiError;
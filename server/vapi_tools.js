@@ -0,0 +1,165 @@
+// server/vapi_tools.js - Server-side handlers for Vapi assistant tool calls
+const {
+    NUMERIC_CRITERIA,
+    validateSearchCriteria,
+    resolveNearCriteria,
+    summarizeProperties
+} = require('./property_search');
+const { Gazetteer } = require('./geo');
+const { parseSearchQuery } = require('./nl_search');
+
+// Tool definitions to register on the assistant (Vapi "function" tools)
+const SEARCH_PROPERTIES_TOOL = {
+    type: 'function',
+    function: {
+        name: 'search_properties',
+        description: 'Search the property listings. Use whenever the caller describes the kind of home they want.',
+        parameters: {
+            type: 'object',
+            properties: {
+                query: {
+                    type: 'string',
+                    description: "The caller's request in their own words, e.g. \"three bedrooms under 400k in Seattle\""
+                },
+                minPrice: { type: 'number', description: 'Minimum price in US dollars' },
+                maxPrice: { type: 'number', description: 'Maximum price in US dollars' },
+                minBedrooms: { type: 'number', description: 'Minimum number of bedrooms ("3 bedrooms" usually means at least 3)' },
+                maxBedrooms: { type: 'number', description: 'Maximum number of bedrooms' },
+                minBathrooms: { type: 'number', description: 'Minimum number of bathrooms' },
+                maxBathrooms: { type: 'number', description: 'Maximum number of bathrooms' },
+                minSquareFeet: { type: 'number', description: 'Minimum interior size in square feet' },
+                maxSquareFeet: { type: 'number', description: 'Maximum interior size in square feet' },
+                minYearBuilt: { type: 'number', description: 'Built in or after this year' },
+                maxYearBuilt: { type: 'number', description: 'Built in or before this year' },
+                city: { type: 'string', description: 'City name, e.g. Seattle' },
+                state: { type: 'string', description: 'Two letter state code, e.g. WA' },
+                near: {
+                    type: 'string',
+                    description: 'Search around a place instead of within a city: a city ("Bellevue, WA") or a 5-digit ZIP code'
+                },
+                radiusMiles: { type: 'number', description: 'Search radius in miles around "near" (default 10)' },
+                propertyType: {
+                    type: 'string',
+                    enum: ['house', 'condo', 'townhouse', 'apartment'],
+                    description: 'Type of property'
+                }
+            }
+        }
+    }
+};
+
+// Vapi may send arguments as an object or as a JSON string
+function parseToolArguments(args) {
+    if (!args) return {};
+    if (typeof args === 'string') {
+        try {
+            return JSON.parse(args);
+        } catch (error) {
+            throw new Error('Tool arguments are not valid JSON');
+        }
+    }
+    return args;
+}
+
+// Language models often send numbers as strings ("400000"); drop empty values
+function normalizeCriteria(args) {
+    const criteria = {};
+    for (const [key, value] of Object.entries(args)) {
+        if (value === null || value === undefined || value === '') continue;
+        if (NUMERIC_CRITERIA.includes(key) && typeof value === 'string') {
+            criteria[key] = Number(value.replace(/[$,\s]/g, ''));
+        } else {
+            criteria[key] = value;
+        }
+    }
+    return criteria;
+}
+
+// Search criteria from tool arguments; explicit arguments win over whatever
+// the parser reads from the free-text query
+function criteriaFromArguments(args) {
+    const { query, ...explicit } = args;
+    return {
+        ...(typeof query === 'string' ? parseSearchQuery(query) : {}),
+        ...normalizeCriteria(explicit)
+    };
+}
+
+class VapiToolHandler {
+    constructor({ propertyRepository, gazetteer = new Gazetteer() } = {}) {
+        this.propertyRepository = propertyRepository;
+        this.gazetteer = gazetteer;
+        this.handlers = new Map();
+        this.definitions = new Map();
+
+        this.register('search_properties', (args) => this.searchProperties(args), SEARCH_PROPERTIES_TOOL);
+    }
+
+    // Other subsystems add their tools here; definition is what the assistant sees
+    register(name, handler, definition) {
+        this.handlers.set(name, handler);
+        if (definition) this.definitions.set(name, definition);
+    }
+
+    getToolDefinitions() {
+        return [...this.definitions.values()];
+    }
+
+    // Handle a Vapi "tool-calls" server message and build the response body
+    async handleToolCalls(message) {
+        const toolCalls = message.toolCallList || [];
+        const results = [];
+
+        for (const toolCall of toolCalls) {
+            const name = toolCall.function?.name || toolCall.name;
+            const handler = this.handlers.get(name);
+
+            if (!handler) {
+                console.warn('Unknown tool requested:', name);
+                results.push({
+                    toolCallId: toolCall.id,
+                    error: `Unknown tool: ${name}`
+                });
+                continue;
+            }
+
+            try {
+                const args = parseToolArguments(toolCall.function?.arguments ?? toolCall.arguments);
+                const result = await handler(args, { message, toolCall });
+                results.push({ toolCallId: toolCall.id, result });
+            } catch (error) {
+                console.error(`Tool ${name} failed:`, error);
+                results.push({
+                    toolCallId: toolCall.id,
+                    error: error.message || 'Tool execution failed'
+                });
+            }
+        }
+
+        return { results };
+    }
+
+    async searchProperties(args) {
+        if (!this.propertyRepository) {
+            return 'The property database is unavailable right now, so I cannot search listings. Please try again later.';
+        }
+
+        const criteria = criteriaFromArguments(args);
+        const near = resolveNearCriteria(criteria, this.gazetteer);
+        const errors = [...validateSearchCriteria(criteria), ...near.errors];
+        if (errors.length > 0) {
+            return `I could not run that search: ${errors.join(', ')}.`;
+        }
+
+        const { properties, total } = await this.propertyRepository.search(near.criteria, { pageSize: 3 });
+        return summarizeProperties(properties, { total });
+    }
+}
+
+module.exports = {
+    VapiToolHandler,
+    SEARCH_PROPERTIES_TOOL,
+    parseToolArguments,
+    normalizeCriteria,
+    criteriaFromArguments
+};
@@ -0,0 +1,156 @@
+// server/vapi_webhooks.js - Verification and storage for Vapi webhook events
+const crypto = require('crypto');
+const { JsonFileStore, dataFile } = require('./json_store');
+
+// Server message types kept in the event store
+const STORED_EVENT_TYPES = [
+    'status-update',
+    'transcript',
+    'conversation-update',
+    'end-of-call-report'
+];
+
+// How long event keys are remembered for deduplicating retries
+const DEDUPE_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+// The whole file is rewritten on every stored event, so the history is capped:
+// the calls seen longest ago are dropped first, then a long call's oldest events
+const MAX_STORED_CALLS = 200;
+const MAX_EVENTS_PER_CALL = 200;
+
+function safeEqual(a, b) {
+    const bufferA = Buffer.from(String(a));
+    const bufferB = Buffer.from(String(b));
+    return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+}
+
+// Check the shared secret (X-Vapi-Secret) or HMAC (X-Vapi-Signature) header.
+// Returns { valid, reason } so the route can log why a request was rejected.
+// Without a secret every request is rejected unless allowUnverified is set.
+function verifyWebhookRequest(req, secret, { allowUnverified = false } = {}) {
+    if (!secret) {
+        return allowUnverified
+            ? { valid: true, reason: 'verification disabled' }
+            : { valid: false, reason: 'no webhook secret configured' };
+    }
+
+    const sharedSecret = req.get('x-vapi-secret');
+    if (sharedSecret) {
+        return safeEqual(sharedSecret, secret)
+            ? { valid: true }
+            : { valid: false, reason: 'shared secret mismatch' };
+    }
+
+    const signature = req.get('x-vapi-signature');
+    if (signature) {
+        const rawBody = req.rawBody || Buffer.from(JSON.stringify(req.body || {}));
+        const expected = crypto.createHmac('sha256', secret).update(rawBody).digest('hex');
+        const provided = signature.replace(/^sha256=/, '');
+        return safeEqual(provided, expected)
+            ? { valid: true }
+            : { valid: false, reason: 'signature mismatch' };
+    }
+
+    return { valid: false, reason: 'missing X-Vapi-Secret or X-Vapi-Signature header' };
+}
+
+// Find the call a server message belongs to
+function getMessageCallId(message) {
+    return message.call?.id || message.callId || message.data?.callId || null;
+}
+
+// Partial transcripts arrive several times a second and are superseded by the final one
+function isPartialTranscript(message) {
+    return message.type === 'transcript' && message.transcriptType === 'partial';
+}
+
+class WebhookEventStore {
+    constructor(filePath = dataFile('webhook-events.json'), { maxCalls = MAX_STORED_CALLS, maxEventsPerCall = MAX_EVENTS_PER_CALL } = {}) {
+        this.store = new JsonFileStore(filePath, { calls: {}, seen: {} });
+        this.maxCalls = maxCalls;
+        this.maxEventsPerCall = maxEventsPerCall;
+    }
+
+    shouldStore(type) {
+        return STORED_EVENT_TYPES.includes(type);
+    }
+
+    // Retries deliver the same body, so a hash of it is a stable event key
+    static eventKey(message, rawBody) {
+        const source = rawBody && rawBody.length ? rawBody : JSON.stringify(message);
+        return crypto.createHash('sha256').update(source).digest('hex');
+    }
+
+    // Store a message; returns { duplicate, event }. Partial transcripts get an event
+    // (for live subscribers) but are not stored.
+    append(message, rawBody = null) {
+        const callId = getMessageCallId(message);
+        if (!callId) {
+            throw new Error('Webhook message has no call id');
+        }
+
+        const key = WebhookEventStore.eventKey(message, rawBody);
+        const event = {
+            id: key,
+            callId,
+            type: message.type,
+            timestamp: message.timestamp || null,
+            receivedAt: new Date().toISOString(),
+            payload: message
+        };
+
+        if (isPartialTranscript(message)) {
+            return { duplicate: false, event };
+        }
+
+        return this.store.update(data => {
+            this.pruneSeen(data);
+
+            if (data.seen[key]) {
+                const existing = (data.calls[callId] || []).find(stored => stored.id === key);
+                return { duplicate: true, event: existing || null };
+            }
+
+            data.seen[key] = Date.now();
+            data.calls[callId] = data.calls[callId] || [];
+            data.calls[callId].push(event);
+            this.pruneEvents(data, callId);
+
+            return { duplicate: false, event };
+        });
+    }
+
+    // Object keys keep insertion order, so the first calls are the ones seen longest ago
+    pruneEvents(data, callId) {
+        const events = data.calls[callId];
+        if (events.length > this.maxEventsPerCall) {
+            events.splice(0, events.length - this.maxEventsPerCall);
+        }
+
+        const callIds = Object.keys(data.calls);
+        callIds.slice(0, Math.max(0, callIds.length - this.maxCalls))
+            .forEach(oldCallId => delete data.calls[oldCallId]);
+    }
+
+    pruneSeen(data) {
+        const cutoff = Date.now() - DEDUPE_WINDOW_MS;
+        for (const [key, seenAt] of Object.entries(data.seen)) {
+            if (seenAt < cutoff) delete data.seen[key];
+        }
+    }
+
+    // Events for one call in arrival order, optionally filtered by type
+    getEvents(callId, { type } = {}) {
+        const events = this.store.data.calls[callId] || [];
+        return type ? events.filter(event => event.type === type) : events;
+    }
+}
+
+module.exports = {
+    STORED_EVENT_TYPES,
+    MAX_STORED_CALLS,
+    MAX_EVENTS_PER_CALL,
+    WebhookEventStore,
+    verifyWebhookRequest,
+    getMessageCallId
+};
@@ -0,0 +1,6 @@
+// server/vercel.js - Serverless entry (see vercel.json): exports the app as the request handler
+// Vercel owns the listener and freezes idle functions, so tenant schedules are not started here.
+require('dotenv').config();
+const { createApp } = require('./app');
+
+module.exports = createApp();
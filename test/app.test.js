@@ -0,0 +1,487 @@
+// test/app.test.js - Health, search, Vapi call routes and webhooks
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestApp, signIn, StubVapiService, WEBHOOK_SECRET, DEFAULT_ASSISTANT_ID } = require('./helpers');
+const { createApp } = require('../server/app');
+const { WebhookEventStore } = require('../server/vapi_webhooks');
+const { createCallArchive, CallArchiveSync } = require('../server/call_archive');
+
+const webhook = (request, message, secret = WEBHOOK_SECRET) => request('POST', '/api/vapi/webhook', {
+    body: { message },
+    token: null,
+    headers: secret ? { 'X-Vapi-Secret': secret } : {}
+});
+
+describe('createApp', () => {
+    it('builds an app without listening or starting schedules', () => {
+        const app = createApp({ vapiService: null, notifier: null, config: { nodeEnv: 'test' } });
+        assert.equal(typeof app.listen, 'function');
+        assert.equal(app.locals.tenantRegistry.running, false);
+        app.locals.tenantRegistry.destroy();
+    });
+
+    it('builds the default tenant from config instead of the environment', () => {
+        const saved = { ...process.env };
+        Object.assign(process.env, { VAPI_PRIVATE_KEY: 'env-key', VAPI_ASSISTANT_ID: 'asst-env', ADMIN_API_KEY: 'env-admin' });
+        try {
+            const app = createApp({
+                notifier: null,
+                config: {
+                    nodeEnv: 'test',
+                    vapiPrivateKey: 'config-key',
+                    vapiPublicKey: 'config-public',
+                    vapiAssistantId: 'asst-config',
+                    vapiBaseUrl: 'http://127.0.0.1:9',
+                    vapiMaxRetries: 0,
+                    webhookSecret: 'config-secret'
+                }
+            });
+            const tenant = app.locals.tenantRegistry.get('default');
+            assert.equal(tenant.vapiService.apiKey, 'config-key');
+            assert.equal(tenant.vapiService.assistantId, 'asst-config');
+            assert.equal(tenant.vapiService.baseUrl, 'http://127.0.0.1:9');
+            assert.equal(tenant.vapiService.maxRetries, 0);
+            assert.equal(tenant.webhookSecret, 'config-secret');
+            app.locals.tenantRegistry.destroy();
+        } finally {
+            process.env = saved;
+        }
+    });
+});
+
+describe('health and search', () => {
+    let ctx;
+    before(async () => { ctx = await startTestApp(); });
+    after(() => ctx.close());
+
+    it('reports the default tenant and its services', async () => {
+        const res = await ctx.request('GET', '/api/health', { token: null });
+        assert.equal(res.status, 200);
+        assert.equal(res.body.status, 'OK');
+        assert.equal(res.body.tenant.id, 'default');
+        assert.equal(res.body.services.vapi.status, 'healthy');
+    });
+
+    it('searches listings by criteria', async () => {
+        const res = await ctx.request('POST', '/api/search', {
+            body: { criteria: { city: 'Seattle', maxPrice: 500000 } },
+            token: null
+        });
+        assert.equal(res.status, 200);
+        assert.ok(res.body.total > 0);
+        assert.ok(res.body.properties.every(p => p.city === 'Seattle' && p.price <= 500000));
+        assert.equal(res.body.facets, null);
+    });
+
+    it('counts facets over every match when asked', async () => {
+        const res = await ctx.request('POST', '/api/search', {
+            body: { criteria: { city: 'Seattle' }, pageSize: 1, facets: true },
+            token: null
+        });
+        assert.equal(res.status, 200);
+        assert.equal(res.body.properties.length, 1);
+        const counted = Object.values(res.body.facets.city).reduce((sum, count) => sum + count, 0);
+        assert.equal(counted, res.body.total);
+
+        const invalid = await ctx.request('POST', '/api/search', {
+            body: { criteria: { city: 'Seattle' }, facets: 'yes' },
+            token: null
+        });
+        assert.deepEqual(invalid.body.details, ['facets must be true or false']);
+    });
+
+    it('rejects invalid criteria with details', async () => {
+        const res = await ctx.request('POST', '/api/search', {
+            body: { criteria: { minPrice: 900000, maxPrice: 100000 } },
+            token: null
+        });
+        assert.equal(res.status, 400);
+        assert.equal(res.body.error, 'Validation failed');
+        assert.ok(res.body.details.length > 0);
+
+        const missing = await ctx.request('POST', '/api/search', { body: {}, token: null });
+        assert.equal(missing.status, 400);
+
+        const nullBound = await ctx.request('POST', '/api/search', {
+            body: { criteria: { minPrice: null, bedrooms: true } },
+            token: null
+        });
+        assert.equal(nullBound.status, 400);
+        assert.deepEqual(nullBound.body.details, ['Invalid minimum price', 'Invalid number of bedrooms']);
+    });
+
+    it('parses natural-language searches', async () => {
+        const res = await ctx.request('POST', '/api/search/nl', {
+            body: { query: '3 bedroom house in Bellevue under 2 million' },
+            token: null
+        });
+        assert.equal(res.status, 200);
+        assert.equal(res.body.criteria.minBedrooms ?? res.body.criteria.bedrooms, 3);
+        assert.ok(res.body.properties.every(p => p.city === 'Bellevue'));
+
+        const empty = await ctx.request('POST', '/api/search/nl', { body: { query: '' }, token: null });
+        assert.equal(empty.status, 400);
+    });
+
+    it('serves the client and answers unknown routes with JSON', async () => {
+        const page = await ctx.request('GET', '/', { token: null });
+        assert.equal(page.status, 200);
+        assert.match(page.headers.get('content-type'), /text\/html/);
+
+        const missing = await ctx.request('GET', '/api/nope');
+        assert.equal(missing.status, 404);
+        assert.deepEqual(missing.body, { success: false, error: 'Route not found' });
+    });
+});
+
+describe('Vapi calls', () => {
+    let ctx;
+    before(async () => { ctx = await startTestApp(); });
+    after(() => ctx.close());
+
+    it('returns the assistant to admins only', async () => {
+        const res = await ctx.request('GET', '/api/vapi/assistant');
+        assert.equal(res.status, 200);
+        assert.equal(res.body.data.id, DEFAULT_ASSISTANT_ID);
+
+        const anonymous = await ctx.request('GET', '/api/vapi/assistant', { token: null });
+        assert.equal(anonymous.status, 401);
+
+        const agent = await signIn(ctx.request, { email: 'assistant-agent@example.com' });
+        const forbidden = await ctx.request('GET', '/api/vapi/assistant', { token: agent.token });
+        assert.equal(forbidden.status, 403);
+    });
+
+    it('places phone calls for agents', async () => {
+        const anonymous = await ctx.request('POST', '/api/vapi/call/phone', { body: { phoneNumber: '+12065550123' }, token: null });
+        assert.equal(anonymous.status, 401);
+
+        const missing = await ctx.request('POST', '/api/vapi/call/phone', { body: {} });
+        assert.equal(missing.status, 400);
+
+        const res = await ctx.request('POST', '/api/vapi/call/phone', { body: { phoneNumber: '+12065550123' } });
+        assert.equal(res.status, 200);
+        assert.equal(res.body.data.type, 'outboundPhoneCall');
+        assert.equal(res.body.data.customer.number, '+12065550123');
+    });
+
+    it('refuses to dial numbers on the do-not-call list', async () => {
+        const added = await ctx.request('POST', '/api/dnc', { body: { phone: '+12065550199', reason: 'asked' } });
+        assert.equal(added.status, 201);
+
+        const res = await ctx.request('POST', '/api/vapi/call/phone', { body: { phoneNumber: '+12065550199' } });
+        assert.equal(res.status, 403);
+        assert.equal(res.body.code, 'DIAL_BLOCKED');
+    });
+
+    it('passes Vapi rate limits through with Retry-After', async () => {
+        ctx.vapi.failNext = { status: 429, retryAfterMs: 30000 };
+        const res = await ctx.request('POST', '/api/vapi/call/phone', { body: { phoneNumber: '+12065550123' } });
+        assert.equal(res.status, 429);
+        assert.equal(res.headers.get('retry-after'), '30');
+    });
+
+    it('reports Vapi outages as 502', async () => {
+        ctx.vapi.failNext = { status: 500 };
+        const res = await ctx.request('GET', '/api/vapi/assistant');
+        assert.equal(res.status, 502);
+    });
+
+    it('rejects unknown assistants', async () => {
+        const res = await ctx.request('POST', '/api/vapi/call', { body: { assistantId: 'asst-unknown' }, token: null });
+        assert.equal(res.status, 400);
+        assert.equal(res.body.error, 'Unknown assistant');
+    });
+
+    it('starts web calls that the caller can end with its call token', async () => {
+        const res = await ctx.request('POST', '/api/vapi/call', { body: {}, token: null });
+        assert.equal(res.status, 200);
+        const { id, callToken, transport } = res.body.data;
+        assert.match(transport.websocketCallUrl, /^wss:\/\//);
+        assert.ok(callToken);
+
+        const withoutToken = await ctx.request('DELETE', `/api/vapi/calls/${id}`, { token: null });
+        assert.equal(withoutToken.status, 401);
+
+        const otherCall = ctx.vapi.addCall({ status: 'in-progress' });
+        const wrongCall = await ctx.request('DELETE', `/api/vapi/calls/${otherCall.id}`, {
+            token: null,
+            headers: { 'X-Call-Token': callToken }
+        });
+        assert.equal(wrongCall.status, 401);
+
+        const ended = await ctx.request('DELETE', `/api/vapi/calls/${id}`, {
+            token: null,
+            headers: { 'X-Call-Token': callToken }
+        });
+        assert.equal(ended.status, 200);
+        assert.equal(ended.body.data.status, 'ended');
+    });
+
+    it('lists archived calls and fetches single calls', async () => {
+        const call = ctx.vapi.addCall({ customer: { number: '+12065550150' }, transcript: 'AI: Hello\nUser: Hi' });
+
+        const list = await ctx.request('GET', '/api/vapi/calls');
+        assert.equal(list.status, 200);
+        assert.equal(list.body.source, 'archive');
+        assert.ok(list.body.data.some(c => c.id === call.id));
+
+        const single = await ctx.request('GET', `/api/vapi/calls/${call.id}`);
+        assert.equal(single.status, 200);
+        assert.equal(single.body.data.id, call.id);
+
+        const transcript = await ctx.request('GET', `/api/vapi/calls/${call.id}/transcript`);
+        assert.equal(transcript.status, 200);
+        assert.equal(transcript.body.data.transcript, 'AI: Hello\nUser: Hi');
+
+        const missing = await ctx.request('GET', '/api/vapi/calls/call-missing');
+        assert.equal(missing.status, 404);
+
+        const invalid = await ctx.request('GET', '/api/vapi/calls?from=yesterday&to=2026-13-45');
+        assert.equal(invalid.status, 400);
+        assert.deepEqual(invalid.body.details, ['Invalid from date', 'Invalid to date']);
+    });
+
+    it('backfills the archive and then only pages back to calls it already has', async () => {
+        const vapi = new StubVapiService();
+        const archive = createCallArchive({ backend: 'memory' });
+        const sync = new CallArchiveSync({ archive, vapiService: vapi, batchSize: 10 });
+        const minute = (i) => new Date(Date.UTC(2026, 0, 5, 9, i)).toISOString();
+        for (let i = 0; i < 25; i++) vapi.addCall({ createdAt: minute(i) });
+
+        // A webhook can archive a call before any sync has
+        await archive.upsert({ id: 'call-25', createdAt: minute(24), status: 'ended' });
+
+        assert.equal(await sync.refresh(), 25);
+        assert.equal((await archive.list()).total, 25);
+
+        for (let i = 30; i < 33; i++) vapi.addCall({ createdAt: minute(i) });
+        const listCalls = vapi.listCalls;
+        let pages = 0;
+        vapi.listCalls = (filters) => {
+            pages++;
+            return listCalls.call(vapi, filters);
+        };
+        assert.equal(await sync.refresh(), 10);
+        assert.equal(pages, 1);
+        assert.equal((await archive.list()).total, 28);
+    });
+
+    it('serves the public Vapi config', async () => {
+        const res = await ctx.request('GET', '/api/vapi/config', { token: null });
+        assert.equal(res.status, 200);
+        assert.deepEqual(res.body, { success: true, publicKey: 'test-public-key', assistantId: DEFAULT_ASSISTANT_ID });
+    });
+});
+
+describe('Vapi webhooks', () => {
+    let ctx;
+    before(async () => { ctx = await startTestApp(); });
+    after(() => ctx.close());
+
+    it('rejects requests without the shared secret', async () => {
+        const res = await webhook(ctx.request, { type: 'status-update', status: 'ringing', call: { id: 'call-x' } }, null);
+        assert.equal(res.status, 401);
+
+        const wrong = await webhook(ctx.request, { type: 'status-update', status: 'ringing', call: { id: 'call-x' } }, 'nope');
+        assert.equal(wrong.status, 401);
+    });
+
+    it('rejects every request when no secret is configured', async () => {
+        const open = await startTestApp({ config: { webhookSecret: null } });
+        try {
+            const res = await webhook(open.request, { type: 'status-update', status: 'ringing', call: { id: 'call-x' } }, null);
+            assert.equal(res.status, 401);
+        } finally {
+            await open.close();
+        }
+
+        const optedOut = await startTestApp({ config: { webhookSecret: null, allowUnverifiedWebhooks: true } });
+        try {
+            const res = await webhook(optedOut.request, { type: 'status-update', status: 'ringing', call: { id: 'call-x' } }, null);
+            assert.equal(res.status, 200);
+        } finally {
+            await optedOut.close();
+        }
+    });
+
+    it('rejects messages without a type', async () => {
+        const res = await webhook(ctx.request, { call: { id: 'call-x' } });
+        assert.equal(res.status, 400);
+    });
+
+    it('answers tool calls with search results', async () => {
+        const res = await webhook(ctx.request, {
+            type: 'tool-calls',
+            call: { id: 'call-tools' },
+            toolCallList: [
+                { id: 'tool-1', function: { name: 'search_properties', arguments: { city: 'Austin' } } },
+                { id: 'tool-2', function: { name: 'unknown_tool', arguments: {} } }
+            ]
+        });
+        assert.equal(res.status, 200);
+        assert.equal(res.body.results[0].toolCallId, 'tool-1');
+        assert.match(res.body.results[0].result, /Austin/);
+        assert.match(res.body.results[1].error, /Unknown tool/);
+    });
+
+    it('records events, archives the call and captures a lead', async () => {
+        const call = { id: 'call-hook', type: 'inboundPhoneCall', customer: { number: '+12065550177' } };
+
+        const status = await webhook(ctx.request, { type: 'status-update', status: 'in-progress', call });
+        assert.equal(status.status, 200);
+        assert.equal(status.body.duplicate, false);
+
+        const report = {
+            type: 'end-of-call-report',
+            endedReason: 'customer-ended-call',
+            call,
+            summary: 'Caller wants a condo in Seattle.',
+            analysis: { structuredData: { name: 'Jordan Lee', email: 'jordan@example.com', desiredAreas: ['Seattle'] } }
+        };
+        const ended = await webhook(ctx.request, report);
+        assert.equal(ended.status, 200);
+
+        const again = await webhook(ctx.request, report);
+        assert.equal(again.body.duplicate, true);
+
+        const events = await ctx.request('GET', '/api/vapi/calls/call-hook/webhook-events');
+        assert.equal(events.status, 200);
+        assert.deepEqual(events.body.data.map(e => e.type), ['status-update', 'end-of-call-report']);
+
+        const leads = await ctx.request('GET', '/api/leads');
+        const lead = leads.body.data.find(l => l.phone === '+12065550177');
+        assert.ok(lead);
+        assert.equal(lead.name, 'Jordan Lee');
+    });
+
+    it('does not let a caller rewrite someone else\'s lead', async () => {
+        const owner = await ctx.request('POST', '/api/leads', {
+            body: { name: 'Riley Park', phone: '+12065550188', email: 'riley@example.com' }
+        });
+
+        const res = await webhook(ctx.request, {
+            type: 'tool-calls',
+            call: { id: 'call-spoof', customer: { number: '+12065550199' } },
+            toolCallList: [{
+                id: 'tool-1',
+                function: { name: 'capture_lead', arguments: { name: 'Mallory', phone: '+12065550188', email: 'mallory@example.com' } }
+            }]
+        });
+        assert.match(res.body.results[0].result, /saved your details/);
+
+        const kept = await ctx.request('GET', `/api/leads/${owner.body.data.id}`);
+        assert.equal(kept.body.data.name, 'Riley Park');
+        assert.equal(kept.body.data.email, 'riley@example.com');
+        assert.deepEqual(kept.body.data.callIds, []);
+    });
+
+    it('matches a caller to a lead saved with the number in another format', async () => {
+        const saved = await ctx.request('POST', '/api/leads', { body: { name: 'Sam Ortiz', phone: '503-555-1234' } });
+        assert.equal(saved.body.data.phone, '+15035551234');
+
+        await webhook(ctx.request, {
+            type: 'end-of-call-report',
+            call: { id: 'call-formats', customer: { number: '+15035551234' } },
+            analysis: { structuredData: { email: 'sam@example.com' } }
+        });
+
+        const leads = await ctx.request('GET', '/api/leads?q=sam');
+        assert.equal(leads.body.data.length, 1);
+        assert.equal(leads.body.data[0].id, saved.body.data.id);
+        assert.equal(leads.body.data[0].email, 'sam@example.com');
+        assert.deepEqual(leads.body.data[0].callIds, ['call-formats']);
+    });
+
+    it('keeps the valid details of a lead from an end-of-call report', async () => {
+        await webhook(ctx.request, {
+            type: 'end-of-call-report',
+            call: { id: 'call-partial', customer: { number: '+12065550166' } },
+            analysis: { structuredData: { name: 'Avery Shaw', email: 'not-an-email', budgetMax: 650000 } }
+        });
+
+        const leads = await ctx.request('GET', '/api/leads?q=avery');
+        assert.equal(leads.body.data.length, 1);
+        const [lead] = leads.body.data;
+        assert.equal(lead.phone, '+12065550166');
+        assert.equal(lead.email, undefined);
+        assert.deepEqual(lead.budget, { max: 650000 });
+    });
+
+    it('does not store partial transcripts', async () => {
+        const call = { id: 'call-words' };
+        await webhook(ctx.request, { type: 'transcript', transcriptType: 'partial', role: 'user', transcript: 'I am look', call });
+        await webhook(ctx.request, { type: 'transcript', transcriptType: 'final', role: 'user', transcript: 'I am looking for a condo', call });
+
+        const events = await ctx.request('GET', '/api/vapi/calls/call-words/webhook-events');
+        assert.deepEqual(events.body.data.map(e => e.payload.transcriptType), ['final']);
+    });
+
+    it('caps the stored event history', () => {
+        const store = new WebhookEventStore(null, { maxCalls: 2, maxEventsPerCall: 3 });
+        for (const callId of ['call-1', 'call-2', 'call-3']) {
+            for (let i = 0; i < 5; i++) {
+                store.append({ type: 'status-update', status: `step-${i}`, call: { id: callId } });
+            }
+        }
+
+        assert.deepEqual(store.getEvents('call-1'), []);
+        assert.deepEqual(store.getEvents('call-3').map(e => e.payload.status), ['step-2', 'step-3', 'step-4']);
+        assert.equal(store.getEvents('call-2').length, 3);
+    });
+
+    it('streams call events to a subscriber until the call ends', async () => {
+        const controller = new AbortController();
+        const response = await fetch(`${ctx.baseUrl}/api/vapi/calls/call-live/events`, {
+            headers: { Authorization: 'Bearer test-admin-key' },
+            signal: controller.signal
+        });
+        assert.equal(response.status, 200);
+        assert.match(response.headers.get('content-type'), /text\/event-stream/);
+
+        await webhook(ctx.request, { type: 'status-update', status: 'in-progress', call: { id: 'call-live' } });
+        await webhook(ctx.request, { type: 'end-of-call-report', endedReason: 'hangup', call: { id: 'call-live' } });
+
+        const timer = setTimeout(() => controller.abort(), 5000);
+        const body = await response.text();
+        clearTimeout(timer);
+        assert.match(body, /^retry: 3000/);
+        assert.match(body, /event: status\n.*in-progress/);
+        assert.match(body, /event: end-of-call\n/);
+    });
+
+    it('replays an ended call to a late subscriber and closes the stream', async () => {
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), 5000);
+        try {
+            // call-live ended in the test above
+            const response = await fetch(`${ctx.baseUrl}/api/vapi/calls/call-live/events`, {
+                headers: { Authorization: 'Bearer test-admin-key' },
+                signal: controller.signal
+            });
+            assert.equal(response.status, 200);
+            const body = await response.text();
+            assert.match(body, /event: status\n.*in-progress/);
+            assert.match(body, /event: end-of-call\n.*hangup/);
+        } finally {
+            clearTimeout(timer);
+        }
+    });
+});
+
+describe('without a Vapi service', () => {
+    let ctx;
+    before(async () => { ctx = await startTestApp({ vapiService: null }); });
+    after(() => ctx.close());
+
+    it('answers call routes with 503', async () => {
+        const config = await ctx.request('GET', '/api/vapi/config', { token: null });
+        assert.equal(config.status, 503);
+
+        const call = await ctx.request('POST', '/api/vapi/call', { body: {}, token: null });
+        assert.equal(call.status, 503);
+
+        const health = await ctx.request('GET', '/api/health', { token: null });
+        assert.equal(health.body.services.vapi.status, 'unavailable');
+    });
+});
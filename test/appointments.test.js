@@ -0,0 +1,105 @@
+// test/appointments.test.js - Showing availability, booking and calendar invites
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestApp } = require('./helpers');
+
+const PROPERTY_ID = 'seed-001';
+
+describe('appointments', () => {
+    let ctx;
+    let slot;
+    let appointment;
+    before(async () => { ctx = await startTestApp(); });
+    after(() => ctx.close());
+
+    it('lists open showing slots for a property', async () => {
+        const res = await ctx.request('GET', `/api/appointments/availability?propertyId=${PROPERTY_ID}&days=7`, { token: null });
+        assert.equal(res.status, 200);
+        assert.equal(res.body.property.id, PROPERTY_ID);
+        assert.ok(res.body.data.length > 0);
+
+        // The first slot can be too close to now to book
+        slot = res.body.data.find(s => Date.parse(s.start) > Date.now() + 3 * 60 * 60 * 1000);
+        assert.ok(slot);
+    });
+
+    it('validates availability requests', async () => {
+        const missing = await ctx.request('GET', '/api/appointments/availability', { token: null });
+        assert.equal(missing.status, 400);
+
+        const unknown = await ctx.request('GET', '/api/appointments/availability?propertyId=nope', { token: null });
+        assert.equal(unknown.status, 404);
+    });
+
+    it('books a slot once', async () => {
+        const body = { propertyId: PROPERTY_ID, start: slot.start, name: 'Alex Kim', phone: '+12065550188' };
+        const res = await ctx.request('POST', '/api/appointments', { body, token: null });
+        assert.equal(res.status, 201);
+        appointment = res.body.data;
+        assert.equal(appointment.status, 'confirmed');
+        assert.match(appointment.inviteUrl, /^\/api\/appointments\/.+\/invite\.ics\?token=/);
+
+        const again = await ctx.request('POST', '/api/appointments', { body, token: null });
+        assert.equal(again.status, 409);
+
+        const soon = await ctx.request('POST', '/api/appointments', {
+            body: { ...body, start: new Date(Date.now() + 30 * 60 * 1000).toISOString() },
+            token: null
+        });
+        assert.equal(soon.status, 400);
+    });
+
+    it('serves a calendar invite to agents and the token holder only', async () => {
+        const anonymous = await ctx.request('GET', `/api/appointments/${appointment.id}/invite.ics`, { token: null });
+        assert.equal(anonymous.status, 401);
+        const forged = await ctx.request('GET', `/api/appointments/${appointment.id}?token=nope`, { token: null });
+        assert.equal(forged.status, 401);
+
+        const details = await ctx.request('GET', `/api/appointments/${appointment.id}`, {
+            token: null,
+            headers: { 'X-Appointment-Token': appointment.accessToken }
+        });
+        assert.equal(details.status, 200);
+        assert.equal(details.body.data.attendee.phone, '+12065550188');
+
+        const agent = await ctx.request('GET', `/api/appointments/${appointment.id}`);
+        assert.equal(agent.status, 200);
+
+        const res = await ctx.request('GET', appointment.inviteUrl, { token: null });
+        assert.equal(res.status, 200);
+        assert.match(res.headers.get('content-type'), /text\/calendar/);
+        assert.match(res.text, /BEGIN:VCALENDAR/);
+        assert.match(res.text, /412 Pine St/);
+    });
+
+    it('lets agents list and cancel showings', async () => {
+        const anonymous = await ctx.request('GET', '/api/appointments', { token: null });
+        assert.equal(anonymous.status, 401);
+
+        const list = await ctx.request('GET', `/api/appointments?propertyId=${PROPERTY_ID}`);
+        assert.equal(list.body.total, 1);
+
+        const cancelled = await ctx.request('DELETE', `/api/appointments/${appointment.id}`);
+        assert.equal(cancelled.status, 200);
+        assert.equal(cancelled.body.data.status, 'cancelled');
+
+        const invite = await ctx.request('GET', appointment.inviteUrl, { token: null });
+        assert.match(invite.text, /METHOD:CANCEL/);
+    });
+
+    it('lets admins manage agent calendars', async () => {
+        const agents = await ctx.request('GET', '/api/agents', { token: null });
+        assert.ok(agents.body.data.length > 0);
+
+        const created = await ctx.request('POST', '/api/agents', {
+            body: { name: 'Morgan Diaz', timezone: 'America/Chicago', weeklyHours: { mon: [['09:00', '12:00']] } }
+        });
+        assert.equal(created.status, 201);
+
+        const updated = await ctx.request('PUT', `/api/agents/${created.body.data.id}`, { body: { name: 'Morgan D.' } });
+        assert.equal(updated.body.data.name, 'Morgan D.');
+
+        const invalid = await ctx.request('POST', '/api/agents', { body: { name: '', timezone: 'Mars/Base' } });
+        assert.equal(invalid.status, 400);
+    });
+});
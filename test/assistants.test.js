@@ -0,0 +1,110 @@
+// test/assistants.test.js - Assistant registry and config versions
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestApp, signIn, DEFAULT_ASSISTANT_ID } = require('./helpers');
+
+describe('assistants', () => {
+    let ctx;
+    before(async () => {
+        ctx = await startTestApp();
+        ctx.vapi.addAssistant({ id: 'asst-sellers', name: 'Seller valuations' });
+    });
+    after(() => ctx.close());
+
+    it('lists the default assistant publicly', async () => {
+        const res = await ctx.request('GET', '/api/assistants', { token: null });
+        assert.equal(res.status, 200);
+        const entry = res.body.data.find(a => a.id === DEFAULT_ASSISTANT_ID);
+        assert.ok(entry.isDefault);
+    });
+
+    it('registers existing Vapi assistants for admins', async () => {
+        const { token } = await signIn(ctx.request, { email: 'agent@example.com', role: 'agent' });
+        const forbidden = await ctx.request('POST', '/api/assistants', {
+            body: { assistantId: 'asst-sellers', name: 'Sellers', purpose: 'seller_valuation' },
+            token
+        });
+        assert.equal(forbidden.status, 403);
+
+        const res = await ctx.request('POST', '/api/assistants', {
+            body: { assistantId: 'asst-sellers', name: 'Sellers', purpose: 'seller_valuation' }
+        });
+        assert.equal(res.status, 201);
+        assert.equal(res.body.data.purpose, 'seller_valuation');
+
+        const duplicate = await ctx.request('POST', '/api/assistants', {
+            body: { assistantId: 'asst-sellers', name: 'Sellers', purpose: 'seller_valuation' }
+        });
+        assert.equal(duplicate.status, 409);
+
+        const filtered = await ctx.request('GET', '/api/assistants?purpose=seller_valuation', { token: null });
+        assert.deepEqual(filtered.body.data.map(a => a.id), ['asst-sellers']);
+    });
+
+    it('reports unknown Vapi assistants and bad purposes', async () => {
+        const unknown = await ctx.request('POST', '/api/assistants', {
+            body: { assistantId: 'asst-nowhere', name: 'Ghost', purpose: 'general' }
+        });
+        assert.equal(unknown.status, 404);
+
+        const invalid = await ctx.request('POST', '/api/assistants', {
+            body: { assistantId: 'asst-sellers', name: 'Sellers', purpose: 'telemarketing' }
+        });
+        assert.equal(invalid.status, 400);
+    });
+
+    it('creates assistants from a config', async () => {
+        const res = await ctx.request('POST', '/api/assistants', {
+            body: { name: 'Rentals', purpose: 'rental', config: { firstMessage: 'Looking to rent?' } }
+        });
+        assert.equal(res.status, 201);
+        assert.equal(ctx.vapi.assistants.get(res.body.data.id).firstMessage, 'Looking to rent?');
+    });
+
+    it('versions config changes and rolls them back', async () => {
+        const changed = await ctx.request('POST', '/api/assistants/asst-sellers/versions', {
+            body: { firstMessage: 'Thinking of selling?', note: 'Friendlier greeting' }
+        });
+        assert.equal(changed.status, 201);
+        assert.equal(ctx.vapi.assistants.get('asst-sellers').firstMessage, 'Thinking of selling?');
+
+        const versions = await ctx.request('GET', '/api/assistants/asst-sellers/versions');
+        assert.equal(versions.body.live, changed.body.data.number);
+        assert.ok(versions.body.data.length >= 2);
+
+        const diff = await ctx.request('GET', '/api/assistants/asst-sellers/versions/diff');
+        assert.deepEqual(diff.body.data.changes.map(c => c.field), ['firstMessage']);
+
+        const rolledBack = await ctx.request('POST', '/api/assistants/asst-sellers/rollback', { body: {} });
+        assert.equal(rolledBack.status, 200);
+        assert.equal(ctx.vapi.assistants.get('asst-sellers').firstMessage, 'Hi, how can I help?');
+    });
+
+    it('stores drafts without changing the live assistant until promoted', async () => {
+        const draft = await ctx.request('POST', '/api/assistants/asst-sellers/versions', {
+            body: { systemPrompt: 'You value homes.', draft: true }
+        });
+        assert.equal(draft.status, 201);
+        assert.equal(draft.body.data.draft, true);
+        assert.equal(ctx.vapi.assistants.get('asst-sellers').model.messages[0].content, 'You help people find homes.');
+
+        const promoted = await ctx.request('POST', `/api/assistants/asst-sellers/versions/${draft.body.data.number}/promote`, { body: {} });
+        assert.equal(promoted.status, 200);
+        assert.equal(ctx.vapi.assistants.get('asst-sellers').model.messages[0].content, 'You value homes.');
+
+        const missing = await ctx.request('GET', '/api/assistants/asst-sellers/versions/999');
+        assert.equal(missing.status, 404);
+    });
+
+    it('unregisters assistants except the default', async () => {
+        const protectedDefault = await ctx.request('DELETE', `/api/assistants/${DEFAULT_ASSISTANT_ID}`);
+        assert.equal(protectedDefault.status, 409);
+
+        const removed = await ctx.request('DELETE', '/api/assistants/asst-sellers');
+        assert.equal(removed.status, 200);
+        assert.ok(ctx.vapi.assistants.has('asst-sellers'));
+
+        const missing = await ctx.request('GET', '/api/assistants/asst-sellers', { token: null });
+        assert.equal(missing.status, 404);
+    });
+});
@@ -0,0 +1,114 @@
+// test/auth.test.js - Sign-in, sessions and user management
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestApp, signIn } = require('./helpers');
+
+describe('auth', () => {
+    let ctx;
+    before(async () => { ctx = await startTestApp(); });
+    after(() => ctx.close());
+
+    it('signs in with a bearer token and a session cookie', async () => {
+        const { user, token } = await signIn(ctx.request, { email: 'pat@example.com', role: 'agent' });
+        assert.equal(user.role, 'agent');
+        assert.equal(user.password, undefined);
+
+        const me = await ctx.request('GET', '/api/auth/me', { token });
+        assert.equal(me.body.data.email, 'pat@example.com');
+
+        const login = await ctx.request('POST', '/api/auth/login', {
+            body: { email: 'pat@example.com', password: 'correct-horse-battery' },
+            token: null
+        });
+        const cookie = login.headers.get('set-cookie').split(';')[0];
+        const viaCookie = await ctx.request('GET', '/api/auth/me', { token: null, headers: { Cookie: cookie } });
+        assert.equal(viaCookie.body.data.email, 'pat@example.com');
+    });
+
+    it('rejects wrong passwords and incomplete sign-ins', async () => {
+        const wrong = await ctx.request('POST', '/api/auth/login', {
+            body: { email: 'pat@example.com', password: 'not-the-password' },
+            token: null
+        });
+        assert.equal(wrong.status, 401);
+
+        const missing = await ctx.request('POST', '/api/auth/login', { body: { email: 'pat@example.com' }, token: null });
+        assert.equal(missing.status, 400);
+    });
+
+    it('treats anonymous visitors as signed out', async () => {
+        const me = await ctx.request('GET', '/api/auth/me', { token: null });
+        assert.equal(me.status, 200);
+        assert.equal(me.body.data, null);
+    });
+
+    it('keeps contact data from anonymous visitors', async () => {
+        for (const path of ['/api/saved-searches', '/api/alerts', '/api/leads']) {
+            const res = await ctx.request('GET', path, { token: null });
+            assert.equal(res.status, 401, path);
+        }
+
+        const { token } = await signIn(ctx.request, { email: 'jo@example.com', role: 'agent' });
+        const searches = await ctx.request('GET', '/api/saved-searches', { token });
+        assert.equal(searches.status, 200);
+    });
+
+    it('ends the session on sign-out', async () => {
+        const { token } = await signIn(ctx.request, { email: 'sam@example.com' });
+        const logout = await ctx.request('POST', '/api/auth/logout', { token });
+        assert.equal(logout.status, 200);
+
+        const me = await ctx.request('GET', '/api/auth/me', { token });
+        assert.notEqual(me.body?.data?.email, 'sam@example.com');
+    });
+
+    it('limits user management to admins', async () => {
+        const { token } = await signIn(ctx.request, { email: 'lee@example.com', role: 'agent' });
+        const forbidden = await ctx.request('GET', '/api/users', { token });
+        assert.equal(forbidden.status, 403);
+
+        const anonymous = await ctx.request('GET', '/api/users', { token: null });
+        assert.equal(anonymous.status, 401);
+
+        const list = await ctx.request('GET', '/api/users');
+        assert.equal(list.status, 200);
+        assert.ok(list.body.data.some(user => user.email === 'lee@example.com'));
+    });
+
+    it('validates new users and refuses duplicates', async () => {
+        const invalid = await ctx.request('POST', '/api/users', { body: { email: 'not-an-email', password: 'x', role: 'owner' } });
+        assert.equal(invalid.status, 400);
+        assert.ok(invalid.body.details.length > 0);
+
+        const duplicate = await ctx.request('POST', '/api/users', {
+            body: { email: 'pat@example.com', password: 'another-password', role: 'agent' }
+        });
+        assert.equal(duplicate.status, 409);
+    });
+
+    it('disables, promotes and deletes users', async () => {
+        const { user } = await signIn(ctx.request, { email: 'kim@example.com' });
+
+        const promoted = await ctx.request('PATCH', `/api/users/${user.id}`, { body: { role: 'admin' } });
+        assert.equal(promoted.status, 200);
+        assert.equal(promoted.body.data.role, 'admin');
+
+        await ctx.request('PATCH', `/api/users/${user.id}`, { body: { disabled: true } });
+        const login = await ctx.request('POST', '/api/auth/login', {
+            body: { email: 'kim@example.com', password: 'correct-horse-battery' },
+            token: null
+        });
+        assert.equal(login.status, 401);
+
+        const deleted = await ctx.request('DELETE', `/api/users/${user.id}`);
+        assert.equal(deleted.status, 200);
+        const missing = await ctx.request('DELETE', `/api/users/${user.id}`);
+        assert.equal(missing.status, 404);
+    });
+
+    it('does not let admins delete their own account', async () => {
+        const { user, token } = await signIn(ctx.request, { email: 'root@example.com', role: 'admin' });
+        const res = await ctx.request('DELETE', `/api/users/${user.id}`, { token });
+        assert.equal(res.status, 409);
+    });
+});
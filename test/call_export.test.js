@@ -0,0 +1,177 @@
+// test/call_export.test.js - Streaming call history export as CSV and NDJSON
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestApp, WEBHOOK_SECRET } = require('./helpers');
+const { parseCsv } = require('../server/csv');
+const { CALL_EXPORT_COLUMNS } = require('../server/call_export');
+
+// Noon UTC, `day` days after 2026-01-01
+const onDay = (day, seconds = 0) => new Date(Date.UTC(2026, 0, 1 + day, 12, 0, seconds)).toISOString();
+
+describe('call export', () => {
+    let ctx;
+    before(async () => {
+        ctx = await startTestApp();
+
+        // More calls than one export page, one per minute on Jan 1st
+        for (let i = 0; i < 250; i++) {
+            ctx.vapi.addCall({
+                id: `call-bulk-${String(i).padStart(3, '0')}`,
+                createdAt: new Date(Date.UTC(2026, 0, 1, 0, i)).toISOString()
+            });
+        }
+        ctx.vapi.addCall({
+            id: 'call-detailed',
+            type: 'inboundPhoneCall',
+            status: 'ended',
+            createdAt: onDay(10),
+            startedAt: onDay(10, 5),
+            endedAt: onDay(10, 95),
+            customer: { number: '+12065550160' },
+            cost: 0.42,
+            endedReason: 'customer-ended-call',
+            analysis: { summary: 'Wants a 2-bed condo, "near the water",\nbudget $600k.' }
+        });
+        ctx.vapi.addCall({
+            id: 'call-later',
+            createdAt: onDay(20),
+            summary: '=HYPERLINK("http://evil")',
+            endedReason: '-1+cmd|\' /C calc\'!A0'
+        });
+    });
+    after(() => ctx.close());
+
+    it('requires an agent', async () => {
+        const res = await ctx.request('GET', '/api/vapi/calls/export', { token: null });
+        assert.equal(res.status, 401);
+    });
+
+    it('streams every call as CSV, newest first', async () => {
+        const res = await ctx.request('GET', '/api/vapi/calls/export');
+        assert.equal(res.status, 200);
+        assert.match(res.headers.get('content-type'), /^text\/csv/);
+        assert.match(res.headers.get('content-disposition'), /^attachment; filename="calls-\d{4}-\d{2}-\d{2}\.csv"$/);
+
+        const lines = res.text.replace(/^﻿/, '').split('\r\n');
+        assert.equal(lines[0], Object.keys(CALL_EXPORT_COLUMNS).join(','));
+
+        const rows = parseCsv(res.text);
+        assert.equal(rows.length, 252);
+        assert.deepEqual(rows.slice(0, 3).map(row => row.id), ['call-later', 'call-detailed', 'call-bulk-249']);
+        assert.equal(rows[251].id, 'call-bulk-000');
+    });
+
+    it('fills each column from the call', async () => {
+        const res = await ctx.request('GET', '/api/vapi/calls/export?from=2026-01-11T00:00:00Z&to=2026-01-12T00:00:00Z');
+        const [row] = parseCsv(res.text);
+        assert.deepEqual(row, {
+            id: 'call-detailed',
+            type: 'inboundPhoneCall',
+            status: 'ended',
+            customer_number: '\'+12065550160',
+            assistant_id: 'asst-default',
+            started_at: onDay(10, 5),
+            ended_at: onDay(10, 95),
+            duration_seconds: '90',
+            cost: '0.42',
+            ended_reason: 'customer-ended-call',
+            summary: 'Wants a 2-bed condo, "near the water",\nbudget $600k.'
+        });
+    });
+
+    it('keeps spreadsheet formulas from running', async () => {
+        const res = await ctx.request('GET', '/api/vapi/calls/export?columns=id,summary,ended_reason&from=2026-01-15T00:00:00Z');
+        assert.deepEqual(parseCsv(res.text), [{
+            id: 'call-later',
+            summary: '\'=HYPERLINK("http://evil")',
+            ended_reason: '\'-1+cmd|\' /C calc\'!A0'
+        }]);
+    });
+
+    it('streams chosen columns as NDJSON', async () => {
+        const res = await ctx.request('GET', '/api/vapi/calls/export?format=ndjson&columns=id,cost,duration_seconds&from=2026-01-05T00:00:00Z');
+        assert.equal(res.status, 200);
+        assert.match(res.headers.get('content-type'), /^application\/x-ndjson/);
+        assert.match(res.headers.get('content-disposition'), /\.ndjson"$/);
+
+        const lines = res.text.trim().split('\n').map(line => JSON.parse(line));
+        assert.deepEqual(lines, [
+            { id: 'call-later', cost: null, duration_seconds: null },
+            { id: 'call-detailed', cost: 0.42, duration_seconds: 90 }
+        ]);
+    });
+
+    it('filters by date range', async () => {
+        const res = await ctx.request('GET', '/api/vapi/calls/export?format=ndjson&columns=id&from=2026-01-01T01:00:00Z&to=2026-01-01T02:00:00Z');
+        const ids = res.text.trim().split('\n').map(line => JSON.parse(line).id);
+        assert.equal(ids.length, 59);
+        assert.equal(ids[0], 'call-bulk-119');
+        assert.equal(ids[58], 'call-bulk-061');
+    });
+
+    it('rejects unknown formats, columns and dates', async () => {
+        const res = await ctx.request('GET', '/api/vapi/calls/export?format=xlsx&columns=id,secret&from=yesterday');
+        assert.equal(res.status, 400);
+        assert.equal(res.body.details.length, 3);
+        assert.match(res.body.details[0], /Unknown columns: secret/);
+    });
+
+    it('answers with an error when Vapi fails before the first page', async () => {
+        ctx.vapi.failNext = { status: 429, retryAfterMs: 5000 };
+        const res = await ctx.request('GET', '/api/vapi/calls/export');
+        assert.equal(res.status, 429);
+        assert.equal(res.headers.get('retry-after'), '5');
+        assert.equal(res.body.success, false);
+    });
+
+    it('aborts and does not report success when Vapi fails mid-export', async () => {
+        const listCalls = ctx.vapi.listCalls;
+        let pagesServed = 0;
+        ctx.vapi.listCalls = (filters) => {
+            if (pagesServed++ === 1) ctx.vapi.failNext = { status: 502 };
+            return listCalls.call(ctx.vapi, filters);
+        };
+        const logged = [];
+        const log = console.log;
+        console.log = (...args) => logged.push(args.join(' '));
+        try {
+            await assert.rejects(ctx.request('GET', '/api/vapi/calls/export'));
+        } finally {
+            console.log = log;
+            ctx.vapi.listCalls = listCalls;
+        }
+        assert.equal(pagesServed, 2);
+        assert.ok(!logged.some(line => line.startsWith('Exported')));
+    });
+
+    it('exports from the call archive on request', async () => {
+        await ctx.request('POST', '/api/vapi/webhook', {
+            body: {
+                message: {
+                    type: 'end-of-call-report',
+                    call: { id: 'call-archived', createdAt: onDay(30), customer: { number: '+12065550161' } },
+                    endedReason: 'assistant-ended-call',
+                    durationSeconds: 42
+                }
+            },
+            token: null,
+            headers: { 'X-Vapi-Secret': WEBHOOK_SECRET }
+        });
+
+        const res = await ctx.request('GET', '/api/vapi/calls/export?source=archive&format=ndjson&columns=id,customer_number,duration_seconds,ended_reason');
+        assert.equal(res.status, 200);
+        const [row] = res.text.trim().split('\n').map(line => JSON.parse(line));
+        assert.deepEqual(row, {
+            id: 'call-archived',
+            customer_number: '+12065550161',
+            duration_seconds: 42,
+            ended_reason: 'assistant-ended-call'
+        });
+    });
+
+    it('is not mistaken for a call id', async () => {
+        const res = await ctx.request('GET', '/api/vapi/calls/call-detailed');
+        assert.equal(res.status, 200);
+        assert.equal(res.body.data.id, 'call-detailed');
+    });
+});
@@ -0,0 +1,111 @@
+// test/campaigns.test.js - Outbound calling campaigns
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestApp, WEBHOOK_SECRET } = require('./helpers');
+
+const ALL_DAY = { start: '00:00', end: '24:00' };
+
+// The runner dials in the background; wait for it to place a call to phone
+async function waitForCall(vapi, phone) {
+    for (let i = 0; i < 50; i++) {
+        const call = [...vapi.calls.values()].find(c => c.customer?.number === phone);
+        if (call) return call;
+        await new Promise(resolve => setTimeout(resolve, 20));
+    }
+    throw new Error(`No call placed to ${phone}`);
+}
+
+describe('campaigns', () => {
+    let ctx;
+    let paused;
+    before(async () => { ctx = await startTestApp(); });
+    after(() => ctx.close());
+
+    it('are only available to agents', async () => {
+        const res = await ctx.request('GET', '/api/campaigns', { token: null });
+        assert.equal(res.status, 401);
+    });
+
+    it('validates campaigns', async () => {
+        const res = await ctx.request('POST', '/api/campaigns', {
+            body: { name: '', contacts: [{ phone: 'nope' }], assistantId: 'asst-unknown' }
+        });
+        assert.equal(res.status, 400);
+        assert.ok(res.body.details.some(detail => /not registered/.test(detail)));
+    });
+
+    it('creates paused campaigns that can be resumed, paused and cancelled', async () => {
+        const res = await ctx.request('POST', '/api/campaigns', {
+            body: { name: 'Open house follow-up', contacts: [{ phone: '+12065550131' }], start: false }
+        });
+        assert.equal(res.status, 201);
+        paused = res.body.data;
+        assert.equal(paused.status, 'paused');
+        assert.equal(paused.counts.pending, 1);
+
+        const list = await ctx.request('GET', '/api/campaigns?status=paused');
+        assert.deepEqual(list.body.data.map(c => c.id), [paused.id]);
+
+        const cancelled = await ctx.request('POST', `/api/campaigns/${paused.id}/cancel`);
+        assert.equal(cancelled.body.data.status, 'cancelled');
+
+        const resumed = await ctx.request('POST', `/api/campaigns/${paused.id}/resume`);
+        assert.equal(resumed.status, 409);
+
+        const missing = await ctx.request('POST', '/api/campaigns/no-such-campaign/pause');
+        assert.equal(missing.status, 404);
+    });
+
+    it('dials contacts and records call outcomes from webhooks', async () => {
+        const res = await ctx.request('POST', '/api/campaigns', {
+            body: {
+                name: 'Price drop alerts',
+                contacts: [{ phone: '+12065550132', name: 'Jamie' }],
+                callingHours: ALL_DAY,
+                timezone: 'America/Los_Angeles'
+            }
+        });
+        assert.equal(res.status, 201);
+        assert.equal(res.body.data.status, 'running');
+
+        const call = await waitForCall(ctx.vapi, '+12065550132');
+        const report = await ctx.request('POST', '/api/vapi/webhook', {
+            body: { message: { type: 'end-of-call-report', endedReason: 'customer-ended-call', call } },
+            token: null,
+            headers: { 'X-Vapi-Secret': WEBHOOK_SECRET }
+        });
+        assert.equal(report.status, 200);
+
+        const campaign = await ctx.request('GET', `/api/campaigns/${res.body.data.id}`);
+        assert.equal(campaign.body.data.contacts[0].outcome, 'customer-ended-call');
+        assert.equal(campaign.body.data.status, 'completed');
+    });
+
+    it('retries a dial only when Vapi failed for a passing reason', async () => {
+        const dialWith = async (phone, failure) => {
+            ctx.vapi.failNext = failure;
+            const res = await ctx.request('POST', '/api/campaigns', {
+                body: { name: `Dial ${phone}`, contacts: [{ phone }], callingHours: ALL_DAY, timezone: 'America/Los_Angeles' }
+            });
+            for (let i = 0; i < 50; i++) {
+                const campaign = await ctx.request('GET', `/api/campaigns/${res.body.data.id}`);
+                const [contact] = campaign.body.data.contacts;
+                if (contact.outcome) return contact;
+                await new Promise(resolve => setTimeout(resolve, 20));
+            }
+            throw new Error(`No dial attempt to ${phone}`);
+        };
+
+        const rejected = await dialWith('+12065550133', { status: 400 });
+        assert.equal(rejected.outcome, 'dial-failed');
+        assert.equal(rejected.status, 'failed');
+        assert.equal(rejected.nextAttemptAt, null);
+
+        const unavailable = await dialWith('+12065550134', { status: 503 });
+        assert.equal(unavailable.status, 'retry');
+        assert.ok(unavailable.nextAttemptAt);
+
+        const timedOut = await dialWith('+12065550135', { code: 'timeout' });
+        assert.equal(timedOut.status, 'retry');
+    });
+});
@@ -0,0 +1,81 @@
+// test/compliance.test.js - Do-not-call list, consent records and the dial audit log
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestApp, signIn } = require('./helpers');
+
+describe('compliance', () => {
+    let ctx;
+    before(async () => { ctx = await startTestApp(); });
+    after(() => ctx.close());
+
+    it('adds numbers to the do-not-call list once', async () => {
+        const anonymous = await ctx.request('POST', '/api/dnc', { body: { phone: '+12065550111' }, token: null });
+        assert.equal(anonymous.status, 401);
+
+        const added = await ctx.request('POST', '/api/dnc', { body: { phone: '+12065550111', reason: 'Asked on a call' } });
+        assert.equal(added.status, 201);
+
+        const again = await ctx.request('POST', '/api/dnc', { body: { phone: '+12065550111' } });
+        assert.equal(again.status, 200);
+        assert.equal(again.body.duplicate, true);
+
+        const invalid = await ctx.request('POST', '/api/dnc', { body: { phone: 'call me' } });
+        assert.equal(invalid.status, 400);
+    });
+
+    it('imports numbers from CSV', async () => {
+        const res = await ctx.request('POST', '/api/dnc/import', {
+            body: 'phone,reason\n+12065550112,list\n+12065550111,list\nnot-a-number,list',
+            headers: { 'Content-Type': 'text/csv' }
+        });
+        assert.equal(res.status, 200);
+        assert.equal(res.body.data.added, 1);
+        assert.equal(res.body.data.alreadyListed, 1);
+        assert.equal(res.body.data.invalid, 1);
+
+        const list = await ctx.request('GET', '/api/dnc');
+        assert.equal(list.body.total, 2);
+    });
+
+    it('explains whether a number can be dialed', async () => {
+        const blocked = await ctx.request('GET', '/api/dnc/check/+12065550111');
+        assert.equal(blocked.body.data.allowed, false);
+        assert.ok(blocked.body.data.message);
+
+        const removed = await ctx.request('DELETE', '/api/dnc/+12065550111');
+        assert.equal(removed.status, 200);
+
+        const allowed = await ctx.request('GET', '/api/dnc/check/+12065550111');
+        assert.equal(allowed.body.data.allowed, true);
+
+        const missing = await ctx.request('DELETE', '/api/dnc/+12065550111');
+        assert.equal(missing.status, 404);
+    });
+
+    it('records consent history', async () => {
+        const invalid = await ctx.request('POST', '/api/consents', { body: { phone: '+12065550113', granted: 'yes' } });
+        assert.equal(invalid.status, 400);
+
+        await ctx.request('POST', '/api/consents', { body: { phone: '+12065550113', granted: true, source: 'web_form' } });
+        const revoked = await ctx.request('POST', '/api/consents', {
+            body: { phone: '+12065550113', granted: false, source: 'call' }
+        });
+        assert.equal(revoked.status, 201);
+
+        const history = await ctx.request('GET', '/api/consents/+12065550113');
+        assert.equal(history.body.data.current.granted, false);
+        assert.equal(history.body.data.history.length, 2);
+    });
+
+    it('audits dial decisions for admins', async () => {
+        await ctx.request('POST', '/api/vapi/call/phone', { body: { phoneNumber: '+12065550112' } });
+
+        const blocked = await ctx.request('GET', '/api/dial-audit?decision=blocked');
+        assert.equal(blocked.status, 200);
+        assert.ok(blocked.body.data.some(entry => entry.phone === '+12065550112'));
+
+        const { token } = await signIn(ctx.request, { email: 'agent@example.com', role: 'agent' });
+        const forbidden = await ctx.request('GET', '/api/dial-audit', { token });
+        assert.equal(forbidden.status, 403);
+    });
+});
@@ -0,0 +1,256 @@
+// test/helpers.js - Boots the app in-process against stub services for the HTTP tests
+// Each test file runs in its own process (node --test), so each gets a fresh DATA_DIR.
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { EventEmitter } = require('events');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'voicenest-test-'));
+process.on('exit', () => fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true }));
+
+const { createApp } = require('../server/app');
+const { createPropertyRepository } = require('../server/repositories/property_repository');
+const { VapiApiError } = require('../server/vapi_http');
+const { DialBlockedError } = require('../server/compliance');
+const { toE164 } = require('../server/contacts');
+
+const ADMIN_API_KEY = 'test-admin-key';
+const WEBHOOK_SECRET = 'test-webhook-secret';
+const DEFAULT_ASSISTANT_ID = 'asst-default';
+
+// In-memory stand-in for VapiService: same methods, no network. Calls it creates are kept
+// in `calls`; `failNext` makes the next request reject with a VapiApiError.
+class StubVapiService extends EventEmitter {
+    constructor() {
+        super();
+        this.setMaxListeners(0);
+        this.initialized = true;
+        this.publicKey = 'test-public-key';
+        this.assistantId = DEFAULT_ASSISTANT_ID;
+        this.dialPolicy = null;
+        this.calls = new Map();
+        this.assistants = new Map();
+        this.failNext = null;
+        this.nextId = 1;
+        this.addAssistant({ id: DEFAULT_ASSISTANT_ID, name: 'Default assistant' });
+    }
+
+    addAssistant({ id, name, systemPrompt = 'You help people find homes.' }) {
+        const assistant = {
+            id,
+            name,
+            firstMessage: 'Hi, how can I help?',
+            model: { provider: 'openai', model: 'gpt-4o', messages: [{ role: 'system', content: systemPrompt }] },
+            voice: { provider: '11labs', voiceId: 'test-voice' }
+        };
+        this.assistants.set(id, assistant);
+        return assistant;
+    }
+
+    addCall(call) {
+        const stored = {
+            id: `call-${this.nextId++}`,
+            type: 'webCall',
+            status: 'ended',
+            assistantId: DEFAULT_ASSISTANT_ID,
+            createdAt: new Date().toISOString(),
+            ...call
+        };
+        this.calls.set(stored.id, stored);
+        return stored;
+    }
+
+    // Rejects with the queued failure, if any
+    async checkFailure(method, requestPath) {
+        if (!this.failNext) return;
+        const { status, code = 'http_error', retryAfterMs = null } = this.failNext;
+        this.failNext = null;
+        throw new VapiApiError(`API Error: ${status || code}`, { status, code, retryAfterMs, method, path: requestPath });
+    }
+
+    notFound(method, requestPath) {
+        return new VapiApiError('API Error: 404 - Not Found', { status: 404, method, path: requestPath });
+    }
+
+    setDialPolicy(policy) {
+        this.dialPolicy = policy;
+    }
+
+    async healthCheck() {
+        return { status: 'healthy', circuit: 'closed', assistantId: this.assistantId };
+    }
+
+    async getAssistant(assistantId = this.assistantId) {
+        await this.checkFailure('GET', `/assistant/${assistantId}`);
+        const assistant = this.assistants.get(assistantId);
+        if (!assistant) throw this.notFound('GET', `/assistant/${assistantId}`);
+        return structuredClone(assistant);
+    }
+
+    async createAssistant(config) {
+        await this.checkFailure('POST', '/assistant');
+        const id = `asst-${this.nextId++}`;
+        this.assistants.set(id, { ...structuredClone(config), id });
+        return structuredClone(this.assistants.get(id));
+    }
+
+    async updateAssistant(updates, assistantId = this.assistantId) {
+        await this.checkFailure('PATCH', `/assistant/${assistantId}`);
+        const assistant = this.assistants.get(assistantId);
+        if (!assistant) throw this.notFound('PATCH', `/assistant/${assistantId}`);
+        Object.assign(assistant, structuredClone(updates));
+        return structuredClone(assistant);
+    }
+
+    async makeCall(phoneNumber, customAssistantId = null, context = {}) {
+        await this.checkFailure('POST', '/call/phone');
+        let number = toE164(phoneNumber);
+        if (this.dialPolicy) {
+            const decision = this.dialPolicy.authorize(number, context);
+            if (!decision.allowed) throw new DialBlockedError(decision);
+            number = decision.phone;
+        }
+        return this.addCall({
+            type: 'outboundPhoneCall',
+            status: 'queued',
+            assistantId: customAssistantId || this.assistantId,
+            customer: { number }
+        });
+    }
+
+    async createWebCall(customAssistantId = null, transportConfig = null) {
+        await this.checkFailure('POST', '/call');
+        const call = this.addCall({
+            status: 'queued',
+            assistantId: customAssistantId || this.assistantId,
+            transport: { ...transportConfig }
+        });
+        call.transport.websocketCallUrl = `wss://example.test/${call.id}/transport`;
+        return { ...call, publicKey: this.publicKey };
+    }
+
+    async listCalls({ limit = 100, cursor = null, createdAtGt, createdAtLt, assistantId } = {}) {
+        await this.checkFailure('GET', '/call');
+        const before = cursor || createdAtLt;
+        const sorted = [...this.calls.values()]
+            .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+            .filter(call => (!before || call.createdAt < before) &&
+                (!createdAtGt || call.createdAt > createdAtGt) &&
+                (!assistantId || call.assistantId === assistantId));
+        const calls = sorted.slice(0, limit);
+        return { calls, nextCursor: sorted.length > limit ? calls[calls.length - 1].createdAt : null };
+    }
+
+    async *iterateCalls(filters = {}, { pageSize = 100 } = {}) {
+        let cursor = null;
+        do {
+            const page = await this.listCalls({ ...filters, limit: pageSize, cursor });
+            if (page.calls.length > 0) yield page.calls;
+            cursor = page.nextCursor;
+        } while (cursor);
+    }
+
+    async getCalls(limit = 100) {
+        return (await this.listCalls({ limit })).calls;
+    }
+
+    async getCall(callId) {
+        await this.checkFailure('GET', `/call/${callId}`);
+        const call = this.calls.get(callId);
+        if (!call) throw this.notFound('GET', `/call/${callId}`);
+        return structuredClone(call);
+    }
+
+    async endCall(callId) {
+        await this.checkFailure('DELETE', `/call/${callId}`);
+        const call = this.calls.get(callId);
+        if (!call) throw this.notFound('DELETE', `/call/${callId}`);
+        call.status = 'ended';
+        call.endedReason = call.endedReason || 'customer-ended-call';
+        return structuredClone(call);
+    }
+
+    async getCallTranscript(callId) {
+        const call = await this.getCall(callId);
+        return call.transcript || null;
+    }
+
+    destroy() {
+        this.removeAllListeners();
+    }
+}
+
+// Starts the app on a random port. Returns { app, vapi, properties, baseUrl, request, close }.
+// request(method, path, { body, token, headers }) resolves to { status, headers, body, text };
+// token defaults to the admin API key, pass token: null for an anonymous request.
+async function startTestApp({ vapiService = new StubVapiService(), propertyRepository, config = {} } = {}) {
+    const properties = propertyRepository || createPropertyRepository({ backend: 'memory' });
+    const app = createApp({
+        vapiService,
+        propertyRepository: properties,
+        notifier: null,
+        config: {
+            nodeEnv: 'test',
+            adminApiKey: ADMIN_API_KEY,
+            webhookSecret: WEBHOOK_SECRET,
+            // Dialing is allowed around the clock so call tests do not depend on the time they run
+            dialCallingHours: '00:00-24:00',
+            ...config
+        }
+    });
+
+    const server = await new Promise(resolve => {
+        const listener = app.listen(0, '127.0.0.1', () => resolve(listener));
+    });
+    const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+    const request = async (method, requestPath, { body, token = ADMIN_API_KEY, headers = {} } = {}) => {
+        const isText = typeof body === 'string';
+        const response = await fetch(`${baseUrl}${requestPath}`, {
+            method,
+            headers: {
+                ...(body !== undefined ? { 'Content-Type': isText ? 'text/plain' : 'application/json' } : {}),
+                ...(token ? { Authorization: `Bearer ${token}` } : {}),
+                ...headers
+            },
+            body: body === undefined ? undefined : isText ? body : JSON.stringify(body)
+        });
+        const text = await response.text();
+        let json = null;
+        try {
+            json = text ? JSON.parse(text) : null;
+        } catch (error) {
+            // Not JSON (calendar invites, exports)
+        }
+        return { status: response.status, headers: response.headers, body: json, text };
+    };
+
+    const close = () => new Promise(resolve => {
+        app.locals.tenantRegistry.stop();
+        server.closeAllConnections?.();
+        server.close(() => {
+            app.locals.tenantRegistry.destroy();
+            resolve();
+        });
+    });
+
+    return { app, vapi: vapiService, properties, baseUrl, request, close };
+}
+
+// Creates a staff account with the admin API key and signs in; returns { user, token }
+async function signIn(request, { email = `agent-${Date.now()}@example.com`, role = 'agent', password = 'correct-horse-battery' } = {}) {
+    const created = await request('POST', '/api/users', { body: { email, password, role, name: 'Test User' } });
+    if (created.status !== 201) throw new Error(`Could not create ${email}: ${created.text}`);
+    const login = await request('POST', '/api/auth/login', { body: { email, password }, token: null });
+    if (login.status !== 200) throw new Error(`Could not sign in as ${email}: ${login.text}`);
+    return { user: login.body.data.user, token: login.body.data.token };
+}
+
+module.exports = {
+    ADMIN_API_KEY,
+    WEBHOOK_SECRET,
+    DEFAULT_ASSISTANT_ID,
+    StubVapiService,
+    startTestApp,
+    signIn
+};
@@ -0,0 +1,75 @@
+// test/leads.test.js - Lead CRUD and call links
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestApp } = require('./helpers');
+
+describe('leads', () => {
+    let ctx;
+    let lead;
+    before(async () => { ctx = await startTestApp(); });
+    after(() => ctx.close());
+
+    it('are only available to agents', async () => {
+        const res = await ctx.request('GET', '/api/leads', { token: null });
+        assert.equal(res.status, 401);
+    });
+
+    it('creates leads and refuses duplicate contacts', async () => {
+        const res = await ctx.request('POST', '/api/leads', {
+            body: { name: 'Riley Park', phone: '+12065550142', desiredAreas: ['Ballard'] }
+        });
+        assert.equal(res.status, 201);
+        lead = res.body.data;
+        assert.equal(lead.phone, '+12065550142');
+
+        const duplicate = await ctx.request('POST', '/api/leads', { body: { phone: '+12065550142' } });
+        assert.equal(duplicate.status, 409);
+        assert.equal(duplicate.body.data.id, lead.id);
+
+        const invalid = await ctx.request('POST', '/api/leads', { body: { name: 'Bad email', email: 'not-an-email' } });
+        assert.equal(invalid.status, 400);
+    });
+
+    it('filters by status and text', async () => {
+        await ctx.request('POST', '/api/leads', { body: { name: 'Casey Wu', email: 'casey@example.com' } });
+
+        const found = await ctx.request('GET', '/api/leads?q=riley');
+        assert.deepEqual(found.body.data.map(l => l.id), [lead.id]);
+
+        const invalid = await ctx.request('GET', '/api/leads?status=sleeping');
+        assert.equal(invalid.status, 400);
+    });
+
+    it('updates leads', async () => {
+        const patched = await ctx.request('PATCH', `/api/leads/${lead.id}`, { body: { status: 'contacted' } });
+        assert.equal(patched.status, 200);
+        assert.equal(patched.body.data.status, 'contacted');
+        assert.equal(patched.body.data.name, 'Riley Park');
+
+        const taken = await ctx.request('PATCH', `/api/leads/${lead.id}`, { body: { email: 'casey@example.com' } });
+        assert.equal(taken.status, 409);
+    });
+
+    it('links calls and returns them with the lead', async () => {
+        const call = ctx.vapi.addCall({ customer: { number: '+12065550142' } });
+        await ctx.request('GET', `/api/vapi/calls/${call.id}`);
+
+        const linked = await ctx.request('POST', `/api/leads/${lead.id}/calls`, { body: { callId: call.id } });
+        assert.equal(linked.status, 200);
+        assert.deepEqual(linked.body.data.callIds, [call.id]);
+
+        const fetched = await ctx.request('GET', `/api/leads/${lead.id}`);
+        assert.equal(fetched.body.data.calls[0].id, call.id);
+
+        const missing = await ctx.request('POST', `/api/leads/${lead.id}/calls`, { body: {} });
+        assert.equal(missing.status, 400);
+    });
+
+    it('deletes leads', async () => {
+        const res = await ctx.request('DELETE', `/api/leads/${lead.id}`);
+        assert.equal(res.status, 200);
+
+        const missing = await ctx.request('GET', `/api/leads/${lead.id}`);
+        assert.equal(missing.status, 404);
+    });
+});
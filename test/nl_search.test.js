@@ -0,0 +1,75 @@
+// test/nl_search.test.js - Natural-language search parsing
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseSearchQuery, parseAmount } = require('../server/nl_search');
+
+// [query, expected criteria]
+const cases = {
+    'price ranges': [
+        ['homes under 500k', { maxPrice: 500000 }],
+        ['between 400 and 600 thousand', { minPrice: 400000, maxPrice: 600000 }],
+        ['from $350,000 to $450,000', { minPrice: 350000, maxPrice: 450000 }],
+        ['over 1.2 million', { minPrice: 1200000 }],
+        ['half a million or less', { maxPrice: 500000 }],
+        ['around 800k', { minPrice: 720000, maxPrice: 880000 }]
+    ],
+    'bedroom and bathroom counts': [
+        ['3 bedroom place', { minBedrooms: 3 }],
+        ['2 to 3 bed condo', { minBedrooms: 2, maxBedrooms: 3, propertyType: 'condo' }],
+        ['exactly 4 bedrooms and 2 baths', { bedrooms: 4, minBathrooms: 2 }],
+        ['studio apartment', { bedrooms: 0, propertyType: 'apartment' }]
+    ],
+    'cities, states and property types': [
+        ['3 bedroom house in Seattle', { minBedrooms: 3, propertyType: 'house', city: 'Seattle' }],
+        ['townhouse near Bellevue WA', { propertyType: 'townhouse', city: 'Bellevue', state: 'WA' }],
+        ['condos in Austin, Texas', { propertyType: 'condo', city: 'Austin', state: 'TX' }],
+        ['homes in Portland, OR under 500k', { maxPrice: 500000, city: 'Portland', state: 'OR' }],
+        ['in Bloomington, IN with 2 baths', { minBathrooms: 2, city: 'Bloomington', state: 'IN' }],
+        ['in Portland or Seattle', { city: 'Portland' }],
+        ['anything in Texas', { state: 'TX' }],
+        ['within 5 miles of Redmond', { near: 'Redmond', radiusMiles: 5 }],
+        ['homes near 98004', { near: '98004' }]
+    ],
+    'sizes and years': [
+        ['2000 sq ft built after 1990', { minSquareFeet: 2000, minYearBuilt: 1991 }],
+        ['under 1,500 sqft built before 1950', { maxSquareFeet: 1500, maxYearBuilt: 1949 }],
+        ['twenty five hundred square feet', { minSquareFeet: 2500 }],
+        ['under fifteen hundred sq ft in Boise', { maxSquareFeet: 1500, city: 'Boise' }],
+        ['two thousand sqft house', { minSquareFeet: 2000, propertyType: 'house' }]
+    ],
+    'phrases that match nothing': [
+        ['show me something nice', {}],
+        ['what is the weather like', {}],
+        ['in my price range', {}],
+        ['', {}]
+    ]
+};
+
+describe('natural-language search parsing', () => {
+    for (const [group, queries] of Object.entries(cases)) {
+        it(`parses ${group}`, () => {
+            for (const [query, expected] of queries) {
+                assert.deepEqual(parseSearchQuery(query), expected, query);
+            }
+        });
+    }
+
+    it('ignores input that is not text', () => {
+        assert.deepEqual(parseSearchQuery(null), {});
+        assert.deepEqual(parseSearchQuery(42), {});
+    });
+
+    it('reads written and spoken amounts', () => {
+        const amounts = [
+            ['400k', 400000],
+            ['$1.2 million', 1200000],
+            ['four hundred thousand', 400000],
+            ['half a million', 500000],
+            ['fifty grand', 50000],
+            ['banana', undefined]
+        ];
+        for (const [text, expected] of amounts) {
+            assert.equal(parseAmount(text), expected, text);
+        }
+    });
+});
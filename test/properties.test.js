@@ -0,0 +1,137 @@
+// test/properties.test.js - Listing management and bulk import
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestApp } = require('./helpers');
+
+const listing = {
+    address: '77 Harbor View Rd',
+    city: 'Tacoma',
+    state: 'WA',
+    zip_code: '98403',
+    price: 615000,
+    bedrooms: 3,
+    bathrooms: 2,
+    property_type: 'house'
+};
+
+describe('properties', () => {
+    let ctx;
+    let created;
+    before(async () => { ctx = await startTestApp(); });
+    after(() => ctx.close());
+
+    it('requires an agent to add listings', async () => {
+        const res = await ctx.request('POST', '/api/properties', { body: listing, token: null });
+        assert.equal(res.status, 401);
+    });
+
+    it('creates a listing that search then finds', async () => {
+        const res = await ctx.request('POST', '/api/properties', { body: listing });
+        assert.equal(res.status, 201);
+        assert.equal(res.body.data.status, 'active');
+        created = res.body.data;
+
+        const fetched = await ctx.request('GET', `/api/properties/${created.id}`, { token: null });
+        assert.equal(fetched.body.data.address, listing.address);
+
+        const search = await ctx.request('POST', '/api/search', {
+            body: { criteria: { city: 'Tacoma', minPrice: 600000, maxPrice: 620000 } },
+            token: null
+        });
+        assert.ok(search.body.properties.some(p => p.id === created.id));
+    });
+
+    it('validates listings and refuses duplicate addresses', async () => {
+        const invalid = await ctx.request('POST', '/api/properties', { body: { city: 'Tacoma', price: -5 } });
+        assert.equal(invalid.status, 400);
+        assert.ok(invalid.body.details.includes('address is required'));
+
+        const duplicate = await ctx.request('POST', '/api/properties', { body: listing });
+        assert.equal(duplicate.status, 409);
+        assert.equal(duplicate.body.data.id, created.id);
+    });
+
+    it('patches only the fields sent and replaces on PUT', async () => {
+        const patched = await ctx.request('PATCH', `/api/properties/${created.id}`, { body: { price: 599000 } });
+        assert.equal(patched.status, 200);
+        assert.equal(patched.body.data.price, 599000);
+        assert.equal(patched.body.data.bedrooms, 3);
+
+        const replaced = await ctx.request('PUT', `/api/properties/${created.id}`, {
+            body: { address: listing.address, city: 'Tacoma', price: 590000 }
+        });
+        assert.equal(replaced.status, 200);
+        assert.equal(replaced.body.data.bedrooms, null);
+
+        const missing = await ctx.request('PATCH', '/api/properties/no-such-listing', { body: { price: 1 } });
+        assert.equal(missing.status, 404);
+    });
+
+    it('deletes listings', async () => {
+        const res = await ctx.request('DELETE', `/api/properties/${created.id}`);
+        assert.equal(res.status, 200);
+
+        const fetched = await ctx.request('GET', `/api/properties/${created.id}`, { token: null });
+        assert.equal(fetched.status, 404);
+    });
+
+    it('dry-runs and imports CSV', async () => {
+        const csv = [
+            'address,city,state,price,bedrooms',
+            '10 Lake St,Kirkland,WA,720000,3',
+            '11 Lake St,Kirkland,WA,not-a-price,2',
+            '10 Lake St,Kirkland,WA,720000,3'
+        ].join('\n');
+
+        const dryRun = await ctx.request('POST', '/api/properties/import?dryRun=true', {
+            body: csv,
+            headers: { 'Content-Type': 'text/csv' }
+        });
+        assert.equal(dryRun.status, 200);
+        assert.equal(dryRun.body.data.dryRun, true);
+        assert.equal(dryRun.body.data.created, 1);
+        assert.equal(dryRun.body.data.errors.length, 1);
+        assert.equal(dryRun.body.data.duplicates.length, 1);
+
+        const search = await ctx.request('POST', '/api/search', { body: { criteria: { city: 'Kirkland' } }, token: null });
+        assert.ok(!search.body.properties.some(p => p.address === '10 Lake St'));
+
+        const imported = await ctx.request('POST', '/api/properties/import', {
+            body: csv,
+            headers: { 'Content-Type': 'text/csv' }
+        });
+        assert.equal(imported.body.data.created, 1);
+    });
+
+    it('updates or skips existing listings on a JSON import', async () => {
+        const rows = [{ address: '10 Lake St', city: 'Kirkland', state: 'WA', price: 700000 }];
+
+        const skipped = await ctx.request('POST', '/api/properties/import?onDuplicate=skip', { body: rows });
+        assert.equal(skipped.body.data.skipped, 1);
+
+        const updated = await ctx.request('POST', '/api/properties/import', { body: { properties: rows } });
+        assert.equal(updated.body.data.updated, 1);
+
+        const partial = await ctx.request('POST', '/api/properties/import', {
+            body: 'address,city,state,price,bedrooms\n10 Lake St,Kirkland,WA,690000,\n',
+            headers: { 'Content-Type': 'text/csv' }
+        });
+        assert.equal(partial.body.data.updated, 1);
+        const search = await ctx.request('POST', '/api/search', { body: { criteria: { city: 'Kirkland' } }, token: null });
+        const listing = search.body.properties.find(p => p.address === '10 Lake St');
+        assert.equal(listing.price, 690000);
+        assert.equal(listing.bedrooms, 3);
+
+        const invalid = await ctx.request('POST', '/api/properties/import?onDuplicate=merge', { body: rows });
+        assert.equal(invalid.status, 400);
+
+        const empty = await ctx.request('POST', '/api/properties/import', { body: [] });
+        assert.equal(empty.status, 400);
+    });
+
+    it('lists feed import runs for agents', async () => {
+        const res = await ctx.request('GET', '/api/properties/feed-imports');
+        assert.equal(res.status, 200);
+        assert.ok(Array.isArray(res.body.data));
+    });
+});
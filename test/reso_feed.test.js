@@ -0,0 +1,84 @@
+// test/reso_feed.test.js - RESO feed import and off-market handling
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ResoFeedImporter, FeedImportLog } = require('../server/reso_feed');
+const MemoryPropertyRepository = require('../server/repositories/memory_property_repository');
+
+const record = (key, overrides = {}) => ({
+    ListingKey: key,
+    UnparsedAddress: `${key.slice(-3)} Alder St`,
+    City: 'Tacoma',
+    StateOrProvince: 'WA',
+    PostalCode: '98403',
+    ListPrice: 525000,
+    BedroomsTotal: 3,
+    BathroomsTotalInteger: 2,
+    PropertySubType: 'Single Family Residence',
+    StandardStatus: 'Active',
+    ...overrides
+});
+
+describe('RESO feed import', () => {
+    let dir;
+    let repository;
+    let importer;
+
+    const runFeed = (records, options) => {
+        const file = path.join(dir, 'feed.json');
+        fs.writeFileSync(file, JSON.stringify({ value: records }));
+        return importer.run(file, options);
+    };
+    const statusOf = async (key) => (await repository.findByListingKey(key)).status;
+
+    before(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'reso-feed-'));
+        repository = new MemoryPropertyRepository({ filePath: null, seed: [] });
+        importer = new ResoFeedImporter({ repository, log: new FeedImportLog(null) });
+    });
+    after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+    it('creates and then updates listings by ListingKey', async () => {
+        const first = await runFeed([record('MLS-101'), record('MLS-102'), record('MLS-103')]);
+        assert.equal(first.created, 3);
+
+        const second = await runFeed([record('MLS-101', { ListPrice: 499000 }), record('MLS-102'), record('MLS-103')]);
+        assert.equal(second.updated, 3);
+        assert.equal((await repository.findByListingKey('MLS-101')).price, 499000);
+    });
+
+    it('takes listings that left the feed off the market', async () => {
+        const run = await runFeed([record('MLS-101'), record('MLS-102')]);
+        assert.equal(run.markedOffMarket, 1);
+        assert.equal(await statusOf('MLS-103'), 'off_market');
+        assert.equal(await statusOf('MLS-102'), 'active');
+    });
+
+    it('reports a malformed row without retiring its listing', async () => {
+        const run = await runFeed([record('MLS-101'), record('MLS-102', { ListPrice: -5 })]);
+        assert.equal(run.skipped, 1);
+        assert.equal(run.markedOffMarket, 0);
+        assert.deepEqual(run.errors.map(error => error.listingKey), ['MLS-102']);
+        assert.equal(await statusOf('MLS-102'), 'active');
+    });
+
+    it('falls back to PropertyType when the subtype is not in the map', async () => {
+        const run = await runFeed([
+            record('MLS-101'),
+            record('MLS-102'),
+            record('MLS-104', { PropertySubType: 'Manufactured Home', PropertyType: 'Residential' }),
+            record('MLS-105', { PropertySubType: 'Manufactured Home', PropertyType: undefined })
+        ]);
+        assert.equal(run.created, 1);
+        assert.equal((await repository.findByListingKey('MLS-104')).property_type, 'house');
+        assert.deepEqual(run.errors.map(error => error.listingKey), ['MLS-105']);
+    });
+
+    it('leaves every listing alone when no row is valid', async () => {
+        const run = await runFeed([record('MLS-999', { ListPrice: -5 })]);
+        assert.equal(run.markedOffMarket, 0);
+        assert.equal(await statusOf('MLS-101'), 'active');
+    });
+});
@@ -0,0 +1,74 @@
+// test/saved_searches.test.js - Saved searches and new-match alerts
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestApp } = require('./helpers');
+
+describe('saved searches', () => {
+    let ctx;
+    let search;
+    before(async () => { ctx = await startTestApp(); });
+    after(() => ctx.close());
+
+    it('validates the name, contact and criteria', async () => {
+        const res = await ctx.request('POST', '/api/saved-searches', {
+            body: { name: '', contact: {}, criteria: {} },
+            token: null
+        });
+        assert.equal(res.status, 400);
+        assert.ok(res.body.details.length >= 3);
+    });
+
+    it('saves a search and takes a baseline without alerting', async () => {
+        const res = await ctx.request('POST', '/api/saved-searches', {
+            body: {
+                name: 'Austin starter homes',
+                contact: { email: 'buyer@example.com' },
+                criteria: { city: 'Austin', maxPrice: 700000 }
+            },
+            token: null
+        });
+        assert.equal(res.status, 201);
+        search = res.body.data;
+
+        const alerts = await ctx.request('GET', `/api/alerts?savedSearchId=${search.id}`);
+        assert.equal(alerts.body.total, 0);
+
+        const list = await ctx.request('GET', '/api/saved-searches?email=buyer@example.com');
+        assert.equal(list.body.count, 1);
+    });
+
+    it('alerts on listings added since the last run', async () => {
+        const created = await ctx.request('POST', '/api/properties', {
+            body: { address: '900 Congress Ave', city: 'Austin', state: 'TX', price: 455000, bedrooms: 2 }
+        });
+        assert.equal(created.status, 201);
+
+        const run = await ctx.request('POST', `/api/saved-searches/${search.id}/run`);
+        assert.equal(run.status, 200);
+        assert.equal(run.body.data.newMatches.length, 1);
+
+        const again = await ctx.request('POST', `/api/saved-searches/${search.id}/run`);
+        assert.equal(again.body.data.newMatches.length, 0);
+
+        const alerts = await ctx.request('GET', '/api/alerts?email=buyer@example.com&unread=true');
+        assert.equal(alerts.body.unread, 1);
+
+        const read = await ctx.request('POST', `/api/alerts/${alerts.body.data[0].id}/read`);
+        assert.equal(read.status, 200);
+        assert.ok(read.body.data.readAt);
+
+        const unread = await ctx.request('GET', '/api/alerts?email=buyer@example.com&unread=true');
+        assert.equal(unread.body.total, 0);
+    });
+
+    it('deletes saved searches', async () => {
+        const res = await ctx.request('DELETE', `/api/saved-searches/${search.id}`);
+        assert.equal(res.status, 200);
+
+        const missing = await ctx.request('POST', `/api/saved-searches/${search.id}/run`);
+        assert.equal(missing.status, 404);
+
+        const unknownAlert = await ctx.request('POST', '/api/alerts/no-such-alert/read');
+        assert.equal(unknownAlert.status, 404);
+    });
+});
@@ -0,0 +1,105 @@
+// test/tenants.test.js - Brokerage management and per-tenant isolation
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestApp } = require('./helpers');
+
+describe('tenants', () => {
+    let ctx;
+    let apiKey;
+    before(async () => { ctx = await startTestApp(); });
+    after(() => ctx.close());
+
+    it('is managed with the admin API key only', async () => {
+        const anonymous = await ctx.request('GET', '/api/tenants', { token: null });
+        assert.equal(anonymous.status, 401);
+
+        const list = await ctx.request('GET', '/api/tenants');
+        assert.equal(list.status, 200);
+        assert.ok(list.body.data.some(tenant => tenant.id === 'default'));
+    });
+
+    it('creates a tenant and returns its API key once', async () => {
+        const res = await ctx.request('POST', '/api/tenants', {
+            body: { id: 'harbor-realty', name: 'Harbor Realty', hostnames: ['harbor.example.com'] }
+        });
+        assert.equal(res.status, 201);
+        assert.ok(res.body.apiKey);
+        assert.equal(res.body.data.apiKey, undefined);
+        apiKey = res.body.apiKey;
+
+        const fetched = await ctx.request('GET', '/api/tenants/harbor-realty');
+        assert.equal(fetched.body.data.name, 'Harbor Realty');
+    });
+
+    it('validates tenants and refuses duplicates', async () => {
+        const invalid = await ctx.request('POST', '/api/tenants', { body: { id: 'Bad Id!', name: '' } });
+        assert.equal(invalid.status, 400);
+
+        const reserved = await ctx.request('POST', '/api/tenants', { body: { id: 'default', name: 'Default' } });
+        assert.equal(reserved.status, 400);
+
+        const duplicate = await ctx.request('POST', '/api/tenants', { body: { id: 'harbor-realty', name: 'Again' } });
+        assert.equal(duplicate.status, 409);
+
+        const hostname = await ctx.request('POST', '/api/tenants', {
+            body: { id: 'copycat', name: 'Copycat', hostnames: ['harbor.example.com'] }
+        });
+        assert.equal(hostname.status, 409);
+    });
+
+    it('routes requests made with a tenant API key to that tenant', async () => {
+        const health = await ctx.request('GET', '/api/health', { token: apiKey });
+        assert.equal(health.body.tenant.id, 'harbor-realty');
+
+        const viaHeader = await ctx.request('GET', '/api/health', { token: null, headers: { 'X-API-Key': apiKey } });
+        assert.equal(viaHeader.body.tenant.id, 'harbor-realty');
+    });
+
+    it('keeps each tenant\'s data separate', async () => {
+        const created = await ctx.request('POST', '/api/leads', { body: { name: 'Default Lead', phone: '+12065550101' } });
+        assert.equal(created.status, 201);
+
+        const tenantLeads = await ctx.request('GET', '/api/leads', { token: apiKey });
+        assert.equal(tenantLeads.status, 200);
+        assert.equal(tenantLeads.body.data.length, 0);
+
+        const defaultLeads = await ctx.request('GET', '/api/leads');
+        assert.equal(defaultLeads.body.data.length, 1);
+    });
+
+    it('does not let tenant keys manage tenants', async () => {
+        const res = await ctx.request('GET', '/api/tenants', { token: apiKey });
+        assert.equal(res.status, 401);
+    });
+
+    it('rotates API keys', async () => {
+        const rotated = await ctx.request('POST', '/api/tenants/harbor-realty/api-key');
+        assert.equal(rotated.status, 200);
+        assert.notEqual(rotated.body.apiKey, apiKey);
+
+        const old = await ctx.request('GET', '/api/leads', { token: apiKey });
+        assert.equal(old.status, 401);
+
+        apiKey = rotated.body.apiKey;
+        const current = await ctx.request('GET', '/api/health', { token: apiKey });
+        assert.equal(current.body.tenant.id, 'harbor-realty');
+    });
+
+    it('blocks disabled tenants', async () => {
+        const disabled = await ctx.request('PATCH', '/api/tenants/harbor-realty', { body: { disabled: true } });
+        assert.equal(disabled.status, 200);
+
+        const res = await ctx.request('GET', '/api/health', { token: apiKey });
+        assert.equal(res.status, 403);
+    });
+
+    it('protects the default tenant and removes others', async () => {
+        const patch = await ctx.request('PATCH', '/api/tenants/default', { body: { name: 'Renamed' } });
+        assert.equal(patch.status, 409);
+
+        const removed = await ctx.request('DELETE', '/api/tenants/harbor-realty');
+        assert.equal(removed.status, 200);
+        const missing = await ctx.request('GET', '/api/tenants/harbor-realty');
+        assert.equal(missing.status, 404);
+    });
+});
@@ -0,0 +1,130 @@
+// test/transcripts.test.js - Transcript downloads as text, SRT, WebVTT and JSON
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestApp, WEBHOOK_SECRET } = require('./helpers');
+
+const STARTED_AT = Date.parse('2026-03-02T17:00:00.000Z');
+
+const timedCall = {
+    status: 'ended',
+    startedAt: new Date(STARTED_AT).toISOString(),
+    endedAt: new Date(STARTED_AT + 20000).toISOString(),
+    messages: [
+        { role: 'system', message: 'You are a helpful real estate assistant.', time: STARTED_AT, secondsFromStart: 0 },
+        { role: 'bot', message: 'Hi, thanks for calling VoiceNest!', time: STARTED_AT + 1200, endTime: STARTED_AT + 3500, secondsFromStart: 1.2, duration: 2300 },
+        { role: 'user', message: 'Any condos under <$500k> & near the water?', time: STARTED_AT + 4000, endTime: STARTED_AT + 7250, secondsFromStart: 4, duration: 3250 },
+        { role: 'tool_calls', message: '', time: STARTED_AT + 7300, secondsFromStart: 7.3 },
+        { role: 'bot', message: 'I found two.\n\nThe first is on Pine St.', time: STARTED_AT + 8000, secondsFromStart: 8 }
+    ]
+};
+
+describe('transcript downloads', () => {
+    let ctx;
+    let call;
+    before(async () => {
+        ctx = await startTestApp();
+        call = ctx.vapi.addCall(timedCall);
+    });
+    after(() => ctx.close());
+
+    it('keeps the plain JSON response without a format', async () => {
+        const plain = ctx.vapi.addCall({ transcript: 'AI: Hello\nUser: Hi' });
+        const res = await ctx.request('GET', `/api/vapi/calls/${plain.id}/transcript`);
+        assert.equal(res.status, 200);
+        assert.deepEqual(res.body, { success: true, data: { transcript: 'AI: Hello\nUser: Hi' } });
+    });
+
+    it('rejects unknown formats', async () => {
+        const res = await ctx.request('GET', `/api/vapi/calls/${call.id}/transcript?format=docx`);
+        assert.equal(res.status, 400);
+        assert.match(res.body.details[0], /text, srt, vtt, json/);
+    });
+
+    it('requires an agent', async () => {
+        const res = await ctx.request('GET', `/api/vapi/calls/${call.id}/transcript?format=text`, { token: null });
+        assert.equal(res.status, 401);
+    });
+
+    it('downloads speaker-labelled text', async () => {
+        const res = await ctx.request('GET', `/api/vapi/calls/${call.id}/transcript?format=text`);
+        assert.equal(res.status, 200);
+        assert.match(res.headers.get('content-type'), /^text\/plain/);
+        assert.equal(res.headers.get('content-disposition'), `attachment; filename="transcript-${call.id}.txt"`);
+        assert.equal(res.text, [
+            '[00:00:01] Assistant: Hi, thanks for calling VoiceNest!',
+            '[00:00:04] Caller: Any condos under <$500k> & near the water?',
+            '[00:00:08] Assistant: I found two.\n\nThe first is on Pine St.',
+            ''
+        ].join('\n'));
+    });
+
+    it('downloads SRT cues from the message timing', async () => {
+        const res = await ctx.request('GET', `/api/vapi/calls/${call.id}/transcript?format=srt`);
+        assert.equal(res.status, 200);
+        assert.match(res.headers.get('content-disposition'), /\.srt"$/);
+        assert.equal(res.text, [
+            '1',
+            '00:00:01,200 --> 00:00:03,500',
+            'Assistant: Hi, thanks for calling VoiceNest!',
+            '',
+            '2',
+            '00:00:04,000 --> 00:00:07,250',
+            'Caller: Any condos under <$500k> & near the water?',
+            '',
+            '3',
+            '00:00:08,000 --> 00:00:20,000',
+            'Assistant: I found two.\nThe first is on Pine St.',
+            ''
+        ].join('\n'));
+    });
+
+    it('downloads WebVTT with voice spans', async () => {
+        const res = await ctx.request('GET', `/api/vapi/calls/${call.id}/transcript?format=vtt`);
+        assert.equal(res.status, 200);
+        assert.match(res.headers.get('content-type'), /^text\/vtt/);
+        assert.ok(res.text.startsWith('WEBVTT\n\n00:00:01.200 --> 00:00:03.500\n<v Assistant>Hi, thanks'));
+        assert.match(res.text, /<v Caller>Any condos under &lt;\$500k&gt; &amp; near the water\?/);
+    });
+
+    it('downloads normalized JSON turns', async () => {
+        const res = await ctx.request('GET', `/api/vapi/calls/${call.id}/transcript?format=json`);
+        assert.equal(res.status, 200);
+        assert.match(res.headers.get('content-disposition'), /\.json"$/);
+        assert.equal(res.body.callId, call.id);
+        assert.deepEqual(res.body.turns[0], { role: 'assistant', text: 'Hi, thanks for calling VoiceNest!', start: 1.2, end: 3.5 });
+        assert.deepEqual(res.body.turns.map(turn => turn.role), ['assistant', 'user', 'assistant']);
+        assert.equal(res.body.turns[2].end, 20);
+    });
+
+    it('falls back to the transcript string, without subtitles', async () => {
+        const untimed = ctx.vapi.addCall({ transcript: 'AI: Hello there\nUser: Hi\n' });
+
+        const text = await ctx.request('GET', `/api/vapi/calls/${untimed.id}/transcript?format=text`);
+        assert.equal(text.text, 'Assistant: Hello there\nCaller: Hi\n');
+
+        const srt = await ctx.request('GET', `/api/vapi/calls/${untimed.id}/transcript?format=srt`);
+        assert.equal(srt.status, 422);
+    });
+
+    it('reports calls without a transcript and unknown calls', async () => {
+        const silent = ctx.vapi.addCall({ endedReason: 'customer-did-not-answer' });
+        const empty = await ctx.request('GET', `/api/vapi/calls/${silent.id}/transcript?format=text`);
+        assert.equal(empty.status, 404);
+
+        const missing = await ctx.request('GET', '/api/vapi/calls/call-missing/transcript?format=text');
+        assert.equal(missing.status, 404);
+    });
+
+    it('serves archived calls when Vapi is down', async () => {
+        await ctx.request('POST', '/api/vapi/webhook', {
+            body: { message: { type: 'end-of-call-report', call: { id: 'call-archived' }, artifact: { messages: timedCall.messages } } },
+            token: null,
+            headers: { 'X-Vapi-Secret': WEBHOOK_SECRET }
+        });
+
+        ctx.vapi.failNext = { status: 503 };
+        const res = await ctx.request('GET', '/api/vapi/calls/call-archived/transcript?format=json');
+        assert.equal(res.status, 200);
+        assert.equal(res.body.turns.length, 3);
+    });
+});
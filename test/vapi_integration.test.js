@@ -0,0 +1,97 @@
+// test/vapi_integration.test.js - Vapi client paging and dialing against the mock Vapi server
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { MockVapiServer } = require('../server/mock_vapi');
+const VapiService = require('../server/vapi_integration');
+const { ComplianceStore, DialAuditLog, DialPolicy, DialBlockedError, parseCallingHours } = require('../server/compliance');
+
+const at = (minute) => new Date(Date.UTC(2026, 2, 1, 9, minute)).toISOString();
+
+const startMockVapi = async () => {
+    const mock = new MockVapiServer({ privateKey: 'mock-private-key' });
+    const baseUrl = await mock.listen();
+    const vapi = new VapiService({
+        privateKey: 'mock-private-key',
+        publicKey: 'mock-public-key',
+        assistantId: 'mock-assistant',
+        baseUrl,
+        maxRetries: 0
+    });
+    return { mock, vapi };
+};
+
+describe('Vapi call pagination', () => {
+    let mock;
+    let vapi;
+    before(async () => {
+        ({ mock, vapi } = await startMockVapi());
+
+        // call-c and call-d share 09:02, so they straddle a page boundary at three calls a page
+        const minutes = { a: 5, b: 4, c: 2, d: 2, e: 1 };
+        for (const [id, minute] of Object.entries(minutes)) {
+            mock.calls.set(`call-${id}`, { id: `call-${id}`, assistantId: 'mock-assistant', createdAt: at(minute) });
+        }
+    });
+    after(() => mock.close());
+
+    const collect = async (filters, pageSize) => {
+        const ids = [];
+        for await (const page of vapi.iterateCalls(filters, { pageSize })) {
+            ids.push(...page.map(call => call.id));
+        }
+        return ids;
+    };
+
+    it('returns every call once when calls share a createdAt across pages', async () => {
+        const ids = await collect({}, 3);
+        assert.equal(ids.length, 5);
+        assert.deepEqual([...ids].sort(), ['call-a', 'call-b', 'call-c', 'call-d', 'call-e']);
+        assert.deepEqual(ids.slice(0, 2), ['call-a', 'call-b']);
+        assert.equal(ids[4], 'call-e');
+    });
+
+    it('keeps the date filters while paging', async () => {
+        const ids = await collect({ createdAtGt: at(1), createdAtLt: at(5) }, 2);
+        assert.deepEqual([...ids].sort(), ['call-b', 'call-c', 'call-d']);
+    });
+
+    it('moves past a millisecond holding a full page of calls', async () => {
+        const ids = await collect({ createdAtLt: at(3) }, 2);
+        assert.equal(new Set(ids).size, ids.length);
+        assert.equal(ids[ids.length - 1], 'call-e');
+    });
+});
+
+describe('Vapi outbound dialing', () => {
+    let mock;
+    let vapi;
+    let store;
+    before(async () => {
+        ({ mock, vapi } = await startMockVapi());
+        store = new ComplianceStore(null);
+        vapi.setDialPolicy(new DialPolicy({
+            store,
+            auditLog: new DialAuditLog(null),
+            callingHours: parseCallingHours('00:00-24:00')
+        }));
+    });
+    after(() => mock.close());
+
+    it('checks and dials the same number for a bare 10-digit input', async () => {
+        store.addDoNotCall([{ phone: '+15035551234', reason: 'Asked on a call', source: 'test' }]);
+        await assert.rejects(vapi.makeCall('5035551234'), (error) => {
+            assert.ok(error instanceof DialBlockedError);
+            assert.equal(error.reason, 'do_not_call');
+            assert.equal(error.decision.phone, '+15035551234');
+            return true;
+        });
+        assert.equal(mock.calls.size, 0);
+
+        const call = await vapi.makeCall('(503) 555-1299');
+        assert.equal(call.customer.number, '+15035551299');
+    });
+
+    it('refuses numbers that are not phone numbers', async () => {
+        await assert.rejects(vapi.makeCall('call me'), /Invalid phone number format/);
+    });
+});